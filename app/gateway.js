@@ -0,0 +1,109 @@
+import 'dotenv/config';
+import { ApolloGateway, IntrospectAndCompose, RemoteGraphQLDataSource } from '@apollo/gateway';
+import { ApolloServer } from '@apollo/server';
+import { ApolloServerPluginLandingPageLocalDefault } from '@apollo/server/plugin/landingPage/default';
+import { ApolloServerPluginDrainHttpServer } from '@apollo/server/plugin/drainHttpServer';
+import { expressMiddleware } from '@as-integrations/express5';
+import cors from 'cors';
+import express from 'express';
+import { createServer } from 'http';
+import { createComplexityPlugin } from './lib/complexity.js';
+import { createFormatError } from './lib/errors.js';
+import { SUBGRAPHS } from './lib/federation.js';
+import { createPersistedQueries } from './lib/persistedQueries.js';
+
+// -----------------------------
+// Federation gateway
+// -----------------------------
+//
+// Composes the authors, books and reviews subgraphs (index.js started with
+// SUBGRAPH=...) by introspecting them at startup, so they must be running
+// first. Each client's Authorization header is forwarded and the subgraphs
+// enforce @auth themselves. The client's address is forwarded in
+// X-Forwarded-For, as any proxy does, so subgraphs started with TRUST_PROXY
+// counting the gateway (1 when nothing else is in front of them) rate-limit
+// signed-out clients by their own IP rather than the gateway's. The gateway
+// does not proxy subscriptions; clients subscribe on the subgraph that owns
+// the event.
+
+const subgraphs = Object.entries(SUBGRAPHS).map(([name, { port }]) => ({
+  name,
+  url: process.env[`${name.toUpperCase()}_SUBGRAPH_URL`] || `http://localhost:${port}/`,
+}));
+
+const gateway = new ApolloGateway({
+  supergraphSdl: new IntrospectAndCompose({
+    subgraphs,
+    // Recompose when a subgraph's schema changes; 0 composes once.
+    pollIntervalInMs: Number(process.env.GATEWAY_POLL_INTERVAL_MS || 0) || undefined,
+  }),
+  buildService: ({ url }) =>
+    new RemoteGraphQLDataSource({
+      url,
+      willSendRequest({ request, context }) {
+        if (context.authorization) {
+          request.http.headers.set('authorization', context.authorization);
+        }
+        if (context.forwardedFor) {
+          request.http.headers.set('x-forwarded-for', context.forwardedFor);
+        }
+      },
+    }),
+});
+
+const persistedQueries = await createPersistedQueries();
+
+const app = express();
+const httpServer = createServer(app);
+
+const server = new ApolloServer({
+  gateway,
+  introspection: true,
+  formatError: createFormatError(),
+  persistedQueries: persistedQueries.persistedQueries,
+  plugins: [
+    ...persistedQueries.plugins,
+    createComplexityPlugin(),
+    ApolloServerPluginDrainHttpServer({ httpServer }),
+    ApolloServerPluginLandingPageLocalDefault({ embed: true }),
+  ],
+});
+
+try {
+  await server.start();
+} catch (err) {
+  console.error('❌ Gateway composition failed:', err.message);
+  process.exit(1);
+}
+
+app.get('/healthz', (_req, res) => {
+  res.json({ status: 'ok' });
+});
+
+app.use(
+  '/',
+  cors(),
+  express.json({ limit: '50mb' }),
+  expressMiddleware(server, {
+    context: async ({ req }) => ({
+      authorization: req.headers.authorization,
+      // The addresses the request passed through, then the one it came from.
+      forwardedFor: [req.headers['x-forwarded-for'], req.socket.remoteAddress].filter(Boolean).join(', '),
+    }),
+  })
+);
+
+const port = Number(process.env.PORT || 4000);
+await new Promise((resolve) => httpServer.listen({ port }, resolve));
+// PORT=0 picks a free port, so report the one actually bound.
+const { port: boundPort } = httpServer.address();
+
+const composed = subgraphs.map(({ name }) => name).join(', ');
+console.log(`🚀 Gateway running at http://localhost:${boundPort}/ composing ${composed}`);
+
+process.on('SIGINT', async () => {
+  console.log('Shutting down...');
+  await server.stop().catch(() => undefined);
+  persistedQueries.close();
+  process.exit(0);
+});
@@ -1,503 +1,542 @@
 import 'dotenv/config';
 import { ApolloServer } from '@apollo/server';
 import { ApolloServerPluginLandingPageLocalDefault } from '@apollo/server/plugin/landingPage/default';
-import { startStandaloneServer } from '@apollo/server/standalone';
+import { ApolloServerPluginDrainHttpServer } from '@apollo/server/plugin/drainHttpServer';
+import { ApolloServerPluginCacheControl } from '@apollo/server/plugin/cacheControl';
+import { expressMiddleware } from '@as-integrations/express5';
+import cors from 'cors';
 import DataLoader from 'dataloader';
-import pg from 'pg';
-import mysql from 'mysql2/promise';
-import sqlite3 from 'sqlite3';
-import { promisify } from 'util';
+import express from 'express';
+import { specifiedRules, validate } from 'graphql';
+import { withFilter } from 'graphql-subscriptions';
+import GraphQLUpload from 'graphql-upload/GraphQLUpload.mjs';
+import graphqlUploadExpress from 'graphql-upload/graphqlUploadExpress.mjs';
+import { useServer } from 'graphql-ws/use/ws';
+import { randomUUID } from 'crypto';
+import { createServer } from 'http';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { WebSocketServer } from 'ws';
 import path from 'path';
 import fs from 'fs';
-import { fileURLToPath } from 'url';
-
-const { Pool } = pg;
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { connectionFromArray, MAX_PAGE_SIZE } from './lib/pagination.js';
+import { createSagaCoordinator, createSqliteSagaLog, parseFaultInjection } from './lib/saga.js';
+import { defineDeleteSagas } from './lib/deletions.js';
+import { EVENTS, createPubSub } from './lib/pubsub.js';
+import { applyAuthDirective, authTypeDefs, createAuthenticator, hasRole } from './lib/auth.js';
+import { AUDIT_ENTITY_TYPES, createAuditTrail } from './lib/audit.js';
+import { conflict, createFormatError, forbidden, invalidField, notFound } from './lib/errors.js';
+import { MAX_LENGTHS, createValidator } from './lib/validation.js';
+import { scalarResolvers, scalarTypeDefs } from './lib/scalars.js';
+import { createMetrics } from './lib/metrics.js';
+import { createReadinessCheck } from './lib/health.js';
+import { createComplexityPlugin, createComplexityRule } from './lib/complexity.js';
+import { createCacheBackend, createResponseCachePlugin } from './lib/responseCache.js';
+import { createPersistedQueries, readOperationNames } from './lib/persistedQueries.js';
+import {
+  DEFAULT_RATE_LIMITS,
+  applyRateLimits,
+  clientAddress,
+  createRateLimitStore,
+  createRateLimiter,
+  parseRateLimits,
+} from './lib/rateLimit.js';
+import { createModeration, findDuplicateReview } from './lib/moderation.js';
+import { search } from './lib/search.js';
+import { REVIEW_ORDER_FIELDS, resolveOrder } from './lib/filters.js';
+import { resolveSqlitePath } from './lib/config.js';
+import {
+  SUBGRAPHS,
+  buildStoreSchema,
+  repositoriesFor,
+  resolveSubgraph,
+  subgraphResponsePlugin,
+} from './lib/federation.js';
+import { ensureSchemaCurrent, parseAutoMigrate } from './lib/migrations.js';
+import { EMPTY_REVIEW_STATS, REVIEW_STATUS, createRepositories } from './lib/repositories/index.js';
+import { loadProfile, seedProfile } from './lib/seed/index.js';
+import {
+  CONTENT_TYPES,
+  exportCatalog,
+  formatFromFilename,
+  importCatalog,
+  readRecords,
+} from './lib/catalog/index.js';
+
+// Null for the monolith, otherwise the one subgraph this process serves.
+const subgraph = resolveSubgraph();
 
 // -----------------------------
-// Database connections
+// Repositories
 // -----------------------------
 
-const pgPool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  host: process.env.PGHOST,
-  port: process.env.PGPORT ? Number(process.env.PGPORT) : undefined,
-  user: process.env.PGUSER,
-  password: process.env.PGPASSWORD,
-  database: process.env.PGDATABASE,
-  ssl:
-    process.env.PGSSLMODE && process.env.PGSSLMODE.toLowerCase() === 'require'
-      ? { rejectUnauthorized: false }
-      : undefined,
-});
-
-const mariaPool = mysql.createPool({
-  host: process.env.MYSQL_HOST || 'localhost',
-  port: Number(process.env.MYSQL_PORT || 3306),
-  user: process.env.MYSQL_USER || 'appuser',
-  password: process.env.MYSQL_PASSWORD || 'apppass',
-  database: process.env.MYSQL_DATABASE || 'appdb',
-  waitForConnections: true,
-  connectionLimit: Number(process.env.MYSQL_CONNECTION_LIMIT || 10),
-  queueLimit: 0,
-});
-
-sqlite3.verbose();
-const defaultSqliteDir = process.env.SQLITE_MOUNT_PATH || process.env.SQLITE_DIR || '.';
-const defaultSqliteFile = process.env.SQLITE_DB_FILE || 'reviews.db';
-const sqliteDatabasePath = path.resolve(
-  process.env.SQLITE_PATH || path.join(defaultSqliteDir, defaultSqliteFile)
-);
-const sqliteDirectory = path.dirname(sqliteDatabasePath);
-
-try {
-  fs.mkdirSync(sqliteDirectory, { recursive: true });
-} catch (err) {
-  if (err && err.code !== 'EEXIST') {
-    console.error('❌ Unable to create SQLite directory:', err.message);
+// Resolvers and loaders only talk to these; AUTHORS_BACKEND, BOOKS_BACKEND and
+// REVIEWS_BACKEND pick the engine behind each (see lib/repositories). A
+// subgraph only builds the repositories it uses.
+const repositories = await createRepositories({ entities: repositoriesFor(subgraph) });
+const usesRepository = (entity) => Boolean(repositories[entity]);
+
+// `recordAudit(operation, actor, { authors: [{ before, after }], ... })`
+// appends to the audit log of each entity's store; see lib/audit.js.
+const recordAudit = createAuditTrail(repositories);
+const actorOf = (context) => context.user?.id ?? null;
+const deletedPairs = (nodes) => nodes.map((node) => ({ before: node, after: null }));
+const restoredPairs = (nodes) => nodes.map((node) => ({ before: null, after: node }));
+
+const metrics = createMetrics({ operationNames: readOperationNames() });
+
+for (const store of repositories.stores) {
+  const { poolStats } = repositories.drivers.get(store);
+  if (poolStats) {
+    metrics.trackPool(store, poolStats);
   }
 }
 
-const sqliteDb = new sqlite3.Database(
-  sqliteDatabasePath,
-  sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE,
-  (err) => {
-    if (err) {
-      console.error('❌ SQLite connection failed:', err.message);
-    }
-  }
-);
-
-const sqliteReady = new Promise((resolve, reject) => {
-  sqliteDb.once('open', resolve);
-  sqliteDb.once('error', reject);
+const pubsubBackend = process.env.PUBSUB_BACKEND || 'memory';
+const pubsub = await createPubSub({
+  backend: pubsubBackend,
+  pgPool: pubsubBackend === 'postgres' ? repositories.drivers.get('postgres').pool : undefined,
 });
 
-const sqliteAll = promisify(sqliteDb.all.bind(sqliteDb));
-const sqliteGet = promisify(sqliteDb.get.bind(sqliteDb));
-const sqliteRun = (sql, params = []) =>
-  new Promise((resolve, reject) => {
-    sqliteDb.run(sql, params, function runCallback(err) {
-      if (err) {
-        reject(err);
-      } else {
-        resolve({ lastID: this.lastID, changes: this.changes });
-      }
-    });
-  });
-
-let authorSequenceAlignmentPromise;
-
-const ensureAuthorSequenceAligned = async () => {
-  if (!authorSequenceAlignmentPromise) {
-    authorSequenceAlignmentPromise = pgPool
-      .query(
-        `SELECT setval(
-           pg_get_serial_sequence('authors', 'id'),
-           COALESCE((SELECT MAX(id) FROM authors), 0)
-         )`
-      )
-      .catch((err) => {
-        authorSequenceAlignmentPromise = null;
-        throw err;
-      });
-  }
-  return authorSequenceAlignmentPromise;
-};
+if (subgraph && pubsubBackend === 'memory') {
+  console.warn(
+    'ℹ️ PUBSUB_BACKEND=memory: events, cache invalidation and review cleanup stay inside this subgraph'
+  );
+}
 
-const ensureSqliteInitialized = async () => {
+const publishEvent = async (topic, payload) => {
   try {
-    await sqliteReady;
+    await pubsub.publish(topic, payload);
   } catch (err) {
-    console.error('❌ SQLite readiness failed:', err);
-    throw err;
+    console.error(`❌ Failed to publish ${topic}:`, err.message);
   }
+};
 
-  await sqliteRun(`CREATE TABLE IF NOT EXISTS reviews (
-    id INTEGER PRIMARY KEY,
-    book_id INTEGER NOT NULL,
-    reviewername TEXT NOT NULL,
-    rating INTEGER NOT NULL,
-    comment TEXT
-  );`);
+const responseCache = await createCacheBackend();
+const rateLimitStore = await createRateLimitStore();
+const moderateReview = await createModeration();
+
+const dropCachedResponses = (tags) =>
+  responseCache
+    .invalidate(tags)
+    .catch((err) => console.error('❌ Response cache invalidation failed:', err.message));
+
+/**
+ * Drops cached responses tagged with any of `tags` here, then on the other
+ * replicas (which matters for the per-replica memory backend).
+ */
+const invalidateCachedResponses = async (tags) => {
+  if (!responseCache) return;
+  await dropCachedResponses(tags);
+  await publishEvent(EVENTS.CACHE_INVALIDATED, { tags });
+};
 
-  const existingCountRow = await sqliteGet(
-    'SELECT COUNT(1) AS count FROM reviews'
-  ).catch(() => ({ count: 0 }));
+if (responseCache) {
+  await pubsub.subscribe(EVENTS.CACHE_INVALIDATED, ({ tags }) => dropCachedResponses(tags));
+}
 
-  if ((existingCountRow?.count ?? 0) > 0) {
-    return;
-  }
+// Subgraphs only hear from the gateway, which handles persisted queries for
+// clients.
+const persistedQueries = await createPersistedQueries(subgraph ? { mode: 'off' } : undefined);
 
-  let reviewsData;
-  try {
-    const reviewsPath = path.join(__dirname, 'reviews.json');
-    const fileContents = await fs.promises.readFile(reviewsPath, 'utf8');
-    reviewsData = JSON.parse(fileContents);
-  } catch (err) {
-    console.error('❌ Failed to load reviews seed data:', err);
-    return;
-  }
+// -----------------------------
+// Utilities
+// -----------------------------
 
-  if (!Array.isArray(reviewsData) || reviewsData.length === 0) {
-    console.warn('ℹ️ No reviews data found to seed SQLite');
-    return;
+const combineReviewStats = (statsList) =>
+  statsList.reduce(
+    (total, stats) => ({
+      reviewCount: total.reviewCount + stats.reviewCount,
+      ratingSum: total.ratingSum + stats.ratingSum,
+      histogram: total.histogram.map((count, index) => count + stats.histogram[index]),
+    }),
+    EMPTY_REVIEW_STATS
+  );
+
+const averageOf = (stats) => (stats.reviewCount > 0 ? stats.ratingSum / stats.reviewCount : null);
+
+const toNullableString = (value) => {
+  if (value === undefined || value === null) return null;
+  const trimmed = value.toString().trim();
+  return trimmed.length === 0 ? null : trimmed;
+};
+
+const parsePositiveId = (value, field = 'id') => {
+  const id = Number(value);
+  if (!Number.isInteger(id) || id <= 0) {
+    throw invalidField(field, `${field} must be a positive integer`);
   }
+  return id;
+};
 
-  await sqliteRun('BEGIN TRANSACTION;');
-  try {
-    for (const review of reviewsData) {
-      await sqliteRun(
-        `INSERT OR REPLACE INTO reviews (id, book_id, reviewername, rating, comment)
-         VALUES (?, ?, ?, ?, ?)`,
-        [
-          review.id,
-          review.bookId,
-          review.reviewername,
-          review.rating,
-          review.comment,
-        ]
-      );
+/**
+ * Picks the string `fields` present on a partial update input. Fields left
+ * out of the input are untouched, explicit nulls or blank strings clear the
+ * field, and `requiredFields` may not be cleared. Problems are recorded on
+ * `validator` (lengths included) rather than thrown.
+ */
+const collectStringChanges = (input, fields, requiredFields, validator) => {
+  const changes = {};
+  for (const field of fields) {
+    if (input[field] === undefined) continue;
+    const value = toNullableString(input[field]);
+    if (value === null && requiredFields.includes(field)) {
+      validator.fail(field, `${field} cannot be empty`);
     }
-    await sqliteRun('COMMIT;');
-    console.log(`✅ Seeded ${reviewsData.length} reviews into SQLite`);
-  } catch (err) {
-    await sqliteRun('ROLLBACK;').catch(() => undefined);
-    console.error('❌ Failed to seed SQLite reviews:', err);
+    changes[field] = validator.maxLength(field, value);
   }
+  return changes;
+};
+
+const noChanges = (entity) => invalidField('input', `No ${entity} fields to update`);
+
+// A book cannot come out before its author was born.
+const assertPublishedAfterBirth = (publicationDate, author) => {
+  const validator = createValidator();
+  validator.notBefore('publicationDate', publicationDate, author?.birthdate, "the author's birthdate");
+  validator.assert();
 };
 
 // -----------------------------
-// Row mappers & utilities
+// DataLoaders
 // -----------------------------
 
-const mapAuthorRow = (row) => ({
-  id: row.id?.toString() ?? null,
-  firstname: row.firstname,
-  lastname: row.lastname,
-  birthdate: normalizeDate(row.birthdate),
-  deathdate: normalizeDate(row.deathdate),
-  favoriteColor: row.favoritecolor ?? row.favorite_color ?? null,
-  bio: row.bio,
-  nationality: row.nationality,
-  dateCreated: normalizeDateTime(row.datecreated ?? row.date_created),
+// Ids arrive both as GraphQL ID strings and as numbers; normalizing the cache
+// key keeps clear()/prime() from mutations effective either way.
+const loaderOptions = { cacheKeyFn: (key) => String(key) };
+
+const createBatchLoader = (name, batchFn, options = loaderOptions) =>
+  new DataLoader(metrics.observeBatch(name, batchFn), options);
+
+const createStoreLoaders = () => ({
+  authorById: createBatchLoader('authorById', (ids) => repositories.authors.findByIds(ids)),
+  booksByAuthorId: createBatchLoader('booksByAuthorId', (ids) =>
+    repositories.books.findByAuthorIds(ids)
+  ),
+  bookById: createBatchLoader('bookById', (ids) => repositories.books.findByIds(ids)),
+  reviewsByBookId: createBatchLoader('reviewsByBookId', (ids) =>
+    repositories.reviews.findByBookIds(ids)
+  ),
+  reviewById: createBatchLoader('reviewById', (ids) => repositories.reviews.findByIds(ids)),
+  reviewStatsByBookId: createBatchLoader('reviewStatsByBookId', (ids) =>
+    repositories.reviews.statsByBookIds(ids)
+  ),
+  reviewerById: createBatchLoader('reviewerById', (ids) => repositories.reviewers.findByIds(ids)),
+  reviewsByReviewerId: createBatchLoader('reviewsByReviewerId', (ids) =>
+    repositories.reviews.findByReviewerIds(ids)
+  ),
+  reviewStatsByReviewerId: createBatchLoader('reviewStatsByReviewerId', (ids) =>
+    repositories.reviews.statsByReviewerIds(ids)
+  ),
 });
 
-const mapBookRow = (row) => ({
-  id: row.id?.toString() ?? null,
-  authorId: row.authorid?.toString() ?? row.author_id?.toString() ?? null,
-  title: row.title,
-  synopsis: row.synopsis,
-  isbn: row.isbn,
-  publicationDate: normalizeDate(row.publicationdate ?? row.publication_date),
-});
-
-const mapReviewRow = (row) => ({
-  id: row.id?.toString() ?? null,
-  bookId: row.bookid?.toString() ?? row.book_id?.toString() ?? null,
-  reviewerName: row.reviewername ?? row.reviewer_name,
-  rating: typeof row.rating === 'number' ? row.rating : Number(row.rating ?? 0),
-  comment: row.comment,
-});
+const createLoaders = () => {
+  const loaders = createStoreLoaders();
+
+  // Author rollups combine the author's book ids with the per-book review
+  // aggregates; both hops go through the batched loaders above.
+  loaders.reviewStatsByAuthorId = createBatchLoader('reviewStatsByAuthorId', async (ids) => {
+    const bookLists = await loaders.booksByAuthorId.loadMany(ids);
+    return Promise.all(
+      bookLists.map(async (books) => {
+        if (books instanceof Error) return books;
+        const stats = await loaders.reviewStatsByBookId.loadMany(books.map((book) => book.id));
+        const failed = stats.find((entry) => entry instanceof Error);
+        return failed ?? combineReviewStats(stats);
+      })
+    );
+  }, loaderOptions);
 
-const normalizeDate = (value) => {
-  if (!value) return null;
-  if (value instanceof Date) {
-    return value.toISOString().slice(0, 10);
-  }
-  const str = value.toString();
-  return str.length >= 10 ? str.slice(0, 10) : str;
+  return loaders;
 };
 
-const normalizeDateTime = (value) => {
-  if (!value) return null;
-  if (value instanceof Date) {
-    return value.toISOString();
-  }
-  return value.toString();
+// Also drops the reviewers' review lists, which move with their aggregates.
+const invalidateReviewAggregates = (loaders, bookId) => {
+  loaders?.reviewStatsByBookId?.clear(bookId);
+  loaders?.reviewStatsByAuthorId?.clearAll();
+  loaders?.reviewStatsByReviewerId?.clearAll();
+  loaders?.reviewsByReviewerId?.clearAll();
 };
 
-const buildSqlPlaceholders = (count) => new Array(count).fill('?').join(', ');
+// A review change also moves its book's, author's and reviewer's rating
+// aggregates.
+const reviewCacheTags = async (loaders, bookId, reviewerId = null) => {
+  const book = await loaders.bookById.load(bookId).catch(() => null);
+  return [
+    'Review',
+    `Book:${bookId}`,
+    ...(book ? [`Author:${book.authorId}`] : []),
+    ...(reviewerId ? [`Reviewer:${reviewerId}`] : []),
+  ];
+};
 
-const toNullableString = (value) => {
-  if (value === undefined || value === null) return null;
-  const trimmed = value.toString().trim();
-  return trimmed.length === 0 ? null : trimmed;
+// Resolves a field that points at another module's entity. Under federation
+// the owning subgraph loads it, so a reference is all this one returns.
+const entityReference = (loader, id) => (subgraph ? { id: String(id) } : loader.load(id));
+
+// Events carry ids only, since a Postgres NOTIFY payload must stay under 8000
+// bytes, so each subscriber loads the node itself. A subscription keeps one
+// context for its whole lifetime, so each event gets new loaders; otherwise
+// nested fields would be served from a stale cache.
+const loadEventNode = (context, loader, id) => {
+  context.loaders = createLoaders();
+  return context.loaders[loader].load(id);
 };
 
 // -----------------------------
-// DataLoaders
+// Cross-store mutations
 // -----------------------------
+//
+// Multi-repository deletes run as sagas, defined in lib/deletions.js.
 
-const createLoaders = () => ({
-  authorById: new DataLoader(async (ids) => {
-    if (ids.length === 0) return [];
-    const numericIds = ids.map((id) => Number(id));
-    const { rows } = await pgPool.query(
-      `SELECT id, firstname, lastname, birthdate, deathdate, favoritecolor, bio, nationality, datecreated
-       FROM authors
-       WHERE id = ANY($1)`,
-      [numericIds]
-    );
-    const authorById = new Map(rows.map((row) => [Number(row.id), mapAuthorRow(row)]));
-    return numericIds.map((id) => authorById.get(id) ?? null);
-  }),
-  booksByAuthorId: new DataLoader(async (ids) => {
-    if (ids.length === 0) return [];
-    const numericIds = ids.map((id) => Number(id));
-    const placeholders = buildSqlPlaceholders(numericIds.length);
-    const [rows] = await mariaPool.query(
-      `SELECT id, author_id, title, synopsis, isbn, publicationdate
-       FROM books
-       WHERE author_id IN (${placeholders})`,
-      numericIds
-    );
-    const booksByAuthor = new Map();
-    for (const row of rows) {
-      const key = Number(row.author_id);
-      const list = booksByAuthor.get(key) ?? [];
-      list.push(mapBookRow(row));
-      booksByAuthor.set(key, list);
-    }
-    return numericIds.map((id) => booksByAuthor.get(id) ?? []);
-  }),
-  bookById: new DataLoader(async (ids) => {
-    if (ids.length === 0) return [];
-    const numericIds = ids.map((id) => Number(id));
-    const placeholders = buildSqlPlaceholders(numericIds.length);
-    const [rows] = await mariaPool.query(
-      `SELECT id, author_id, title, synopsis, isbn, publicationdate
-       FROM books
-       WHERE id IN (${placeholders})`,
-      numericIds
-    );
-    const bookById = new Map(rows.map((row) => [Number(row.id), mapBookRow(row)]));
-    return numericIds.map((id) => bookById.get(id) ?? null);
-  }),
-  reviewsByBookId: new DataLoader(async (ids) => {
-    if (ids.length === 0) return [];
-    const numericIds = ids.map((id) => Number(id));
-    const placeholders = buildSqlPlaceholders(numericIds.length);
-    const rows = await sqliteAll(
-      `SELECT id, book_id, reviewername, rating, comment
-       FROM reviews
-       WHERE book_id IN (${placeholders})`,
-      numericIds
+const sagaLogDirectory = path.dirname(resolveSqlitePath());
+
+try {
+  fs.mkdirSync(sagaLogDirectory, { recursive: true });
+} catch (err) {
+  if (err && err.code !== 'EEXIST') {
+    console.error('❌ Unable to create saga log directory:', err.message);
+  }
+}
+
+const sagaLogPath = path.resolve(
+  process.env.SAGA_LOG_PATH || path.join(sagaLogDirectory, 'saga-log.db')
+);
+
+const sagaLog = await createSqliteSagaLog(sagaLogPath);
+
+const sagas = createSagaCoordinator({
+  log: sagaLog,
+  injectFault: parseFaultInjection(process.env.SAGA_FAULT_INJECTION),
+});
+
+defineDeleteSagas(sagas, repositories);
+
+/**
+ * Removes the reviews of books deleted by another subgraph, once the
+ * AUTHOR_DELETED / BOOK_DELETED event arrives, under the same deletionId.
+ */
+const deleteReviewsOfBooks = async (bookIds, authorId, deletionId, operation) => {
+  if (bookIds.length === 0) return;
+  const reviews = await repositories.reviews.deleteByBookIds(bookIds, { deletionId });
+  await recordAudit(operation, null, { reviews: deletedPairs(reviews) });
+  await invalidateCachedResponses([
+    'Review',
+    `Author:${authorId}`,
+    ...bookIds.map((bookId) => `Book:${bookId}`),
+  ]);
+};
+
+if (subgraph === 'reviews') {
+  const onBooksDeleted = (...args) =>
+    deleteReviewsOfBooks(...args).catch((err) =>
+      console.error('❌ Failed to delete reviews of deleted books:', err.message)
     );
-    const reviewsByBook = new Map();
-    for (const row of rows) {
-      const key = Number(row.book_id);
-      const list = reviewsByBook.get(key) ?? [];
-      list.push(mapReviewRow(row));
-      reviewsByBook.set(key, list);
+  await pubsub.subscribe(EVENTS.AUTHOR_DELETED, ({ authorDeleted, deletionId }) =>
+    onBooksDeleted(authorDeleted.bookIds, authorDeleted.id, deletionId, 'deleteAuthor')
+  );
+  await pubsub.subscribe(EVENTS.BOOK_DELETED, ({ bookDeleted, deletionId }) =>
+    onBooksDeleted([bookDeleted.id], bookDeleted.authorId, deletionId, 'deleteBook')
+  );
+  await pubsub.subscribe(EVENTS.AUTHOR_RESTORED, async ({ authorId, deletionId }) => {
+    try {
+      const reviews = await repositories.reviews.undelete(deletionId);
+      await recordAudit('restoreAuthor', null, { reviews: restoredPairs(reviews) });
+      await invalidateCachedResponses(['Review', `Author:${authorId}`]);
+    } catch (err) {
+      console.error('❌ Failed to restore reviews of a restored author:', err.message);
     }
-    return numericIds.map((id) => reviewsByBook.get(id) ?? []);
-  }),
-});
+  });
+}
 
 // -----------------------------
 // GraphQL schema & resolvers
 // -----------------------------
 
-const typeDefs = `#graphql
-  type Author {
+// One module per store (see lib/federation.js). Fields on another module's
+// entity receive a bare `{ id }` reference under federation.
+
+// Cache hints (seconds) for the response cache and GET Cache-Control headers.
+// Anything derived from reviews changes more often than the catalog.
+const CATALOG_MAX_AGE = Number(process.env.CACHE_CATALOG_MAX_AGE || 300);
+const REVIEWS_MAX_AGE = Number(process.env.CACHE_REVIEWS_MAX_AGE || 30);
+
+const sharedTypeDefs = `#graphql
+  enum CacheControlScope {
+    PUBLIC
+    PRIVATE
+  }
+
+  directive @cacheControl(
+    maxAge: Int
+    scope: CacheControlScope
+    inheritMaxAge: Boolean
+  ) on FIELD_DEFINITION | OBJECT | INTERFACE | UNION
+
+  type PageInfo @shareable @cacheControl(inheritMaxAge: true) {
+    hasNextPage: Boolean!
+    hasPreviousPage: Boolean!
+    startCursor: String
+    endCursor: String
+  }
+
+  enum OrderDirection {
+    ASC
+    DESC
+  }
+
+  input DateRangeInput {
+    from: Date
+    to: Date
+  }
+
+  input IntRangeInput {
+    min: Int
+    max: Int
+  }
+`;
+
+// Authors
+
+const authorTypeDefs = `#graphql
+  type Author @key(fields: "id") @cacheControl(maxAge: ${CATALOG_MAX_AGE}) {
     id: ID!
     firstname: String!
     lastname: String!
-    birthdate: String
-    deathdate: String
+    birthdate: Date
+    deathdate: Date
     favoriteColor: String
     bio: String
     nationality: String
-    dateCreated: String
-    books: [Book!]!
+    dateCreated: DateTime
   }
 
-  type Book {
-    id: ID!
-    authorId: ID!
-    title: String!
-    synopsis: String
-    isbn: String
-    publicationDate: String
-    author: Author!
-    reviews: [Review!]!
+  type AuthorEdge @cacheControl(inheritMaxAge: true) {
+    cursor: String!
+    node: Author!
   }
 
-  type Review {
-    id: ID!
-    bookId: ID!
-    reviewerName: String!
-    rating: Int!
-    comment: String!
-    book: Book!
+  type AuthorConnection @cacheControl(maxAge: ${CATALOG_MAX_AGE}) {
+    edges: [AuthorEdge!]!
+    pageInfo: PageInfo!
+    totalCount: Int!
+  }
+
+  input AuthorWhereInput {
+    nationality: String
+    lastnameStartsWith: String
+    birthdate: DateRangeInput
+    deathdate: DateRangeInput
+  }
+
+  enum AuthorOrderField {
+    ID
+    FIRSTNAME
+    LASTNAME
+    BIRTHDATE
+    DEATHDATE
+    DATE_CREATED
+  }
+
+  input AuthorOrderByInput {
+    field: AuthorOrderField!
+    direction: OrderDirection = ASC
   }
 
   type Query {
-    authors: [Author!]!
+    authors(where: AuthorWhereInput, orderBy: AuthorOrderByInput): [Author!]!
+    authorsConnection(
+      first: Int
+      after: String
+      last: Int
+      before: String
+      where: AuthorWhereInput
+      orderBy: AuthorOrderByInput
+    ): AuthorConnection!
     author(id: ID!): Author
-    books: [Book!]!
-    book(id: ID!): Book
-    reviews: [Review!]!
-    review(id: ID!): Review
   }
 
   type Mutation {
-    addReview(bookId: ID!, reviewerName: String!, rating: Int!, comment: String!): Review!
-    addAuthor(input: AddAuthorInput!): Author!
-    addBook(input: AddBookInput!): Book!
-    deleteAuthor(id: ID!): Boolean!
+    addAuthor(input: AddAuthorInput!): Author! @auth(requires: EDITOR)
+    "Soft-deletes the author, their books and those books' reviews."
+    deleteAuthor(id: ID!): Boolean! @auth(requires: ADMIN)
+    "Brings back a deleted author with everything their deletion removed."
+    restoreAuthor(id: ID!): Author! @auth(requires: ADMIN)
+    updateAuthor(id: ID!, input: UpdateAuthorInput!): Author! @auth(requires: EDITOR)
   }
 
   input AddAuthorInput {
     firstname: String!
     lastname: String!
-    birthdate: String
-    deathdate: String
+    birthdate: Date
+    deathdate: Date
     favoriteColor: String
     bio: String
     nationality: String
-    dateCreated: String
+    dateCreated: DateTime
   }
 
-  input AddBookInput {
-    authorId: ID!
-    title: String!
-    synopsis: String
-    isbn: String
-    publicationDate: String
-    id: ID
+  input UpdateAuthorInput {
+    firstname: String
+    lastname: String
+    birthdate: Date
+    deathdate: Date
+    favoriteColor: String
+    bio: String
+    nationality: String
+  }
+
+  type AuthorDeletedEvent {
+    id: ID!
+    bookIds: [ID!]!
+  }
+
+  type Subscription {
+    authorDeleted: AuthorDeletedEvent!
   }
 `;
 
-const resolvers = {
+const authorResolvers = {
   Query: {
-    authors: async () => {
-      const { rows } = await pgPool.query(
-        `SELECT id, firstname, lastname, birthdate, deathdate, favoritecolor, bio, nationality, datecreated
-         FROM authors
-         ORDER BY id`
-      );
-      return rows.map(mapAuthorRow);
-    },
-    author: async (_, { id }) => {
-      const numericId = Number(id);
-      const { rows } = await pgPool.query(
-        `SELECT id, firstname, lastname, birthdate, deathdate, favoritecolor, bio, nationality, datecreated
-         FROM authors
-         WHERE id = $1`
-        ,
-        [numericId]
-      );
-      const row = rows[0];
-      return row ? mapAuthorRow(row) : null;
-    },
-    books: async () => {
-      const [rows] = await mariaPool.query(
-        `SELECT id, author_id, title, synopsis, isbn, publicationdate
-         FROM books
-         ORDER BY id`
-      );
-      return rows.map(mapBookRow);
-    },
-    book: async (_, { id }) => {
-      const numericId = Number(id);
-      const [rows] = await mariaPool.query(
-        `SELECT id, author_id, title, synopsis, isbn, publicationdate
-         FROM books
-         WHERE id = ?
-         LIMIT 1`,
-        [numericId]
-      );
-      const row = rows[0];
-      return row ? mapBookRow(row) : null;
-    },
-    reviews: async () => {
-      await sqliteReady.catch(() => {});
-      const rows = await sqliteAll(
-        `SELECT id, book_id, reviewername, rating, comment
-         FROM reviews
-         ORDER BY id`
-      );
-      return rows.map(mapReviewRow);
-    },
-    review: async (_, { id }) => {
-      await sqliteReady.catch(() => {});
-      const numericId = Number(id);
-      const row = await sqliteGet(
-        `SELECT id, book_id, reviewername, rating, comment
-         FROM reviews
-         WHERE id = ?`,
-        [numericId]
-      );
-      return row ? mapReviewRow(row) : null;
-    },
+    authors: (_, args) => repositories.authors.list(args),
+    authorsConnection: (_, args) => repositories.authors.connection(args),
+    author: (_, { id }) => repositories.authors.findById(id),
   },
   Mutation: {
-    addReview: async (_, { bookId, reviewerName, rating, comment }, { loaders }) => {
-      const normalizedBookId = Number(bookId);
-      if (Number.isNaN(normalizedBookId)) {
-        throw new Error('Invalid bookId');
-      }
-      if (rating < 1 || rating > 5) {
-        throw new Error('Rating must be between 1 and 5');
-      }
-      const existingBook = await loaders.bookById.load(normalizedBookId);
-      if (!existingBook) {
-        throw new Error(`Book ${bookId} not found`);
-      }
-      await sqliteReady;
-      const result = await sqliteRun(
-        `INSERT INTO reviews (book_id, reviewername, rating, comment)
-         VALUES (?, ?, ?, ?)`,
-        [normalizedBookId, reviewerName, rating, comment]
-      );
-      const row = await sqliteGet(
-        `SELECT id, book_id, reviewername, rating, comment
-         FROM reviews
-         WHERE id = ?`,
-        [result.lastID]
-      );
-      loaders.reviewsByBookId.clear(normalizedBookId);
-      return mapReviewRow(row);
-    },
-    addAuthor: async (_, { input }, { loaders }) => {
-      const firstname = toNullableString(input.firstname);
-      const lastname = toNullableString(input.lastname);
-
-      if (!firstname) {
-        throw new Error('firstname is required');
-      }
-      if (!lastname) {
-        throw new Error('lastname is required');
-      }
-
-      const birthdate = toNullableString(input.birthdate);
-      const deathdate = toNullableString(input.deathdate);
-      const favoriteColor = toNullableString(input.favoriteColor);
-      const bio = toNullableString(input.bio);
-      const nationality = toNullableString(input.nationality);
-      const dateCreated = toNullableString(input.dateCreated) ?? new Date().toISOString().slice(0, 10);
-
-      await ensureAuthorSequenceAligned();
-
-      const { rows } = await pgPool.query(
-        `INSERT INTO authors (
-           firstname, lastname, birthdate, deathdate, favoritecolor, bio, nationality, datecreated
-         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-         RETURNING id, firstname, lastname, birthdate, deathdate, favoritecolor, bio, nationality, datecreated`,
-        [firstname, lastname, birthdate, deathdate, favoriteColor, bio, nationality, dateCreated]
-      );
-
-      const row = rows[0];
-      if (!row) {
+    addAuthor: async (_, { input }, context) => {
+      const { loaders } = context;
+      const validator = createValidator();
+      const text = (field) => {
+        const value = toNullableString(input[field]);
+        return validator.maxLength(field, value);
+      };
+
+      const firstname = validator.required('firstname', text('firstname'));
+      const lastname = validator.required('lastname', text('lastname'));
+      // Date and DateTime inputs arrive already checked and normalized.
+      const birthdate = input.birthdate ?? null;
+      const deathdate = validator.notBefore('deathdate', input.deathdate ?? null, birthdate, 'birthdate');
+      const favoriteColor = text('favoriteColor');
+      const bio = text('bio');
+      const nationality = text('nationality');
+      // The column holds the UTC day.
+      const dateCreated = (input.dateCreated ?? new Date().toISOString()).slice(0, 10);
+      validator.assert();
+
+      const author = await repositories.authors.create({
+        firstname,
+        lastname,
+        birthdate,
+        deathdate,
+        favoriteColor,
+        bio,
+        nationality,
+        dateCreated,
+      });
+      if (!author) {
         throw new Error('Failed to create author');
       }
 
-      const author = mapAuthorRow(row);
-
       if (loaders?.authorById) {
         loaders.authorById.clear(author.id).prime(author.id, author);
       }
@@ -505,196 +544,1345 @@ const resolvers = {
         loaders.booksByAuthorId.clear(author.id).prime(author.id, []);
       }
 
+      await recordAudit('addAuthor', actorOf(context), { authors: [{ before: null, after: author }] });
+      await invalidateCachedResponses(['Author']);
+
       return author;
     },
-    addBook: async (_, { input }, { loaders }) => {
-      const hasExplicitId = input.id !== undefined && input.id !== null;
-      const numericAuthorId = Number(input.authorId);
-      if (!Number.isInteger(numericAuthorId) || numericAuthorId <= 0) {
-        throw new Error('authorId must be a positive integer');
-      }
+    deleteAuthor: async (_, { id }, context) => {
+      const { loaders } = context;
+      const authorId = parsePositiveId(id);
 
-      let desiredBookId = null;
-      if (hasExplicitId) {
-        desiredBookId = Number(input.id);
-        if (!Number.isInteger(desiredBookId) || desiredBookId <= 0) {
-          throw new Error('Book id must be a positive integer when provided');
-        }
-      }
-
-      const title = toNullableString(input.title);
-      if (!title) {
-        throw new Error('title is required');
+      if (!(await repositories.authors.findById(authorId))) {
+        return false;
       }
 
-      const synopsis = toNullableString(input.synopsis);
-      const isbn = toNullableString(input.isbn);
-      const publicationDate = toNullableString(input.publicationDate);
+      const deletionId = randomUUID();
+      const deleted = await sagas.run('deleteAuthor', { authorId, deletionId });
+      const bookIds = deleted.books.map((book) => Number(book.id));
 
-      const { rows: authorRows } = await pgPool.query(
-        `SELECT id FROM authors WHERE id = $1`,
-        [numericAuthorId]
-      );
-      if (!authorRows[0]) {
-        throw new Error(`Author ${input.authorId} not found`);
+      if (loaders?.authorById) {
+        loaders.authorById.clear(authorId);
       }
-
-      if (hasExplicitId) {
-        const [existingBooks] = await mariaPool.query(
-          `SELECT id FROM books WHERE id = ? LIMIT 1`,
-          [desiredBookId]
-        );
-        if (Array.isArray(existingBooks) && existingBooks.length > 0) {
-          throw new Error(`Book ${input.id} already exists`);
-        }
+      if (loaders?.booksByAuthorId) {
+        loaders.booksByAuthorId.clear(authorId);
       }
-
-      let insertId;
-      if (hasExplicitId) {
-        await mariaPool.query(
-          `INSERT INTO books (id, author_id, title, synopsis, isbn, publicationdate)
-           VALUES (?, ?, ?, ?, ?, ?)`
-          ,
-          [desiredBookId, numericAuthorId, title, synopsis, isbn, publicationDate]
-        );
-        insertId = desiredBookId;
-      } else {
-        const [result] = await mariaPool.query(
-          `INSERT INTO books (author_id, title, synopsis, isbn, publicationdate)
-           VALUES (?, ?, ?, ?, ?)`
-          ,
-          [numericAuthorId, title, synopsis, isbn, publicationDate]
-        );
-        insertId = result.insertId;
+      if (loaders?.bookById) {
+        for (const bookId of bookIds) {
+          loaders.bookById.clear(bookId);
+          loaders.reviewsByBookId?.clear(bookId);
+          invalidateReviewAggregates(loaders, bookId);
+        }
       }
 
-      const [rows] = await mariaPool.query(
-        `SELECT id, author_id, title, synopsis, isbn, publicationdate
-         FROM books
-         WHERE id = ?
-         LIMIT 1`,
-        [insertId]
-      );
+      await invalidateCachedResponses([
+        'Author',
+        `Author:${authorId}`,
+        'Book',
+        ...bookIds.map((bookId) => `Book:${bookId}`),
+        'Review',
+      ]);
+      await recordAudit('deleteAuthor', actorOf(context), {
+        authors: deletedPairs(deleted.author),
+        books: deletedPairs(deleted.books),
+        reviews: deletedPairs(deleted.reviews ?? []),
+      });
+      // deletionId is internal: the reviews subgraph deletes (and later
+      // restores) the books' reviews under it.
+      await publishEvent(EVENTS.AUTHOR_DELETED, {
+        authorDeleted: { id: String(authorId), bookIds: bookIds.map(String) },
+        deletionId,
+      });
 
-      const bookRow = rows[0];
-      if (!bookRow) {
-        throw new Error('Failed to load created book');
+      return true;
+    },
+    restoreAuthor: async (_, { id }, context) => {
+      const { loaders } = context;
+      const authorId = parsePositiveId(id);
+
+      const deletionId = await repositories.authors.deletionOf(authorId);
+      if (!deletionId) {
+        if (await repositories.authors.findById(authorId)) {
+          throw conflict(`Author ${id} is not deleted`, { entity: 'Author', id: String(authorId) });
+        }
+        throw notFound('Author', id);
       }
 
-      const book = mapBookRow(bookRow);
-
-      if (loaders?.bookById) {
-        loaders.bookById.clear(book.id).prime(book.id, book);
+      // Children first and the author last: every step is idempotent, and
+      // until the author is back a failed restore can simply be retried.
+      const reviews = usesRepository('reviews') ? await repositories.reviews.undelete(deletionId) : [];
+      const books = await repositories.books.undelete(deletionId);
+      const [author] = await repositories.authors.undelete(deletionId);
+      if (!author) {
+        // Restored by a concurrent call in the meantime.
+        throw conflict(`Author ${id} is not deleted`, { entity: 'Author', id: String(authorId) });
       }
-      if (loaders?.booksByAuthorId) {
-        loaders.booksByAuthorId.clear(book.authorId);
+
+      loaders.authorById.clear(author.id).prime(author.id, author);
+      loaders.booksByAuthorId.clear(author.id);
+      for (const book of books) {
+        loaders.bookById.clear(book.id);
+        loaders.reviewsByBookId?.clear(book.id);
+        invalidateReviewAggregates(loaders, book.id);
       }
 
-      return book;
-    },
-    deleteAuthor: async (_, { id }, { loaders }) => {
-      const authorId = Number(id);
-      if (!Number.isInteger(authorId) || authorId <= 0) {
-        throw new Error('Invalid author id');
+      await recordAudit('restoreAuthor', actorOf(context), {
+        authors: restoredPairs([author]),
+        books: restoredPairs(books),
+        reviews: restoredPairs(reviews),
+      });
+      await invalidateCachedResponses(['Author', 'Book', 'Review']);
+      if (!usesRepository('reviews')) {
+        await publishEvent(EVENTS.AUTHOR_RESTORED, { authorId: author.id, deletionId });
       }
 
-      const { rows: authorRows } = await pgPool.query(
-        `SELECT id FROM authors WHERE id = $1`,
-        [authorId]
+      return author;
+    },
+    updateAuthor: async (_, { id, input }, context) => {
+      const { loaders } = context;
+      const authorId = parsePositiveId(id);
+      const validator = createValidator();
+      const changes = collectStringChanges(
+        input,
+        ['firstname', 'lastname', 'birthdate', 'deathdate', 'favoriteColor', 'bio', 'nationality'],
+        ['firstname', 'lastname'],
+        validator
       );
-      if (!authorRows[0]) {
-        return false;
+      validator.assert();
+      if (Object.keys(changes).length === 0) {
+        throw noChanges('author');
       }
 
-      const [bookRows] = await mariaPool.query(
-        `SELECT id FROM books WHERE author_id = ?`,
-        [authorId]
-      );
-      const bookIds = Array.isArray(bookRows) ? bookRows.map((row) => Number(row.id)) : [];
-
-      await mariaPool.query('BEGIN');
-      try {
-        if (bookIds.length > 0) {
-          const placeholders = buildSqlPlaceholders(bookIds.length);
-          await mariaPool.query(
-            `DELETE FROM books WHERE id IN (${placeholders})`,
-            bookIds
-          );
-          await sqliteReady;
-          await sqliteRun(
-            `DELETE FROM reviews WHERE book_id IN (${placeholders})`,
-            bookIds
-          );
+      const existing = await repositories.authors.findById(authorId);
+      if (!existing) {
+        throw notFound('Author', id);
+      }
+      if (changes.birthdate || changes.deathdate) {
+        const birthdate = changes.birthdate === undefined ? existing.birthdate : changes.birthdate;
+        const deathdate = changes.deathdate === undefined ? existing.deathdate : changes.deathdate;
+        validator.notBefore('deathdate', deathdate, birthdate, 'birthdate');
+        if (changes.birthdate) {
+          const [books] = await repositories.books.findByAuthorIds([authorId]);
+          const [firstPublished] = books.map((book) => book.publicationDate).filter(Boolean).sort();
+          if (firstPublished && firstPublished < changes.birthdate) {
+            validator.fail(
+              'birthdate',
+              `birthdate cannot be after the author's first publicationDate (${firstPublished})`
+            );
+          }
         }
+        validator.assert();
+      }
 
-        await pgPool.query(
-          `DELETE FROM authors WHERE id = $1`,
-          [authorId]
-        );
-
-        await mariaPool.query('COMMIT');
-      } catch (err) {
-        await mariaPool.query('ROLLBACK').catch(() => undefined);
-        throw err;
+      const author = await repositories.authors.update(authorId, changes);
+      if (!author) {
+        throw notFound('Author', id);
       }
 
       if (loaders?.authorById) {
-        loaders.authorById.clear(authorId);
-      }
-      if (loaders?.booksByAuthorId) {
-        loaders.booksByAuthorId.clear(authorId);
-      }
-      if (loaders?.bookById) {
-        for (const bookId of bookIds) {
-          loaders.bookById.clear(bookId);
-          loaders.reviewsByBookId?.clear(bookId);
-        }
+        loaders.authorById.clear(author.id).prime(author.id, author);
       }
 
-      return true;
+      await recordAudit('updateAuthor', actorOf(context), {
+        authors: [{ before: existing, after: author }],
+      });
+      await invalidateCachedResponses(['Author', `Author:${author.id}`]);
+
+      return author;
     },
   },
-  Author: {
-    books: (author, _, { loaders }) => loaders.booksByAuthorId.load(author.id),
-  },
-  Book: {
-    author: (book, _, { loaders }) => loaders.authorById.load(book.authorId),
-    reviews: (book, _, { loaders }) => loaders.reviewsByBookId.load(book.id),
+  Subscription: {
+    authorDeleted: {
+      subscribe: () => pubsub.asyncIterableIterator(EVENTS.AUTHOR_DELETED),
+    },
   },
-  Review: {
-    book: (review, _, { loaders }) => loaders.bookById.load(review.bookId),
+  Author: {
+    __resolveReference: (reference, { loaders }) => loaders.authorById.load(reference.id),
   },
 };
 
-await ensureSqliteInitialized();
+// Books
 
-// -----------------------------
-// Startup
-// -----------------------------
+const bookTypeDefs = `#graphql
+  type Book @key(fields: "id") @cacheControl(maxAge: ${CATALOG_MAX_AGE}) {
+    id: ID!
+    authorId: ID!
+    title: String!
+    synopsis: String
+    isbn: ISBN
+    publicationDate: Date
+    author: Author!
+  }
 
-const server = new ApolloServer({
-  typeDefs,
-  resolvers,
-  introspection: true,
-  plugins: [ApolloServerPluginLandingPageLocalDefault({ embed: true })],
-});
+  type Author @key(fields: "id") {
+    id: ID!
+    books: [Book!]!
+    booksConnection(first: Int, after: String, last: Int, before: String): BookConnection!
+  }
 
-const { url } = await startStandaloneServer(server, {
-  listen: { port: Number(process.env.PORT || 4000) },
-  context: async () => ({
-    pgPool,
-    mariaPool,
-    sqliteDb,
-    loaders: createLoaders(),
-  }),
-});
+  type BookEdge @cacheControl(inheritMaxAge: true) {
+    cursor: String!
+    node: Book!
+  }
+
+  type BookConnection @cacheControl(maxAge: ${CATALOG_MAX_AGE}) {
+    edges: [BookEdge!]!
+    pageInfo: PageInfo!
+    totalCount: Int!
+  }
+
+  input BookWhereInput {
+    authorId: ID
+    titleContains: String
+    isbn: String
+    publicationDate: DateRangeInput
+  }
 
-console.log(`🚀 GraphQL running at ${url}`);
+  enum BookOrderField {
+    ID
+    TITLE
+    PUBLICATION_DATE
+  }
+
+  input BookOrderByInput {
+    field: BookOrderField!
+    direction: OrderDirection = ASC
+  }
+
+  scalar Upload
+
+  enum CatalogFormat {
+    CSV
+    NDJSON
+    JSON
+  }
 
-process.on('SIGINT', () => {
+  enum ImportMode {
+    "Update records whose id already exists."
+    UPSERT
+    "Leave records whose id already exists untouched."
+    SKIP_EXISTING
+  }
+
+  "A record the import rejected. \`row\` counts records from 1, not lines."
+  type ImportRowError {
+    row: Int!
+    field: String
+    message: String!
+  }
+
+  type ImportResult {
+    dryRun: Boolean!
+    processed: Int!
+    created: Int!
+    updated: Int!
+    skipped: Int!
+    failed: Int!
+    "The first 100 problems; \`failed\` counts every rejected record."
+    errors: [ImportRowError!]!
+  }
+
+  "Where to download the catalog from; send the same bearer token."
+  type CatalogExport {
+    format: CatalogFormat!
+    contentType: String!
+    url: String!
+  }
+
+  type Query {
+    books(where: BookWhereInput, orderBy: BookOrderByInput): [Book!]!
+    booksConnection(
+      first: Int
+      after: String
+      last: Int
+      before: String
+      where: BookWhereInput
+      orderBy: BookOrderByInput
+    ): BookConnection!
+    book(id: ID!): Book
+    exportCatalog(format: CatalogFormat = NDJSON): CatalogExport! @auth(requires: EDITOR)
+  }
+
+  type Mutation {
+    addBook(input: AddBookInput!): Book! @auth(requires: EDITOR)
+    updateBook(id: ID!, input: UpdateBookInput!): Book! @auth(requires: EDITOR)
+    deleteBook(id: ID!): Boolean! @auth(requires: EDITOR)
+    "Imports books, or typed author/book/review records. The format defaults to the file's extension, then CSV."
+    importBooks(file: Upload!, format: CatalogFormat, mode: ImportMode = UPSERT, dryRun: Boolean = false): ImportResult!
+      @auth(requires: EDITOR)
+  }
+
+  input AddBookInput {
+    authorId: ID!
+    title: String!
+    synopsis: String
+    isbn: ISBN
+    publicationDate: Date
+    id: ID
+  }
+
+  input UpdateBookInput {
+    authorId: ID
+    title: String
+    synopsis: String
+    isbn: ISBN
+    publicationDate: Date
+  }
+
+  type Subscription {
+    bookAdded(authorId: ID): Book!
+  }
+`;
+
+const bookResolvers = {
+  Upload: GraphQLUpload,
+  Query: {
+    books: (_, args) => repositories.books.list(args),
+    booksConnection: (_, args) => repositories.books.connection(args),
+    book: (_, { id }) => repositories.books.findById(id),
+    exportCatalog: (_, { format }) => {
+      const name = format.toLowerCase();
+      return { format, contentType: CONTENT_TYPES[name], url: `/export/catalog?format=${name}` };
+    },
+  },
+  Mutation: {
+    importBooks: async (_, { file, format, mode, dryRun }, context) => {
+      const upload = await file;
+      const resolvedFormat = format?.toLowerCase() ?? formatFromFilename(upload.filename) ?? 'csv';
+      const actor = actorOf(context);
+      const summary = await importCatalog(readRecords(resolvedFormat, upload.createReadStream()), {
+        repositories,
+        mode: mode === 'SKIP_EXISTING' ? 'skip' : 'upsert',
+        dryRun,
+        defaultType: 'book',
+        onWrite: (entity, pair) => recordAudit('importBooks', actor, { [entity]: [pair] }),
+      });
+
+      // Imported rows may touch any author or book, so whole types are dropped.
+      if (summary.created + summary.updated > 0) {
+        await invalidateCachedResponses(['Author', 'Book', 'Review']);
+      }
+      return summary;
+    },
+    addBook: async (_, { input }, context) => {
+      const { loaders } = context;
+      const hasExplicitId = input.id !== undefined && input.id !== null;
+      const validator = createValidator();
+      const numericAuthorId = validator.positiveId('authorId', input.authorId);
+      const desiredBookId = validator.positiveId('id', input.id);
+      const title = toNullableString(input.title);
+      validator.required('title', title);
+      validator.maxLength('title', title);
+      const synopsis = validator.maxLength('synopsis', toNullableString(input.synopsis));
+      // ISBN and Date inputs arrive already checked and normalized.
+      const isbn = input.isbn ?? null;
+      const publicationDate = input.publicationDate ?? null;
+      validator.assert();
+
+      const author = await repositories.authors.findById(numericAuthorId);
+      if (!author) {
+        throw notFound('Author', input.authorId);
+      }
+      assertPublishedAfterBirth(publicationDate, author);
+
+      const bookExists = () =>
+        conflict(`Book ${input.id} already exists`, { entity: 'Book', id: String(input.id) });
+
+      if (hasExplicitId && (await repositories.books.findById(desiredBookId))) {
+        throw bookExists();
+      }
+
+      // A concurrent insert can still win the race after the check above, in
+      // which case create() finds the id taken.
+      const book = await repositories.books.create({
+        ...(hasExplicitId && { id: desiredBookId }),
+        authorId: numericAuthorId,
+        title,
+        synopsis,
+        isbn,
+        publicationDate,
+      });
+      if (!book) {
+        throw bookExists();
+      }
+
+      if (loaders?.bookById) {
+        loaders.bookById.clear(book.id).prime(book.id, book);
+      }
+      if (loaders?.booksByAuthorId) {
+        loaders.booksByAuthorId.clear(book.authorId);
+      }
+
+      await recordAudit('addBook', actorOf(context), { books: [{ before: null, after: book }] });
+      await invalidateCachedResponses(['Book', `Author:${book.authorId}`]);
+      await publishEvent(EVENTS.BOOK_ADDED, { bookAdded: { id: book.id, authorId: book.authorId } });
+
+      return book;
+    },
+    updateBook: async (_, { id, input }, context) => {
+      const { loaders } = context;
+      const bookId = parsePositiveId(id);
+      const validator = createValidator();
+      const changes = collectStringChanges(
+        input,
+        ['title', 'synopsis', 'isbn', 'publicationDate'],
+        ['title'],
+        validator
+      );
+      const numericAuthorId = validator.positiveId('authorId', input.authorId);
+      validator.assert();
+
+      let author = null;
+      if (numericAuthorId !== null) {
+        author = await repositories.authors.findById(numericAuthorId);
+        if (!author) {
+          throw notFound('Author', input.authorId);
+        }
+        changes.authorId = numericAuthorId;
+      }
+
+      if (Object.keys(changes).length === 0) {
+        throw noChanges('book');
+      }
+
+      const existing = await repositories.books.findById(bookId);
+      if (!existing) {
+        throw notFound('Book', id);
+      }
+      if (changes.publicationDate || author) {
+        assertPublishedAfterBirth(
+          changes.publicationDate === undefined ? existing.publicationDate : changes.publicationDate,
+          author ?? (await repositories.authors.findById(existing.authorId))
+        );
+      }
+
+      const book = await repositories.books.update(bookId, changes);
+      if (!book) {
+        throw notFound('Book', id);
+      }
+
+      if (loaders?.bookById) {
+        loaders.bookById.clear(book.id).prime(book.id, book);
+      }
+      if (loaders?.booksByAuthorId) {
+        loaders.booksByAuthorId.clear(existing.authorId).clear(book.authorId);
+      }
+
+      await recordAudit('updateBook', actorOf(context), { books: [{ before: existing, after: book }] });
+      await invalidateCachedResponses([
+        'Book',
+        `Book:${book.id}`,
+        `Author:${existing.authorId}`,
+        `Author:${book.authorId}`,
+      ]);
+
+      return book;
+    },
+    deleteBook: async (_, { id }, context) => {
+      const { loaders } = context;
+      const bookId = parsePositiveId(id);
+
+      const existing = await repositories.books.findById(bookId);
+      if (!existing) {
+        return false;
+      }
+
+      const deletionId = randomUUID();
+      const deleted = await sagas.run('deleteBook', { bookId, deletionId });
+
+      if (loaders?.bookById) {
+        loaders.bookById.clear(bookId);
+      }
+      if (loaders?.booksByAuthorId) {
+        loaders.booksByAuthorId.clear(existing.authorId);
+      }
+      if (loaders?.reviewsByBookId) {
+        loaders.reviewsByBookId.clear(bookId);
+      }
+      invalidateReviewAggregates(loaders, bookId);
+
+      await invalidateCachedResponses([
+        'Book',
+        `Book:${bookId}`,
+        `Author:${existing.authorId}`,
+        'Review',
+      ]);
+      await recordAudit('deleteBook', actorOf(context), {
+        books: deletedPairs(deleted.books),
+        reviews: deletedPairs(deleted.reviews ?? []),
+      });
+      await publishEvent(EVENTS.BOOK_DELETED, {
+        bookDeleted: { id: String(bookId), authorId: String(existing.authorId) },
+        deletionId,
+      });
+
+      return true;
+    },
+  },
+  Subscription: {
+    bookAdded: {
+      subscribe: withFilter(
+        () => pubsub.asyncIterableIterator(EVENTS.BOOK_ADDED),
+        ({ bookAdded }, { authorId }) => !authorId || bookAdded.authorId === String(authorId)
+      ),
+      resolve: ({ bookAdded }, _, context) => loadEventNode(context, 'bookById', bookAdded.id),
+    },
+  },
+  Author: {
+    books: (author, _, { loaders }) => loaders.booksByAuthorId.load(author.id),
+    booksConnection: async (author, args, { loaders }) =>
+      connectionFromArray(await loaders.booksByAuthorId.load(author.id), args),
+  },
+  Book: {
+    __resolveReference: (reference, { loaders }) => loaders.bookById.load(reference.id),
+    author: (book, _, { loaders }) => entityReference(loaders.authorById, book.authorId),
+  },
+};
+
+// Reviews
+
+const reviewTypeDefs = `#graphql
+  type Review @key(fields: "id") @cacheControl(maxAge: ${REVIEWS_MAX_AGE}) {
+    id: ID!
+    bookId: ID!
+    "The reviewer's name when the review was written."
+    reviewerName: String!
+    reviewer: Reviewer
+    rating: Int!
+    comment: String!
+    "Public reads only return APPROVED reviews."
+    status: ReviewStatus!
+    "The latest moderation decision; null for reviews the hook approved and nobody has moderated since."
+    moderation: ReviewModeration @auth(requires: MODERATOR)
+    book: Book!
+  }
+
+  enum ReviewStatus {
+    "Held for a moderator, see moderationQueue."
+    PENDING
+    APPROVED
+    REJECTED
+  }
+
+  "Someone who writes reviews. Signed-in users get one with their first review."
+  type Reviewer @key(fields: "id") @cacheControl(maxAge: ${REVIEWS_MAX_AGE}) {
+    id: ID!
+    name: String!
+    bio: String
+    location: String
+    "Null for reviewers created from the names on older reviews, who belong to no user."
+    joinedAt: DateTime
+    "Their published reviews."
+    reviews(
+      first: Int
+      after: String
+      last: Int
+      before: String
+      orderBy: ReviewOrderByInput
+    ): ReviewConnection!
+    reviewCount: Int!
+    "The mean rating they gave; null before their first published review."
+    averageRating: Float
+  }
+
+  type ReviewModeration {
+    "The token subject of the moderator; null when the moderation hook held the review."
+    moderatedBy: String
+    moderatedAt: DateTime!
+    "Why the review was held or rejected; null for approvals."
+    reason: String
+    "For other moderators; never shown to the reviewer."
+    note: String
+  }
+
+  type Book @key(fields: "id") {
+    id: ID!
+    reviews: [Review!]!
+    reviewsConnection(first: Int, after: String, last: Int, before: String): ReviewConnection!
+    averageRating: Float @cacheControl(maxAge: ${REVIEWS_MAX_AGE})
+    reviewCount: Int! @cacheControl(maxAge: ${REVIEWS_MAX_AGE})
+    ratingHistogram: [RatingBucket!]! @cacheControl(maxAge: ${REVIEWS_MAX_AGE})
+  }
+
+  type Author @key(fields: "id") {
+    id: ID!
+    averageRating: Float @cacheControl(maxAge: ${REVIEWS_MAX_AGE})
+  }
+
+  type RatingBucket @cacheControl(inheritMaxAge: true) {
+    rating: Int!
+    count: Int!
+  }
+
+  type ReviewEdge @cacheControl(inheritMaxAge: true) {
+    cursor: String!
+    node: Review!
+  }
+
+  type ReviewConnection @cacheControl(maxAge: ${REVIEWS_MAX_AGE}) {
+    edges: [ReviewEdge!]!
+    pageInfo: PageInfo!
+    totalCount: Int!
+  }
+
+  input ReviewWhereInput {
+    bookId: ID
+    reviewerId: ID
+    rating: IntRangeInput
+    reviewerName: String
+    reviewerNameContains: String
+  }
+
+  enum ReviewOrderField {
+    ID
+    RATING
+    REVIEWER_NAME
+  }
+
+  input ReviewOrderByInput {
+    field: ReviewOrderField!
+    direction: OrderDirection = ASC
+  }
+
+  type Query {
+    reviews(where: ReviewWhereInput, orderBy: ReviewOrderByInput): [Review!]!
+    reviewsConnection(
+      first: Int
+      after: String
+      last: Int
+      before: String
+      where: ReviewWhereInput
+      orderBy: ReviewOrderByInput
+    ): ReviewConnection!
+    review(id: ID!): Review
+    reviewer(id: ID!): Reviewer
+    "Reviewed books by average rating; minReviews must be at least 1."
+    topRatedBooks(limit: Int = 10, minReviews: Int = 1): [Book!]! @cacheControl(maxAge: ${REVIEWS_MAX_AGE})
+    "PENDING reviews, oldest first."
+    moderationQueue(first: Int, after: String): ReviewConnection!
+      @auth(requires: MODERATOR)
+      @cacheControl(maxAge: 0)
+  }
+
+  type Mutation {
+    "Signed by your own reviewer, or reviewerId; CONFLICT for duplicates; may come back PENDING."
+    addReview(
+      bookId: ID!
+      rating: Int!
+      comment: String!
+      "Your own reviewer's, unless you are an editor."
+      reviewerId: ID
+      "Names your reviewer when this is your first review; defaults to your token's name."
+      reviewerName: String
+    ): Review! @auth(requires: READER)
+    updateReview(id: ID!, input: UpdateReviewInput!): Review! @auth(requires: EDITOR)
+    deleteReview(id: ID!): Boolean! @auth(requires: EDITOR)
+    "Publishes a PENDING or REJECTED review."
+    approveReview(id: ID!, note: String): Review! @auth(requires: MODERATOR)
+    "Hides a PENDING or APPROVED review."
+    rejectReview(id: ID!, reason: String!, note: String): Review! @auth(requires: MODERATOR)
+    "Your own reviewer's profile; editors may change anyone's."
+    updateReviewer(id: ID!, input: UpdateReviewerInput!): Reviewer! @auth(requires: READER)
+  }
+
+  input UpdateReviewerInput {
+    name: String
+    bio: String
+    location: String
+  }
+
+  input UpdateReviewInput {
+    reviewerName: String
+    rating: Int
+    comment: String
+  }
+
+  type Subscription {
+    reviewAdded(bookId: ID): Review!
+  }
+`;
+
+/**
+ * Records a moderator's decision (`status`, plus `reason` and `note`) on any
+ * live review, held or not. Moving a review to the status it already has is
+ * a CONFLICT. Returns `{ existing, review }`, the review before and after.
+ */
+const decideReview = async (context, operation, id, { status, reason = null, note = null }) => {
+  const { loaders } = context;
+  const reviewId = parsePositiveId(id);
+
+  const existing = await repositories.reviews.findById(reviewId, { unpublished: true });
+  if (!existing) {
+    throw notFound('Review', id);
+  }
+  if (existing.status === status) {
+    throw conflict(`Review ${id} is already ${status}`, { entity: 'Review', id: existing.id });
+  }
+  const review = await repositories.reviews.update(reviewId, {
+    status,
+    moderationReason: reason,
+    moderatorNote: note,
+    moderatedBy: actorOf(context),
+    moderatedAt: new Date().toISOString(),
+  });
+  if (!review) {
+    throw notFound('Review', id);
+  }
+
+  loaders.reviewById.clear(review.id);
+  loaders.reviewsByBookId.clear(review.bookId);
+  invalidateReviewAggregates(loaders, review.bookId);
+
+  await recordAudit(operation, actorOf(context), { reviews: [{ before: existing, after: review }] });
+  await invalidateCachedResponses([
+    `Review:${review.id}`,
+    ...(await reviewCacheTags(loaders, review.bookId, review.reviewerId)),
+  ]);
+  return { existing, review };
+};
+
+/**
+ * The reviewer a new review is signed by: `reviewerId` when given (only
+ * editors may sign with someone else's), otherwise the caller's own, created
+ * with their first review and named `name`, their token's name or subject.
+ * Returns `{ reviewer, created }`.
+ */
+const reviewerFor = async ({ user, loaders }, reviewerId, name) => {
+  if (reviewerId !== null) {
+    const reviewer = await loaders.reviewerById.load(reviewerId);
+    if (!reviewer) {
+      throw notFound('Reviewer', reviewerId);
+    }
+    if (reviewer.subject !== user.id && !hasRole(user, 'EDITOR')) {
+      throw forbidden(`Reviewer ${reviewerId} is not yours to sign reviews with`);
+    }
+    return { reviewer, created: false };
+  }
+  return repositories.reviewers.claim(user.id, {
+    name: (name ?? toNullableString(user.name) ?? user.id).slice(0, MAX_LENGTHS.reviewerName),
+    joinedAt: new Date().toISOString(),
+  });
+};
+
+const reviewResolvers = {
+  Query: {
+    reviews: (_, args) => repositories.reviews.list(args),
+    reviewsConnection: (_, args) => repositories.reviews.connection(args),
+    review: (_, { id }) => repositories.reviews.findById(id),
+    reviewer: (_, { id }) => repositories.reviewers.findById(id),
+    topRatedBooks: async (_, { limit, minReviews }, { loaders }) => {
+      const validator = createValidator();
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+        validator.fail('limit', `limit must be between 1 and ${MAX_PAGE_SIZE}`);
+      }
+      // Only reviewed books have an average to rank by.
+      if (!Number.isInteger(minReviews) || minReviews < 1) {
+        validator.fail('minReviews', 'minReviews must be a positive integer');
+      }
+      validator.assert();
+      const ranked = await repositories.reviews.topRated({ limit, minReviews });
+      const books = await loaders.bookById.loadMany(ranked.map((entry) => entry.bookId));
+      // Reviews whose book has since been deleted are skipped.
+      return books.filter((book) => book && !(book instanceof Error));
+    },
+    moderationQueue: (_, { first, after }) =>
+      repositories.reviews.connection(
+        { first, after, where: { status: REVIEW_STATUS.PENDING } },
+        { unpublished: true }
+      ),
+  },
+  Mutation: {
+    addReview: async (_, { bookId, rating, comment, reviewerId, reviewerName }, context) => {
+      const { loaders } = context;
+      const validator = createValidator();
+      const normalizedBookId = validator.positiveId('bookId', bookId);
+      const normalizedReviewerId = validator.positiveId('reviewerId', reviewerId);
+      const name = toNullableString(reviewerName);
+      validator.maxLength('reviewerName', name);
+      validator.rating('rating', rating);
+      validator.maxLength('comment', comment);
+      validator.assert();
+
+      const existingBook = await loaders.bookById.load(normalizedBookId);
+      if (!existingBook) {
+        throw notFound('Book', bookId);
+      }
+
+      const { reviewer, created } = await reviewerFor(context, normalizedReviewerId, name);
+      const newReviewers = created ? [{ before: null, after: reviewer }] : [];
+      const submission = {
+        bookId: String(normalizedBookId),
+        reviewerId: reviewer.id,
+        reviewerName: reviewer.name,
+        rating,
+        comment,
+      };
+      const [submitted] = await repositories.reviews.findByBookIds([normalizedBookId], {
+        unpublished: true,
+      });
+      const duplicate = findDuplicateReview(submission, submitted);
+      if (duplicate) {
+        throw conflict(`Review ${duplicate.id} by ${duplicate.reviewerName} already says this about the book`, {
+          entity: 'Review',
+          id: duplicate.id,
+        });
+      }
+      const { status, reason } = await moderateReview(submission, { user: context.user });
+
+      const review = await repositories.reviews.create(
+        status === REVIEW_STATUS.APPROVED
+          ? { ...submission, status }
+          : { ...submission, status, moderationReason: reason, moderatedAt: new Date().toISOString() }
+      );
+      if (status !== REVIEW_STATUS.APPROVED) {
+        // Nothing the public can read has changed. The audit entry records the
+        // review with its status and moderation reason.
+        await recordAudit('addReview', actorOf(context), {
+          reviewers: newReviewers,
+          reviews: [{ before: null, after: review }],
+        });
+        return review;
+      }
+      loaders.reviewsByBookId.clear(normalizedBookId);
+      invalidateReviewAggregates(loaders, normalizedBookId);
+      await recordAudit('addReview', actorOf(context), {
+        reviewers: newReviewers,
+        reviews: [{ before: null, after: review }],
+      });
+      await invalidateCachedResponses(await reviewCacheTags(loaders, normalizedBookId, reviewer.id));
+      await publishEvent(EVENTS.REVIEW_ADDED, { reviewAdded: { id: review.id, bookId: review.bookId } });
+      return review;
+    },
+    updateReview: async (_, { id, input }, context) => {
+      const { loaders } = context;
+      const reviewId = parsePositiveId(id);
+      const validator = createValidator();
+      const changes = collectStringChanges(
+        input,
+        ['reviewerName', 'comment'],
+        ['reviewerName', 'comment'],
+        validator
+      );
+
+      if (input.rating !== undefined) {
+        if (input.rating === null) {
+          validator.fail('rating', 'rating cannot be empty');
+        }
+        changes.rating = validator.rating('rating', input.rating);
+      }
+      validator.assert();
+
+      if (Object.keys(changes).length === 0) {
+        throw noChanges('review');
+      }
+
+      // Held and rejected reviews can be edited too, and keep their status
+      // until a moderator looks at them again.
+      const existing = await repositories.reviews.findById(reviewId, { unpublished: true });
+      const review = existing && (await repositories.reviews.update(reviewId, changes));
+      if (!review) {
+        throw notFound('Review', id);
+      }
+
+      if (loaders?.reviewById) {
+        loaders.reviewById.clear(review.id).prime(review.id, review);
+      }
+      if (loaders?.reviewsByBookId) {
+        loaders.reviewsByBookId.clear(review.bookId);
+      }
+      invalidateReviewAggregates(loaders, review.bookId);
+
+      await recordAudit('updateReview', actorOf(context), {
+        reviews: [{ before: existing, after: review }],
+      });
+      await invalidateCachedResponses([
+        `Review:${review.id}`,
+        ...(await reviewCacheTags(loaders, review.bookId, review.reviewerId)),
+      ]);
+
+      return review;
+    },
+    deleteReview: async (_, { id }, context) => {
+      const { loaders } = context;
+      const reviewId = parsePositiveId(id);
+
+      const [review] = await repositories.reviews.deleteByIds([reviewId]);
+      if (!review) {
+        return false;
+      }
+
+      if (loaders?.reviewById) {
+        loaders.reviewById.clear(reviewId);
+      }
+      if (loaders?.reviewsByBookId) {
+        loaders.reviewsByBookId.clear(review.bookId);
+      }
+      invalidateReviewAggregates(loaders, review.bookId);
+
+      await recordAudit('deleteReview', actorOf(context), { reviews: [{ before: review, after: null }] });
+      await invalidateCachedResponses([
+        `Review:${reviewId}`,
+        ...(await reviewCacheTags(loaders, review.bookId, review.reviewerId)),
+      ]);
+
+      return true;
+    },
+    approveReview: async (_, { id, note }, context) => {
+      const validator = createValidator();
+      validator.maxLength('note', note);
+      validator.assert();
+
+      const { existing, review } = await decideReview(context, 'approveReview', id, {
+        status: REVIEW_STATUS.APPROVED,
+        note: toNullableString(note),
+      });
+      // Only a held review is new to the public: one rejected after it was
+      // approved was already announced.
+      if (existing.status === REVIEW_STATUS.PENDING) {
+        await publishEvent(EVENTS.REVIEW_ADDED, { reviewAdded: { id: review.id, bookId: review.bookId } });
+      }
+      return review;
+    },
+    rejectReview: async (_, { id, reason, note }, context) => {
+      const validator = createValidator();
+      const normalizedReason = toNullableString(reason);
+      validator.required('reason', normalizedReason);
+      validator.maxLength('reason', normalizedReason);
+      validator.maxLength('note', note);
+      validator.assert();
+
+      const { review } = await decideReview(context, 'rejectReview', id, {
+        status: REVIEW_STATUS.REJECTED,
+        reason: normalizedReason,
+        note: toNullableString(note),
+      });
+      return review;
+    },
+    updateReviewer: async (_, { id, input }, context) => {
+      const { loaders, user } = context;
+      const reviewerId = parsePositiveId(id);
+      const validator = createValidator();
+      const changes = collectStringChanges(input, ['name', 'bio', 'location'], ['name'], validator);
+      validator.assert();
+
+      if (Object.keys(changes).length === 0) {
+        throw noChanges('reviewer');
+      }
+
+      const existing = await repositories.reviewers.findById(reviewerId);
+      if (!existing) {
+        throw notFound('Reviewer', id);
+      }
+      if (existing.subject !== user.id && !hasRole(user, 'EDITOR')) {
+        throw forbidden(`Reviewer ${id} is not yours to change`);
+      }
+      const reviewer = await repositories.reviewers.update(reviewerId, changes);
+      if (!reviewer) {
+        throw notFound('Reviewer', id);
+      }
+
+      loaders.reviewerById.clear(reviewer.id).prime(reviewer.id, reviewer);
+      await recordAudit('updateReviewer', actorOf(context), {
+        reviewers: [{ before: existing, after: reviewer }],
+      });
+      await invalidateCachedResponses([`Reviewer:${reviewer.id}`]);
+
+      return reviewer;
+    },
+  },
+  Subscription: {
+    reviewAdded: {
+      subscribe: withFilter(
+        () => pubsub.asyncIterableIterator(EVENTS.REVIEW_ADDED),
+        ({ reviewAdded }, { bookId }) => !bookId || reviewAdded.bookId === String(bookId)
+      ),
+      resolve: ({ reviewAdded }, _, context) => loadEventNode(context, 'reviewById', reviewAdded.id),
+    },
+  },
+  Author: {
+    averageRating: async (author, _, { loaders }) =>
+      averageOf(await loaders.reviewStatsByAuthorId.load(author.id)),
+  },
+  Book: {
+    reviews: (book, _, { loaders }) => loaders.reviewsByBookId.load(book.id),
+    reviewsConnection: async (book, args, { loaders }) =>
+      connectionFromArray(await loaders.reviewsByBookId.load(book.id), args),
+    averageRating: async (book, _, { loaders }) =>
+      averageOf(await loaders.reviewStatsByBookId.load(book.id)),
+    reviewCount: async (book, _, { loaders }) =>
+      (await loaders.reviewStatsByBookId.load(book.id)).reviewCount,
+    ratingHistogram: async (book, _, { loaders }) =>
+      (await loaders.reviewStatsByBookId.load(book.id)).histogram.map((count, index) => ({
+        rating: index + 1,
+        count,
+      })),
+  },
+  Review: {
+    __resolveReference: (reference, { loaders }) => loaders.reviewById.load(reference.id),
+    book: (review, _, { loaders }) => entityReference(loaders.bookById, review.bookId),
+    reviewer: (review, _, { loaders }) =>
+      review.reviewerId ? loaders.reviewerById.load(review.reviewerId) : null,
+    moderation: (review) =>
+      review.moderatedAt
+        ? {
+            moderatedBy: review.moderatedBy,
+            moderatedAt: review.moderatedAt,
+            reason: review.moderationReason,
+            note: review.moderatorNote,
+          }
+        : null,
+  },
+  Reviewer: {
+    __resolveReference: (reference, { loaders }) => loaders.reviewerById.load(reference.id),
+    // Loaded for every reviewer in the response at once, then ordered and
+    // paged in memory like Book.reviewsConnection.
+    reviews: async (reviewer, { orderBy, ...args }, { loaders }) =>
+      connectionFromArray(
+        await loaders.reviewsByReviewerId.load(reviewer.id),
+        args,
+        resolveOrder(orderBy, REVIEW_ORDER_FIELDS)
+      ),
+    reviewCount: async (reviewer, _, { loaders }) =>
+      (await loaders.reviewStatsByReviewerId.load(reviewer.id)).reviewCount,
+    averageRating: async (reviewer, _, { loaders }) =>
+      averageOf(await loaders.reviewStatsByReviewerId.load(reviewer.id)),
+  },
+};
+
+// Search
+
+// Spans all three stores, so only the monolith serves it: a subgraph has its
+// own store's repositories alone. See lib/search.js for ranking and snippets.
+const searchTypeDefs = `#graphql
+  enum SearchType {
+    AUTHOR
+    BOOK
+    REVIEW
+  }
+
+  union SearchResult = Author | Book | Review
+
+  type SearchHit @cacheControl(maxAge: ${REVIEWS_MAX_AGE}) {
+    score: Float!
+    snippet: String
+    result: SearchResult!
+  }
+
+  type Query {
+    search(text: String!, types: [SearchType!], first: Int = 10): [SearchHit!]!
+  }
+`;
+
+const searchResolvers = {
+  Query: {
+    search: (_, { text, types, first }) => {
+      if (!Number.isInteger(first) || first < 1 || first > MAX_PAGE_SIZE) {
+        throw invalidField('first', `first must be between 1 and ${MAX_PAGE_SIZE}`);
+      }
+      return search({ repositories, text, types: types ?? undefined, first });
+    },
+  },
+  SearchHit: {
+    result: (hit) => ({ ...hit.node, __typename: hit.type }),
+  },
+  SearchResult: {
+    __resolveType: (node) => node.__typename,
+  },
+};
+
+// Audit log
+
+// Each store keeps the entries for its own nodes (see lib/audit.js); like
+// search, the monolith is the one process holding all three.
+const auditTypeDefs = `#graphql
+  enum AuditEntityType {
+    AUTHOR
+    BOOK
+    REVIEW
+    REVIEWER
+  }
+
+  type AuditEntry {
+    id: ID!
+    entityType: AuditEntityType!
+    entityId: ID!
+    "The mutation that made the change."
+    operation: String!
+    "The token subject, or null for changes the service made on its own."
+    actor: String
+    "The node as JSON before the change; null when it was created or restored."
+    before: String
+    "The node as JSON after the change; null when it was deleted."
+    after: String
+    createdAt: DateTime!
+  }
+
+  type Query {
+    "Changes to one node, newest first."
+    auditLog(entityType: AuditEntityType!, entityId: ID!, first: Int = 50): [AuditEntry!]!
+      @auth(requires: ADMIN)
+  }
+`;
+
+const auditResolvers = {
+  Query: {
+    auditLog: (_, { entityType, entityId, first }) => {
+      const id = parsePositiveId(entityId);
+      if (!Number.isInteger(first) || first < 1 || first > MAX_PAGE_SIZE) {
+        throw invalidField('first', `first must be between 1 and ${MAX_PAGE_SIZE}`);
+      }
+      return repositories[AUDIT_ENTITY_TYPES[entityType]].auditTrail(id, { limit: first });
+    },
+  },
+  AuditEntry: {
+    entityType: (entry) => entry.entityType.toUpperCase(),
+    before: (entry) => entry.before && JSON.stringify(entry.before),
+    after: (entry) => entry.after && JSON.stringify(entry.after),
+  },
+};
+
+const storeModules = {
+  authors: { typeDefs: authorTypeDefs, resolvers: authorResolvers },
+  books: { typeDefs: bookTypeDefs, resolvers: bookResolvers },
+  reviews: { typeDefs: reviewTypeDefs, resolvers: reviewResolvers },
+  // Not a subgraph, so only merged into the monolith.
+  search: { typeDefs: searchTypeDefs, resolvers: searchResolvers },
+  audit: { typeDefs: auditTypeDefs, resolvers: auditResolvers },
+};
+
+// MIGRATE_ON_START defaults to `sqlite`: the reviews file usually lives on a
+// pod-local volume no other process can migrate. The shared Postgres and MySQL
+// schemas are migrated by `npm run migrate` (the Helm seed job runs it).
+// Only the engines behind this process's repositories are checked.
+try {
+  await ensureSchemaCurrent(
+    repositories.stores.map((store) => repositories.drivers.get(store).executor),
+    { autoMigrate: parseAutoMigrate(process.env.MIGRATE_ON_START ?? 'sqlite') }
+  );
+} catch (err) {
+  console.error('❌ Database schema check failed:', err.message);
+  process.exit(1);
+}
+
+/**
+ * A fresh SQLite reviews file starts out with the demo reviews, since no seed
+ * job can reach a pod-local volume.
+ */
+const ensureReviewsSeeded = async () => {
+  if ((await repositories.reviews.count()) > 0) return;
+
+  try {
+    await seedProfile({
+      repositories,
+      profile: await loadProfile('demo'),
+      entities: ['reviewers', 'reviews'],
+    });
+  } catch (err) {
+    console.error('❌ Failed to seed SQLite reviews:', err);
+  }
+};
+
+if (repositories.backends.reviews === 'sqlite') {
+  await ensureReviewsSeeded();
+}
+await sagas.recover();
+
+// -----------------------------
+// Startup
+// -----------------------------
+
+const schema = applyRateLimits(
+  applyAuthDirective(
+    buildStoreSchema({
+      subgraph,
+      sharedTypeDefs: [authTypeDefs, scalarTypeDefs, sharedTypeDefs],
+      sharedResolvers: scalarResolvers,
+      modules: storeModules,
+    })
+  ),
+  createRateLimiter({
+    store: rateLimitStore,
+    limits: parseRateLimits(process.env.RATE_LIMITS || DEFAULT_RATE_LIMITS),
+  })
+);
+
+const authenticate = createAuthenticator();
+
+const formatError = createFormatError();
+
+// Memory-backed repositories have nothing to probe.
+const readiness = createReadinessCheck(
+  Object.fromEntries(
+    repositories.stores.map((store) => [store, repositories.drivers.get(store).check])
+  )
+);
+
+// `clientIp` keys the rate limits of signed-out callers.
+const buildContext = async (authorization, clientIp) => {
+  const { user, error } = await authenticate(authorization);
+  return {
+    loaders: createLoaders(),
+    user,
+    authError: error,
+    clientIp,
+  };
+};
+
+const app = express();
+// The number of proxies in front of the app (1 behind the OpenShift router),
+// so req.ip is the client's address from X-Forwarded-For.
+const TRUST_PROXY = Number(process.env.TRUST_PROXY || 0);
+if (TRUST_PROXY > 0) {
+  app.set('trust proxy', TRUST_PROXY);
+}
+const httpServer = createServer(app);
+
+// graphql-ws shares the HTTP port and path, so one route serves queries,
+// mutations and subscriptions.
+const wsServer = new WebSocketServer({ server: httpServer, path: '/' });
+const wsServerCleanup = useServer(
+  {
+    schema,
+    // Browsers cannot set headers on a WebSocket upgrade, so the token travels
+    // in the connection_init payload instead.
+    context: (ctx) =>
+      buildContext(
+        ctx.connectionParams?.authorization ?? ctx.connectionParams?.Authorization,
+        clientAddress(ctx.extra.request, app.get('trust proxy fn'))
+      ),
+    onSubscribe: persistedQueries.onSubscribe,
+    // Subscriptions are measured with their argument defaults, since graphql-ws
+    // validates before variables are bound. graphql-ws passes no rules of its
+    // own, so the spec's rules are added here.
+    validate: (validationSchema, document) =>
+      validate(validationSchema, document, [...specifiedRules, createComplexityRule()]),
+    // graphql-ws bypasses Apollo, so subscription events get the same error
+    // formatting here.
+    onNext: (_ctx, _id, _payload, _args, result) =>
+      result.errors
+        ? { ...result, errors: result.errors.map((error) => formatError(error.toJSON(), error)) }
+        : result,
+  },
+  wsServer
+);
+
+const server = new ApolloServer({
+  schema,
+  introspection: true,
+  formatError,
+  persistedQueries: persistedQueries.persistedQueries,
+  plugins: [
+    metrics.apolloPlugin,
+    ...persistedQueries.plugins,
+    ...(subgraph ? [subgraphResponsePlugin] : []),
+    createComplexityPlugin(),
+    // Cache-Control headers come from the response cache plugin, for GETs only.
+    // Subgraphs send them on every response so the gateway can combine them.
+    ApolloServerPluginCacheControl({ calculateHttpHeaders: Boolean(subgraph) }),
+    createResponseCachePlugin({
+      backend: responseCache,
+      fieldTags: { 'Query.topRatedBooks': ['Review'], 'Query.search': ['Author', 'Book', 'Review'] },
+    }),
+    ApolloServerPluginDrainHttpServer({ httpServer }),
+    {
+      async serverWillStart() {
+        return {
+          async drainServer() {
+            await wsServerCleanup.dispose();
+          },
+        };
+      },
+    },
+    ApolloServerPluginLandingPageLocalDefault({ embed: true }),
+  ],
+});
+
+await server.start();
+
+app.get('/healthz', (_req, res) => {
+  res.json({ status: 'ok' });
+});
+
+app.get('/readyz', async (_req, res) => {
+  const result = await readiness();
+  res.status(result.status === 'ok' ? 200 : 503).json(result);
+});
+
+app.get('/metrics', async (_req, res) => {
+  res.set('Content-Type', metrics.contentType).send(await metrics.render());
+});
+
+// The catalog export streams straight from the repositories, so it is served
+// outside GraphQL; exportCatalog only hands out this URL.
+app.get('/export/catalog', async (req, res) => {
+  const { user, error } = await authenticate(req.headers.authorization);
+  if (!user) {
+    res.status(401).json({ error: error ?? 'You must be signed in to do this' });
+    return;
+  }
+  if (!hasRole(user, 'EDITOR')) {
+    res.status(403).json({ error: 'This operation requires the EDITOR role' });
+    return;
+  }
+  const format = String(req.query.format ?? 'ndjson').toLowerCase();
+  if (!CONTENT_TYPES[format]) {
+    res.status(400).json({ error: `Unknown format: ${format} (expected ${Object.keys(CONTENT_TYPES).join(', ')})` });
+    return;
+  }
+
+  res.set('Content-Type', `${CONTENT_TYPES[format]}; charset=utf-8`);
+  res.set('Content-Disposition', `attachment; filename="catalog.${format}"`);
+  try {
+    await pipeline(Readable.from(exportCatalog(repositories, format)), res);
+  } catch (err) {
+    // pipeline() has already cut the response short; a client that hung up is
+    // not worth reporting.
+    if (err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      console.error('❌ Catalog export failed:', err);
+    }
+  }
+});
+
+// Multipart requests (file uploads) need an Apollo-Require-Preflight header to
+// get past Apollo's CSRF prevention.
+const CATALOG_IMPORT_MAX_BYTES = Number(process.env.CATALOG_IMPORT_MAX_BYTES || 50 * 1024 * 1024);
+
+app.use(
+  '/',
+  cors(),
+  graphqlUploadExpress({ maxFileSize: CATALOG_IMPORT_MAX_BYTES, maxFiles: 1 }),
+  express.json({ limit: '50mb' }),
+  expressMiddleware(server, { context: ({ req }) => buildContext(req.headers.authorization, req.ip) })
+);
+
+const port = Number(process.env.PORT || (subgraph ? SUBGRAPHS[subgraph].port : 4000));
+await new Promise((resolve) => httpServer.listen({ port }, resolve));
+
+// PORT=0 picks a free port, so report the one actually bound.
+const { port: boundPort } = httpServer.address();
+const serving = subgraph ? `${subgraph} subgraph` : 'GraphQL';
+console.log(
+  `🚀 ${serving} running at http://localhost:${boundPort}/ (subscriptions at ws://localhost:${boundPort}/)`
+);
+
+/**
+ * Stops accepting requests and closes every connection this process opened.
+ * Used on SIGINT and by the integration tests, which run the server in-process.
+ */
+export const shutdown = async () => {
+  await server.stop().catch(() => undefined);
+  await pubsub.close().catch(() => undefined);
+  await responseCache?.close().catch(() => undefined);
+  await rateLimitStore?.close().catch(() => undefined);
+  persistedQueries.close();
+  await sagaLog.close().catch(() => undefined);
+  await repositories.close();
+};
+
+process.on('SIGINT', async () => {
   console.log('Shutting down...');
-  sqliteDb.close();
-  pgPool.end();
-  mariaPool.end();
+  await shutdown();
   process.exit(0);
 });
+
+export { httpServer, repositories };
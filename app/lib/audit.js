@@ -0,0 +1,70 @@
+// -----------------------------
+// Audit trail
+// -----------------------------
+//
+// Every mutation appends one entry per node it creates, changes, deletes or
+// restores: who did it (the token subject, or null when the service acts on
+// its own, like the reviews subgraph following a cascade), the operation (the
+// mutation's name), the node before and after, and when. Entries go to the
+// audit_log table of the store the node lives in (migrations/*/006), written
+// after the change commits, so a crash in between can lose an entry but never
+// records a change that did not happen. Nothing updates or deletes entries.
+
+import { ENTITIES } from './repositories/entities.js';
+
+export const AUDIT_ENTITY_TYPES = {
+  AUTHOR: 'authors',
+  BOOK: 'books',
+  REVIEW: 'reviews',
+  REVIEWER: 'reviewers',
+};
+
+/**
+ * An audit_log row for a change to a node of `entity`. `before` is null for
+ * creations and `after` null for deletions.
+ */
+export const toAuditRow = (
+  entity,
+  { operation, actor = null, before = null, after = null },
+  at = new Date()
+) => ({
+  entity_type: entity.name,
+  entity_id: Number((after ?? before).id),
+  operation,
+  actor,
+  before_state: before && JSON.stringify(before),
+  after_state: after && JSON.stringify(after),
+  created_at: at.toISOString(),
+});
+
+export const mapAuditRow = (row) => ({
+  id: String(row.id),
+  entityType: row.entity_type,
+  entityId: String(row.entity_id),
+  operation: row.operation,
+  actor: row.actor ?? null,
+  before: row.before_state ? JSON.parse(row.before_state) : null,
+  after: row.after_state ? JSON.parse(row.after_state) : null,
+  createdAt: row.created_at,
+});
+
+/**
+ * Builds `record(operation, actor, changes)`, where `changes` maps a
+ * repository name (`authors`, ...) onto `{ before, after }` pairs. Nodes
+ * whose repository this process does not have are skipped. Failures are
+ * logged rather than thrown: by now the change itself has committed.
+ */
+export const createAuditTrail = (repositories, { log = console.error } = {}) =>
+  async (operation, actor, changes) => {
+    await Promise.all(
+      Object.entries(changes).map(async ([name, pairs]) => {
+        if (!repositories[name] || pairs.length === 0) return;
+        const rows = pairs.map((pair) => toAuditRow(ENTITIES[name], { operation, actor, ...pair }));
+        try {
+          await repositories[name].appendAudit(rows);
+        } catch (err) {
+          log(`❌ Failed to record ${operation} in the ${name} audit log:`, err.message);
+        }
+      })
+    );
+  };
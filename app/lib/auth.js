@@ -0,0 +1,133 @@
+// -----------------------------
+// Authentication & role-based authorization
+// -----------------------------
+//
+// Bearer tokens are JWTs verified either with a shared secret (HS256) or
+// against a local JWKS file. The verified user lands on the GraphQL context
+// as `context.user`; fields opt into protection with `@auth(requires: ROLE)`.
+// Roles are ordered, so ADMIN satisfies EDITOR, EDITOR satisfies MODERATOR
+// (who moderates reviews) and MODERATOR satisfies READER.
+
+import fs from 'fs';
+import { defaultFieldResolver } from 'graphql';
+import { MapperKind, getDirective, mapSchema } from '@graphql-tools/utils';
+import { createLocalJWKSet, jwtVerify } from 'jose';
+import { forbidden, unauthenticated } from './errors.js';
+
+export const ROLES = ['READER', 'MODERATOR', 'EDITOR', 'ADMIN'];
+
+export const authTypeDefs = `#graphql
+  enum Role {
+    READER
+    MODERATOR
+    EDITOR
+    ADMIN
+  }
+
+  directive @auth(requires: Role = READER) on FIELD_DEFINITION
+`;
+
+const normalizeRoles = (claim) => {
+  const values = Array.isArray(claim) ? claim : typeof claim === 'string' ? claim.split(/[\s,]+/) : [];
+  return values.map((role) => String(role).toUpperCase()).filter((role) => ROLES.includes(role));
+};
+
+/**
+ * Builds `authenticate(authorizationHeader)`, which resolves to
+ * `{ user, error }`. A missing header yields an anonymous request; an invalid
+ * token is not fatal either, because reads stay public — the error is kept so
+ * protected fields can report why the caller is not signed in.
+ */
+export const createAuthenticator = ({
+  secret = process.env.AUTH_JWT_SECRET,
+  jwksPath = process.env.AUTH_JWKS_PATH,
+  issuer = process.env.AUTH_ISSUER || undefined,
+  audience = process.env.AUTH_AUDIENCE || undefined,
+  rolesClaim = process.env.AUTH_ROLES_CLAIM || 'roles',
+} = {}) => {
+  let key;
+  if (jwksPath) {
+    key = createLocalJWKSet(JSON.parse(fs.readFileSync(jwksPath, 'utf8')));
+  } else if (secret) {
+    key = new TextEncoder().encode(secret);
+  } else {
+    console.warn('ℹ️ Neither AUTH_JWT_SECRET nor AUTH_JWKS_PATH is set; every bearer token will be rejected');
+  }
+
+  return async (authorization) => {
+    if (!authorization) {
+      return { user: null, error: null };
+    }
+    const match = /^Bearer\s+(.+)$/i.exec(authorization.trim());
+    if (!match) {
+      return { user: null, error: 'Authorization header must use the Bearer scheme' };
+    }
+    if (!key) {
+      return { user: null, error: 'Token verification is not configured' };
+    }
+    try {
+      const { payload } = await jwtVerify(match[1], key, { issuer, audience });
+      if (!payload.sub) {
+        return { user: null, error: 'Token has no subject' };
+      }
+      return {
+        user: {
+          id: String(payload.sub),
+          name: payload.name ?? null,
+          roles: normalizeRoles(payload[rolesClaim]),
+        },
+        error: null,
+      };
+    } catch (err) {
+      return { user: null, error: `Invalid token: ${err.message}` };
+    }
+  };
+};
+
+export const hasRole = (user, role) => {
+  const required = ROLES.indexOf(role);
+  return Boolean(user) && user.roles.some((granted) => ROLES.indexOf(granted) >= required);
+};
+
+/**
+ * Resolver guard: throws UNAUTHENTICATED when nobody is signed in and
+ * FORBIDDEN when the signed-in user lacks `role`.
+ */
+export const requireRole = (context, role = 'READER') => {
+  if (!context.user) {
+    throw unauthenticated(context.authError ?? 'You must be signed in to do this');
+  }
+  if (!hasRole(context.user, role)) {
+    throw forbidden(`This operation requires the ${role} role`);
+  }
+  return context.user;
+};
+
+/**
+ * Wraps every field annotated with `@auth` so `requireRole` runs before its
+ * resolver (or subscribe function).
+ */
+export const applyAuthDirective = (schema) =>
+  mapSchema(schema, {
+    [MapperKind.OBJECT_FIELD]: (fieldConfig) => {
+      const directive = getDirective(schema, fieldConfig, 'auth')?.[0];
+      if (!directive) {
+        return fieldConfig;
+      }
+      const { requires } = directive;
+      const { resolve = defaultFieldResolver, subscribe } = fieldConfig;
+      return {
+        ...fieldConfig,
+        resolve: (source, args, context, info) => {
+          requireRole(context, requires);
+          return resolve(source, args, context, info);
+        },
+        ...(subscribe && {
+          subscribe: (source, args, context, info) => {
+            requireRole(context, requires);
+            return subscribe(source, args, context, info);
+          },
+        }),
+      };
+    },
+  });
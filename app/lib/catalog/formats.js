@@ -0,0 +1,258 @@
+// -----------------------------
+// Catalog file formats
+// -----------------------------
+//
+// Streaming readers and writers for the three import/export formats:
+//
+//   ndjson  one JSON object per line
+//   csv     RFC 4180, a header row naming the fields, empty cells are null
+//   json    one array of objects
+//
+// Readers take any async iterable of text or buffers (a file or upload
+// stream) and yield `{ row, record }` or `{ row, error }` per record, `row`
+// counting records from 1. A malformed record is reported and skipped; only a
+// file that is not in the format at all throws.
+
+import { StringDecoder } from 'string_decoder';
+import { invalidField } from '../errors.js';
+
+export const FORMATS = ['ndjson', 'csv', 'json'];
+
+export const CONTENT_TYPES = {
+  ndjson: 'application/x-ndjson',
+  csv: 'text/csv',
+  json: 'application/json',
+};
+
+/**
+ * Guesses the format from a file name's extension, or returns null.
+ */
+export const formatFromFilename = (filename = '') => {
+  const extension = filename.toLowerCase().split('.').pop();
+  if (extension === 'jsonl') return 'ndjson';
+  return FORMATS.includes(extension) ? extension : null;
+};
+
+async function* textChunks(source) {
+  const decoder = new StringDecoder('utf8');
+  let first = true;
+  for await (const chunk of source) {
+    let text = typeof chunk === 'string' ? chunk : decoder.write(chunk);
+    if (first && text.length > 0) {
+      // Spreadsheet exports often start with a byte order mark.
+      text = text.replace(/^\uFEFF/, '');
+      first = false;
+    }
+    if (text.length > 0) yield text;
+  }
+  const rest = decoder.end();
+  if (rest.length > 0) yield rest;
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const parseObject = (row, text) => {
+  try {
+    const record = JSON.parse(text);
+    return isPlainObject(record) ? { row, record } : { row, error: 'Expected a JSON object' };
+  } catch (err) {
+    return { row, error: `Invalid JSON: ${err.message}` };
+  }
+};
+
+// -----------------------------
+// Readers
+// -----------------------------
+
+async function* readNdjson(source) {
+  let buffer = '';
+  let row = 0;
+  for await (const text of textChunks(source)) {
+    buffer += text;
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (line.trim().length === 0) continue;
+      row += 1;
+      yield parseObject(row, line);
+    }
+  }
+  if (buffer.trim().length > 0) {
+    yield parseObject(row + 1, buffer);
+  }
+}
+
+async function* readCsv(source) {
+  let header = null;
+  let row = 0;
+  let fields = [];
+  let field = '';
+  let inQuotes = false;
+  let quotePending = false;
+
+  const endRecord = function* () {
+    fields.push(field);
+    field = '';
+    const values = fields;
+    fields = [];
+    // Blank lines carry no record.
+    if (values.length === 1 && values[0].trim() === '') return;
+    if (!header) {
+      header = values.map((name) => name.trim());
+      return;
+    }
+    row += 1;
+    if (values.length !== header.length) {
+      yield { row, error: `Expected ${header.length} fields, found ${values.length}` };
+      return;
+    }
+    yield {
+      row,
+      record: Object.fromEntries(header.map((name, index) => [name, values[index] === '' ? null : values[index]])),
+    };
+  };
+
+  for await (const text of textChunks(source)) {
+    for (const char of text) {
+      if (inQuotes) {
+        if (quotePending) {
+          quotePending = false;
+          if (char === '"') {
+            field += '"';
+            continue;
+          }
+          inQuotes = false;
+        } else if (char === '"') {
+          quotePending = true;
+          continue;
+        } else {
+          field += char;
+          continue;
+        }
+      }
+      if (char === '"' && field === '') {
+        inQuotes = true;
+      } else if (char === ',') {
+        fields.push(field);
+        field = '';
+      } else if (char === '\n') {
+        yield* endRecord();
+      } else if (char !== '\r') {
+        field += char;
+      }
+    }
+  }
+
+  if (inQuotes && !quotePending) {
+    yield { row: row + 1, error: 'Unterminated quoted field' };
+    return;
+  }
+  if (field !== '' || fields.length > 0) {
+    yield* endRecord();
+  }
+  if (!header) {
+    throw invalidField('file', 'CSV file has no header row');
+  }
+}
+
+/**
+ * Splits a top-level JSON array into its elements without parsing the whole
+ * document, so only one record is held in memory at a time.
+ */
+async function* readJson(source) {
+  let started = false;
+  let finished = false;
+  let element = '';
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let row = 0;
+
+  const flush = function* () {
+    if (element.trim().length === 0) return;
+    row += 1;
+    yield parseObject(row, element);
+    element = '';
+  };
+
+  for await (const text of textChunks(source)) {
+    for (const char of text) {
+      if (finished) {
+        if (char.trim() !== '') throw invalidField('file', 'Unexpected content after the JSON array');
+        continue;
+      }
+      if (!started) {
+        if (char.trim() === '') continue;
+        if (char !== '[') throw invalidField('file', 'JSON catalog files must contain one array of records');
+        started = true;
+        continue;
+      }
+      if (inString) {
+        element += char;
+        if (escaped) escaped = false;
+        else if (char === '\\') escaped = true;
+        else if (char === '"') inString = false;
+        continue;
+      }
+      if (depth === 0 && (char === ',' || char === ']')) {
+        yield* flush();
+        if (char === ']') finished = true;
+        continue;
+      }
+      element += char;
+      if (char === '"') inString = true;
+      else if (char === '{' || char === '[') depth += 1;
+      else if (char === '}' || char === ']') depth -= 1;
+    }
+  }
+
+  if (!finished) {
+    throw invalidField('file', started ? 'JSON array is not terminated' : 'JSON file is empty');
+  }
+}
+
+const READERS = { ndjson: readNdjson, csv: readCsv, json: readJson };
+
+export const readRecords = (format, source) => READERS[format](source);
+
+// -----------------------------
+// Writers
+// -----------------------------
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Records are written in chunks of about this many characters.
+const CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Serializes an async iterable of records. CSV writes `columns` in order;
+ * the other formats write each record as it is. Yields text chunks.
+ */
+export async function* writeRecords(format, records, { columns = [] } = {}) {
+  let chunk = '';
+  let count = 0;
+  if (format === 'csv') chunk = `${columns.map(csvCell).join(',')}\n`;
+  if (format === 'json') chunk = '[';
+
+  for await (const record of records) {
+    if (format === 'csv') {
+      chunk += `${columns.map((column) => csvCell(record[column])).join(',')}\n`;
+    } else if (format === 'json') {
+      chunk += `${count > 0 ? ',' : ''}\n${JSON.stringify(record)}`;
+    } else {
+      chunk += `${JSON.stringify(record)}\n`;
+    }
+    count += 1;
+    if (chunk.length >= CHUNK_SIZE) {
+      yield chunk;
+      chunk = '';
+    }
+  }
+
+  if (format === 'json') chunk += count > 0 ? '\n]\n' : ']\n';
+  if (chunk.length > 0) yield chunk;
+}
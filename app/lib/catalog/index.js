@@ -0,0 +1,241 @@
+// -----------------------------
+// Catalog import / export
+// -----------------------------
+//
+// Moves authors, books and reviews in and out through the repositories, so it
+// works whichever store each entity lives in. Imports stream: records are
+// read, checked and written a chunk at a time, and a bad record is reported
+// with its row number instead of failing the whole file. Exports scan each
+// table in id order (authors, then books, then reviews), which is also an
+// order an import can replay.
+
+import { CONTENT_TYPES, FORMATS, formatFromFilename, readRecords, writeRecords } from './formats.js';
+import {
+  CATALOG_COLUMNS,
+  PARENT_ENTITIES,
+  RECORD_TYPES,
+  RECORD_TYPE_NAMES,
+  checkReferences,
+  parseRecord,
+  toRecord,
+} from './records.js';
+
+export { CONTENT_TYPES, FORMATS, formatFromFilename, readRecords, RECORD_TYPE_NAMES };
+
+export const IMPORT_MODES = ['upsert', 'skip'];
+
+// Records are validated and looked up this many at a time.
+const CHUNK_SIZE = 200;
+
+// Only the first errors are returned; `failed` still counts all of them.
+const MAX_REPORTED_ERRORS = 100;
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * Imports `entries` (as yielded by readRecords) and returns a summary:
+ * `{ dryRun, processed, created, updated, skipped, failed, errors }`, with
+ * `errors` listing `{ row, field, message }`.
+ *
+ *   mode          'upsert' updates records whose id exists, 'skip' leaves them
+ *   dryRun        checks every record (ids, references) without writing
+ *   defaultType   type of records that do not name one
+ *   allowedTypes  record types this import accepts
+ *   onWrite       called as `onWrite(entity, { before, after })` after each
+ *                 node is written (`before` is null for new nodes)
+ *
+ * References (a book's authorId, a review's bookId) must exist in their store
+ * or appear earlier in the file, and records are checked against them as the
+ * mutations check them (no book published before its author was born).
+ * Reviews only name their reviewer, so each goes to the reviewer of that name
+ * who belongs to no user, created if there is none. Store failures abort the
+ * import; records written before that stay written.
+ */
+export const importCatalog = async (
+  entries,
+  {
+    repositories,
+    mode = 'upsert',
+    dryRun = false,
+    defaultType = null,
+    allowedTypes = RECORD_TYPE_NAMES,
+    onWrite = async () => undefined,
+  }
+) => {
+  const summary = { dryRun, processed: 0, created: 0, updated: 0, skipped: 0, failed: 0, errors: [] };
+  // Ids known to exist, in the store or earlier in this import (a dry run
+  // counts the records it would have written).
+  const known = Object.fromEntries(Object.values(RECORD_TYPES).map(({ entity }) => [entity, new Set()]));
+  // Nodes by entity and id: the stored ones prefetch found, as update
+  // snapshots, and the parents (authors, books) written since, or that a dry
+  // run would have written, to check references against.
+  const stored = new Map();
+  // Reviewer ids by name, see reviewerOf.
+  const reviewerIds = new Map();
+
+  // A record with several problems counts as one failed record.
+  const fail = (row, errors) => {
+    summary.failed += 1;
+    for (const { field, message } of errors) {
+      if (summary.errors.length < MAX_REPORTED_ERRORS) {
+        summary.errors.push({ row, field, message });
+      }
+    }
+  };
+
+  // Looks up the ids of `entity` the chunk mentions that are not known yet.
+  const prefetch = async (entity, ids) => {
+    const unknown = [...new Set(ids.filter((id) => id !== null).map(String))].filter(
+      (id) => !known[entity].has(id)
+    );
+    if (unknown.length === 0 || !repositories[entity]) return;
+    const nodes = await repositories[entity].findByIds(unknown);
+    for (const node of nodes) {
+      if (!node) continue;
+      known[entity].add(node.id);
+      stored.set(`${entity}:${node.id}`, node);
+    }
+  };
+
+  const reviewerOf = async (name) => {
+    if (reviewerIds.has(name)) return reviewerIds.get(name);
+    let reviewer = await repositories.reviewers.findUnclaimed(name);
+    if (!reviewer) {
+      reviewer = await repositories.reviewers.create({ name, joinedAt: new Date().toISOString() });
+      await onWrite('reviewers', { before: null, after: reviewer });
+    }
+    reviewerIds.set(name, reviewer.id);
+    return reviewer.id;
+  };
+
+  const write = async (row, type, fields) => {
+    const recordType = RECORD_TYPES[type];
+    const repository = repositories[recordType.entity];
+    for (const [field, parent] of Object.entries(recordType.parents)) {
+      if (!known[parent].has(String(fields[field]))) {
+        fail(row, [{ field, message: `${field} ${fields[field]} does not exist` }]);
+        return;
+      }
+    }
+    const parents = Object.fromEntries(
+      Object.entries(recordType.parents).map(([field, parent]) => [
+        field,
+        stored.get(`${parent}:${fields[field]}`) ?? null,
+      ])
+    );
+    const referenceErrors = checkReferences(type, fields, parents);
+    if (referenceErrors) {
+      fail(row, referenceErrors);
+      return;
+    }
+
+    const { id, ...values } = fields;
+    const key = `${recordType.entity}:${id}`;
+    const linkReviewer = async () => {
+      if (type === 'review' && repositories.reviewers) {
+        values.reviewerId = await reviewerOf(values.reviewerName);
+      }
+    };
+    if (id !== null && known[recordType.entity].has(String(id))) {
+      if (mode === 'skip') {
+        summary.skipped += 1;
+        return;
+      }
+      // An update without dateCreated keeps the stored one.
+      if (values.dateCreated === null) delete values.dateCreated;
+      if (!dryRun) {
+        await linkReviewer();
+        const node = await repository.update(id, values);
+        if (!node) {
+          fail(row, [{ field: 'id', message: `${type} ${id} was deleted during the import` }]);
+          return;
+        }
+        await onWrite(recordType.entity, { before: stored.get(key) ?? null, after: node });
+        stored.set(key, node);
+      } else {
+        stored.set(key, { ...stored.get(key), ...values });
+      }
+      summary.updated += 1;
+      return;
+    }
+
+    if (type === 'author' && values.dateCreated === null) values.dateCreated = today();
+    if (!dryRun) {
+      await linkReviewer();
+      const node = await repository.create(id === null ? values : { id, ...values });
+      if (!node) {
+        fail(row, [{ field: 'id', message: `${type} ${id} already exists` }]);
+        return;
+      }
+      known[recordType.entity].add(node.id);
+      if (PARENT_ENTITIES.has(recordType.entity)) stored.set(`${recordType.entity}:${node.id}`, node);
+      await onWrite(recordType.entity, { before: null, after: node });
+    } else if (id !== null) {
+      known[recordType.entity].add(String(id));
+      if (PARENT_ENTITIES.has(recordType.entity)) stored.set(key, { id: String(id), ...values });
+    }
+    summary.created += 1;
+  };
+
+  const processChunk = async (chunk) => {
+    const parsed = chunk.map(({ row, record, error }) => {
+      if (error) return { row, errors: [{ field: null, message: error }] };
+      const result = parseRecord(record, defaultType);
+      if (result.errors) return { row, ...result };
+      if (!allowedTypes.includes(result.type)) {
+        return { row, errors: [{ field: 'type', message: `${result.type} records cannot be imported here` }] };
+      }
+      if (!repositories[RECORD_TYPES[result.type].entity]) {
+        return { row, errors: [{ field: 'type', message: `${result.type} records are not stored by this service` }] };
+      }
+      return { row, ...result };
+    });
+
+    const valid = parsed.filter((entry) => !entry.errors);
+    for (const { entity, parents } of Object.values(RECORD_TYPES)) {
+      const ofEntity = valid.filter((entry) => RECORD_TYPES[entry.type].entity === entity);
+      await prefetch(entity, ofEntity.map((entry) => entry.fields.id));
+      for (const [field, parent] of Object.entries(parents)) {
+        await prefetch(parent, ofEntity.map((entry) => entry.fields[field]));
+      }
+    }
+
+    for (const entry of parsed) {
+      summary.processed += 1;
+      if (entry.errors) {
+        fail(entry.row, entry.errors);
+        continue;
+      }
+      await write(entry.row, entry.type, entry.fields);
+    }
+  };
+
+  let chunk = [];
+  for await (const entry of entries) {
+    chunk.push(entry);
+    if (chunk.length >= CHUNK_SIZE) {
+      await processChunk(chunk);
+      chunk = [];
+    }
+  }
+  if (chunk.length > 0) await processChunk(chunk);
+
+  return summary;
+};
+
+async function* catalogRecords(repositories) {
+  for (const [type, { entity }] of Object.entries(RECORD_TYPES)) {
+    // A subgraph only exports the entities it stores.
+    if (!repositories[entity]) continue;
+    for await (const node of repositories[entity].scan()) {
+      yield toRecord(type, node);
+    }
+  }
+}
+
+/**
+ * Streams the whole catalog as text chunks in `format`. CSV rows carry every
+ * type's columns, empty where a column does not apply.
+ */
+export const exportCatalog = (repositories, format) =>
+  writeRecords(format, catalogRecords(repositories), { columns: CATALOG_COLUMNS });
@@ -0,0 +1,182 @@
+// -----------------------------
+// Catalog records
+// -----------------------------
+//
+// A catalog record is one author, book or review, tagged with `type`. Field
+// names are the GraphQL ones (authorId, publicationDate, ...) but are matched
+// case-insensitively, so the seed fixtures' column names (publicationdate,
+// ...) work too. Values are validated with the same rules as the mutations.
+
+import { createValidator, isValidIsbn, normalizeIsbn } from '../validation.js';
+
+const text = (value) => {
+  if (value === undefined || value === null) return null;
+  const trimmed = String(value).trim();
+  return trimmed.length === 0 ? null : trimmed;
+};
+
+// CSV cells arrive as strings.
+const integer = (value) => (typeof value === 'string' && /^\s*-?\d+\s*$/.test(value) ? Number(value) : value);
+
+const textFields = (validator, fields, values) => {
+  for (const field of fields) {
+    values[field] = validator.maxLength(field, text(values[field]));
+  }
+};
+
+/**
+ * `entity` is the repository a record is stored in and `parents` maps
+ * reference fields onto the repository they point into. `validate(values,
+ * validator)` returns the node fields to store; `validateReferences(fields,
+ * parents, validator)`, where there is one, checks them against the nodes
+ * they reference (`parents` maps each reference field to its node).
+ */
+export const RECORD_TYPES = {
+  author: {
+    entity: 'authors',
+    fields: [
+      'id',
+      'firstname',
+      'lastname',
+      'birthdate',
+      'deathdate',
+      'favoriteColor',
+      'bio',
+      'nationality',
+      'dateCreated',
+    ],
+    parents: {},
+    validate: (values, validator) => {
+      textFields(validator, ['firstname', 'lastname', 'favoriteColor', 'bio', 'nationality'], values);
+      validator.required('firstname', values.firstname);
+      validator.required('lastname', values.lastname);
+      for (const field of ['birthdate', 'deathdate', 'dateCreated']) {
+        values[field] = validator.date(field, text(values[field]));
+      }
+      validator.notBefore('deathdate', values.deathdate, values.birthdate, 'birthdate');
+      return values;
+    },
+  },
+  book: {
+    entity: 'books',
+    fields: ['id', 'authorId', 'title', 'synopsis', 'isbn', 'publicationDate'],
+    parents: { authorId: 'authors' },
+    validate: (values, validator) => {
+      textFields(validator, ['title', 'synopsis'], values);
+      validator.required('title', values.title);
+      values.isbn = validator.isbn('isbn', text(values.isbn));
+      if (values.isbn && isValidIsbn(values.isbn)) values.isbn = normalizeIsbn(values.isbn);
+      values.publicationDate = validator.date('publicationDate', text(values.publicationDate));
+      return values;
+    },
+    // The same rule as addBook and updateBook.
+    validateReferences: (fields, parents, validator) => {
+      validator.notBefore(
+        'publicationDate',
+        fields.publicationDate,
+        parents.authorId?.birthdate,
+        "the author's birthdate"
+      );
+    },
+  },
+  review: {
+    entity: 'reviews',
+    fields: ['id', 'bookId', 'reviewerName', 'rating', 'comment'],
+    parents: { bookId: 'books' },
+    validate: (values, validator) => {
+      textFields(validator, ['reviewerName', 'comment'], values);
+      validator.required('reviewerName', values.reviewerName);
+      validator.required('comment', values.comment);
+      values.rating = validator.rating('rating', integer(values.rating));
+      validator.required('rating', values.rating);
+      return values;
+    },
+  },
+};
+
+export const RECORD_TYPE_NAMES = Object.keys(RECORD_TYPES);
+
+// The repositories other records reference.
+export const PARENT_ENTITIES = new Set(
+  Object.values(RECORD_TYPES).flatMap((recordType) => Object.values(recordType.parents))
+);
+
+// Every field of every type, identifying ones first: the CSV export's columns.
+export const CATALOG_COLUMNS = [
+  ...new Set([
+    'type',
+    'id',
+    'authorId',
+    'bookId',
+    ...Object.values(RECORD_TYPES).flatMap((recordType) => recordType.fields),
+  ]),
+];
+
+/**
+ * Checks the `fields` of a parsed `type` record against the nodes it
+ * references (see `validateReferences`). Returns the `{ field, message }`
+ * problems, or null when there are none.
+ */
+export const checkReferences = (type, fields, parents) => {
+  const recordType = RECORD_TYPES[type];
+  if (!recordType.validateReferences) return null;
+  const validator = createValidator();
+  recordType.validateReferences(fields, parents, validator);
+  try {
+    validator.assert();
+  } catch (err) {
+    return err.extensions.fields;
+  }
+  return null;
+};
+
+/**
+ * Turns a raw record into `{ type, fields }`, or `{ errors }` listing each
+ * `{ field, message }` problem. Records without a `type` are `defaultType`.
+ * Fields that do not belong to the record's type are ignored.
+ */
+export const parseRecord = (raw, defaultType) => {
+  const byName = new Map(Object.entries(raw).map(([key, value]) => [key.toLowerCase(), value]));
+  const type = text(byName.get('type'))?.toLowerCase() ?? defaultType;
+  const recordType = RECORD_TYPES[type];
+  if (!recordType) {
+    return {
+      errors: [
+        {
+          field: 'type',
+          message: type
+            ? `Unknown record type: ${type} (expected ${RECORD_TYPE_NAMES.join(', ')})`
+            : 'type is required',
+        },
+      ],
+    };
+  }
+
+  const values = {};
+  for (const field of recordType.fields) {
+    values[field] = byName.get(field.toLowerCase()) ?? null;
+  }
+
+  const validator = createValidator();
+  values.id = validator.positiveId('id', values.id);
+  for (const field of Object.keys(recordType.parents)) {
+    validator.required(field, values[field]);
+    values[field] = validator.positiveId(field, values[field]);
+  }
+  const fields = recordType.validate(values, validator);
+  try {
+    validator.assert();
+  } catch (err) {
+    return { type, errors: err.extensions.fields };
+  }
+  return { type, fields };
+};
+
+/**
+ * A stored node as a catalog record: its record type's fields only, so
+ * state such as a review's moderation status stays out of exports.
+ */
+export const toRecord = (type, node) => ({
+  type,
+  ...Object.fromEntries(RECORD_TYPES[type].fields.map((field) => [field, node[field]])),
+});
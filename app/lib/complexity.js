@@ -0,0 +1,249 @@
+// -----------------------------
+// Query depth & cost limits
+// -----------------------------
+//
+// The Author.books / Book.reviews / Review.book cycles make arbitrarily deep
+// queries easy to write, so every operation is measured before it runs:
+//
+//   depth  the deepest chain of nested fields
+//   cost   1 per object-valued field, multiplied by the expected size of
+//          every list above it
+//
+// A list's expected size comes from `first`/`last`/`limit` when given. Root
+// lists without one (`authors`, `books`, `reviews`) return whole tables, so
+// they count as `unboundedListSize`; nested lists without one return a single
+// parent's rows and count as `defaultListSize`. A connection's page size
+// already bounds its `edges`/`nodes`, so those are not multiplied a second
+// time. Branches on different concrete types count only the most expensive
+// one. Introspection fields are free.
+
+import {
+  GraphQLError,
+  Kind,
+  getArgumentValues,
+  getNamedType,
+  getNullableType,
+  getVariableValues,
+  isCompositeType,
+  isListType,
+  validate,
+} from 'graphql';
+import { ErrorCode } from './errors.js';
+import { DEFAULT_PAGE_SIZE } from './pagination.js';
+
+export const MAX_QUERY_DEPTH = Number(process.env.MAX_QUERY_DEPTH || 10);
+export const MAX_QUERY_COST = Number(process.env.MAX_QUERY_COST || 10000);
+export const DEFAULT_LIST_SIZE = Number(process.env.COMPLEXITY_DEFAULT_LIST_SIZE || 20);
+export const UNBOUNDED_LIST_SIZE = Number(process.env.COMPLEXITY_UNBOUNDED_LIST_SIZE || 1000);
+
+const PAGINATION_ARGS = ['first', 'last'];
+
+const queryTooComplex = (message, details) =>
+  new GraphQLError(message, {
+    extensions: { code: ErrorCode.QUERY_TOO_COMPLEX, ...details, http: { status: 400 } },
+  });
+
+const safeArgumentValues = (fieldDef, node, variables) => {
+  try {
+    return getArgumentValues(fieldDef, node, variables);
+  } catch {
+    // Bad argument values are reported by execution; assume defaults here.
+    return {};
+  }
+};
+
+const listSize = (args, fallback) => {
+  const size = args.first ?? args.last ?? args.limit;
+  return Number.isInteger(size) && size >= 0 ? size : fallback;
+};
+
+/**
+ * Measures one operation. Returns `{ depth, cost }`.
+ */
+export const measureOperation = ({
+  schema,
+  fragments,
+  operation,
+  variables = {},
+  defaultListSize = DEFAULT_LIST_SIZE,
+  unboundedListSize = UNBOUNDED_LIST_SIZE,
+}) => {
+  const rootType = schema.getRootType(operation.operation);
+  const visiting = new Set();
+
+  // Returns [depth, cost] for a selection set on `parentType`. `bounded`
+  // marks the selection directly under a connection, whose lists are already
+  // sized by the connection's page.
+  const measureSelections = (selectionSet, parentType, bounded) => {
+    let commonDepth = 0;
+    let commonCost = 0;
+    const byType = new Map();
+
+    const addBranch = (typeName, [depth, cost]) => {
+      if (!typeName || typeName === parentType.name) {
+        commonDepth = Math.max(commonDepth, depth);
+        commonCost += cost;
+        return;
+      }
+      const [branchDepth, branchCost] = byType.get(typeName) ?? [0, 0];
+      byType.set(typeName, [Math.max(branchDepth, depth), branchCost + cost]);
+    };
+
+    for (const selection of selectionSet.selections) {
+      if (selection.kind === Kind.FIELD) {
+        addBranch(null, measureField(selection, parentType, bounded));
+      } else if (selection.kind === Kind.INLINE_FRAGMENT) {
+        const typeName = selection.typeCondition?.name.value;
+        const type = typeName ? schema.getType(typeName) : parentType;
+        addBranch(typeName, measureSelections(selection.selectionSet, type, bounded));
+      } else if (selection.kind === Kind.FRAGMENT_SPREAD) {
+        const fragment = fragments[selection.name.value];
+        // Unknown or cyclic spreads are reported by the standard rules.
+        if (!fragment || visiting.has(fragment.name.value)) continue;
+        visiting.add(fragment.name.value);
+        const typeName = fragment.typeCondition.name.value;
+        addBranch(typeName, measureSelections(fragment.selectionSet, schema.getType(typeName), bounded));
+        visiting.delete(fragment.name.value);
+      }
+    }
+
+    let depth = commonDepth;
+    let cost = commonCost;
+    for (const [branchDepth, branchCost] of byType.values()) {
+      depth = Math.max(depth, branchDepth);
+      cost = Math.max(cost, commonCost + branchCost);
+    }
+    return [depth, cost];
+  };
+
+  const measureField = (node, parentType, bounded) => {
+    if (node.name.value.startsWith('__')) return [0, 0];
+    const fieldDef = parentType.getFields?.()[node.name.value];
+    if (!fieldDef) return [1, 0];
+
+    const namedType = getNamedType(fieldDef.type);
+    if (!isCompositeType(namedType) || !node.selectionSet) return [1, 0];
+
+    const args = safeArgumentValues(fieldDef, node, variables);
+    const isConnection = fieldDef.args.some((arg) => PAGINATION_ARGS.includes(arg.name));
+    const [childDepth, childCost] = measureSelections(node.selectionSet, namedType, isConnection);
+
+    let multiplier = 1;
+    if (isConnection) {
+      multiplier = listSize(args, DEFAULT_PAGE_SIZE);
+    } else if (isListType(getNullableType(fieldDef.type)) && !bounded) {
+      multiplier = listSize(args, parentType === rootType ? unboundedListSize : defaultListSize);
+    }
+    return [childDepth + 1, isConnection ? 1 + multiplier * childCost : multiplier * (1 + childCost)];
+  };
+
+  const [depth, cost] = measureSelections(operation.selectionSet, rootType, false);
+  return { depth, cost };
+};
+
+/**
+ * Validation rule that measures the selected operation and reports an error
+ * when it exceeds `maxDepth` or `maxCost`. `variables` are the raw request
+ * variables (pagination arguments often arrive that way); `onMeasured`
+ * receives `{ depth, cost }` for reporting.
+ */
+export const createComplexityRule = ({
+  maxDepth = MAX_QUERY_DEPTH,
+  maxCost = MAX_QUERY_COST,
+  defaultListSize = DEFAULT_LIST_SIZE,
+  unboundedListSize = UNBOUNDED_LIST_SIZE,
+  operationName,
+  variables,
+  onMeasured,
+} = {}) => (context) => {
+  const document = context.getDocument();
+  const fragments = {};
+  const operations = [];
+  for (const definition of document.definitions) {
+    if (definition.kind === Kind.FRAGMENT_DEFINITION) {
+      fragments[definition.name.value] = definition;
+    } else if (definition.kind === Kind.OPERATION_DEFINITION) {
+      operations.push(definition);
+    }
+  }
+
+  const operation = operationName
+    ? operations.find((definition) => definition.name?.value === operationName)
+    : operations.length === 1
+      ? operations[0]
+      : undefined;
+  if (!operation) return {};
+
+  const schema = context.getSchema();
+  const coerced = getVariableValues(schema, operation.variableDefinitions ?? [], variables ?? {});
+  const measured = measureOperation({
+    schema,
+    fragments,
+    operation,
+    variables: coerced.coerced ?? {},
+    defaultListSize,
+    unboundedListSize,
+  });
+  onMeasured?.(measured);
+
+  if (measured.depth > maxDepth) {
+    context.reportError(
+      queryTooComplex(`Query depth ${measured.depth} exceeds the maximum of ${maxDepth}`, {
+        depth: measured.depth,
+        maxDepth,
+      })
+    );
+  } else if (measured.cost > maxCost) {
+    context.reportError(
+      queryTooComplex(`Query cost ${measured.cost} exceeds the maximum of ${maxCost}`, {
+        cost: measured.cost,
+        maxCost,
+      })
+    );
+  }
+  return {};
+};
+
+/**
+ * Apollo Server plugin applying `createComplexityRule` with the request's
+ * variables, and reporting the measurement as `extensions.cost` on every
+ * response (including rejected ones).
+ */
+export const createComplexityPlugin = ({
+  maxDepth = MAX_QUERY_DEPTH,
+  maxCost = MAX_QUERY_COST,
+  defaultListSize = DEFAULT_LIST_SIZE,
+  unboundedListSize = UNBOUNDED_LIST_SIZE,
+} = {}) => ({
+  async requestDidStart() {
+    let measured;
+    return {
+      async didResolveOperation({ schema, document, request, operationName }) {
+        const errors = validate(schema, document, [
+          createComplexityRule({
+            maxDepth,
+            maxCost,
+            defaultListSize,
+            unboundedListSize,
+            operationName,
+            variables: request.variables,
+            onMeasured: (result) => {
+              measured = result;
+            },
+          }),
+        ]);
+        if (errors.length > 0) {
+          throw errors[0];
+        }
+      },
+      async willSendResponse({ response }) {
+        if (!measured || response.body.kind !== 'single') return;
+        const result = response.body.singleResult;
+        result.extensions = {
+          ...result.extensions,
+          cost: { depth: measured.depth, maxDepth, cost: measured.cost, maxCost },
+        };
+      },
+    };
+  },
+});
@@ -0,0 +1,42 @@
+// -----------------------------
+// Database connection settings
+// -----------------------------
+//
+// Shared by the server and the scripts under scripts/ so every entry point
+// reads the same environment variables with the same defaults.
+
+import path from 'path';
+
+export const postgresConfig = () => ({
+  connectionString: process.env.DATABASE_URL,
+  host: process.env.PGHOST,
+  port: process.env.PGPORT ? Number(process.env.PGPORT) : undefined,
+  user: process.env.PGUSER,
+  password: process.env.PGPASSWORD,
+  database: process.env.PGDATABASE,
+  ssl:
+    process.env.PGSSLMODE && process.env.PGSSLMODE.toLowerCase() === 'require'
+      ? { rejectUnauthorized: false }
+      : undefined,
+});
+
+export const mysqlConfig = () => ({
+  host: process.env.MYSQL_HOST || 'localhost',
+  port: Number(process.env.MYSQL_PORT || 3306),
+  user: process.env.MYSQL_USER || 'appuser',
+  password: process.env.MYSQL_PASSWORD || 'apppass',
+  database: process.env.MYSQL_DATABASE || 'appdb',
+});
+
+export const mysqlPoolConfig = () => ({
+  ...mysqlConfig(),
+  waitForConnections: true,
+  connectionLimit: Number(process.env.MYSQL_CONNECTION_LIMIT || 10),
+  queueLimit: 0,
+});
+
+export const resolveSqlitePath = () => {
+  const defaultSqliteDir = process.env.SQLITE_MOUNT_PATH || process.env.SQLITE_DIR || '.';
+  const defaultSqliteFile = process.env.SQLITE_DB_FILE || 'reviews.db';
+  return path.resolve(process.env.SQLITE_PATH || path.join(defaultSqliteDir, defaultSqliteFile));
+};
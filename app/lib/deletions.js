@@ -0,0 +1,64 @@
+// -----------------------------
+// Cross-store deletes
+// -----------------------------
+//
+// Multi-repository deletes run as sagas (see saga.js): one real transaction
+// per repository, with the deleted nodes logged beforehand so they can be
+// restored if a later step fails. Every step stamps its rows with the saga
+// payload's `deletionId`, so compensating (and restoreAuthor) undeletes
+// exactly those. Sagas logged before deletes were soft carry no deletionId;
+// their rows were really deleted, so compensation inserts the logged
+// snapshots back.
+
+const compensateDelete = (repository, deletionId) => (nodes) =>
+  deletionId ? repository.undelete(deletionId) : repository.restore(nodes);
+
+const deleteBooksStep = (repositories, deleteBooks, deletionId) => ({
+  name: 'books',
+  run: ({ recordUndo }) => deleteBooks({ beforeCommit: recordUndo, deletionId }),
+  compensate: compensateDelete(repositories.books, deletionId),
+});
+
+// Without the reviews repository (the authors and books subgraphs) the
+// reviews step is left to the reviews subgraph, which deletes the reviews
+// once the AUTHOR_DELETED / BOOK_DELETED event arrives.
+const reviewSteps = (repositories, deletionId) =>
+  repositories.reviews
+    ? [
+        {
+          name: 'reviews',
+          run: ({ recordUndo, results }) =>
+            repositories.reviews.deleteByBookIds(results.books.map((book) => book.id), {
+              beforeCommit: recordUndo,
+              deletionId,
+            }),
+          compensate: compensateDelete(repositories.reviews, deletionId),
+        },
+      ]
+    : [];
+
+/**
+ * Defines the `deleteAuthor` and `deleteBook` sagas on `sagas`. Each step
+ * returns the nodes it deleted.
+ */
+export const defineDeleteSagas = (sagas, repositories) => {
+  sagas.define('deleteAuthor', ({ authorId, deletionId }) => [
+    deleteBooksStep(
+      repositories,
+      (options) => repositories.books.deleteByAuthorIds([authorId], options),
+      deletionId
+    ),
+    ...reviewSteps(repositories, deletionId),
+    {
+      name: 'author',
+      run: ({ recordUndo }) =>
+        repositories.authors.deleteByIds([authorId], { beforeCommit: recordUndo, deletionId }),
+      compensate: compensateDelete(repositories.authors, deletionId),
+    },
+  ]);
+
+  sagas.define('deleteBook', ({ bookId, deletionId }) => [
+    deleteBooksStep(repositories, (options) => repositories.books.deleteByIds([bookId], options), deletionId),
+    ...reviewSteps(repositories, deletionId),
+  ]);
+};
@@ -0,0 +1,190 @@
+// -----------------------------
+// Error model
+// -----------------------------
+//
+// Resolvers throw GraphQLErrors built here so clients can branch on
+// `extensions.code`. Anything else that reaches `formatError` is either a
+// store outage (reported as UPSTREAM_UNAVAILABLE with the failing store) or a
+// bug, whose message is masked in production so driver details never leak.
+
+import { HeaderMap } from '@apollo/server';
+import { unwrapResolverError } from '@apollo/server/errors';
+import { GraphQLError } from 'graphql';
+
+export const ErrorCode = {
+  BAD_USER_INPUT: 'BAD_USER_INPUT',
+  NOT_FOUND: 'NOT_FOUND',
+  CONFLICT: 'CONFLICT',
+  UPSTREAM_UNAVAILABLE: 'UPSTREAM_UNAVAILABLE',
+  UNAUTHENTICATED: 'UNAUTHENTICATED',
+  FORBIDDEN: 'FORBIDDEN',
+  RATE_LIMITED: 'RATE_LIMITED',
+  QUERY_TOO_COMPLEX: 'QUERY_TOO_COMPLEX',
+  OPERATION_NOT_ALLOWED: 'OPERATION_NOT_ALLOWED',
+  INTERNAL_SERVER_ERROR: 'INTERNAL_SERVER_ERROR',
+};
+
+/**
+ * `fields` is a list of `{ field, message }`, one per offending input field.
+ */
+export const badUserInput = (message, fields = []) =>
+  new GraphQLError(message, {
+    extensions: { code: ErrorCode.BAD_USER_INPUT, fields },
+  });
+
+export const invalidField = (field, message) => badUserInput(message, [{ field, message }]);
+
+export const notFound = (entity, id) =>
+  new GraphQLError(`${entity} ${id} not found`, {
+    extensions: { code: ErrorCode.NOT_FOUND, entity, id: String(id) },
+  });
+
+export const conflict = (message, details = {}) =>
+  new GraphQLError(message, {
+    extensions: { code: ErrorCode.CONFLICT, ...details },
+  });
+
+export const unauthenticated = (message) =>
+  new GraphQLError(message, {
+    extensions: { code: ErrorCode.UNAUTHENTICATED, http: { status: 401 } },
+  });
+
+export const forbidden = (message) =>
+  new GraphQLError(message, {
+    extensions: { code: ErrorCode.FORBIDDEN, http: { status: 403 } },
+  });
+
+/**
+ * `details.retryAfter` (seconds) is also sent as the Retry-After header.
+ */
+export const rateLimited = (message, details) =>
+  new GraphQLError(message, {
+    extensions: {
+      code: ErrorCode.RATE_LIMITED,
+      ...details,
+      http: { status: 429, headers: new HeaderMap([['retry-after', String(details.retryAfter)]]) },
+    },
+  });
+
+// -----------------------------
+// Store failures
+// -----------------------------
+
+// Driver error codes that mean "the store could not be reached or is refusing
+// work", as opposed to a bad query.
+const UNAVAILABLE_CODES = new Set([
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'ETIMEDOUT',
+  'ENOTFOUND',
+  'EHOSTUNREACH',
+  'EPIPE',
+  // mysql2
+  'PROTOCOL_CONNECTION_LOST',
+  'ER_CON_COUNT_ERROR',
+  // postgres: connection exceptions, too many connections, shutdown
+  '08000',
+  '08001',
+  '08003',
+  '08006',
+  '53300',
+  '57P01',
+  '57P02',
+  '57P03',
+  // sqlite
+  'SQLITE_BUSY',
+  'SQLITE_LOCKED',
+  'SQLITE_CANTOPEN',
+  'SQLITE_IOERR',
+]);
+
+// pg-pool reports connect timeouts and dropped connections without a code.
+const UNAVAILABLE_MESSAGES = /timeout exceeded when trying to connect|Connection terminated/i;
+
+/**
+ * Wraps a promise-returning function so rejections carry `store`, letting
+ * `formatError` name the store that failed. Callback-style calls (which
+ * return nothing) pass straight through.
+ */
+export const tagStoreErrors = (store, fn) =>
+  (...args) => {
+    const result = fn(...args);
+    if (!result || typeof result.then !== 'function') {
+      return result;
+    }
+    return result.catch((err) => {
+      if (err && typeof err === 'object' && !err.store) {
+        err.store = store;
+      }
+      throw err;
+    });
+  };
+
+/**
+ * Replaces `methods` on a connection pool with `tagStoreErrors` wrappers.
+ */
+export const tagPoolErrors = (store, pool, methods) => {
+  for (const method of methods) {
+    pool[method] = tagStoreErrors(store, pool[method].bind(pool));
+  }
+  return pool;
+};
+
+const failedStore = (err) => {
+  if (!err || typeof err !== 'object') return null;
+  const causes = err instanceof AggregateError ? err.errors : [err];
+  for (const cause of causes) {
+    const code = cause?.code === undefined ? undefined : String(cause.code);
+    const unavailable =
+      (code && UNAVAILABLE_CODES.has(code)) || UNAVAILABLE_MESSAGES.test(cause?.message ?? '');
+    if (!unavailable) continue;
+    if (cause.store ?? err.store) return cause.store ?? err.store;
+    if (code?.startsWith('SQLITE_')) return 'sqlite';
+  }
+  return null;
+};
+
+// -----------------------------
+// formatError
+// -----------------------------
+
+/**
+ * Builds Apollo's `formatError` hook. Also used for subscription results,
+ * where `extensions.code` is missing on unexpected errors.
+ */
+export const createFormatError = ({
+  maskInternalErrors = process.env.NODE_ENV === 'production',
+  log = console.error,
+} = {}) => (formattedError, error) => {
+  const original = unwrapResolverError(error);
+  const { locations, path } = formattedError;
+
+  const store = failedStore(original);
+  if (store) {
+    log(`❌ ${store} unavailable:`, original?.message ?? original);
+    return {
+      message: `The ${store} store is currently unavailable`,
+      locations,
+      path,
+      extensions: { code: ErrorCode.UPSTREAM_UNAVAILABLE, store },
+    };
+  }
+
+  const code = formattedError.extensions?.code;
+  if (code !== undefined && code !== ErrorCode.INTERNAL_SERVER_ERROR) {
+    return formattedError;
+  }
+  log('❌ Unexpected error:', original);
+  if (!maskInternalErrors) {
+    return {
+      ...formattedError,
+      extensions: { ...formattedError.extensions, code: ErrorCode.INTERNAL_SERVER_ERROR },
+    };
+  }
+  return {
+    message: 'Internal server error',
+    locations,
+    path,
+    extensions: { code: ErrorCode.INTERNAL_SERVER_ERROR },
+  };
+};
@@ -0,0 +1,97 @@
+// -----------------------------
+// Federation subgraphs
+// -----------------------------
+//
+// The schema is written as one module per entity. The monolith merges them
+// into a single schema; with SUBGRAPH=authors|books|reviews the server
+// instead serves one module as a Federation 2 subgraph, and gateway.js
+// composes the three. Each module owns its entity (`@key(fields: "id")`) and
+// adds the fields it can resolve to the other entities.
+//
+// A subgraph only builds the repositories listed for it below (and so only
+// connects to the engines behind them). The reviews repository (and the
+// reviewers one beside it) lives with the reviews subgraph alone, so review
+// cleanup after author and book deletes happens there, driven by pub/sub
+// events.
+
+import { buildSubgraphSchema } from '@apollo/subgraph';
+import { mergeResolvers, mergeTypeDefs } from '@graphql-tools/merge';
+import { makeExecutableSchema } from '@graphql-tools/schema';
+import { parse } from 'graphql';
+
+export const ENTITIES = ['authors', 'books', 'reviews', 'reviewers'];
+
+export const SUBGRAPHS = {
+  // Books for the deleteAuthor saga's books step.
+  authors: { repositories: ['authors', 'books'], port: 4001 },
+  // Authors to check that a book's author exists.
+  books: { repositories: ['books', 'authors'], port: 4002 },
+  // Books to check books and to roll ratings up per author.
+  reviews: { repositories: ['reviews', 'reviewers', 'books'], port: 4003 },
+};
+
+const FEDERATION_LINK = `#graphql
+  extend schema @link(url: "https://specs.apollo.dev/federation/v2.7", import: ["@key", "@shareable"])
+`;
+
+// The monolith has no gateway to interpret these; they only need to exist so
+// the module SDL is valid.
+const federationDirectiveTypeDefs = `#graphql
+  directive @key(fields: String!, resolvable: Boolean = true) repeatable on OBJECT | INTERFACE
+  directive @shareable repeatable on OBJECT | FIELD_DEFINITION
+`;
+
+/**
+ * Validates a SUBGRAPH value. Returns null for the monolith.
+ */
+export const resolveSubgraph = (name = process.env.SUBGRAPH) => {
+  if (!name) return null;
+  if (!SUBGRAPHS[name]) {
+    throw new Error(`Unknown SUBGRAPH: ${name} (expected ${Object.keys(SUBGRAPHS).join(', ')})`);
+  }
+  return name;
+};
+
+export const repositoriesFor = (subgraph) => (subgraph ? SUBGRAPHS[subgraph].repositories : ENTITIES);
+
+/**
+ * Builds the executable schema. `modules` maps a subgraph name to its
+ * `{ typeDefs, resolvers }`; modules under any other name are merged into
+ * the monolith only. `sharedTypeDefs` and `sharedResolvers` (scalars, for
+ * instance) are included everywhere.
+ */
+export const buildStoreSchema = ({ subgraph, sharedTypeDefs, sharedResolvers = {}, modules }) => {
+  if (!subgraph) {
+    const all = Object.values(modules);
+    return makeExecutableSchema({
+      typeDefs: mergeTypeDefs([
+        federationDirectiveTypeDefs,
+        ...sharedTypeDefs,
+        ...all.map((module) => module.typeDefs),
+      ]),
+      resolvers: mergeResolvers([sharedResolvers, ...all.map((module) => module.resolvers)]),
+    });
+  }
+  const { typeDefs, resolvers } = modules[subgraph];
+  return buildSubgraphSchema({
+    typeDefs: parse([FEDERATION_LINK, ...sharedTypeDefs, typeDefs].join('\n')),
+    resolvers: mergeResolvers([sharedResolvers, resolvers]),
+  });
+};
+
+/**
+ * Apollo plugin for subgraphs. The gateway treats any non-2xx subgraph
+ * response as a failed fetch and drops its errors, so errors keep their codes
+ * but not the HTTP statuses some of them ask for (401, 403, ...).
+ */
+export const subgraphResponsePlugin = {
+  async requestDidStart() {
+    return {
+      async willSendResponse({ response }) {
+        if (response.body.kind === 'single' && response.body.singleResult.errors) {
+          response.http.status = 200;
+        }
+      },
+    };
+  },
+};
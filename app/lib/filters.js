@@ -0,0 +1,277 @@
+// -----------------------------
+// where / orderBy compilation
+// -----------------------------
+//
+// Each compiler turns a GraphQL `*WhereInput` into a list of SQL conditions
+// whose values are bound through the supplied param list, so the same code
+// serves pg (`$n`) and mysql2/sqlite (`?`).
+
+import { invalidField } from './errors.js';
+import { LIKE_ESCAPE, escapeLike } from './sql.js';
+import { isValidDate } from './validation.js';
+
+const isProvided = (value) => value !== undefined && value !== null;
+
+const assertDate = (name, value) => {
+  if (!isValidDate(value)) {
+    throw invalidField(name, `${name} must be a date in YYYY-MM-DD format`);
+  }
+};
+
+const compileDateRange = (conditions, params, column, name, range) => {
+  if (!range) return;
+  if (isProvided(range.from)) {
+    assertDate(`${name}.from`, range.from);
+    conditions.push(`${column} >= ${params.add(range.from)}`);
+  }
+  if (isProvided(range.to)) {
+    assertDate(`${name}.to`, range.to);
+    conditions.push(`${column} <= ${params.add(range.to)}`);
+  }
+};
+
+const compileIntRange = (conditions, params, column, name, range) => {
+  if (!range) return;
+  if (isProvided(range.min) && isProvided(range.max) && range.min > range.max) {
+    throw invalidField(name, `${name}.min must not be greater than ${name}.max`);
+  }
+  if (isProvided(range.min)) {
+    conditions.push(`${column} >= ${params.add(range.min)}`);
+  }
+  if (isProvided(range.max)) {
+    conditions.push(`${column} <= ${params.add(range.max)}`);
+  }
+};
+
+const parseId = (name, value) => {
+  const id = Number(value);
+  if (!Number.isInteger(id) || id <= 0) {
+    throw invalidField(name, `${name} must be a positive integer`);
+  }
+  return id;
+};
+
+const compileId = (conditions, params, column, name, value) => {
+  if (!isProvided(value)) return;
+  conditions.push(`${column} = ${params.add(parseId(name, value))}`);
+};
+
+const compileLike = (conditions, params, column, pattern) => {
+  conditions.push(`${column} ${params.dialect.like} ${params.add(pattern)} ${LIKE_ESCAPE}`);
+};
+
+export const compileAuthorWhere = (where, params) => {
+  const conditions = [];
+  if (!where) return conditions;
+  if (isProvided(where.nationality)) {
+    conditions.push(`LOWER(nationality) = LOWER(${params.add(where.nationality.trim())})`);
+  }
+  if (isProvided(where.lastnameStartsWith)) {
+    compileLike(conditions, params, 'lastname', `${escapeLike(where.lastnameStartsWith)}%`);
+  }
+  compileDateRange(conditions, params, 'birthdate', 'birthdate', where.birthdate);
+  compileDateRange(conditions, params, 'deathdate', 'deathdate', where.deathdate);
+  return conditions;
+};
+
+export const compileBookWhere = (where, params) => {
+  const conditions = [];
+  if (!where) return conditions;
+  compileId(conditions, params, 'author_id', 'authorId', where.authorId);
+  if (isProvided(where.titleContains)) {
+    compileLike(conditions, params, 'title', `%${escapeLike(where.titleContains)}%`);
+  }
+  if (isProvided(where.isbn)) {
+    const isbn = where.isbn.replace(/[\s-]/g, '');
+    conditions.push(`REPLACE(isbn, '-', '') = ${params.add(isbn)}`);
+  }
+  compileDateRange(conditions, params, 'publicationdate', 'publicationDate', where.publicationDate);
+  return conditions;
+};
+
+export const compileReviewWhere = (where, params) => {
+  const conditions = [];
+  if (!where) return conditions;
+  compileId(conditions, params, 'book_id', 'bookId', where.bookId);
+  compileId(conditions, params, 'reviewer_id', 'reviewerId', where.reviewerId);
+  compileIntRange(conditions, params, 'rating', 'rating', where.rating);
+  if (isProvided(where.reviewerName)) {
+    conditions.push(`LOWER(reviewername) = LOWER(${params.add(where.reviewerName.trim())})`);
+  }
+  if (isProvided(where.reviewerNameContains)) {
+    compileLike(conditions, params, 'reviewername', `%${escapeLike(where.reviewerNameContains)}%`);
+  }
+  // Not part of ReviewWhereInput: the moderation queue filters on it, with
+  // unpublished reviews included.
+  if (isProvided(where.status)) {
+    conditions.push(`status = ${params.add(where.status)}`);
+  }
+  return conditions;
+};
+
+// There is no ReviewerWhereInput: these are the lookups addReview and the
+// catalog import make, by token subject and by the name of a reviewer that
+// belongs to nobody.
+export const compileReviewerWhere = (where, params) => {
+  const conditions = [];
+  if (!where) return conditions;
+  if (isProvided(where.subject)) {
+    conditions.push(`subject = ${params.add(where.subject)}`);
+  }
+  if (isProvided(where.unclaimedName)) {
+    conditions.push(`name = ${params.add(where.unclaimedName)} AND subject IS NULL`);
+  }
+  return conditions;
+};
+
+// -----------------------------
+// In-memory matching
+// -----------------------------
+//
+// The memory repositories filter mapped nodes instead of rows. Each matcher
+// mirrors its SQL compiler above (same validation errors, NULL never matches
+// a comparison) and returns a predicate over nodes.
+
+const matchDateRange = (tests, field, name, range) => {
+  if (!range) return;
+  if (isProvided(range.from)) {
+    assertDate(`${name}.from`, range.from);
+    tests.push((node) => node[field] !== null && node[field] >= range.from);
+  }
+  if (isProvided(range.to)) {
+    assertDate(`${name}.to`, range.to);
+    tests.push((node) => node[field] !== null && node[field] <= range.to);
+  }
+};
+
+const matchIntRange = (tests, field, name, range) => {
+  if (!range) return;
+  if (isProvided(range.min) && isProvided(range.max) && range.min > range.max) {
+    throw invalidField(name, `${name}.min must not be greater than ${name}.max`);
+  }
+  if (isProvided(range.min)) {
+    tests.push((node) => node[field] >= range.min);
+  }
+  if (isProvided(range.max)) {
+    tests.push((node) => node[field] <= range.max);
+  }
+};
+
+const matchId = (tests, field, name, value) => {
+  if (!isProvided(value)) return;
+  const id = String(parseId(name, value));
+  tests.push((node) => node[field] === id);
+};
+
+const lower = (value) => (value ?? '').toLowerCase();
+
+const predicate = (tests) => (node) => tests.every((test) => test(node));
+
+export const matchAuthorWhere = (where) => {
+  const tests = [];
+  if (!where) return predicate(tests);
+  if (isProvided(where.nationality)) {
+    const nationality = lower(where.nationality.trim());
+    tests.push((author) => author.nationality !== null && lower(author.nationality) === nationality);
+  }
+  if (isProvided(where.lastnameStartsWith)) {
+    const prefix = lower(where.lastnameStartsWith);
+    tests.push((author) => lower(author.lastname).startsWith(prefix));
+  }
+  matchDateRange(tests, 'birthdate', 'birthdate', where.birthdate);
+  matchDateRange(tests, 'deathdate', 'deathdate', where.deathdate);
+  return predicate(tests);
+};
+
+export const matchBookWhere = (where) => {
+  const tests = [];
+  if (!where) return predicate(tests);
+  matchId(tests, 'authorId', 'authorId', where.authorId);
+  if (isProvided(where.titleContains)) {
+    const fragment = lower(where.titleContains);
+    tests.push((book) => lower(book.title).includes(fragment));
+  }
+  if (isProvided(where.isbn)) {
+    const isbn = where.isbn.replace(/[\s-]/g, '');
+    tests.push((book) => book.isbn !== null && book.isbn.replace(/-/g, '') === isbn);
+  }
+  matchDateRange(tests, 'publicationDate', 'publicationDate', where.publicationDate);
+  return predicate(tests);
+};
+
+export const matchReviewWhere = (where) => {
+  const tests = [];
+  if (!where) return predicate(tests);
+  matchId(tests, 'bookId', 'bookId', where.bookId);
+  matchId(tests, 'reviewerId', 'reviewerId', where.reviewerId);
+  matchIntRange(tests, 'rating', 'rating', where.rating);
+  if (isProvided(where.reviewerName)) {
+    const name = lower(where.reviewerName.trim());
+    tests.push((review) => lower(review.reviewerName) === name);
+  }
+  if (isProvided(where.reviewerNameContains)) {
+    const fragment = lower(where.reviewerNameContains);
+    tests.push((review) => lower(review.reviewerName).includes(fragment));
+  }
+  if (isProvided(where.status)) {
+    tests.push((review) => review.status === where.status);
+  }
+  return predicate(tests);
+};
+
+export const matchReviewerWhere = (where) => {
+  const tests = [];
+  if (!where) return predicate(tests);
+  if (isProvided(where.subject)) {
+    tests.push((reviewer) => reviewer.subject === where.subject);
+  }
+  if (isProvided(where.unclaimedName)) {
+    tests.push((reviewer) => reviewer.name === where.unclaimedName && reviewer.subject === null);
+  }
+  return predicate(tests);
+};
+
+// Maps each `*OrderField` enum value onto the SQL column to sort by and the
+// property of the mapped node that feeds the cursor. `ID` sorts by id alone.
+
+export const AUTHOR_ORDER_FIELDS = {
+  ID: null,
+  FIRSTNAME: { column: 'firstname', field: 'firstname' },
+  LASTNAME: { column: 'lastname', field: 'lastname' },
+  BIRTHDATE: { column: 'birthdate', field: 'birthdate' },
+  DEATHDATE: { column: 'deathdate', field: 'deathdate' },
+  DATE_CREATED: { column: 'datecreated', field: 'dateCreated' },
+};
+
+export const BOOK_ORDER_FIELDS = {
+  ID: null,
+  TITLE: { column: 'title', field: 'title' },
+  PUBLICATION_DATE: { column: 'publicationdate', field: 'publicationDate' },
+};
+
+export const REVIEW_ORDER_FIELDS = {
+  ID: null,
+  RATING: { column: 'rating', field: 'rating' },
+  REVIEWER_NAME: { column: 'reviewername', field: 'reviewerName' },
+};
+
+export const REVIEWER_ORDER_FIELDS = {
+  ID: null,
+};
+
+/**
+ * Resolves an `*OrderByInput` into `{ key, column, field, direction }`.
+ */
+export const resolveOrder = (orderBy, fields) => {
+  const key = orderBy?.field ?? 'ID';
+  const spec = fields[key];
+  if (spec === undefined) {
+    throw invalidField('orderBy.field', `Unsupported order field: ${key}`);
+  }
+  return {
+    key,
+    column: spec?.column ?? null,
+    field: spec?.field ?? null,
+    direction: orderBy?.direction === 'DESC' ? 'DESC' : 'ASC',
+  };
+};
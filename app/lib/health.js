@@ -0,0 +1,39 @@
+// -----------------------------
+// Liveness & readiness
+// -----------------------------
+//
+// /healthz only says the process is serving HTTP. /readyz runs one cheap
+// check per store and reports each separately, so a probe failure names the
+// database at fault.
+
+export const READINESS_TIMEOUT_MS = Number(process.env.READINESS_TIMEOUT_MS || 2000);
+
+const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * `checks` maps a store name to an async function that throws when the store
+ * is not usable. The returned `readiness()` resolves to
+ * `{ status: 'ok' | 'unavailable', stores: { [name]: { status, latencyMs, error? } } }`.
+ */
+export const createReadinessCheck = (checks, { timeoutMs = READINESS_TIMEOUT_MS } = {}) => async () => {
+  const entries = await Promise.all(
+    Object.entries(checks).map(async ([store, check]) => {
+      const startedAt = Date.now();
+      try {
+        await withTimeout(Promise.resolve().then(check), timeoutMs);
+        return [store, { status: 'up', latencyMs: Date.now() - startedAt }];
+      } catch (err) {
+        return [store, { status: 'down', latencyMs: Date.now() - startedAt, error: err.message }];
+      }
+    })
+  );
+  const stores = Object.fromEntries(entries);
+  const ready = entries.every(([, result]) => result.status === 'up');
+  return { status: ready ? 'ok' : 'unavailable', stores };
+};
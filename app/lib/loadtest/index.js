@@ -0,0 +1,9 @@
+// -----------------------------
+// Load testing
+// -----------------------------
+//
+// Scenario-driven load generator used by scripts/load-test.js.
+
+export { loadScenario, parseDuration, resolveVariables } from './scenario.js';
+export { requestsDue, runScenario, scenarioDurationMs } from './runner.js';
+export { buildReport, compareReports, formatComparison, formatReport } from './report.js';
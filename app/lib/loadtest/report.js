@@ -0,0 +1,184 @@
+// -----------------------------
+// Load-test reports
+// -----------------------------
+//
+// A report is plain JSON with a fixed key order and rounded numbers, so two
+// runs of the same scenario can be diffed directly, or with compareReports.
+// Latencies cover every completed request, failed ones included; dropped
+// requests (see runner.js) were never sent and count in neither.
+
+const PERCENTILES = [50, 90, 95, 99];
+
+const round = (value, places = 1) => {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+};
+
+// Nearest-rank percentile of an ascending list.
+const percentile = (sorted, p) => sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+
+const summarizeLatencies = (latencies) => {
+  if (latencies.length === 0) return null;
+  const sorted = Float64Array.from(latencies).sort();
+  const summary = {};
+  for (const p of PERCENTILES) summary[`p${p}`] = round(percentile(sorted, p));
+  summary.max = round(sorted[sorted.length - 1]);
+  summary.mean = round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length);
+  return summary;
+};
+
+const sortKeys = (object) =>
+  Object.fromEntries(Object.keys(object).sort().map((key) => [key, object[key]]));
+
+const summarize = ({ latencies, errors, dropped }, seconds) => {
+  const failed = Object.values(errors).reduce((sum, count) => sum + count, 0);
+  return {
+    requests: latencies.length,
+    succeeded: latencies.length - failed,
+    failed,
+    dropped,
+    errorRate: latencies.length === 0 ? 0 : round(failed / latencies.length, 4),
+    throughput: round(latencies.length / seconds, 2),
+    latencyMs: summarizeLatencies(latencies),
+    errors: sortKeys(errors),
+  };
+};
+
+const mergeErrors = (list) => {
+  const merged = {};
+  for (const errors of list) {
+    for (const [code, count] of Object.entries(errors)) merged[code] = (merged[code] ?? 0) + count;
+  }
+  return merged;
+};
+
+/**
+ * Builds the report of a runScenario result.
+ */
+export const buildReport = (scenario, run, { url }) => {
+  const seconds = run.durationMs / 1000;
+  const operations = Object.values(run.operations);
+  const totals = summarize(
+    {
+      latencies: operations.flatMap((stats) => stats.latencies),
+      errors: mergeErrors(operations.map((stats) => stats.errors)),
+      dropped: operations.reduce((sum, stats) => sum + stats.dropped, 0),
+    },
+    seconds
+  );
+
+  return {
+    scenario: scenario.name,
+    url,
+    startedAt: run.startedAt.toISOString(),
+    durationSeconds: round(seconds, 2),
+    stages: scenario.stages.map((stage) => ({ durationSeconds: stage.durationMs / 1000, rps: stage.rps })),
+    totals,
+    operations: sortKeys(
+      Object.fromEntries(
+        Object.entries(run.operations).map(([name, stats]) => [name, summarize(stats, seconds)])
+      )
+    ),
+    // Grouped by when requests were sent, which is what an autoscaler reacts to.
+    timeline: run.timeline.map((interval, index) => ({
+      atSeconds: (index * run.intervalMs) / 1000,
+      sent: interval.sent,
+      failed: interval.failed,
+      dropped: interval.dropped,
+      throughput: round(interval.completed / (run.intervalMs / 1000), 2),
+      p95Ms: interval.latencies.length === 0 ? null : summarizeLatencies(interval.latencies).p95,
+    })),
+  };
+};
+
+const COMPARED = [
+  ['throughput', (stats) => stats.throughput],
+  ['errorRate', (stats) => stats.errorRate],
+  ['p50Ms', (stats) => stats.latencyMs?.p50 ?? null],
+  ['p95Ms', (stats) => stats.latencyMs?.p95 ?? null],
+  ['p99Ms', (stats) => stats.latencyMs?.p99 ?? null],
+];
+
+/**
+ * Compares two reports, totals first then each operation in either. Returns
+ * `[{ operation, metric, baseline, current, change }]`, `change` being the
+ * relative difference (null when the baseline is 0 or missing).
+ */
+export const compareReports = (baseline, current) => {
+  const names = [...new Set([...Object.keys(baseline.operations), ...Object.keys(current.operations)])].sort();
+  const rows = [];
+  for (const [operation, before, after] of [
+    ['(total)', baseline.totals, current.totals],
+    ...names.map((name) => [name, baseline.operations[name], current.operations[name]]),
+  ]) {
+    for (const [metric, read] of COMPARED) {
+      const from = before ? read(before) : null;
+      const to = after ? read(after) : null;
+      const change = from && to !== null ? round((to - from) / from, 4) : null;
+      rows.push({ operation, metric, baseline: from, current: to, change });
+    }
+  }
+  return rows;
+};
+
+const table = (header, rows) => {
+  const widths = header.map((title, column) =>
+    Math.max(title.length, ...rows.map((row) => String(row[column]).length))
+  );
+  // Names left-aligned, numbers right-aligned.
+  const line = (cells) =>
+    cells
+      .map((cell, column) => (column === 0 ? String(cell).padEnd(widths[0]) : String(cell).padStart(widths[column])))
+      .join('  ');
+  return [line(header), ...rows.map(line)].join('\n');
+};
+
+const percent = (rate) => `${round(rate * 100, 2)}%`;
+const millis = (value) => (value === null || value === undefined ? '-' : String(value));
+
+/**
+ * Formats a report as a text table, one row per operation plus the totals.
+ */
+export const formatReport = (report) => {
+  const rows = [...Object.entries(report.operations), ['(total)', report.totals]].map(([name, stats]) => [
+    name,
+    stats.requests,
+    stats.throughput,
+    percent(stats.errorRate),
+    stats.dropped,
+    millis(stats.latencyMs?.p50),
+    millis(stats.latencyMs?.p90),
+    millis(stats.latencyMs?.p95),
+    millis(stats.latencyMs?.p99),
+    millis(stats.latencyMs?.max),
+  ]);
+  const { scenario, url, totals, durationSeconds } = report;
+  const lines = [
+    `${scenario} against ${url}: ${totals.requests} requests in ${durationSeconds}s`,
+    '',
+    table(
+      ['operation', 'requests', 'req/s', 'errors', 'dropped', 'p50 ms', 'p90 ms', 'p95 ms', 'p99 ms', 'max ms'],
+      rows
+    ),
+  ];
+  const errors = Object.entries(report.totals.errors);
+  if (errors.length > 0) {
+    lines.push('', `Errors: ${errors.map(([code, count]) => `${code} ${count}`).join(', ')}`);
+  }
+  return lines.join('\n');
+};
+
+/**
+ * Formats compareReports rows as a text table.
+ */
+export const formatComparison = (rows) =>
+  table(
+    ['operation', 'metric', 'baseline', 'current', 'change'],
+    rows.map((row) => [
+      row.operation,
+      row.metric,
+      millis(row.baseline),
+      millis(row.current),
+      row.change === null ? '-' : `${row.change > 0 ? '+' : ''}${percent(row.change)}`,
+    ])
+  );
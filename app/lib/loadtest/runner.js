@@ -0,0 +1,168 @@
+// -----------------------------
+// Load generator
+// -----------------------------
+//
+// Open loop: requests start on the scenario's schedule whether or not earlier
+// ones have answered, so a slow server shows up as latency and errors rather
+// than as a lower request rate. When `maxInFlight` requests are already
+// waiting, a due request is counted as dropped instead of sent, which keeps
+// the generator itself from becoming the bottleneck unnoticed.
+
+import { setTimeout as sleep } from 'timers/promises';
+import { resolveVariables } from './scenario.js';
+
+const TICK_MS = 5;
+
+/**
+ * Requests the stages schedule in the first `elapsedMs`: the area under the
+ * rate, which ramps linearly within each stage from the previous stage's rate.
+ */
+export const requestsDue = (stages, elapsedMs) => {
+  let due = 0;
+  let from = 0;
+  let remaining = elapsedMs;
+  for (const stage of stages) {
+    if (remaining <= 0) break;
+    if (stage.durationMs > 0) {
+      const span = Math.min(remaining, stage.durationMs);
+      const to = from + (stage.rps - from) * (span / stage.durationMs);
+      due += ((from + to) / 2) * (span / 1000);
+      remaining -= span;
+    }
+    from = stage.rps;
+  }
+  return due;
+};
+
+export const scenarioDurationMs = (stages) => stages.reduce((total, stage) => total + stage.durationMs, 0);
+
+const createPicker = (operations) => {
+  const total = operations.reduce((sum, operation) => sum + operation.weight, 0);
+  return () => {
+    let point = Math.random() * total;
+    for (const operation of operations) {
+      point -= operation.weight;
+      if (point < 0) return operation;
+    }
+    return operations[operations.length - 1];
+  };
+};
+
+// The first error's code, so a report groups failures by cause.
+const classify = (response, text) => {
+  let payload = null;
+  try {
+    payload = JSON.parse(text);
+  } catch {
+    // Not JSON: a proxy error page, for instance.
+  }
+  if (payload?.errors?.length > 0) return payload.errors[0].extensions?.code ?? 'GRAPHQL_ERROR';
+  if (!response.ok) return `HTTP_${response.status}`;
+  return payload ? null : 'INVALID_RESPONSE';
+};
+
+/**
+ * Runs `scenario` (see scenario.js) against `url`. Operations marked `auth`
+ * send `token` as a bearer token. Aborting `signal` stops scheduling and waits
+ * for the requests in flight. `onProgress` is called every `intervalMs` with
+ * `{ elapsedMs, sent, inFlight, failed, dropped }`.
+ *
+ * Returns `{ startedAt, durationMs, intervalMs, operations, timeline }`:
+ * per operation the latencies (ms) of completed requests, failures by code
+ * and the dropped count; per interval the requests sent and completed.
+ */
+export const runScenario = async (scenario, options) => {
+  const {
+    url,
+    token = null,
+    signal = null,
+    intervalMs = 10_000,
+    onProgress = () => undefined,
+    fetch = globalThis.fetch,
+  } = options;
+  const pick = createPicker(scenario.operations);
+  const operations = Object.fromEntries(
+    scenario.operations.map((operation) => [operation.name, { latencies: [], errors: {}, dropped: 0 }])
+  );
+  const timeline = [];
+  const bucket = (elapsedMs) => {
+    const index = Math.floor(elapsedMs / intervalMs);
+    while (timeline.length <= index) {
+      timeline.push({ sent: 0, completed: 0, failed: 0, dropped: 0, latencies: [] });
+    }
+    return timeline[index];
+  };
+
+  const startedAt = new Date();
+  const start = performance.now();
+  const totalMs = scenarioDurationMs(scenario.stages);
+  const pending = new Set();
+  let sent = 0;
+  let failed = 0;
+  let dropped = 0;
+
+  const send = async (operation, sentAt) => {
+    const headers = { 'content-type': 'application/json' };
+    if (operation.auth && token) headers.authorization = `Bearer ${token}`;
+    const body = JSON.stringify({
+      query: operation.query,
+      variables: resolveVariables(operation.variables, scenario.fixtures),
+    });
+
+    let code;
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers,
+        body,
+        signal: AbortSignal.timeout(scenario.timeoutMs),
+      });
+      code = classify(response, await response.text());
+    } catch (err) {
+      code = err.name === 'TimeoutError' ? 'TIMEOUT' : 'NETWORK_ERROR';
+    }
+
+    const latency = performance.now() - start - sentAt;
+    const stats = operations[operation.name];
+    const interval = bucket(sentAt);
+    stats.latencies.push(latency);
+    interval.latencies.push(latency);
+    interval.completed += 1;
+    if (code) {
+      stats.errors[code] = (stats.errors[code] ?? 0) + 1;
+      interval.failed += 1;
+      failed += 1;
+    }
+  };
+
+  let scheduled = 0;
+  let nextProgress = intervalMs;
+  for (;;) {
+    const elapsedMs = performance.now() - start;
+    if (elapsedMs >= totalMs || signal?.aborted) break;
+
+    const due = Math.floor(requestsDue(scenario.stages, elapsedMs));
+    for (; scheduled < due; scheduled += 1) {
+      const operation = pick();
+      if (pending.size >= scenario.maxInFlight) {
+        operations[operation.name].dropped += 1;
+        bucket(elapsedMs).dropped += 1;
+        dropped += 1;
+        continue;
+      }
+      bucket(elapsedMs).sent += 1;
+      sent += 1;
+      const request = send(operation, elapsedMs).finally(() => pending.delete(request));
+      pending.add(request);
+    }
+
+    if (elapsedMs >= nextProgress) {
+      onProgress({ elapsedMs, sent, inFlight: pending.size, failed, dropped });
+      nextProgress += intervalMs;
+    }
+    await sleep(TICK_MS);
+  }
+
+  await Promise.all(pending);
+  return { startedAt, durationMs: performance.now() - start, intervalMs, operations, timeline };
+};
@@ -0,0 +1,208 @@
+// -----------------------------
+// Load-test scenarios
+// -----------------------------
+//
+// A scenario is a JSON file:
+//
+//   {
+//     "name": "browse",
+//     "stages": [{ "duration": "30s", "rps": 50 }, { "duration": "2m", "rps": 50 }],
+//     "maxInFlight": 200,
+//     "timeout": "10s",
+//     "operations": [
+//       { "name": "BookDetail", "weight": 5, "document": "BookDetail",
+//         "variables": { "id": { "$fixture": "books.id" } } },
+//       { "name": "AddReview", "weight": 1, "auth": true, "query": "mutation (...) { ... }",
+//         "variables": { "rating": { "$int": [1, 5] } } }
+//     ]
+//   }
+//
+// Each stage ramps the request rate linearly from where the previous stage
+// ended (0 at the start) to its `rps`. An operation's text is either inline
+// `query` or `document`, the name of a file in operations/. Variables are
+// literal JSON, except objects with one of these keys, which are drawn anew
+// for every request:
+//
+//   { "$fixture": "books.id" }   a random value of that field in the fixtures
+//   { "$int": [min, max] }       a random integer, bounds included
+//   { "$pick": [a, b, ...] }     a random element
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parse, print } from 'graphql';
+import { ENTITIES, readFixture } from '../repositories/entities.js';
+
+const OPERATIONS_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'operations');
+
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60_000, h: 3_600_000 };
+
+/**
+ * Parses `500ms`, `30s`, `2m` or `1h` (a bare number is seconds) into
+ * milliseconds.
+ */
+export const parseDuration = (value, field = 'duration') => {
+  if (typeof value === 'number' && value >= 0) return value * 1000;
+  const match = /^(\d+(?:\.\d+)?)(ms|s|m|h)$/.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`${field} must be a duration such as 500ms, 30s or 2m (got ${JSON.stringify(value)})`);
+  }
+  return Number(match[1]) * DURATION_UNITS[match[2]];
+};
+
+const randomInt = (min, max) => min + Math.floor(Math.random() * (max - min + 1));
+const randomElement = (list) => list[Math.floor(Math.random() * list.length)];
+
+const GENERATOR_KEYS = ['$fixture', '$int', '$pick'];
+
+const isGenerator = (value) =>
+  value !== null &&
+  typeof value === 'object' &&
+  !Array.isArray(value) &&
+  Object.keys(value).length === 1 &&
+  GENERATOR_KEYS.includes(Object.keys(value)[0]);
+
+/**
+ * Replaces every generator in `template` with a fresh value.
+ */
+export const resolveVariables = (template, fixtures) => {
+  if (isGenerator(template)) {
+    const [[key, argument]] = Object.entries(template);
+    if (key === '$fixture') return randomElement(fixtures.get(argument));
+    if (key === '$int') return randomInt(...argument);
+    return randomElement(argument);
+  }
+  if (Array.isArray(template)) return template.map((item) => resolveVariables(item, fixtures));
+  if (template !== null && typeof template === 'object') {
+    return Object.fromEntries(
+      Object.entries(template).map(([key, value]) => [key, resolveVariables(value, fixtures)])
+    );
+  }
+  return template;
+};
+
+// Collects the generators' arguments so they are checked before the run.
+const collectGenerators = (template, found = []) => {
+  if (isGenerator(template)) {
+    found.push(template);
+  } else if (template !== null && typeof template === 'object') {
+    Object.values(template).forEach((value) => collectGenerators(value, found));
+  }
+  return found;
+};
+
+const loadFixtureValues = async (references) => {
+  const values = new Map();
+  for (const reference of references) {
+    const [entity, field] = reference.split('.');
+    if (!ENTITIES[entity] || !field) {
+      throw new Error(`$fixture must name <${Object.keys(ENTITIES).join('|')}>.<field> (got ${reference})`);
+    }
+    const nodes = await readFixture(ENTITIES[entity]);
+    const list = nodes.map((node) => node[field]).filter((value) => value !== null && value !== undefined);
+    if (list.length === 0) {
+      throw new Error(`$fixture ${reference} has no values`);
+    }
+    values.set(reference, list);
+  }
+  return values;
+};
+
+const checkGenerator = (operation, generator) => {
+  const [[key, argument]] = Object.entries(generator);
+  const fail = (message) => {
+    throw new Error(`Operation ${operation.name}: ${key} ${message}`);
+  };
+  if (key === '$fixture' && typeof argument !== 'string') fail('takes "<entity>.<field>"');
+  const isRange = Array.isArray(argument) && argument.length === 2 && argument.every(Number.isInteger);
+  if (key === '$int' && !(isRange && argument[0] <= argument[1])) fail('takes [min, max] integers');
+  if (key === '$pick' && !(Array.isArray(argument) && argument.length > 0)) fail('takes a non-empty array');
+};
+
+const readSource = (operation, operationsDir) => {
+  if (typeof operation.query === 'string') return operation.query;
+  if (typeof operation.document === 'string') {
+    const file = path.join(operationsDir, `${path.basename(operation.document, '.graphql')}.graphql`);
+    try {
+      return fs.readFileSync(file, 'utf8');
+    } catch (err) {
+      throw new Error(`Operation ${operation.name}: cannot read ${file}: ${err.message}`);
+    }
+  }
+  throw new Error(`Operation ${operation.name}: needs "query" or "document"`);
+};
+
+// Printed the way build-operation-manifest.js prints, so the text matches an
+// allowlist built from the same documents.
+const readDocument = (operation, operationsDir) => {
+  const source = readSource(operation, operationsDir);
+  try {
+    return print(parse(source));
+  } catch (err) {
+    throw new Error(`Operation ${operation.name}: ${err.message}`);
+  }
+};
+
+/**
+ * Reads and checks a scenario file. Returns it with `stages[].durationMs`,
+ * `timeoutMs`, each operation's `query` text, and `fixtures` (the values the
+ * `$fixture` generators draw from).
+ */
+export const loadScenario = async (file, { operationsDir = OPERATIONS_DIR } = {}) => {
+  let raw;
+  try {
+    raw = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Cannot read scenario ${file}: ${err.message}`);
+  }
+
+  if (!Array.isArray(raw.stages) || raw.stages.length === 0) {
+    throw new Error('Scenario needs at least one stage');
+  }
+  const stages = raw.stages.map((stage, index) => {
+    if (typeof stage.rps !== 'number' || stage.rps < 0) {
+      throw new Error(`stages[${index}].rps must be a non-negative number`);
+    }
+    return { rps: stage.rps, durationMs: parseDuration(stage.duration, `stages[${index}].duration`) };
+  });
+
+  if (!Array.isArray(raw.operations) || raw.operations.length === 0) {
+    throw new Error('Scenario needs at least one operation');
+  }
+  const names = new Set();
+  const operations = raw.operations.map((operation, index) => {
+    const name = operation.name ?? operation.document ?? `operation${index + 1}`;
+    if (names.has(name)) throw new Error(`Operation names must be unique (${name} repeats)`);
+    names.add(name);
+    const weight = operation.weight ?? 1;
+    if (typeof weight !== 'number' || weight <= 0) {
+      throw new Error(`Operation ${name}: weight must be a positive number`);
+    }
+    const variables = operation.variables ?? {};
+    collectGenerators(variables).forEach((generator) => checkGenerator({ name }, generator));
+    return {
+      name,
+      weight,
+      auth: Boolean(operation.auth),
+      query: readDocument({ ...operation, name }, operationsDir),
+      variables,
+    };
+  });
+
+  const references = new Set(
+    operations
+      .flatMap((operation) => collectGenerators(operation.variables))
+      .filter((generator) => '$fixture' in generator)
+      .map((generator) => generator.$fixture)
+  );
+
+  return {
+    name: raw.name ?? path.basename(file, '.json'),
+    url: raw.url ?? null,
+    stages,
+    maxInFlight: raw.maxInFlight ?? 256,
+    timeoutMs: parseDuration(raw.timeout ?? '10s', 'timeout'),
+    operations,
+    fixtures: await loadFixtureValues(references),
+  };
+};
@@ -0,0 +1,136 @@
+// -----------------------------
+// Prometheus metrics
+// -----------------------------
+//
+// One registry per process, exposed on /metrics. GraphQL traffic is recorded
+// by an Apollo plugin; DataLoader batch sizes by wrapping batch functions;
+// pool utilization is sampled on every scrape.
+//
+// Operation names come from clients, so labelling by them would add a series
+// for every name anyone sends. Only the operations in the persisted query
+// manifest get a label of their own; other named operations share `other`.
+
+import client from 'prom-client';
+
+const UNNAMED_OPERATION = 'anonymous';
+const OTHER_OPERATION = 'other';
+
+/**
+ * `operationNames` is the set of operation names that are labelled as
+ * themselves (see readOperationNames in persistedQueries.js).
+ */
+export const createMetrics = ({ prefix = 'node_graphql_', operationNames = new Set() } = {}) => {
+  const register = new client.Registry();
+  client.collectDefaultMetrics({ register, prefix });
+
+  const requests = new client.Counter({
+    name: `${prefix}requests_total`,
+    help: 'GraphQL operations handled, by operation name, type and outcome',
+    labelNames: ['operation', 'type', 'status'],
+    registers: [register],
+  });
+
+  const duration = new client.Histogram({
+    name: `${prefix}request_duration_seconds`,
+    help: 'GraphQL operation latency, by operation name and type',
+    labelNames: ['operation', 'type'],
+    buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+    registers: [register],
+  });
+
+  const resolverErrors = new client.Counter({
+    name: `${prefix}resolver_errors_total`,
+    help: 'Errors raised while executing GraphQL fields, by field and error code',
+    labelNames: ['field', 'code'],
+    registers: [register],
+  });
+
+  const batchSize = new client.Histogram({
+    name: `${prefix}dataloader_batch_size`,
+    help: 'Keys per DataLoader batch',
+    labelNames: ['loader'],
+    buckets: [1, 2, 5, 10, 25, 50, 100, 250, 500],
+    registers: [register],
+  });
+
+  const operationLabel = (name) => {
+    if (!name) return UNNAMED_OPERATION;
+    return operationNames.has(name) ? name : OTHER_OPERATION;
+  };
+
+  const pools = new Map();
+
+  new client.Gauge({
+    name: `${prefix}db_pool_connections`,
+    help: 'Database pool connections by store and state (total, idle, waiting)',
+    labelNames: ['store', 'state'],
+    registers: [register],
+    // Sampled on each scrape rather than tracked on every checkout.
+    collect() {
+      for (const [store, sample] of pools) {
+        const { total, idle, waiting } = sample();
+        this.set({ store, state: 'total' }, total);
+        this.set({ store, state: 'idle' }, idle);
+        this.set({ store, state: 'waiting' }, waiting);
+      }
+    },
+  });
+
+  /**
+   * Wraps a DataLoader batch function so every batch records its size.
+   */
+  const observeBatch = (loader, batchFn) => (keys) => {
+    batchSize.observe({ loader }, keys.length);
+    return batchFn(keys);
+  };
+
+  /**
+   * Registers `sample()`, which returns `{ total, idle, waiting }` for the
+   * named store's connection pool.
+   */
+  const trackPool = (store, sample) => {
+    pools.set(store, sample);
+  };
+
+  /**
+   * Apollo Server plugin recording per-operation counts, latency and
+   * per-field errors.
+   */
+  const apolloPlugin = {
+    async requestDidStart() {
+      const startedAt = process.hrtime.bigint();
+      return {
+        async didEncounterErrors({ errors }) {
+          for (const error of errors) {
+            if (!error.path) continue;
+            resolverErrors.inc({
+              field: error.path.filter((segment) => typeof segment === 'string').join('.'),
+              code: error.extensions?.code ?? 'INTERNAL_SERVER_ERROR',
+            });
+          }
+        },
+        async willSendResponse({ operation, operationName, errors, response }) {
+          // Requests rejected before parsing have no operation to label.
+          const labels = {
+            operation: operationLabel(operationName ?? operation?.name?.value),
+            type: operation?.operation ?? 'unknown',
+          };
+          const hasErrors =
+            (errors?.length ?? 0) > 0 ||
+            (response.body.kind === 'single' && (response.body.singleResult.errors?.length ?? 0) > 0);
+          requests.inc({ ...labels, status: hasErrors ? 'error' : 'ok' });
+          duration.observe(labels, Number(process.hrtime.bigint() - startedAt) / 1e9);
+        },
+      };
+    },
+  };
+
+  return {
+    register,
+    observeBatch,
+    trackPool,
+    apolloPlugin,
+    contentType: register.contentType,
+    render: () => register.metrics(),
+  };
+};
@@ -0,0 +1,269 @@
+// -----------------------------
+// Versioned schema migrations
+// -----------------------------
+//
+// Migrations live in migrations/<store>/NNN_description.js and export `up`
+// and `down` arrays of SQL statements. Each store records what has been
+// applied in its own `schema_migrations` table. Postgres and SQLite apply a
+// migration and its bookkeeping row in one transaction; MySQL commits DDL
+// implicitly, so a MySQL migration that fails halfway must be fixed by hand.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import {
+  openSqliteConnection,
+  withMysqlTransaction,
+  withPgTransaction,
+  withSqliteTransaction,
+} from './transactions.js';
+
+export const STORES = ['postgres', 'mysql', 'sqlite'];
+
+const MIGRATIONS_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'migrations');
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+const LOCK_NAME = 'node_graphql_schema_migrations';
+// Arbitrary constant key for pg_advisory_lock.
+const PG_LOCK_KEY = 731_004_117;
+
+export const loadMigrations = async (store) => {
+  const dir = path.join(MIGRATIONS_DIR, store);
+  const files = (await fs.promises.readdir(dir)).filter((file) => MIGRATION_FILE.test(file));
+
+  const migrations = await Promise.all(
+    files.map(async (file) => {
+      const [, version, description] = file.match(MIGRATION_FILE);
+      const module = await import(pathToFileURL(path.join(dir, file)).href);
+      if (!Array.isArray(module.up) || !Array.isArray(module.down)) {
+        throw new Error(`Migration ${store}/${file} must export "up" and "down" statement arrays`);
+      }
+      return {
+        version: Number(version),
+        name: `${version}_${description}`,
+        up: module.up,
+        down: module.down,
+      };
+    })
+  );
+
+  migrations.sort((a, b) => a.version - b.version);
+  for (let index = 1; index < migrations.length; index += 1) {
+    if (migrations[index].version === migrations[index - 1].version) {
+      throw new Error(`Duplicate ${store} migration version ${migrations[index].version}`);
+    }
+  }
+  return migrations;
+};
+
+// -----------------------------
+// Store executors
+// -----------------------------
+
+export const createPostgresExecutor = (pool) => ({
+  store: 'postgres',
+  ensureTable: () =>
+    pool.query(`CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )`),
+  applied: async () =>
+    (await pool.query('SELECT version, name FROM schema_migrations ORDER BY version')).rows,
+  apply: (migration, direction) =>
+    withPgTransaction(pool, async (client) => {
+      for (const statement of migration[direction]) {
+        await client.query(statement);
+      }
+      if (direction === 'up') {
+        await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [
+          migration.version,
+          migration.name,
+        ]);
+      } else {
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+      }
+    }),
+  withLock: async (work) => {
+    const client = await pool.connect();
+    try {
+      await client.query('SELECT pg_advisory_lock($1)', [PG_LOCK_KEY]);
+      return await work();
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [PG_LOCK_KEY]).catch(() => undefined);
+      client.release();
+    }
+  },
+});
+
+export const createMysqlExecutor = (pool) => ({
+  store: 'mysql',
+  ensureTable: () =>
+    pool.query(`CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INT PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB`),
+  applied: async () => {
+    const [rows] = await pool.query('SELECT version, name FROM schema_migrations ORDER BY version');
+    return rows;
+  },
+  apply: (migration, direction) =>
+    withMysqlTransaction(pool, async (connection) => {
+      for (const statement of migration[direction]) {
+        await connection.query(statement);
+      }
+      if (direction === 'up') {
+        await connection.query('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [
+          migration.version,
+          migration.name,
+        ]);
+      } else {
+        await connection.query('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+      }
+    }),
+  withLock: async (work) => {
+    const connection = await pool.getConnection();
+    try {
+      const [rows] = await connection.query('SELECT GET_LOCK(?, 60) AS acquired', [LOCK_NAME]);
+      if (Number(rows[0]?.acquired) !== 1) {
+        throw new Error('Timed out waiting for the MySQL migration lock');
+      }
+      return await work();
+    } finally {
+      await connection.query('SELECT RELEASE_LOCK(?)', [LOCK_NAME]).catch(() => undefined);
+      connection.release();
+    }
+  },
+});
+
+export const createSqliteExecutor = (filePath) => {
+  const withConnection = async (work) => {
+    const db = await openSqliteConnection(filePath);
+    try {
+      return await work(db);
+    } finally {
+      await db.close().catch(() => undefined);
+    }
+  };
+
+  return {
+    store: 'sqlite',
+    ensureTable: () =>
+      withConnection((db) =>
+        db.run(`CREATE TABLE IF NOT EXISTS schema_migrations (
+          version INTEGER PRIMARY KEY,
+          name TEXT NOT NULL,
+          applied_at TEXT NOT NULL DEFAULT (datetime('now'))
+        )`)
+      ),
+    applied: () =>
+      withConnection((db) => db.all('SELECT version, name FROM schema_migrations ORDER BY version')),
+    apply: (migration, direction) =>
+      withSqliteTransaction(filePath, async (db) => {
+        for (const statement of migration[direction]) {
+          await db.run(statement);
+        }
+        if (direction === 'up') {
+          await db.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [
+            migration.version,
+            migration.name,
+          ]);
+        } else {
+          await db.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+        }
+      }),
+    // Each migration takes SQLite's write lock through BEGIN IMMEDIATE.
+    withLock: (work) => work(),
+  };
+};
+
+// -----------------------------
+// Runner
+// -----------------------------
+
+/**
+ * Returns every known migration flagged with whether it has been applied,
+ * plus the pending ones and any applied versions with no file on disk.
+ */
+export const migrationStatus = async (executor) => {
+  await executor.ensureTable();
+  const migrations = await loadMigrations(executor.store);
+  const appliedVersions = new Set((await executor.applied()).map((row) => Number(row.version)));
+  const knownVersions = new Set(migrations.map((migration) => migration.version));
+  return {
+    store: executor.store,
+    migrations: migrations.map((migration) => ({
+      ...migration,
+      applied: appliedVersions.has(migration.version),
+    })),
+    pending: migrations.filter((migration) => !appliedVersions.has(migration.version)),
+    unknown: [...appliedVersions].filter((version) => !knownVersions.has(version)),
+  };
+};
+
+export const migrateUp = (executor, { log = console.log } = {}) =>
+  executor.withLock(async () => {
+    const { pending } = await migrationStatus(executor);
+    for (const migration of pending) {
+      await executor.apply(migration, 'up');
+      log(`✅ ${executor.store}: applied ${migration.name}`);
+    }
+    return pending;
+  });
+
+export const migrateDown = (executor, { steps = 1, log = console.log } = {}) =>
+  executor.withLock(async () => {
+    const { migrations, unknown } = await migrationStatus(executor);
+    if (unknown.length > 0) {
+      throw new Error(
+        `${executor.store}: applied migrations ${unknown.join(', ')} have no file; refusing to roll back`
+      );
+    }
+    const toRevert = migrations
+      .filter((migration) => migration.applied)
+      .reverse()
+      .slice(0, steps);
+    for (const migration of toRevert) {
+      await executor.apply(migration, 'down');
+      log(`↩️ ${executor.store}: reverted ${migration.name}`);
+    }
+    return toRevert;
+  });
+
+/**
+ * Startup check: migrates the stores listed in `autoMigrate` and throws if any
+ * other store is behind, so the server never runs against an older schema.
+ */
+export const ensureSchemaCurrent = async (executors, { autoMigrate = [] } = {}) => {
+  const behind = [];
+  for (const executor of executors) {
+    if (autoMigrate.includes(executor.store)) {
+      await migrateUp(executor);
+      continue;
+    }
+    const { pending } = await migrationStatus(executor);
+    if (pending.length > 0) {
+      behind.push(`${executor.store} (${pending.map((migration) => migration.name).join(', ')})`);
+    }
+  }
+  if (behind.length > 0) {
+    throw new Error(`Pending migrations for ${behind.join('; ')}. Run "npm run migrate" first.`);
+  }
+};
+
+/**
+ * Parses MIGRATE_ON_START: `true`/`all`, `false`/`none`, or a comma separated
+ * list of stores.
+ */
+export const parseAutoMigrate = (value) => {
+  const normalized = (value ?? '').trim().toLowerCase();
+  if (normalized === 'true' || normalized === 'all') return [...STORES];
+  if (normalized === '' || normalized === 'false' || normalized === 'none') return [];
+  const stores = normalized.split(',').map((store) => store.trim()).filter(Boolean);
+  for (const store of stores) {
+    if (!STORES.includes(store)) {
+      throw new Error(`Unknown store in MIGRATE_ON_START: ${store}`);
+    }
+  }
+  return stores;
+};
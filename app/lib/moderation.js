@@ -0,0 +1,125 @@
+// -----------------------------
+// Review submission checks
+// -----------------------------
+//
+// addReview checks a review twice before storing it:
+//
+//   duplicates  the same reviewer (for reviews without one, the same name,
+//               ignoring case and spacing) already reviewed the book with a
+//               near-identical comment: their words overlap by at least
+//               REVIEW_DUPLICATE_SIMILARITY (Jaccard index, 0.9 by default).
+//               Held reviews count too, so resubmitting a held review does
+//               not queue a second copy.
+//   moderation  a hook decides whether the review is APPROVED (public at
+//               once), held as PENDING for a moderator (see moderationQueue)
+//               or REJECTED outright. Either way it is stored, hidden from
+//               public reads.
+//
+// REVIEW_MODERATION picks the hook:
+//
+//   none            approves everything (default)
+//   keywords        holds reviews containing a link or one of the
+//                   comma-separated REVIEW_MODERATION_KEYWORDS
+//   module:<path>   the default export of that ES module (resolved from the
+//                   working directory), called as
+//                   `hook({ bookId, reviewerId, reviewerName, rating, comment }, { user })`
+//                   and resolving to `{ status, reason }`
+//
+// A hook that throws or answers with no valid status holds the review: a
+// broken moderator must not publish everything.
+
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { REVIEW_STATUS } from './repositories/entities.js';
+
+export const REVIEW_DUPLICATE_SIMILARITY = Number(process.env.REVIEW_DUPLICATE_SIMILARITY || 0.9);
+
+const WORD = /[\p{L}\p{N}]+/gu;
+const LINK = /\bhttps?:\/\/|\bwww\./i;
+
+const words = (text) => new Set(String(text ?? '').toLowerCase().match(WORD) ?? []);
+
+const sameName = (a, b) =>
+  a.trim().replace(/\s+/g, ' ').toLowerCase() === b.trim().replace(/\s+/g, ' ').toLowerCase();
+
+const sameReviewer = (a, b) =>
+  a.reviewerId && b.reviewerId ? a.reviewerId === b.reviewerId : sameName(a.reviewerName, b.reviewerName);
+
+/**
+ * How alike two comments are, from 0 to 1: shared words over all words.
+ * Case, punctuation and word order are ignored.
+ */
+export const commentSimilarity = (a, b) => {
+  const left = words(a);
+  const right = words(b);
+  if (left.size === 0 && right.size === 0) return 1;
+  const shared = [...left].filter((word) => right.has(word)).length;
+  return shared / (left.size + right.size - shared);
+};
+
+/**
+ * The first of `existing` (the book's reviews) that `review` duplicates, or
+ * null.
+ */
+export const findDuplicateReview = (review, existing, { threshold = REVIEW_DUPLICATE_SIMILARITY } = {}) =>
+  existing.find(
+    (other) =>
+      sameReviewer(other, review) &&
+      commentSimilarity(other.comment, review.comment) >= threshold
+  ) ?? null;
+
+/**
+ * Holds reviews with a link or one of `keywords` (whole words, any case).
+ */
+export const createKeywordModeration = (keywords) => {
+  const blocked = new Set(keywords.map((keyword) => keyword.trim().toLowerCase()).filter(Boolean));
+  return async ({ reviewerName, comment }) => {
+    const text = `${reviewerName} ${comment ?? ''}`;
+    if (LINK.test(text)) {
+      return { status: REVIEW_STATUS.PENDING, reason: 'contains a link' };
+    }
+    const match = [...words(text)].find((word) => blocked.has(word));
+    return match
+      ? { status: REVIEW_STATUS.PENDING, reason: `contains "${match}"` }
+      : { status: REVIEW_STATUS.APPROVED };
+  };
+};
+
+/**
+ * Builds the hook selected by REVIEW_MODERATION and returns
+ * `moderate(review, { user })`, which always resolves to
+ * `{ status, reason }`.
+ */
+export const createModeration = async ({
+  mode = process.env.REVIEW_MODERATION || 'none',
+  keywords = (process.env.REVIEW_MODERATION_KEYWORDS || '').split(','),
+  log = console.error,
+} = {}) => {
+  let hook;
+  if (mode === 'none') {
+    hook = async () => ({ status: REVIEW_STATUS.APPROVED });
+  } else if (mode === 'keywords') {
+    hook = createKeywordModeration(keywords);
+  } else if (mode.startsWith('module:')) {
+    const module = await import(pathToFileURL(path.resolve(mode.slice('module:'.length))).href);
+    if (typeof module.default !== 'function') {
+      throw new Error(`REVIEW_MODERATION ${mode} has no default export function`);
+    }
+    hook = module.default;
+  } else {
+    throw new Error(`Unknown REVIEW_MODERATION: ${mode} (expected none, keywords or module:<path>)`);
+  }
+
+  return async (review, context) => {
+    try {
+      const decision = await hook(review, context);
+      if (Object.values(REVIEW_STATUS).includes(decision?.status)) {
+        return { status: decision.status, reason: decision.reason ?? null };
+      }
+      log('❌ Review moderation hook returned no valid status:', JSON.stringify(decision));
+    } catch (err) {
+      log('❌ Review moderation hook failed:', err.message);
+    }
+    return { status: REVIEW_STATUS.PENDING, reason: 'moderation unavailable' };
+  };
+};
@@ -0,0 +1,228 @@
+// -----------------------------
+// Relay-style cursor pagination
+// -----------------------------
+//
+// Cursors are opaque base64 strings wrapping the row id and, when a list is
+// sorted by something other than id, the value of the sort column. That pair
+// maps directly onto a keyset condition, so pages stay stable while rows are
+// inserted or deleted. NULL sort values always come last in the requested
+// order, which is spelled out explicitly because Postgres, MySQL and SQLite
+// disagree on the default.
+
+import { badUserInput, invalidField } from './errors.js';
+
+const CURSOR_PREFIX = 'cursor:';
+
+export const DEFAULT_PAGE_SIZE = Number(process.env.DEFAULT_PAGE_SIZE || 20);
+export const MAX_PAGE_SIZE = Number(process.env.MAX_PAGE_SIZE || 100);
+
+const ID_ORDER = { key: 'ID', column: null, field: null, direction: 'ASC' };
+
+export const encodeCursor = (node, order = ID_ORDER) => {
+  const id = Number(node.id);
+  const payload = order.column ? [order.key, node[order.field] ?? null, id] : id;
+  return Buffer.from(`${CURSOR_PREFIX}${JSON.stringify(payload)}`, 'utf8').toString('base64');
+};
+
+/**
+ * Decodes a cursor into `{ id, value }`. A cursor produced under a different
+ * ordering than the current request is rejected rather than silently
+ * producing a skewed page.
+ */
+export const decodeCursor = (cursor, order = ID_ORDER, name = 'cursor') => {
+  const decoded = Buffer.from(String(cursor), 'base64').toString('utf8');
+  let payload;
+  try {
+    payload = decoded.startsWith(CURSOR_PREFIX)
+      ? JSON.parse(decoded.slice(CURSOR_PREFIX.length))
+      : undefined;
+  } catch {
+    payload = undefined;
+  }
+
+  if (!order.column && Number.isInteger(payload)) {
+    return { id: payload, value: null };
+  }
+  if (
+    order.column &&
+    Array.isArray(payload) &&
+    payload.length === 3 &&
+    payload[0] === order.key &&
+    Number.isInteger(payload[2])
+  ) {
+    return { id: payload[2], value: payload[1] };
+  }
+  throw invalidField(name, `Invalid cursor: ${cursor}`);
+};
+
+const validatePageSize = (name, value) => {
+  if (value === undefined || value === null) return;
+  if (!Number.isInteger(value) || value < 0) {
+    throw invalidField(name, `${name} must be a non-negative integer`);
+  }
+  if (value > MAX_PAGE_SIZE) {
+    throw invalidField(name, `${name} must not exceed ${MAX_PAGE_SIZE}`);
+  }
+};
+
+/**
+ * Validates `first/after/last/before` and resolves them into a page request:
+ * `{ limit, backward, after, before, order }`. Forward pagination is the
+ * default when neither `first` nor `last` is supplied.
+ */
+export const normalizePaginationArgs = ({ first, after, last, before } = {}, order = ID_ORDER) => {
+  const hasFirst = first !== undefined && first !== null;
+  const hasLast = last !== undefined && last !== null;
+  if (hasFirst && hasLast) {
+    throw badUserInput('Passing both first and last is not supported', [
+      { field: 'first', message: 'first cannot be combined with last' },
+      { field: 'last', message: 'last cannot be combined with first' },
+    ]);
+  }
+  validatePageSize('first', first);
+  validatePageSize('last', last);
+
+  return {
+    limit: hasLast ? last : hasFirst ? first : DEFAULT_PAGE_SIZE,
+    backward: hasLast,
+    after: after ? decodeCursor(after, order, 'after') : null,
+    before: before ? decodeCursor(before, order, 'before') : null,
+    order,
+  };
+};
+
+const flipDirection = (direction) => (direction === 'ASC' ? 'DESC' : 'ASC');
+
+/**
+ * Renders "row comes strictly after `cursor`" for a sort on `column` (plus id
+ * as the tie-breaker) in `direction`, with NULLs either last or first.
+ */
+const keysetCondition = (column, direction, nullsLast, cursor, params) => {
+  const op = direction === 'ASC' ? '>' : '<';
+  if (!column) {
+    return `id ${op} ${params.add(cursor.id)}`;
+  }
+  if (cursor.value === null) {
+    const tie = `(${column} IS NULL AND id ${op} ${params.add(cursor.id)})`;
+    return nullsLast ? tie : `(${column} IS NOT NULL OR ${tie})`;
+  }
+  const beyond = `${column} ${op} ${params.add(cursor.value)}`;
+  const tie = `(${column} = ${params.add(cursor.value)} AND id ${op} ${params.add(cursor.id)})`;
+  return nullsLast ? `(${beyond} OR ${tie} OR ${column} IS NULL)` : `(${beyond} OR ${tie})`;
+};
+
+/**
+ * Renders the ORDER BY for a sort, optionally scanning it in reverse (used to
+ * read the rows right before a `before` cursor).
+ */
+export const buildOrderByClause = (order, reverse = false) => {
+  const direction = reverse ? flipDirection(order.direction) : order.direction;
+  if (!order.column) {
+    return `ORDER BY id ${direction}`;
+  }
+  const nulls = reverse ? 'DESC' : 'ASC';
+  return `ORDER BY (${order.column} IS NULL) ${nulls}, ${order.column} ${direction}, id ${direction}`;
+};
+
+/**
+ * Builds the keyset part of a page query: extra WHERE conditions (bound
+ * through `params`), the ORDER BY and the LIMIT. One extra row is requested so
+ * the caller can tell whether another page exists.
+ */
+export const buildKeysetClause = (page, params) => {
+  const { order } = page;
+  const conditions = [];
+  if (page.after) {
+    conditions.push(keysetCondition(order.column, order.direction, true, page.after, params));
+  }
+  if (page.before) {
+    conditions.push(
+      keysetCondition(order.column, flipDirection(order.direction), false, page.before, params)
+    );
+  }
+  return {
+    conditions,
+    orderBy: buildOrderByClause(order, page.backward),
+    limit: page.limit + 1,
+  };
+};
+
+/**
+ * Turns the rows fetched with `buildKeysetClause` into a connection object.
+ * `totalCount` may be a value or a function; graphql-js calls functions on the
+ * source object lazily, so the count query only runs when it is selected.
+ */
+export const buildConnection = ({ nodes, page, totalCount }) => {
+  const hasMore = nodes.length > page.limit;
+  const pageNodes = nodes.slice(0, page.limit);
+  if (page.backward) {
+    pageNodes.reverse();
+  }
+  const edges = pageNodes.map((node) => ({ cursor: encodeCursor(node, page.order), node }));
+  return {
+    edges,
+    pageInfo: {
+      hasNextPage: !page.backward && hasMore,
+      hasPreviousPage: page.backward && hasMore,
+      startCursor: edges[0]?.cursor ?? null,
+      endCursor: edges[edges.length - 1]?.cursor ?? null,
+    },
+    totalCount,
+  };
+};
+
+/**
+ * Paginates a list that has already been loaded (e.g. through a DataLoader),
+ * in `order` (by id by default), with the same keyset semantics as the
+ * SQL-backed connections.
+ */
+export const connectionFromArray = (items, args, order = ID_ORDER) => {
+  const page = normalizePaginationArgs(args, order);
+  const sorted = [...items].sort(compareNodes(order));
+  return buildConnection({
+    nodes: sliceSortedNodes(sorted, page),
+    page,
+    totalCount: items.length,
+  });
+};
+
+/**
+ * Compares two nodes the way `buildOrderByClause` sorts rows: NULLs last,
+ * then the sort field in the requested direction, then id as the tie-breaker.
+ */
+export const compareNodes = (order) => (a, b) => {
+  const sign = order.direction === 'ASC' ? 1 : -1;
+  if (order.field) {
+    const left = a[order.field] ?? null;
+    const right = b[order.field] ?? null;
+    if (left === null || right === null) {
+      if (left !== right) return left === null ? 1 : -1;
+    } else if (left !== right) {
+      return (left < right ? -1 : 1) * sign;
+    }
+  }
+  return (Number(a.id) - Number(b.id)) * sign;
+};
+
+/**
+ * The in-memory counterpart of `buildKeysetClause`: takes nodes already
+ * filtered and sorted with `compareNodes(page.order)` and returns the ones
+ * `buildConnection` expects, including the extra look-ahead node.
+ */
+export const sliceSortedNodes = (nodes, page) => {
+  const compare = compareNodes(page.order);
+  const cursorNode = ({ id, value }) => (page.order.field ? { id, [page.order.field]: value } : { id });
+  let matching = nodes;
+  if (page.after) {
+    const after = cursorNode(page.after);
+    matching = matching.filter((node) => compare(node, after) > 0);
+  }
+  if (page.before) {
+    const before = cursorNode(page.before);
+    matching = matching.filter((node) => compare(node, before) < 0);
+  }
+  if (page.backward) {
+    matching = [...matching].reverse();
+  }
+  return matching.slice(0, page.limit + 1);
+};
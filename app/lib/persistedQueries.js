@@ -0,0 +1,191 @@
+// -----------------------------
+// Persisted queries & operation allowlist
+// -----------------------------
+//
+// PERSISTED_QUERIES selects one of three modes:
+//
+//   apq        automatic persisted queries: clients send a sha256 hash, and
+//              on PERSISTED_QUERY_NOT_FOUND retry once with the full text,
+//              which registers it (memory or Redis, APQ_CACHE_BACKEND)
+//   allowlist  only operations in the manifest at OPERATION_MANIFEST_PATH run;
+//              clients may send the hash or the exact manifest text, and
+//              anything else fails with OPERATION_NOT_ALLOWED
+//   off        plain queries only
+//
+// Manifests use Apollo's `apollo-persisted-query-manifest` format and are
+// produced by scripts/build-operation-manifest.js.
+
+import { createHash } from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { GraphQLError } from 'graphql';
+import { ErrorCode } from './errors.js';
+
+export const MANIFEST_FORMAT = 'apollo-persisted-query-manifest';
+export const PERSISTED_QUERY_TTL_SECONDS = Number(process.env.APQ_TTL_SECONDS || 24 * 60 * 60);
+
+const MODES = ['apq', 'allowlist', 'off'];
+
+export const hashQuery = (query) => createHash('sha256').update(query).digest('hex');
+
+export const operationNotAllowed = () =>
+  new GraphQLError('This operation is not in the server allowlist', {
+    extensions: { code: ErrorCode.OPERATION_NOT_ALLOWED, http: { status: 400 } },
+  });
+
+/**
+ * Apollo KeyValueCache backed by Redis, so a query registered on one replica
+ * is found on the others. Read errors count as misses.
+ */
+export const createRedisKeyValueCache = async ({ url, prefix = 'node_graphql:' }) => {
+  const { Redis } = await import('ioredis');
+  const client = new Redis(url);
+  client.on('error', (err) => console.error('❌ Persisted query Redis error:', err.message));
+
+  return {
+    async get(key) {
+      try {
+        return (await client.get(`${prefix}${key}`)) ?? undefined;
+      } catch {
+        return undefined;
+      }
+    },
+    async set(key, value, options) {
+      const ttl = options?.ttl ?? PERSISTED_QUERY_TTL_SECONDS;
+      await client.set(`${prefix}${key}`, value, 'EX', ttl);
+    },
+    async delete(key) {
+      await client.del(`${prefix}${key}`);
+    },
+    close() {
+      client.disconnect();
+    },
+  };
+};
+
+/**
+ * Reads a manifest into a Map of id -> `{ name, type, body }`. Entries whose
+ * id is not the sha256 of their body are rejected, since clients look
+ * operations up by that hash.
+ */
+export const loadOperationManifest = (filePath) => {
+  const manifest = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (manifest.format !== MANIFEST_FORMAT || manifest.version !== 1) {
+    throw new Error(`${filePath} is not a version 1 ${MANIFEST_FORMAT}`);
+  }
+  const operations = new Map();
+  for (const operation of manifest.operations ?? []) {
+    if (hashQuery(operation.body) !== operation.id) {
+      throw new Error(`Manifest operation ${operation.name ?? operation.id} has an id that does not match its body`);
+    }
+    operations.set(operation.id, { name: operation.name, type: operation.type, body: operation.body });
+  }
+  return operations;
+};
+
+/**
+ * The operation names in the manifest at `filePath`, or none when there is
+ * no manifest (a development checkout that never built one).
+ */
+export const readOperationNames = (
+  filePath = process.env.OPERATION_MANIFEST_PATH || 'persisted-query-manifest.json'
+) => {
+  const resolvedPath = path.resolve(filePath);
+  if (!fs.existsSync(resolvedPath)) {
+    return new Set();
+  }
+  return new Set([...loadOperationManifest(resolvedPath).values()].map((operation) => operation.name));
+};
+
+/**
+ * Read-only KeyValueCache over a manifest: hashes resolve to manifest
+ * bodies and APQ registrations are ignored.
+ */
+const createManifestKeyValueCache = (operations) => ({
+  async get(key) {
+    // Apollo prefixes APQ keys (e.g. `apq:<hash>`).
+    return operations.get(key.slice(key.lastIndexOf(':') + 1))?.body;
+  },
+  async set() {},
+  async delete() {},
+});
+
+/**
+ * Apollo plugin for allowlist mode. Unknown hashes would otherwise answer
+ * PERSISTED_QUERY_NOT_FOUND, inviting a registration that can never succeed,
+ * so those are reported as OPERATION_NOT_ALLOWED too.
+ */
+const createAllowlistPlugin = (operations) => ({
+  async requestDidStart() {
+    return {
+      async didResolveOperation({ queryHash }) {
+        if (!operations.has(queryHash)) {
+          throw operationNotAllowed();
+        }
+      },
+      async willSendResponse({ response }) {
+        if (response.body.kind !== 'single') return;
+        const result = response.body.singleResult;
+        if (!result.errors?.some((error) => error.extensions?.code === 'PERSISTED_QUERY_NOT_FOUND')) return;
+        const { message, extensions } = operationNotAllowed();
+        result.errors = [{ message, extensions: { code: extensions.code } }];
+        response.http.status = 400;
+      },
+    };
+  },
+});
+
+/**
+ * Builds the persisted query setup for the configured mode:
+ * `{ mode, persistedQueries, plugins, onSubscribe, close }`.
+ * `persistedQueries` goes straight into the ApolloServer options and
+ * `onSubscribe` into graphql-ws, whose subscribe messages always carry the
+ * full query text; in allowlist mode that text must match the manifest.
+ */
+export const createPersistedQueries = async ({
+  mode = process.env.PERSISTED_QUERIES || 'apq',
+  manifestPath = process.env.OPERATION_MANIFEST_PATH || 'persisted-query-manifest.json',
+  cacheBackend = process.env.APQ_CACHE_BACKEND || 'memory',
+  redisUrl = process.env.REDIS_URL || 'redis://localhost:6379',
+} = {}) => {
+  if (!MODES.includes(mode)) {
+    throw new Error(`Unknown PERSISTED_QUERIES mode: ${mode}`);
+  }
+
+  if (mode === 'off') {
+    return {
+      mode,
+      persistedQueries: false,
+      plugins: [],
+      onSubscribe: undefined,
+      close: () => undefined,
+    };
+  }
+
+  if (mode === 'allowlist') {
+    const resolvedPath = path.resolve(manifestPath);
+    const operations = loadOperationManifest(resolvedPath);
+    console.log(`✅ Loaded ${operations.size} allowlisted operations from ${resolvedPath}`);
+    return {
+      mode,
+      persistedQueries: { cache: createManifestKeyValueCache(operations) },
+      plugins: [createAllowlistPlugin(operations)],
+      onSubscribe: (_ctx, _id, payload) =>
+        operations.has(hashQuery(payload.query)) ? undefined : [operationNotAllowed()],
+      close: () => undefined,
+    };
+  }
+
+  if (cacheBackend !== 'memory' && cacheBackend !== 'redis') {
+    throw new Error(`Unknown APQ_CACHE_BACKEND: ${cacheBackend}`);
+  }
+  const cache = cacheBackend === 'redis' ? await createRedisKeyValueCache({ url: redisUrl }) : undefined;
+  return {
+    mode,
+    // Without a cache Apollo keeps APQs in its own in-memory LRU.
+    persistedQueries: { ttl: PERSISTED_QUERY_TTL_SECONDS, ...(cache && { cache }) },
+    plugins: [],
+    onSubscribe: undefined,
+    close: () => cache?.close(),
+  };
+};
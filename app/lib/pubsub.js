@@ -0,0 +1,171 @@
+// -----------------------------
+// Pluggable pub/sub for GraphQL subscriptions
+// -----------------------------
+//
+// Subscribers always listen on a local in-process PubSub. With the `memory`
+// backend publishing goes straight to it; with `postgres` (LISTEN/NOTIFY) or
+// `redis` every event goes through the broker first and each replica —
+// including the publisher — re-publishes what it receives locally, so events
+// reach subscribers on every pod behind the HPA exactly once.
+//
+// Events carry ids rather than whole nodes: a NOTIFY payload must stay under
+// 8000 bytes, and the postgres transport refuses larger events outright.
+
+import { PubSub } from 'graphql-subscriptions';
+
+export const EVENTS = {
+  REVIEW_ADDED: 'REVIEW_ADDED',
+  BOOK_ADDED: 'BOOK_ADDED',
+  AUTHOR_DELETED: 'AUTHOR_DELETED',
+  // Internal: lets the reviews subgraph drop a deleted book's reviews.
+  BOOK_DELETED: 'BOOK_DELETED',
+  // Internal: lets the reviews subgraph bring back a restored author's reviews.
+  AUTHOR_RESTORED: 'AUTHOR_RESTORED',
+  // Internal: response cache tags to drop on every replica.
+  CACHE_INVALIDATED: 'CACHE_INVALIDATED',
+};
+
+const RECONNECT_DELAY_MS = 2000;
+
+// Postgres rejects NOTIFY payloads of 8000 bytes or more.
+export const PG_NOTIFY_MAX_BYTES = 7999;
+
+/**
+ * A PubSub whose `publish` is routed through a broker transport; messages the
+ * transport receives are handed to the local PubSub for delivery.
+ */
+class BrokeredPubSub extends PubSub {
+  constructor(transport) {
+    super();
+    this.transport = transport;
+    transport.onMessage((topic, payload) => super.publish(topic, payload));
+  }
+
+  publish(topic, payload) {
+    return this.transport.send(topic, payload);
+  }
+
+  close() {
+    return this.transport.close();
+  }
+}
+
+const decodeMessage = (raw) => {
+  try {
+    const { topic, payload } = JSON.parse(raw);
+    return typeof topic === 'string' ? { topic, payload } : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * LISTEN/NOTIFY transport. One pooled client is held for LISTEN and replaced
+ * if the connection drops; NOTIFY goes through the pool like any query.
+ */
+const createPostgresTransport = (pool, channel) => {
+  let handler = () => {};
+  let listener;
+  let closed = false;
+
+  const listen = async () => {
+    try {
+      const client = await pool.connect();
+      client.on('notification', (message) => {
+        const decoded = decodeMessage(message.payload);
+        if (decoded) handler(decoded.topic, decoded.payload);
+      });
+      client.on('error', (err) => {
+        console.error('❌ Pub/sub LISTEN connection lost:', err.message);
+        client.release(err);
+        listener = undefined;
+        if (!closed) setTimeout(listen, RECONNECT_DELAY_MS);
+      });
+      await client.query(`LISTEN ${channel}`);
+      listener = client;
+    } catch (err) {
+      console.error('❌ Pub/sub LISTEN failed:', err.message);
+      if (!closed) setTimeout(listen, RECONNECT_DELAY_MS);
+    }
+  };
+
+  listen();
+
+  return {
+    onMessage(callback) {
+      handler = callback;
+    },
+    async send(topic, payload) {
+      const message = JSON.stringify({ topic, payload });
+      const size = Buffer.byteLength(message);
+      if (size > PG_NOTIFY_MAX_BYTES) {
+        throw new Error(`${topic} event is ${size} bytes, over the ${PG_NOTIFY_MAX_BYTES}-byte NOTIFY limit`);
+      }
+      await pool.query('SELECT pg_notify($1, $2)', [channel, message]);
+    },
+    async close() {
+      closed = true;
+      if (listener) {
+        await listener.query(`UNLISTEN ${channel}`).catch(() => undefined);
+        listener.release();
+      }
+    },
+  };
+};
+
+const createRedisTransport = async (url, channel) => {
+  const { Redis } = await import('ioredis');
+  const publisher = new Redis(url);
+  const subscriber = new Redis(url);
+  let handler = () => {};
+
+  subscriber.on('message', (_, raw) => {
+    const decoded = decodeMessage(raw);
+    if (decoded) handler(decoded.topic, decoded.payload);
+  });
+  for (const client of [publisher, subscriber]) {
+    client.on('error', (err) => console.error('❌ Pub/sub Redis error:', err.message));
+  }
+  await subscriber.subscribe(channel);
+
+  return {
+    onMessage(callback) {
+      handler = callback;
+    },
+    async send(topic, payload) {
+      await publisher.publish(channel, JSON.stringify({ topic, payload }));
+    },
+    async close() {
+      subscriber.disconnect();
+      publisher.disconnect();
+    },
+  };
+};
+
+/**
+ * Builds the pub/sub selected by `PUBSUB_BACKEND` (`memory`, `postgres` or
+ * `redis`).
+ */
+export const createPubSub = async ({
+  backend = process.env.PUBSUB_BACKEND || 'memory',
+  channel = process.env.PUBSUB_CHANNEL || 'node_graphql_events',
+  pgPool,
+  redisUrl = process.env.REDIS_URL || 'redis://localhost:6379',
+} = {}) => {
+  if (!/^[a-z_][a-z0-9_]*$/i.test(channel)) {
+    throw new Error(`Invalid PUBSUB_CHANNEL: ${channel}`);
+  }
+  switch (backend) {
+    case 'memory': {
+      const pubsub = new PubSub();
+      pubsub.close = async () => undefined;
+      return pubsub;
+    }
+    case 'postgres':
+      return new BrokeredPubSub(createPostgresTransport(pgPool, channel));
+    case 'redis':
+      return new BrokeredPubSub(await createRedisTransport(redisUrl, channel));
+    default:
+      throw new Error(`Unknown PUBSUB_BACKEND: ${backend}`);
+  }
+};
@@ -0,0 +1,179 @@
+// -----------------------------
+// Mutation rate limits
+// -----------------------------
+//
+// Every mutation field counts against a fixed window per client: the signed-in
+// user when there is one, the client's IP otherwise (behind a proxy, set
+// TRUST_PROXY so Express reads it from X-Forwarded-For). Limits are set per
+// mutation in RATE_LIMITS, e.g. `addReview=5/1m,*=60/1m`, `*` covering every
+// mutation without its own entry. A request over the limit fails with
+// RATE_LIMITED, carrying `retryAfter` (seconds) and a Retry-After header.
+//
+// Backends: `memory` (per replica, so each pod allows the full limit), `redis`
+// (shared by every replica) or `none`. A store that cannot be reached lets the
+// request through: limiting is protection, not correctness.
+
+import { MapperKind, mapSchema } from '@graphql-tools/utils';
+import { defaultFieldResolver } from 'graphql';
+import { rateLimited } from './errors.js';
+
+export const DEFAULT_RATE_LIMITS = 'addReview=5/1m,*=60/1m';
+
+const WINDOW_UNITS = { s: 1, m: 60, h: 60 * 60 };
+
+// Expired windows are dropped once the map holds this many.
+const MEMORY_SWEEP_SIZE = 10_000;
+
+/**
+ * Parses RATE_LIMITS (`name=count/window`, comma-separated; a window is `30s`,
+ * `1m`, `1h` or bare seconds) into `{ [mutation]: { limit, windowSeconds } }`.
+ */
+export const parseRateLimits = (spec) => {
+  const limits = {};
+  for (const entry of spec.split(',').map((part) => part.trim()).filter(Boolean)) {
+    const match = /^([\w*]+)\s*=\s*(\d+)\s*\/\s*(\d+)(s|m|h)?$/.exec(entry);
+    if (!match || Number(match[2]) < 1 || Number(match[3]) < 1) {
+      throw new Error(`Invalid RATE_LIMITS entry: ${entry} (expected e.g. addReview=5/1m)`);
+    }
+    const [, name, limit, window, unit = 's'] = match;
+    limits[name] = { limit: Number(limit), windowSeconds: Number(window) * WINDOW_UNITS[unit] };
+  }
+  return limits;
+};
+
+export const createMemoryRateLimitStore = () => {
+  const windows = new Map();
+
+  return {
+    async hit(key, windowSeconds) {
+      const now = Date.now();
+      if (windows.size >= MEMORY_SWEEP_SIZE) {
+        for (const [windowKey, window] of windows) {
+          if (window.resetAt <= now) windows.delete(windowKey);
+        }
+      }
+      let window = windows.get(key);
+      if (!window || window.resetAt <= now) {
+        window = { count: 0, resetAt: now + windowSeconds * 1000 };
+        windows.set(key, window);
+      }
+      window.count += 1;
+      return { count: window.count, resetAt: window.resetAt };
+    },
+    async close() {
+      windows.clear();
+    },
+  };
+};
+
+export const createRedisRateLimitStore = async ({ url, prefix = 'node_graphql:ratelimit:' }) => {
+  const { Redis } = await import('ioredis');
+  const client = new Redis(url);
+  client.on('error', (err) => console.error('❌ Rate limit Redis error:', err.message));
+
+  return {
+    async hit(key, windowSeconds) {
+      // The first hit of a window creates the key with its expiry.
+      const [, [, count], [, ttl]] = await client
+        .multi()
+        .set(`${prefix}${key}`, 0, 'PX', windowSeconds * 1000, 'NX')
+        .incr(`${prefix}${key}`)
+        .pttl(`${prefix}${key}`)
+        .exec();
+      return { count, resetAt: Date.now() + Math.max(ttl, 0) };
+    },
+    async close() {
+      client.disconnect();
+    },
+  };
+};
+
+/**
+ * Builds the store selected by `RATE_LIMIT_BACKEND` (`memory`, `redis` or
+ * `none`). Returns null for `none`.
+ */
+export const createRateLimitStore = async ({
+  backend = process.env.RATE_LIMIT_BACKEND || 'memory',
+  redisUrl = process.env.REDIS_URL || 'redis://localhost:6379',
+} = {}) => {
+  switch (backend) {
+    case 'none':
+      return null;
+    case 'memory':
+      return createMemoryRateLimitStore();
+    case 'redis':
+      return createRedisRateLimitStore({ url: redisUrl });
+    default:
+      throw new Error(`Unknown RATE_LIMIT_BACKEND: ${backend}`);
+  }
+};
+
+/**
+ * The client's address for an HTTP `request` (a WebSocket upgrade, which
+ * never passes through Express), worked out the way Express works out req.ip:
+ * the nearest of the socket's address and the X-Forwarded-For entries that
+ * `trust` (Express's `trust proxy fn`) does not accept as a proxy.
+ */
+export const clientAddress = (request, trust) => {
+  const forwarded = (request.headers['x-forwarded-for'] ?? '')
+    .split(',')
+    .map((address) => address.trim())
+    .filter(Boolean)
+    .reverse();
+  const addresses = [request.socket.remoteAddress, ...forwarded];
+  for (let hop = 0; hop < addresses.length - 1; hop += 1) {
+    if (!trust(addresses[hop], hop)) return addresses[hop];
+  }
+  return addresses[addresses.length - 1];
+};
+
+/**
+ * The key a client's requests are counted under.
+ */
+export const clientKey = (context) =>
+  context.user ? `user:${context.user.id}` : `ip:${context.clientIp ?? 'unknown'}`;
+
+/**
+ * Builds `check(operation, context)`, which counts one call of mutation
+ * `operation` and throws RATE_LIMITED once the client is over its limit.
+ */
+export const createRateLimiter = ({ store, limits = parseRateLimits(DEFAULT_RATE_LIMITS) }) => async (
+  operation,
+  context
+) => {
+  const rule = limits[operation] ?? limits['*'];
+  if (!store || !rule) return;
+  let window;
+  try {
+    window = await store.hit(`${operation}:${clientKey(context)}`, rule.windowSeconds);
+  } catch (err) {
+    console.error('❌ Rate limit check failed:', err.message);
+    return;
+  }
+  if (window.count > rule.limit) {
+    const retryAfter = Math.max(1, Math.ceil((window.resetAt - Date.now()) / 1000));
+    throw rateLimited(
+      `Too many ${operation} requests: the limit is ${rule.limit} per ${rule.windowSeconds}s. ` +
+        `Try again in ${retryAfter}s.`,
+      { operation, limit: rule.limit, retryAfter }
+    );
+  }
+};
+
+/**
+ * Wraps every Mutation field so `check` runs before its resolver. Applied
+ * outside `applyAuthDirective`, so signed-out callers are limited too.
+ */
+export const applyRateLimits = (schema, check) =>
+  mapSchema(schema, {
+    [MapperKind.MUTATION_ROOT_FIELD]: (fieldConfig, fieldName) => {
+      const { resolve = defaultFieldResolver } = fieldConfig;
+      return {
+        ...fieldConfig,
+        resolve: async (source, args, context, info) => {
+          await check(fieldName, context);
+          return resolve(source, args, context, info);
+        },
+      };
+    },
+  });
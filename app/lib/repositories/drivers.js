@@ -0,0 +1,320 @@
+// -----------------------------
+// SQL drivers
+// -----------------------------
+//
+// A driver wraps one engine's client behind the handful of operations the SQL
+// repositories use, so the same repository code runs on Postgres, MySQL and
+// SQLite. Connections open on first use: a process whose entities all live
+// elsewhere never connects to an engine.
+//
+//   query(sql, params)      -> rows
+//   execute(sql, params)    -> { changes }
+//   insert(table, row)      -> id of the inserted row
+//   transaction(work)       -> work({ query, execute }) inside BEGIN/COMMIT
+//   alignIds(table)         -> next generated id becomes MAX(id) + 1
+
+import fs from 'fs';
+import path from 'path';
+import { promisify } from 'util';
+import pg from 'pg';
+import mysql from 'mysql2/promise';
+import sqlite3 from 'sqlite3';
+import { mysqlPoolConfig, postgresConfig, resolveSqlitePath } from '../config.js';
+import { tagPoolErrors, tagStoreErrors } from '../errors.js';
+import {
+  createMysqlExecutor,
+  createPostgresExecutor,
+  createSqliteExecutor,
+} from '../migrations.js';
+import { dialects, insertStatement } from '../sql.js';
+import {
+  SQLITE_BUSY_TIMEOUT_MS,
+  withMysqlTransaction,
+  withPgTransaction,
+  withSqliteTransaction,
+} from '../transactions.js';
+
+const { Pool } = pg;
+
+export const createPostgresDriver = (config = postgresConfig()) => {
+  // Errors are tagged with the store name so formatError can report which
+  // one is unavailable.
+  const pool = tagPoolErrors('postgres', new Pool(config), ['query', 'connect']);
+  const wrap = (client) => ({
+    query: async (sql, params) => (await client.query(sql, params)).rows,
+    execute: async (sql, params) => ({ changes: (await client.query(sql, params)).rowCount }),
+  });
+
+  // Rows inserted with explicit ids (the seed script, addBook with an id)
+  // leave SERIAL sequences behind, so a sequence is realigned before its
+  // table's next generated id.
+  const alignedSequences = new Map();
+  const setSequence = (table) =>
+    pool.query(
+      `SELECT setval(
+         pg_get_serial_sequence('${table}', 'id'),
+         COALESCE((SELECT MAX(id) FROM ${table}), 0) + 1,
+         false
+       )`
+    );
+  const alignSequence = (table) => {
+    if (!alignedSequences.has(table)) {
+      alignedSequences.set(
+        table,
+        setSequence(table).catch((err) => {
+          alignedSequences.delete(table);
+          throw err;
+        })
+      );
+    }
+    return alignedSequences.get(table);
+  };
+
+  return {
+    store: 'postgres',
+    dialect: dialects.postgres,
+    pool,
+    ...wrap(pool),
+    insert: async (table, row) => {
+      if (row.id === undefined) {
+        await alignSequence(table);
+      }
+      const { sql, values } = insertStatement(dialects.postgres, table, row, { suffix: 'RETURNING id' });
+      const { rows } = await pool.query(sql, values);
+      if (row.id !== undefined) {
+        alignedSequences.delete(table);
+      }
+      return Number(rows[0].id);
+    },
+    transaction: (work) => withPgTransaction(pool, (client) => work(wrap(client))),
+    alignIds: async (table) => {
+      alignedSequences.delete(table);
+      await setSequence(table);
+    },
+    insertIgnore: { suffix: 'ON CONFLICT (id) DO NOTHING' },
+    lockRows: 'FOR UPDATE',
+    dateText: (column) => `${column}::text`,
+    isDuplicateKey: (err) => err?.code === '23505',
+    check: () => pool.query('SELECT 1'),
+    executor: createPostgresExecutor(pool),
+    poolStats: () => ({
+      total: pool.totalCount,
+      idle: pool.idleCount,
+      waiting: pool.waitingCount,
+    }),
+    close: () => pool.end(),
+  };
+};
+
+/**
+ * Counts a mysql2 promise pool's connections for poolStats, since mysql2
+ * keeps its own counters private. Open and checked-out connections follow the
+ * pool's `connection`, `acquire` and `release` events (a connection leaves
+ * when its socket closes). mysql2 hands a released connection straight to a
+ * queued request without an event, so waiting requests are counted as the
+ * pool calls in flight (a checked-out connection until its release) less the
+ * connections they hold.
+ */
+const trackMysqlPool = (pool) => {
+  const open = new Set();
+  const busy = new Set();
+  let inFlight = 0;
+
+  pool.on('connection', (connection) => {
+    open.add(connection);
+    connection.stream.once('close', () => {
+      open.delete(connection);
+      busy.delete(connection);
+    });
+  });
+  pool.on('acquire', (connection) => busy.add(connection));
+  pool.on('release', (connection) => busy.delete(connection));
+
+  for (const method of ['query', 'execute']) {
+    const call = pool[method].bind(pool);
+    pool[method] = async (...args) => {
+      inFlight += 1;
+      try {
+        return await call(...args);
+      } finally {
+        inFlight -= 1;
+      }
+    };
+  }
+  const getConnection = pool.getConnection.bind(pool);
+  pool.getConnection = async () => {
+    inFlight += 1;
+    let connection;
+    try {
+      connection = await getConnection();
+    } catch (err) {
+      inFlight -= 1;
+      throw err;
+    }
+    const release = connection.release.bind(connection);
+    connection.release = () => {
+      inFlight -= 1;
+      connection.release = release;
+      return release();
+    };
+    return connection;
+  };
+
+  return () => ({
+    total: open.size,
+    idle: open.size - busy.size,
+    waiting: Math.max(0, inFlight - busy.size),
+  });
+};
+
+export const createMysqlDriver = (config = mysqlPoolConfig()) => {
+  const pool = tagPoolErrors('mysql', mysql.createPool(config), [
+    'query',
+    'execute',
+    'getConnection',
+  ]);
+  const poolStats = trackMysqlPool(pool);
+  const wrap = (connection) => ({
+    query: async (sql, params) => {
+      const [rows] = await connection.query(sql, params);
+      return rows;
+    },
+    execute: async (sql, params) => {
+      const [result] = await connection.query(sql, params);
+      return { changes: result.affectedRows };
+    },
+  });
+
+  return {
+    store: 'mysql',
+    dialect: dialects.mysql,
+    pool,
+    ...wrap(pool),
+    insert: async (table, row) => {
+      const { sql, values } = insertStatement(dialects.mysql, table, row);
+      const [result] = await pool.query(sql, values);
+      return row.id ?? result.insertId;
+    },
+    transaction: (work) => withMysqlTransaction(pool, (connection) => work(wrap(connection))),
+    // InnoDB never moves the counter below MAX(id) + 1, so this only matters
+    // after rows were deleted.
+    alignIds: async (table) => {
+      const [[{ nextId }]] = await pool.query(`SELECT COALESCE(MAX(id), 0) + 1 AS nextId FROM ${table}`);
+      await pool.query(`ALTER TABLE ${table} AUTO_INCREMENT = ${Number(nextId)}`);
+    },
+    insertIgnore: { verb: 'INSERT IGNORE INTO' },
+    lockRows: 'FOR UPDATE',
+    dateText: (column) => `DATE_FORMAT(${column}, '%Y-%m-%d')`,
+    isDuplicateKey: (err) => err?.code === 'ER_DUP_ENTRY',
+    check: () => pool.query('SELECT 1'),
+    executor: createMysqlExecutor(pool),
+    poolStats,
+    close: () => pool.end(),
+  };
+};
+
+export const createSqliteDriver = (filePath = resolveSqlitePath()) => {
+  sqlite3.verbose();
+  try {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  } catch (err) {
+    if (err && err.code !== 'EEXIST') {
+      console.error('❌ Unable to create SQLite directory:', err.message);
+    }
+  }
+
+  const db = new sqlite3.Database(filePath, sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE, (err) => {
+    if (err) {
+      console.error('❌ SQLite connection failed:', err.message);
+    }
+  });
+  db.configure('busyTimeout', SQLITE_BUSY_TIMEOUT_MS);
+
+  const ready = new Promise((resolve, reject) => {
+    db.once('open', resolve);
+    db.once('error', reject);
+  });
+  // Failures surface through the statements that await `ready`.
+  ready.catch(() => undefined);
+
+  const all = tagStoreErrors('sqlite', promisify(db.all.bind(db)));
+  const run = tagStoreErrors('sqlite', (sql, params = []) =>
+    new Promise((resolve, reject) => {
+      db.run(sql, params, function runCallback(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve({ lastID: this.lastID, changes: this.changes });
+        }
+      });
+    }));
+
+  return {
+    store: 'sqlite',
+    dialect: dialects.sqlite,
+    filePath,
+    query: async (sql, params) => {
+      await ready;
+      return all(sql, params);
+    },
+    execute: async (sql, params) => {
+      await ready;
+      const { changes } = await run(sql, params);
+      return { changes };
+    },
+    insert: async (table, row) => {
+      await ready;
+      const { sql, values } = insertStatement(dialects.sqlite, table, row);
+      const { lastID } = await run(sql, values);
+      return row.id ?? lastID;
+    },
+    // Transactions get their own connection; see openSqliteConnection.
+    transaction: (work) =>
+      withSqliteTransaction(filePath, (connection) =>
+        work({
+          query: (sql, params) => connection.all(sql, params),
+          execute: async (sql, params) => ({ changes: (await connection.run(sql, params)).changes }),
+        })
+      ),
+    // INTEGER PRIMARY KEY without AUTOINCREMENT already hands out MAX(id) + 1.
+    alignIds: async () => undefined,
+    insertIgnore: { verb: 'INSERT OR IGNORE INTO' },
+    // BEGIN IMMEDIATE already holds the write lock.
+    lockRows: '',
+    dateText: (column) => column,
+    isDuplicateKey: (err) => err?.code === 'SQLITE_CONSTRAINT' && /UNIQUE|PRIMARY KEY/.test(err.message),
+    check: async () => {
+      await ready;
+      await all('SELECT 1');
+    },
+    executor: createSqliteExecutor(filePath),
+    close: () => db.close(),
+  };
+};
+
+const DRIVERS = {
+  postgres: createPostgresDriver,
+  mysql: createMysqlDriver,
+  sqlite: createSqliteDriver,
+};
+
+export const SQL_STORES = Object.keys(DRIVERS);
+
+/**
+ * Hands out one driver per engine, created on first request.
+ */
+export const createDriverRegistry = () => {
+  const drivers = new Map();
+  return {
+    get(store) {
+      if (!DRIVERS[store]) {
+        throw new Error(`Unknown SQL store: ${store}`);
+      }
+      if (!drivers.has(store)) {
+        drivers.set(store, DRIVERS[store]());
+      }
+      return drivers.get(store);
+    },
+    opened: () => [...drivers.values()],
+  };
+};
@@ -0,0 +1,225 @@
+// -----------------------------
+// Entity definitions
+// -----------------------------
+//
+// Everything the adapters need to know about an entity: its table, how node
+// fields map onto columns (the same in every engine, see migrations/), how a
+// row becomes a node, and how `where` / `orderBy` inputs apply to it. Nodes
+// carry ids as strings and dates as `YYYY-MM-DD` text whatever the backend.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { formatDate } from '../scalars.js';
+import {
+  AUTHOR_ORDER_FIELDS,
+  BOOK_ORDER_FIELDS,
+  REVIEWER_ORDER_FIELDS,
+  REVIEW_ORDER_FIELDS,
+  compileAuthorWhere,
+  compileBookWhere,
+  compileReviewWhere,
+  compileReviewerWhere,
+  matchAuthorWhere,
+  matchBookWhere,
+  matchReviewWhere,
+  matchReviewerWhere,
+} from '../filters.js';
+
+const FIXTURES_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+
+export const mapAuthorRow = (row) => ({
+  id: row.id?.toString() ?? null,
+  firstname: row.firstname,
+  lastname: row.lastname,
+  birthdate: formatDate(row.birthdate),
+  deathdate: formatDate(row.deathdate),
+  favoriteColor: row.favoritecolor ?? row.favorite_color ?? null,
+  bio: row.bio ?? null,
+  nationality: row.nationality ?? null,
+  dateCreated: formatDate(row.datecreated ?? row.date_created),
+});
+
+export const mapBookRow = (row) => ({
+  id: row.id?.toString() ?? null,
+  authorId: row.authorid?.toString() ?? row.author_id?.toString() ?? null,
+  title: row.title,
+  synopsis: row.synopsis ?? null,
+  isbn: row.isbn ?? null,
+  publicationDate: formatDate(row.publicationdate ?? row.publication_date),
+});
+
+export const REVIEW_STATUS = { PENDING: 'PENDING', APPROVED: 'APPROVED', REJECTED: 'REJECTED' };
+
+export const mapReviewRow = (row) => ({
+  id: row.id?.toString() ?? null,
+  bookId: row.bookid?.toString() ?? row.book_id?.toString() ?? null,
+  reviewerId: row.reviewer_id?.toString() ?? null,
+  reviewerName: row.reviewername ?? row.reviewer_name,
+  rating: typeof row.rating === 'number' ? row.rating : Number(row.rating ?? 0),
+  comment: row.comment ?? null,
+  status: row.status ?? REVIEW_STATUS.APPROVED,
+  moderationReason: row.moderation_reason ?? null,
+  moderatorNote: row.moderator_note ?? null,
+  moderatedBy: row.moderated_by ?? null,
+  moderatedAt: row.moderated_at ?? null,
+});
+
+export const mapReviewerRow = (row) => ({
+  id: row.id?.toString() ?? null,
+  name: row.name,
+  subject: row.subject ?? null,
+  bio: row.bio ?? null,
+  location: row.location ?? null,
+  joinedAt: row.joined_at ?? null,
+});
+
+// The demo data has no reviewer fixture: reviewers are the distinct reviewer
+// names of reviews.json, numbered in order of their first review, the same
+// way migrations/*/009 backfills stored reviews.
+const fixtureReviewerIds = (records) => {
+  const ids = new Map();
+  for (const record of records) {
+    if (!ids.has(record.reviewername)) ids.set(record.reviewername, ids.size + 1);
+  }
+  return ids;
+};
+
+export const EMPTY_REVIEW_STATS = { reviewCount: 0, ratingSum: 0, histogram: [0, 0, 0, 0, 0] };
+
+/**
+ * `columns` maps node fields onto columns; `dateColumns` are read back as
+ * text when rows are snapshotted, so they round-trip without timezone drift.
+ * `searchFields` are the text fields each store's full-text index covers, in
+ * the order the migrations list them. With `published`, reads only see nodes
+ * whose `field` holds `value`; writes reach the others too. Fixture files use
+ * the column names, apart from the foreign keys; `toRows` turns a fixture
+ * file's records into rows.
+ */
+export const ENTITIES = {
+  authors: {
+    name: 'Author',
+    table: 'authors',
+    columns: {
+      id: 'id',
+      firstname: 'firstname',
+      lastname: 'lastname',
+      birthdate: 'birthdate',
+      deathdate: 'deathdate',
+      favoriteColor: 'favoritecolor',
+      bio: 'bio',
+      nationality: 'nationality',
+      dateCreated: 'datecreated',
+    },
+    dateColumns: ['birthdate', 'deathdate', 'datecreated'],
+    searchFields: ['firstname', 'lastname', 'bio'],
+    mapRow: mapAuthorRow,
+    compileWhere: compileAuthorWhere,
+    matchWhere: matchAuthorWhere,
+    orderFields: AUTHOR_ORDER_FIELDS,
+    fixture: { file: 'authors.json', toRows: (authors) => authors },
+  },
+  books: {
+    name: 'Book',
+    table: 'books',
+    columns: {
+      id: 'id',
+      authorId: 'author_id',
+      title: 'title',
+      synopsis: 'synopsis',
+      isbn: 'isbn',
+      publicationDate: 'publicationdate',
+    },
+    dateColumns: ['publicationdate'],
+    searchFields: ['title', 'synopsis'],
+    mapRow: mapBookRow,
+    compileWhere: compileBookWhere,
+    matchWhere: matchBookWhere,
+    orderFields: BOOK_ORDER_FIELDS,
+    fixture: {
+      file: 'books.json',
+      toRows: (books) => books.map(({ authorId, ...book }) => ({ ...book, author_id: authorId })),
+    },
+  },
+  reviews: {
+    name: 'Review',
+    table: 'reviews',
+    columns: {
+      id: 'id',
+      bookId: 'book_id',
+      reviewerId: 'reviewer_id',
+      reviewerName: 'reviewername',
+      rating: 'rating',
+      comment: 'comment',
+      status: 'status',
+      moderationReason: 'moderation_reason',
+      moderatorNote: 'moderator_note',
+      moderatedBy: 'moderated_by',
+      moderatedAt: 'moderated_at',
+    },
+    dateColumns: [],
+    published: { field: 'status', value: REVIEW_STATUS.APPROVED },
+    searchFields: ['reviewerName', 'comment'],
+    mapRow: mapReviewRow,
+    compileWhere: compileReviewWhere,
+    matchWhere: matchReviewWhere,
+    orderFields: REVIEW_ORDER_FIELDS,
+    fixture: {
+      file: 'reviews.json',
+      toRows: (reviews) => {
+        const reviewerIds = fixtureReviewerIds(reviews);
+        return reviews.map(({ bookId, ...review }) => ({
+          ...review,
+          book_id: bookId,
+          reviewer_id: reviewerIds.get(review.reviewername),
+        }));
+      },
+    },
+  },
+  // Always in the reviews store (see resolveBackends): the backfill reads
+  // both tables.
+  reviewers: {
+    name: 'Reviewer',
+    table: 'reviewers',
+    columns: {
+      id: 'id',
+      name: 'name',
+      subject: 'subject',
+      bio: 'bio',
+      location: 'location',
+      joinedAt: 'joined_at',
+    },
+    dateColumns: [],
+    searchFields: [],
+    mapRow: mapReviewerRow,
+    compileWhere: compileReviewerWhere,
+    matchWhere: matchReviewerWhere,
+    orderFields: REVIEWER_ORDER_FIELDS,
+    fixture: {
+      file: 'reviews.json',
+      toRows: (reviews) => [...fixtureReviewerIds(reviews)].map(([name, id]) => ({ id, name })),
+    },
+  },
+};
+
+/**
+ * Turns (partial) node fields into a `{ column: value }` row for `entity`.
+ * Fields left undefined are omitted and ids are bound as numbers.
+ */
+export const toRow = (entity, fields) => {
+  const row = {};
+  for (const [field, column] of Object.entries(entity.columns)) {
+    if (fields[field] === undefined) continue;
+    const isId = field === 'id' || column.endsWith('_id');
+    row[column] = isId && fields[field] !== null ? Number(fields[field]) : fields[field];
+  }
+  return row;
+};
+
+/**
+ * Reads the entity's JSON fixture (authors.json, ...) as nodes.
+ */
+export const readFixture = async (entity) => {
+  const contents = await fs.promises.readFile(path.join(FIXTURES_DIR, entity.fixture.file), 'utf8');
+  return entity.fixture.toRows(JSON.parse(contents)).map(entity.mapRow);
+};
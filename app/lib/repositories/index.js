@@ -0,0 +1,181 @@
+// -----------------------------
+// Repositories
+// -----------------------------
+//
+// Resolvers and DataLoaders reach data only through the repositories built
+// here. Each entity's backend is chosen independently:
+//
+//   AUTHORS_BACKEND   postgres (default) | mysql | sqlite | memory
+//   BOOKS_BACKEND     mysql (default)    | postgres | sqlite | memory
+//   REVIEWS_BACKEND   sqlite (default)   | postgres | mysql | memory
+//
+// DATA_BACKEND sets the default for all three, e.g. DATA_BACKEND=memory runs
+// the API without any database server. Reviewers always live in the reviews
+// store. Every engine's migrations create every table, so an entity can move
+// engines once its rows are copied over.
+
+import { ENTITIES, EMPTY_REVIEW_STATS, REVIEW_STATUS, readFixture } from './entities.js';
+import { SQL_STORES, createDriverRegistry } from './drivers.js';
+import { createMemoryReviewAggregates, createMemoryTable } from './memory.js';
+import { createSqlReviewAggregates, createSqlTable } from './sql.js';
+
+export { EMPTY_REVIEW_STATS, REVIEW_STATUS };
+
+export const BACKENDS = [...SQL_STORES, 'memory'];
+
+export const DEFAULT_BACKENDS = { authors: 'postgres', books: 'mysql', reviews: 'sqlite' };
+
+/**
+ * Resolves `{ authors, books, reviews, reviewers }` to a backend each from
+ * the environment.
+ */
+export const resolveBackends = (env = process.env) => {
+  const backends = Object.fromEntries(
+    Object.entries(DEFAULT_BACKENDS).map(([entity, fallback]) => {
+      const variable = `${entity.toUpperCase()}_BACKEND`;
+      const backend = (env[variable] || env.DATA_BACKEND || fallback).trim().toLowerCase();
+      if (!BACKENDS.includes(backend)) {
+        throw new Error(`Unknown ${variable}: ${backend} (expected ${BACKENDS.join(', ')})`);
+      }
+      return [entity, backend];
+    })
+  );
+  // migrations/*/009 backfills reviewers from the reviews table.
+  return { ...backends, reviewers: backends.reviews };
+};
+
+// Returns results in the order of `ids`, null where nothing matched.
+const alignById = (ids, nodes) => {
+  const byId = new Map(nodes.map((node) => [node.id, node]));
+  return ids.map((id) => byId.get(String(Number(id))) ?? null);
+};
+
+// Returns one list per key, in the order of `keys`.
+const groupByKey = (keys, nodes, field) => {
+  const groups = new Map();
+  for (const node of nodes) {
+    const list = groups.get(node[field]) ?? [];
+    list.push(node);
+    groups.set(node[field], list);
+  }
+  return keys.map((key) => groups.get(String(Number(key))) ?? []);
+};
+
+const createRepository = (table) => ({
+  store: table.store,
+  findById: async (id, options) => (await table.findBy('id', [id], options))[0] ?? null,
+  findByIds: async (ids, options) => alignById(ids, await table.findBy('id', ids, options)),
+  list: (args) => table.list(args),
+  connection: (args, options) => table.connection(args, options),
+  count: () => table.count(),
+  scan: (options) => table.scan(options),
+  create: (fields) => table.insert(fields),
+  update: (id, changes) => table.update(id, changes),
+  deleteByIds: (ids, options) => table.deleteBy('id', ids, options),
+  restore: (nodes) => table.restore(nodes),
+  undelete: (deletionId) => table.undelete(deletionId),
+  deletionOf: (id) => table.deletionOf(id),
+  search: (terms, options) => table.search(terms, options),
+  appendAudit: (rows) => table.appendAudit(rows),
+  auditTrail: (id, options) => table.auditTrail(id, options),
+});
+
+export const createAuthorRepository = (table) => createRepository(table);
+
+export const createBookRepository = (table) => ({
+  ...createRepository(table),
+  findByAuthorIds: async (authorIds) =>
+    groupByKey(authorIds, await table.findBy('authorId', authorIds), 'authorId'),
+  deleteByAuthorIds: (authorIds, options) => table.deleteBy('authorId', authorIds, options),
+});
+
+/**
+ * `aggregates` computes `statsByBookIds(bookIds)` (review count, rating sum
+ * and a 1-5 histogram per book), the same per reviewer with
+ * `statsByReviewerIds(reviewerIds)`, and `topRated({ limit, minReviews })` in
+ * the backend, over published reviews only. The finders and `connection` take
+ * `{ unpublished: true }` to include reviews held back by moderation.
+ */
+export const createReviewRepository = (table, aggregates) => ({
+  ...createRepository(table),
+  findByBookIds: async (bookIds, options) =>
+    groupByKey(bookIds, await table.findBy('bookId', bookIds, options), 'bookId'),
+  findByReviewerIds: async (reviewerIds, options) =>
+    groupByKey(reviewerIds, await table.findBy('reviewerId', reviewerIds, options), 'reviewerId'),
+  deleteByBookIds: (bookIds, options) => table.deleteBy('bookId', bookIds, options),
+  statsByBookIds: (bookIds) => aggregates.statsByBookIds(bookIds),
+  statsByReviewerIds: (reviewerIds) => aggregates.statsByReviewerIds(reviewerIds),
+  topRated: (options) => aggregates.topRated(options),
+});
+
+/**
+ * `findBySubject(subject)` is the reviewer of the signed-in user `subject`;
+ * `findUnclaimed(name)` the first reviewer called `name` that belongs to
+ * nobody. `claim(subject, fields)` returns the user's reviewer, creating it
+ * from `fields` the first time.
+ */
+export const createReviewerRepository = (table) => {
+  const first = async (where) => (await table.list({ where }))[0] ?? null;
+  const findBySubject = (subject) => first({ subject });
+
+  return {
+    ...createRepository(table),
+    findBySubject,
+    findUnclaimed: (name) => first({ unclaimedName: name }),
+    claim: async (subject, fields) => {
+      const existing = await findBySubject(subject);
+      if (existing) return { reviewer: existing, created: false };
+      try {
+        return { reviewer: await table.insert({ ...fields, subject }), created: true };
+      } catch (err) {
+        // A concurrent first review by the same user created it (subject is
+        // unique).
+        const winner = await findBySubject(subject);
+        if (!winner) throw err;
+        return { reviewer: winner, created: false };
+      }
+    },
+  };
+};
+
+/**
+ * Builds the repositories for `entities` (all of them by default). Only the
+ * engines those entities live in are connected. Returns the repositories plus
+ * `backends`, `stores` (the SQL engines in use), `drivers` and `close()`.
+ */
+export const createRepositories = async ({
+  entities = Object.keys(ENTITIES),
+  backends = resolveBackends(),
+  drivers = createDriverRegistry(),
+} = {}) => {
+  const tables = {};
+  for (const name of entities) {
+    const entity = ENTITIES[name];
+    tables[name] =
+      backends[name] === 'memory'
+        ? createMemoryTable(entity, await readFixture(entity))
+        : createSqlTable(drivers.get(backends[name]), entity);
+  }
+
+  const reviewAggregates = () =>
+    backends.reviews === 'memory'
+      ? createMemoryReviewAggregates(tables.reviews)
+      : createSqlReviewAggregates(drivers.get(backends.reviews));
+
+  const stores = [...new Set(entities.map((name) => backends[name]))].filter((backend) =>
+    SQL_STORES.includes(backend)
+  );
+
+  return {
+    authors: tables.authors && createAuthorRepository(tables.authors),
+    books: tables.books && createBookRepository(tables.books),
+    reviews: tables.reviews && createReviewRepository(tables.reviews, reviewAggregates()),
+    reviewers: tables.reviewers && createReviewerRepository(tables.reviewers),
+    backends: Object.fromEntries(entities.map((name) => [name, backends[name]])),
+    stores,
+    drivers,
+    close: async () => {
+      await Promise.all(drivers.opened().map((driver) => Promise.resolve(driver.close()).catch(() => undefined)));
+    },
+  };
+};
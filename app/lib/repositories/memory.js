@@ -0,0 +1,201 @@
+// -----------------------------
+// In-memory tables
+// -----------------------------
+//
+// Same interface as the SQL tables in sql.js, over a Map of nodes seeded from
+// the JSON fixtures. Data lives in the process and is lost on restart; each
+// replica or subgraph process has its own copy. Meant for local development
+// and tests that should not need a database server.
+
+import { randomUUID } from 'crypto';
+import { mapAuditRow } from '../audit.js';
+import {
+  buildConnection,
+  compareNodes,
+  normalizePaginationArgs,
+  sliceSortedNodes,
+} from '../pagination.js';
+import { resolveOrder } from '../filters.js';
+import { scoreText } from '../search.js';
+import { EMPTY_REVIEW_STATS, toRow } from './entities.js';
+
+export const createMemoryTable = (entity, seed = []) => {
+  // Storing nodes in their mapped row form keeps them shaped exactly like the
+  // SQL tables' output (nulls, string ids, normalized dates).
+  const normalize = (fields) => entity.mapRow(toRow(entity, fields));
+  const nodes = new Map(seed.map((node) => [Number(node.id), normalize(node)]));
+  // Soft-deleted nodes by id, with the id of the delete that removed them.
+  const deleted = new Map();
+  const auditRows = [];
+  let lastId = Math.max(0, ...nodes.keys());
+  const isTaken = (id) => nodes.has(id) || deleted.has(id);
+  // Reads skip unpublished nodes, see ENTITIES.
+  const isVisible = (node) => !entity.published || node[entity.published.field] === entity.published.value;
+  const visible = () => [...nodes.values()].filter(isVisible);
+
+  const sorted = (where, orderBy, { unpublished = false } = {}) => {
+    const matches = entity.matchWhere(where);
+    const order = resolveOrder(orderBy, entity.orderFields);
+    return {
+      order,
+      nodes: (unpublished ? [...nodes.values()] : visible()).filter(matches).sort(compareNodes(order)),
+    };
+  };
+
+  const findBy = async (field, values, { unpublished = false } = {}) => {
+    const wanted = new Set(values.map((value) => String(Number(value))));
+    return [...nodes.values()].filter((node) => wanted.has(node[field]) && (unpublished || isVisible(node)));
+  };
+
+  return {
+    entity,
+    store: 'memory',
+    findBy,
+    all: visible,
+
+    list: async ({ where, orderBy } = {}) => sorted(where, orderBy).nodes,
+
+    connection: async ({ where, orderBy, ...pagination } = {}, options) => {
+      const order = resolveOrder(orderBy, entity.orderFields);
+      const page = normalizePaginationArgs(pagination, order);
+      const matching = sorted(where, orderBy, options).nodes;
+      return buildConnection({
+        nodes: sliceSortedNodes(matching, page),
+        page,
+        totalCount: matching.length,
+      });
+    },
+
+    count: async () => visible().length,
+
+    // Iterates a snapshot, so writes during the scan do not disturb it.
+    scan: async function* () {
+      yield* visible().sort((a, b) => Number(a.id) - Number(b.id));
+    },
+
+    insert: async (fields) => {
+      const explicitId = fields.id !== undefined && fields.id !== null;
+      const id = explicitId ? Number(fields.id) : lastId + 1;
+      if (isTaken(id)) return null;
+      const node = normalize({ ...fields, id });
+      nodes.set(id, node);
+      lastId = Math.max(lastId, id);
+      return node;
+    },
+
+    update: async (id, changes) => {
+      const existing = nodes.get(Number(id));
+      if (!existing) return null;
+      const node = normalize({ ...existing, ...changes });
+      nodes.set(Number(id), node);
+      return node;
+    },
+
+    deleteBy: async (field, values, { beforeCommit, deletionId = randomUUID() } = {}) => {
+      const removed = await findBy(field, values, { unpublished: true });
+      await beforeCommit?.(removed);
+      for (const node of removed) {
+        nodes.delete(Number(node.id));
+        deleted.set(Number(node.id), { node, deletionId });
+      }
+      return removed;
+    },
+
+    undelete: async (deletionId) => {
+      const restored = [];
+      for (const [id, entry] of deleted) {
+        if (entry.deletionId !== deletionId) continue;
+        deleted.delete(id);
+        nodes.set(id, entry.node);
+        restored.push(entry.node);
+      }
+      return restored;
+    },
+
+    deletionOf: async (id) => deleted.get(Number(id))?.deletionId ?? null,
+
+    appendAudit: async (rows) => {
+      for (const row of rows) {
+        auditRows.push({ ...row, id: auditRows.length + 1 });
+      }
+    },
+
+    auditTrail: async (id, { limit }) =>
+      auditRows
+        .filter((row) => row.entity_id === Number(id))
+        .reverse()
+        .slice(0, limit)
+        .map(mapAuditRow),
+
+    // No index: every node is scored, see scoreText.
+    search: async (terms, { limit }) =>
+      visible()
+        .map((node) => ({ node, score: scoreText(entity.searchFields.map((field) => node[field]), terms) }))
+        .filter((match) => match.score > 0)
+        .sort((a, b) => b.score - a.score || Number(a.node.id) - Number(b.node.id))
+        .slice(0, limit),
+
+    restore: async (restored) => {
+      for (const node of restored ?? []) {
+        const id = Number(node.id);
+        if (isTaken(id)) continue;
+        nodes.set(id, normalize(node));
+        lastId = Math.max(lastId, id);
+      }
+    },
+  };
+};
+
+// -----------------------------
+// Review aggregates
+// -----------------------------
+
+const statsOf = (reviews) =>
+  reviews.reduce(
+    (stats, review) => ({
+      reviewCount: stats.reviewCount + 1,
+      ratingSum: stats.ratingSum + review.rating,
+      histogram: stats.histogram.map((count, index) => (review.rating === index + 1 ? count + 1 : count)),
+    }),
+    EMPTY_REVIEW_STATS
+  );
+
+const groupBy = (reviews, field) => {
+  const groups = new Map();
+  for (const review of reviews) {
+    const list = groups.get(review[field]) ?? [];
+    list.push(review);
+    groups.set(review[field], list);
+  }
+  return groups;
+};
+
+const statsBy = (reviews, field, keys) => {
+  const groups = groupBy(reviews, field);
+  return keys.map((id) => statsOf(groups.get(String(id)) ?? []));
+};
+
+export const createMemoryReviewAggregates = (table) => ({
+  statsByBookIds: async (bookIds) => statsBy(table.all(), 'bookId', bookIds),
+  statsByReviewerIds: async (reviewerIds) => statsBy(table.all(), 'reviewerId', reviewerIds),
+
+  // Same ordering as the SQL version: average, then review count, then id.
+  topRated: async ({ limit, minReviews }) =>
+    [...groupBy(table.all(), 'bookId')]
+      .filter(([, reviews]) => reviews.length >= minReviews)
+      .map(([bookId, reviews]) => {
+        const stats = statsOf(reviews);
+        return {
+          bookId,
+          averageRating: stats.ratingSum / stats.reviewCount,
+          reviewCount: stats.reviewCount,
+        };
+      })
+      .sort(
+        (a, b) =>
+          b.averageRating - a.averageRating ||
+          b.reviewCount - a.reviewCount ||
+          Number(a.bookId) - Number(b.bookId)
+      )
+      .slice(0, limit),
+});
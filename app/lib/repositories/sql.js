@@ -0,0 +1,414 @@
+// -----------------------------
+// SQL tables
+// -----------------------------
+//
+// One generic table over a driver (see drivers.js). Statements are built with
+// lib/sql.js, lib/filters.js and lib/pagination.js, so they bind through the
+// driver's dialect and only use SQL all three engines accept. Full-text search
+// is the exception: each engine has its own syntax, below.
+//
+// Deletes are soft (migrations/*/005): rows keep their data, get `deleted_at`
+// and the `deletion_id` of the delete that removed them, and every read skips
+// them. `undelete(deletionId)` brings back what one delete removed. Reads
+// also skip unpublished rows (reviews held for moderation, see ENTITIES).
+
+import { randomUUID } from 'crypto';
+import { mapAuditRow } from '../audit.js';
+import { buildConnection, buildKeysetClause, buildOrderByClause, normalizePaginationArgs } from '../pagination.js';
+import { resolveOrder } from '../filters.js';
+import { createParamList, insertStatement, whereClause } from '../sql.js';
+import { EMPTY_REVIEW_STATS, ENTITIES, toRow } from './entities.js';
+
+const LIVE = 'deleted_at IS NULL';
+
+// The rows reads see: live and, for entities with `published`, published.
+// `qualifier` prefixes the columns.
+const visibleCondition = (entity, qualifier = '') => {
+  if (!entity.published) return `${qualifier}${LIVE}`;
+  const { field, value } = entity.published;
+  return `${qualifier}${LIVE} AND ${qualifier}${entity.columns[field]} = '${value}'`;
+};
+
+// -----------------------------
+// Full-text search
+// -----------------------------
+
+// Each returns the relevance expression (higher is better), the FROM clause
+// and the match condition for `terms` (letters and digits only, see
+// lib/search.js), adding binds in that order. The Postgres document must stay
+// the expression its index was built on, or the index is not used.
+const SEARCH_CLAUSES = {
+  postgres: ({ table, columns }, terms, params) => {
+    const text = columns.map((column) => `coalesce(${column}, '')`).join(" || ' ' || ");
+    const document = `to_tsvector('english', ${text})`;
+    const query = `to_tsquery('english', ${params.add(terms.map((term) => `${term}:*`).join(' & '))})`;
+    return { score: `ts_rank(${document}, ${query})`, from: table, match: `${document} @@ ${query}` };
+  },
+  mysql: ({ table, columns }, terms, params) => {
+    const query = terms.map((term) => `+${term}*`).join(' ');
+    const against = () => `MATCH (${columns.join(', ')}) AGAINST (${params.add(query)} IN BOOLEAN MODE)`;
+    return { score: against(), from: table, match: against() };
+  },
+  // bm25() is lower for better matches.
+  sqlite: ({ table }, terms, params) => {
+    const fts = `${table}_fts`;
+    return {
+      score: `-bm25(${fts})`,
+      from: `${table} JOIN ${fts} ON ${fts}.rowid = ${table}.id`,
+      match: `${fts} MATCH ${params.add(terms.map((term) => `"${term}"*`).join(' '))}`,
+    };
+  },
+};
+
+export const createSqlTable = (driver, entity) => {
+  const { table } = entity;
+  const columns = Object.values(entity.columns).join(', ');
+  const visible = visibleCondition(entity);
+  // Snapshots read dates as text, see ENTITIES.
+  const snapshotColumns = Object.values(entity.columns)
+    .map((column) =>
+      entity.dateColumns.includes(column) ? `${driver.dateText(column)} AS ${column}` : column
+    )
+    .join(', ');
+
+  // Qualified, since the SQLite search joins a table with the same columns.
+  const qualifiedColumns = Object.values(entity.columns)
+    .map((column) => `${table}.${column}`)
+    .join(', ');
+  const searchClauses = SEARCH_CLAUSES[driver.store];
+  const searchColumns = entity.searchFields.map((field) => entity.columns[field]);
+
+  const inList = (params, values) => values.map((value) => params.add(value)).join(', ');
+  // Ids that are not integers cannot match a row, and Postgres would reject
+  // them outright.
+  const toIds = (values) => values.map(Number).filter(Number.isInteger);
+
+  // `unpublished` includes the live rows reads skip.
+  const findBy = async (field, values, { unpublished = false } = {}) => {
+    const ids = toIds(values);
+    if (ids.length === 0) return [];
+    const params = createParamList(driver.dialect);
+    const rows = await driver.query(
+      `SELECT ${columns}
+       FROM ${table}
+       WHERE ${entity.columns[field]} IN (${inList(params, ids)}) AND ${unpublished ? LIVE : visible}`,
+      params.values
+    );
+    return rows.map(entity.mapRow);
+  };
+
+  return {
+    entity,
+    store: driver.store,
+    findBy,
+
+    list: async ({ where, orderBy } = {}) => {
+      const params = createParamList(driver.dialect);
+      const conditions = [visible, ...entity.compileWhere(where, params)];
+      const order = resolveOrder(orderBy, entity.orderFields);
+      const rows = await driver.query(
+        `SELECT ${columns}
+         FROM ${table}
+         ${whereClause(conditions)}
+         ${buildOrderByClause(order)}`,
+        params.values
+      );
+      return rows.map(entity.mapRow);
+    },
+
+    connection: async ({ where, orderBy, ...pagination } = {}, { unpublished = false } = {}) => {
+      const order = resolveOrder(orderBy, entity.orderFields);
+      const page = normalizePaginationArgs(pagination, order);
+      const params = createParamList(driver.dialect);
+      const filterConditions = [unpublished ? LIVE : visible, ...entity.compileWhere(where, params)];
+      // The filter binds come first, so the count query can reuse them as-is.
+      const filterValues = [...params.values];
+      const keyset = buildKeysetClause(page, params);
+      const rows = await driver.query(
+        `SELECT ${columns}
+         FROM ${table}
+         ${whereClause([...filterConditions, ...keyset.conditions])}
+         ${keyset.orderBy}
+         LIMIT ${keyset.limit}`,
+        params.values
+      );
+      return buildConnection({
+        nodes: rows.map(entity.mapRow),
+        page,
+        totalCount: async () => {
+          const [countRow] = await driver.query(
+            `SELECT COUNT(*) AS count FROM ${table} ${whereClause(filterConditions)}`,
+            filterValues
+          );
+          return Number(countRow?.count ?? 0);
+        },
+      });
+    },
+
+    count: async () => {
+      const [row] = await driver.query(`SELECT COUNT(*) AS count FROM ${table} WHERE ${visible}`, []);
+      return Number(row?.count ?? 0);
+    },
+
+    /**
+     * Yields every node in id order, reading `batchSize` rows per query so a
+     * table is never held in memory at once. Dates are read as text, like
+     * snapshots, so exported rows import back unchanged.
+     */
+    scan: async function* ({ batchSize = 500 } = {}) {
+      let afterId = 0;
+      for (;;) {
+        const params = createParamList(driver.dialect);
+        const rows = await driver.query(
+          `SELECT ${snapshotColumns}
+           FROM ${table}
+           WHERE id > ${params.add(afterId)} AND ${visible}
+           ORDER BY id ASC
+           LIMIT ${params.add(batchSize)}`,
+          params.values
+        );
+        for (const row of rows) {
+          yield entity.mapRow(row);
+        }
+        if (rows.length < batchSize) return;
+        afterId = Number(rows[rows.length - 1].id);
+      }
+    },
+
+    /**
+     * Returns up to `limit` `{ node, score }` matching every one of `terms`,
+     * best first, using the store's full-text index.
+     */
+    search: async (terms, { limit }) => {
+      const params = createParamList(driver.dialect);
+      const { score, from, match } = searchClauses({ table, columns: searchColumns }, terms, params);
+      const rows = await driver.query(
+        `SELECT ${qualifiedColumns}, ${score} AS search_score
+         FROM ${from}
+         WHERE ${match} AND ${visibleCondition(entity, `${table}.`)}
+         ORDER BY search_score DESC, ${table}.id ASC
+         LIMIT ${params.add(limit)}`,
+        params.values
+      );
+      return rows.map((row) => ({ node: entity.mapRow(row), score: Number(row.search_score) }));
+    },
+
+    /**
+     * Inserts a node and returns it as stored, or null when its explicit id
+     * is already taken.
+     */
+    insert: async (fields) => {
+      let id;
+      try {
+        id = await driver.insert(table, toRow(entity, fields));
+      } catch (err) {
+        if (fields.id !== undefined && driver.isDuplicateKey(err)) return null;
+        throw err;
+      }
+      const [node] = await findBy('id', [id], { unpublished: true });
+      return node ?? null;
+    },
+
+    /**
+     * Applies `changes` (node fields) and returns the updated node, or null
+     * when there is no row with that id.
+     */
+    update: async (id, changes) => {
+      const params = createParamList(driver.dialect);
+      const assignments = Object.entries(toRow(entity, changes)).map(
+        ([column, value]) => `${column} = ${params.add(value)}`
+      );
+      await driver.execute(
+        `UPDATE ${table} SET ${assignments.join(', ')} WHERE id = ${params.add(Number(id))} AND ${LIVE}`,
+        params.values
+      );
+      const [node] = await findBy('id', [id], { unpublished: true });
+      return node ?? null;
+    },
+
+    /**
+     * Soft-deletes the rows whose `field` is in `values` in one transaction,
+     * stamping them with `deletionId` (a new one by default), and returns
+     * them. `beforeCommit(nodes)` runs while the rows are locked, so a saga
+     * can log them before they are gone.
+     */
+    deleteBy: (field, values, { beforeCommit, deletionId = randomUUID() } = {}) =>
+      driver.transaction(async (tx) => {
+        const ids = toIds(values);
+        if (ids.length === 0) {
+          await beforeCommit?.([]);
+          return [];
+        }
+        const params = createParamList(driver.dialect);
+        const rows = await tx.query(
+          `SELECT ${snapshotColumns}
+           FROM ${table}
+           WHERE ${entity.columns[field]} IN (${inList(params, ids)}) AND ${LIVE}
+           ${driver.lockRows}`,
+          params.values
+        );
+        const nodes = rows.map(entity.mapRow);
+        await beforeCommit?.(nodes);
+        if (nodes.length > 0) {
+          const deleteParams = createParamList(driver.dialect);
+          await tx.execute(
+            `UPDATE ${table}
+             SET deleted_at = CURRENT_TIMESTAMP, deletion_id = ${deleteParams.add(deletionId)}
+             WHERE id IN (${inList(deleteParams, nodes.map((node) => Number(node.id)))})`,
+            deleteParams.values
+          );
+        }
+        return nodes;
+      }),
+
+    /**
+     * Brings back the rows `deletionId` removed and returns them. Restoring
+     * twice finds nothing the second time.
+     */
+    undelete: (deletionId) =>
+      driver.transaction(async (tx) => {
+        const params = createParamList(driver.dialect);
+        const rows = await tx.query(
+          `SELECT ${snapshotColumns}
+           FROM ${table}
+           WHERE deletion_id = ${params.add(deletionId)}
+           ${driver.lockRows}`,
+          params.values
+        );
+        if (rows.length > 0) {
+          const restoreParams = createParamList(driver.dialect);
+          await tx.execute(
+            `UPDATE ${table} SET deleted_at = NULL, deletion_id = NULL
+             WHERE deletion_id = ${restoreParams.add(deletionId)}`,
+            restoreParams.values
+          );
+        }
+        return rows.map(entity.mapRow);
+      }),
+
+    /**
+     * The deletion id of the deleted row `id`, or null when it is not deleted.
+     */
+    deletionOf: async (id) => {
+      const [key] = toIds([id]);
+      if (key === undefined) return null;
+      const params = createParamList(driver.dialect);
+      const [row] = await driver.query(
+        `SELECT deletion_id FROM ${table} WHERE id = ${params.add(key)} AND deleted_at IS NOT NULL`,
+        params.values
+      );
+      return row?.deletion_id ?? null;
+    },
+
+    /**
+     * Appends audit_log rows (see lib/audit.js) in one transaction.
+     */
+    appendAudit: (rows) =>
+      driver.transaction(async (tx) => {
+        for (const row of rows) {
+          const { sql, values } = insertStatement(driver.dialect, 'audit_log', row);
+          await tx.execute(sql, values);
+        }
+      }),
+
+    /**
+     * The newest `limit` audit entries of node `id`, newest first.
+     */
+    auditTrail: async (id, { limit }) => {
+      const [key] = toIds([id]);
+      if (key === undefined) return [];
+      const params = createParamList(driver.dialect);
+      const rows = await driver.query(
+        `SELECT id, entity_type, entity_id, operation, actor, before_state, after_state, created_at
+         FROM audit_log
+         WHERE entity_type = ${params.add(entity.name)} AND entity_id = ${params.add(key)}
+         ORDER BY id DESC
+         LIMIT ${params.add(limit)}`,
+        params.values
+      );
+      return rows.map(mapAuditRow);
+    },
+
+    /**
+     * Inserts nodes (with their ids) that are not already present. Used for
+     * saga compensation and seeding, so it must be idempotent.
+     */
+    restore: (nodes) =>
+      driver.transaction(async (tx) => {
+        for (const node of nodes ?? []) {
+          const { sql, values } = insertStatement(
+            driver.dialect,
+            table,
+            toRow(entity, node),
+            driver.insertIgnore
+          );
+          await tx.execute(sql, values);
+        }
+      }),
+  };
+};
+
+// -----------------------------
+// Review aggregates
+// -----------------------------
+
+const mapReviewStatsRow = (row) => ({
+  reviewCount: Number(row.review_count ?? 0),
+  ratingSum: Number(row.rating_sum ?? 0),
+  histogram: [row.rating_1, row.rating_2, row.rating_3, row.rating_4, row.rating_5].map((count) =>
+    Number(count ?? 0)
+  ),
+});
+
+const PUBLISHED_REVIEWS = visibleCondition(ENTITIES.reviews);
+
+export const createSqlReviewAggregates = (driver) => {
+  // Review stats per value of `column` (book_id, reviewer_id), in the order
+  // of `keys`.
+  const statsBy = async (column, keys) => {
+    const ids = keys.map(Number).filter(Number.isInteger);
+    if (ids.length === 0) return keys.map(() => EMPTY_REVIEW_STATS);
+    const params = createParamList(driver.dialect);
+    const placeholders = ids.map((id) => params.add(id)).join(', ');
+    const rows = await driver.query(
+      `SELECT ${column} AS group_id,
+              COUNT(*) AS review_count,
+              SUM(rating) AS rating_sum,
+              SUM(CASE WHEN rating = 1 THEN 1 ELSE 0 END) AS rating_1,
+              SUM(CASE WHEN rating = 2 THEN 1 ELSE 0 END) AS rating_2,
+              SUM(CASE WHEN rating = 3 THEN 1 ELSE 0 END) AS rating_3,
+              SUM(CASE WHEN rating = 4 THEN 1 ELSE 0 END) AS rating_4,
+              SUM(CASE WHEN rating = 5 THEN 1 ELSE 0 END) AS rating_5
+       FROM reviews
+       WHERE ${column} IN (${placeholders}) AND ${PUBLISHED_REVIEWS}
+       GROUP BY ${column}`,
+      params.values
+    );
+    const statsByKey = new Map(rows.map((row) => [Number(row.group_id), mapReviewStatsRow(row)]));
+    return keys.map((id) => statsByKey.get(Number(id)) ?? EMPTY_REVIEW_STATS);
+  };
+
+  return {
+    statsByBookIds: (bookIds) => statsBy('book_id', bookIds),
+    statsByReviewerIds: (reviewerIds) => statsBy('reviewer_id', reviewerIds),
+
+    topRated: async ({ limit, minReviews }) => {
+      const params = createParamList(driver.dialect);
+      const rows = await driver.query(
+        `SELECT book_id, AVG(rating) AS average_rating, COUNT(*) AS review_count
+         FROM reviews
+         WHERE ${PUBLISHED_REVIEWS}
+         GROUP BY book_id
+         HAVING COUNT(*) >= ${params.add(minReviews)}
+         ORDER BY average_rating DESC, review_count DESC, book_id ASC
+         LIMIT ${params.add(limit)}`,
+        params.values
+      );
+      return rows.map((row) => ({
+        bookId: String(row.book_id),
+        averageRating: Number(row.average_rating),
+        reviewCount: Number(row.review_count),
+      }));
+    },
+  };
+};
@@ -0,0 +1,235 @@
+// -----------------------------
+// Full-response cache
+// -----------------------------
+//
+// Query responses are cached for as long as their @cacheControl hints allow,
+// keyed on the query text, operation name, variables and auth scope (PUBLIC
+// responses are shared, PRIVATE ones are per user). While a query executes,
+// every entity it touches is recorded as a tag (`Book:12`), and every root
+// field tags the collection it reads (`Book`). Mutations invalidate those tags
+// so the next read goes back to the stores.
+//
+// Backends: `memory` (per replica, LRU) or `redis` (shared).
+
+import { createHash } from 'crypto';
+import { HeaderMap } from '@apollo/server';
+import { getNamedType } from 'graphql';
+
+export const RESPONSE_CACHE_MAX_ENTRIES = Number(process.env.RESPONSE_CACHE_MAX_ENTRIES || 1000);
+
+// Tag sets in Redis outlive the entries they point at; a day covers any
+// sensible maxAge.
+const REDIS_TAG_TTL_SECONDS = 24 * 60 * 60;
+
+export const createMemoryCacheBackend = ({ maxEntries = RESPONSE_CACHE_MAX_ENTRIES } = {}) => {
+  // Map iteration order doubles as the LRU order.
+  const entries = new Map();
+  const keysByTag = new Map();
+
+  const remove = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return;
+    entries.delete(key);
+    for (const tag of entry.tags) {
+      const keys = keysByTag.get(tag);
+      keys?.delete(key);
+      if (keys?.size === 0) keysByTag.delete(tag);
+    }
+  };
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      if (entry.expiresAt <= Date.now()) {
+        remove(key);
+        return undefined;
+      }
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    },
+    async set(key, value, { ttl, tags }) {
+      remove(key);
+      while (entries.size >= maxEntries) {
+        remove(entries.keys().next().value);
+      }
+      entries.set(key, { value, tags, expiresAt: Date.now() + ttl * 1000 });
+      for (const tag of tags) {
+        if (!keysByTag.has(tag)) keysByTag.set(tag, new Set());
+        keysByTag.get(tag).add(key);
+      }
+    },
+    async invalidate(tags) {
+      for (const tag of tags) {
+        for (const key of [...(keysByTag.get(tag) ?? [])]) {
+          remove(key);
+        }
+      }
+    },
+    async close() {
+      entries.clear();
+      keysByTag.clear();
+    },
+  };
+};
+
+export const createRedisCacheBackend = async ({ url, prefix = 'node_graphql:cache:' }) => {
+  const { Redis } = await import('ioredis');
+  const client = new Redis(url);
+  client.on('error', (err) => console.error('❌ Response cache Redis error:', err.message));
+  const entryKey = (key) => `${prefix}r:${key}`;
+  const tagKey = (tag) => `${prefix}t:${tag}`;
+
+  return {
+    async get(key) {
+      const raw = await client.get(entryKey(key));
+      return raw ? JSON.parse(raw) : undefined;
+    },
+    async set(key, value, { ttl, tags }) {
+      const multi = client.multi().set(entryKey(key), JSON.stringify(value), 'EX', ttl);
+      for (const tag of tags) {
+        multi.sadd(tagKey(tag), key).expire(tagKey(tag), Math.max(ttl, REDIS_TAG_TTL_SECONDS));
+      }
+      await multi.exec();
+    },
+    async invalidate(tags) {
+      for (const tag of tags) {
+        const keys = await client.smembers(tagKey(tag));
+        await client.del(tagKey(tag), ...keys.map(entryKey));
+      }
+    },
+    async close() {
+      client.disconnect();
+    },
+  };
+};
+
+/**
+ * Builds the backend selected by `RESPONSE_CACHE_BACKEND` (`memory`, `redis`
+ * or `none`). Returns null for `none`.
+ */
+export const createCacheBackend = async ({
+  backend = process.env.RESPONSE_CACHE_BACKEND || 'memory',
+  redisUrl = process.env.REDIS_URL || 'redis://localhost:6379',
+} = {}) => {
+  switch (backend) {
+    case 'none':
+      return null;
+    case 'memory':
+      return createMemoryCacheBackend();
+    case 'redis':
+      return createRedisCacheBackend({ url: redisUrl });
+    default:
+      throw new Error(`Unknown RESPONSE_CACHE_BACKEND: ${backend}`);
+  }
+};
+
+const cacheKey = (requestContext, scope) =>
+  createHash('sha256')
+    .update(
+      JSON.stringify([
+        requestContext.source,
+        requestContext.operationName ?? null,
+        requestContext.request.variables ?? {},
+        scope,
+      ])
+    )
+    .digest('hex');
+
+const setCacheHeaders = (requestContext, status, policy) => {
+  const { headers } = requestContext.response.http;
+  if (status) headers.set('x-cache', status);
+  if (requestContext.request.http?.method !== 'GET') return;
+  headers.set(
+    'cache-control',
+    policy ? `max-age=${policy.maxAge}, ${policy.scope.toLowerCase()}` : 'no-store'
+  );
+};
+
+/**
+ * Apollo Server plugin serving and storing cached query responses.
+ * `fieldTags` adds tags for fields whose result depends on more than the
+ * entities they return, e.g. `{ 'Query.topRatedBooks': ['Review'] }`.
+ * Responses to GET requests also get a matching Cache-Control header, even
+ * when `backend` is null and nothing is cached.
+ */
+export const createResponseCachePlugin = ({ backend, fieldTags = {} }) => ({
+  async requestDidStart() {
+    const tags = new Set();
+    let cachedPolicy = null;
+    return {
+      async responseForOperation(requestContext) {
+        if (!backend || requestContext.operation.operation !== 'query') return null;
+        const { user } = requestContext.contextValue;
+        const scopes = user ? ['public', `user:${user.id}`] : ['public'];
+        for (const scope of scopes) {
+          let cached;
+          try {
+            cached = await backend.get(cacheKey(requestContext, scope));
+          } catch (err) {
+            console.error('❌ Response cache read failed:', err.message);
+            return null;
+          }
+          const remaining = cached ? Math.ceil((cached.expiresAt - Date.now()) / 1000) : 0;
+          if (remaining > 0) {
+            cachedPolicy = { maxAge: remaining, scope: cached.scope };
+            return {
+              http: { status: undefined, headers: new HeaderMap() },
+              body: { kind: 'single', singleResult: JSON.parse(cached.body) },
+            };
+          }
+        }
+        return null;
+      },
+
+      async executionDidStart() {
+        if (!backend) return undefined;
+        return {
+          willResolveField({ source, info }) {
+            if (!info.path.prev) {
+              tags.add(getNamedType(info.returnType).name.replace(/Connection$/, ''));
+            } else if (source?.id !== undefined && source?.id !== null) {
+              tags.add(`${info.parentType.name}:${source.id}`);
+            }
+            for (const tag of fieldTags[`${info.parentType.name}.${info.fieldName}`] ?? []) {
+              tags.add(tag);
+            }
+          },
+        };
+      },
+
+      async willSendResponse(requestContext) {
+        if (cachedPolicy) {
+          setCacheHeaders(requestContext, 'HIT', cachedPolicy);
+          return;
+        }
+        const { operation, response, contextValue } = requestContext;
+        if (operation?.operation !== 'query' || response.body.kind !== 'single') {
+          return;
+        }
+        const result = response.body.singleResult;
+        const policy = result.errors ? null : requestContext.overallCachePolicy.policyIfCacheable();
+        const scope =
+          policy?.scope === 'PRIVATE' ? contextValue.user && `user:${contextValue.user.id}` : 'public';
+        const status = backend ? 'MISS' : null;
+        if (!policy || !scope) {
+          setCacheHeaders(requestContext, status, null);
+          return;
+        }
+        setCacheHeaders(requestContext, status, policy);
+        if (!backend) return;
+        try {
+          await backend.set(
+            cacheKey(requestContext, scope),
+            // Stored serialized so later plugins cannot mutate a cached result.
+            { body: JSON.stringify(result), scope: policy.scope, expiresAt: Date.now() + policy.maxAge * 1000 },
+            { ttl: policy.maxAge, tags: [...tags] }
+          );
+        } catch (err) {
+          console.error('❌ Response cache write failed:', err.message);
+        }
+      },
+    };
+  },
+});
@@ -0,0 +1,26 @@
+// -----------------------------
+// Retries for scripts
+// -----------------------------
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Retries `action` until it resolves, for scripts that may start before the
+ * databases they talk to are accepting connections. Gives up after `retries`
+ * attempts, `delayMs` apart, with an error naming the last failure.
+ */
+export const withRetry = async (action, { retries = 30, delayMs = 2000, name, log = console.warn }) => {
+  let attempt = 0;
+  while (true) {
+    try {
+      return await action();
+    } catch (err) {
+      attempt += 1;
+      if (attempt >= retries) {
+        throw new Error(`Failed to ${name ?? 'complete action'} after ${attempt} attempts: ${err.message}`);
+      }
+      log(`Retrying ${name ?? 'operation'} (${attempt}/${retries}) in ${delayMs}ms: ${err.message}`);
+      await wait(delayMs);
+    }
+  }
+};
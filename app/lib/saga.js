@@ -0,0 +1,201 @@
+// -----------------------------
+// Cross-store mutation coordinator (saga with compensation)
+// -----------------------------
+//
+// Authors, books and reviews live in three databases, so a mutation touching
+// more than one of them cannot be a single transaction. Instead each store's
+// step runs in its own real transaction, and before that transaction commits
+// the step records an undo snapshot in a durable local log. If a later step
+// fails, the completed steps are compensated in reverse order from the logged
+// snapshots. Sagas left unfinished by a crash are compensated on startup.
+//
+// Compensations must be idempotent: a snapshot may have been logged for a
+// transaction that then rolled back, so restoring has to tolerate rows that
+// are still there.
+
+import { randomUUID } from 'crypto';
+import { openSqliteConnection } from './transactions.js';
+
+const STATUS_RUNNING = 'running';
+const STATUS_COMPENSATING = 'compensating';
+const STATUS_COMPLETED = 'completed';
+const STATUS_COMPENSATED = 'compensated';
+
+/**
+ * A saga log stored in its own SQLite file, independent of the three data
+ * stores it coordinates.
+ */
+export const createSqliteSagaLog = async (filePath) => {
+  const db = await openSqliteConnection(filePath);
+  await db.run(`CREATE TABLE IF NOT EXISTS saga_log (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    payload TEXT NOT NULL,
+    status TEXT NOT NULL,
+    error TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );`);
+  await db.run(`CREATE TABLE IF NOT EXISTS saga_steps (
+    saga_id TEXT NOT NULL,
+    position INTEGER NOT NULL,
+    step TEXT NOT NULL,
+    undo TEXT,
+    compensated INTEGER NOT NULL DEFAULT 0,
+    updated_at TEXT NOT NULL,
+    PRIMARY KEY (saga_id, step)
+  );`);
+
+  const now = () => new Date().toISOString();
+
+  return {
+    begin: (id, name, payload) =>
+      db.run(
+        `INSERT INTO saga_log (id, name, payload, status, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [id, name, JSON.stringify(payload), STATUS_RUNNING, now(), now()]
+      ),
+    recordStep: (id, position, step, undo) =>
+      db.run(
+        `INSERT OR REPLACE INTO saga_steps (saga_id, position, step, undo, compensated, updated_at)
+         VALUES (?, ?, ?, ?, 0, ?)`,
+        [id, position, step, JSON.stringify(undo ?? null), now()]
+      ),
+    markCompensated: (id, step) =>
+      db.run(
+        `UPDATE saga_steps SET compensated = 1, updated_at = ? WHERE saga_id = ? AND step = ?`,
+        [now(), id, step]
+      ),
+    setStatus: (id, status, error = null) =>
+      db.run(`UPDATE saga_log SET status = ?, error = ?, updated_at = ? WHERE id = ?`, [
+        status,
+        error,
+        now(),
+        id,
+      ]),
+    pendingCompensation: async (id) => {
+      const rows = await db.all(
+        `SELECT step, undo FROM saga_steps
+         WHERE saga_id = ? AND compensated = 0
+         ORDER BY position DESC`,
+        [id]
+      );
+      return rows.map((row) => ({ step: row.step, undo: JSON.parse(row.undo) }));
+    },
+    unfinished: async () => {
+      const rows = await db.all(
+        `SELECT id, name, payload FROM saga_log WHERE status IN (?, ?) ORDER BY created_at`,
+        [STATUS_RUNNING, STATUS_COMPENSATING]
+      );
+      return rows.map((row) => ({ id: row.id, name: row.name, payload: JSON.parse(row.payload) }));
+    },
+    close: () => db.close(),
+  };
+};
+
+/**
+ * Parses `SAGA_FAULT_INJECTION` (`<saga>:<step>[:before|after]`, comma
+ * separated) into a hook that throws at the matching point. Used to exercise
+ * compensation against local databases; ignored in production.
+ */
+export const parseFaultInjection = (spec, env = process.env.NODE_ENV) => {
+  if (!spec || env === 'production') {
+    return () => {};
+  }
+  const faults = new Set(
+    spec
+      .split(',')
+      .map((entry) => entry.trim())
+      .filter(Boolean)
+      .map((entry) => (entry.split(':').length === 2 ? `${entry}:before` : entry))
+  );
+  return (saga, step, phase) => {
+    if (faults.has(`${saga}:${step}:${phase}`)) {
+      throw new Error(`Injected fault at ${saga}:${step}:${phase}`);
+    }
+  };
+};
+
+/**
+ * Creates a coordinator. Sagas are registered with `define(name, buildSteps)`
+ * where `buildSteps(payload)` returns an ordered list of
+ * `{ name, run({ recordUndo, results }), compensate(undo) }`. `run` must call
+ * `recordUndo(snapshot)` before committing its transaction; its return value is
+ * exposed to later steps through `results[stepName]`.
+ */
+export const createSagaCoordinator = ({ log, injectFault = () => {} }) => {
+  const definitions = new Map();
+
+  const compensate = async (id, steps) => {
+    const stepsByName = new Map(steps.map((step) => [step.name, step]));
+    await log.setStatus(id, STATUS_COMPENSATING);
+    try {
+      for (const { step, undo } of await log.pendingCompensation(id)) {
+        await stepsByName.get(step)?.compensate(undo);
+        await log.markCompensated(id, step);
+      }
+    } catch (err) {
+      // Leave the saga in `compensating` so the next recover() retries it.
+      await log.setStatus(id, STATUS_COMPENSATING, err.message).catch(() => undefined);
+      throw err;
+    }
+    await log.setStatus(id, STATUS_COMPENSATED);
+  };
+
+  return {
+    define(name, buildSteps) {
+      definitions.set(name, buildSteps);
+    },
+
+    async run(name, payload) {
+      const buildSteps = definitions.get(name);
+      if (!buildSteps) {
+        throw new Error(`Unknown saga: ${name}`);
+      }
+      const steps = buildSteps(payload);
+      const id = randomUUID();
+      const results = {};
+      await log.begin(id, name, payload);
+
+      try {
+        for (const [position, step] of steps.entries()) {
+          injectFault(name, step.name, 'before');
+          results[step.name] = await step.run({
+            results,
+            recordUndo: (undo) => log.recordStep(id, position, step.name, undo),
+          });
+          injectFault(name, step.name, 'after');
+        }
+      } catch (err) {
+        try {
+          await compensate(id, steps);
+        } catch (compensationErr) {
+          console.error(`❌ Saga ${name} (${id}) compensation failed:`, compensationErr);
+        }
+        throw err;
+      }
+
+      await log.setStatus(id, STATUS_COMPLETED);
+      return results;
+    },
+
+    /**
+     * Compensates sagas a previous process left running or half-compensated.
+     */
+    async recover() {
+      for (const saga of await log.unfinished()) {
+        const buildSteps = definitions.get(saga.name);
+        if (!buildSteps) {
+          console.warn(`ℹ️ Skipping recovery of unknown saga ${saga.name} (${saga.id})`);
+          continue;
+        }
+        try {
+          await compensate(saga.id, buildSteps(saga.payload));
+          console.log(`✅ Compensated interrupted saga ${saga.name} (${saga.id})`);
+        } catch (err) {
+          console.error(`❌ Failed to recover saga ${saga.name} (${saga.id}):`, err);
+        }
+      }
+    },
+  };
+};
@@ -0,0 +1,144 @@
+// -----------------------------
+// Custom scalars
+// -----------------------------
+//
+// Date is a calendar day as `YYYY-MM-DD`, DateTime an RFC 3339 instant
+// serialized as UTC (`2024-05-01T12:30:00.000Z`) and ISBN an ISBN-10 or
+// ISBN-13 whose checksum holds. Bad input fails during coercion, before any
+// resolver runs: Apollo reports a bad variable as BAD_USER_INPUT and a bad
+// literal as GRAPHQL_VALIDATION_FAILED.
+//
+// Nodes keep dates as day text whatever the store (see repositories/
+// entities.js); `formatDate` is how every row value becomes that text.
+
+import { GraphQLError, GraphQLScalarType, Kind } from 'graphql';
+import { isValidDate, isValidIsbn, normalizeIsbn } from './validation.js';
+
+const DATE_TIME_PATTERN =
+  /^(\d{4}-\d{2}-\d{2})[Tt ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?([Zz]|[+-]\d{2}:\d{2})$/;
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+/**
+ * A stored date as `YYYY-MM-DD`, or null. Drivers hand DATE columns back
+ * either as text or as a Date at local midnight, so a Date's local day is
+ * used. Anything else that is not a real day throws.
+ */
+export const formatDate = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) throw new TypeError('Invalid Date value');
+    return `${pad(value.getFullYear(), 4)}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+  }
+  const text = String(value);
+  // Stores without a DATE type may keep a time after the day.
+  const day = /^\d{4}-\d{2}-\d{2}(?:[Tt ].*)?$/.test(text) ? text.slice(0, 10) : text;
+  if (!isValidDate(day)) throw new TypeError(`Invalid date value: ${text}`);
+  return day;
+};
+
+/**
+ * True for an RFC 3339 date-time with a real day and time of day.
+ */
+export const isValidDateTime = (value) => {
+  const match = DATE_TIME_PATTERN.exec(value);
+  if (!match) return false;
+  const [, day, hours, minutes, seconds = '00'] = match;
+  return isValidDate(day) && Number(hours) < 24 && Number(minutes) < 60 && Number(seconds) < 60;
+};
+
+/**
+ * A stored instant as an ISO string in UTC. Day-only values are midnight UTC.
+ */
+export const formatDateTime = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) throw new TypeError('Invalid Date value');
+    return value.toISOString();
+  }
+  const text = String(value);
+  if (isValidDate(text)) return `${text}T00:00:00.000Z`;
+  if (!isValidDateTime(text)) throw new TypeError(`Invalid date-time value: ${text}`);
+  return new Date(text.toUpperCase().replace(' ', 'T')).toISOString();
+};
+
+const inputError = (message) => new GraphQLError(message);
+
+// Inputs must be strings; literals are checked the same way as variables.
+const stringInput = (name, parse) => ({
+  parseValue(value) {
+    if (typeof value !== 'string') {
+      throw inputError(`${name} must be a string`);
+    }
+    return parse(value);
+  },
+  parseLiteral(ast) {
+    if (ast.kind !== Kind.STRING) {
+      throw inputError(`${name} must be a string`);
+    }
+    return parse(ast.value);
+  },
+});
+
+const serializeWith = (name, format) => (value) => {
+  try {
+    return format(value);
+  } catch (err) {
+    throw new GraphQLError(`${name} cannot represent ${JSON.stringify(value)}: ${err.message}`);
+  }
+};
+
+export const GraphQLDate = new GraphQLScalarType({
+  name: 'Date',
+  description: 'A calendar day, `YYYY-MM-DD`.',
+  serialize: serializeWith('Date', formatDate),
+  ...stringInput('Date', (value) => {
+    if (!isValidDate(value)) {
+      throw inputError(`Date must be a real day in YYYY-MM-DD format, got ${JSON.stringify(value)}`);
+    }
+    return value;
+  }),
+});
+
+export const GraphQLDateTime = new GraphQLScalarType({
+  name: 'DateTime',
+  description:
+    'An instant, serialized in UTC as `YYYY-MM-DDTHH:mm:ss.sssZ`. Input may use any offset; a bare ' +
+    '`YYYY-MM-DD` means midnight UTC.',
+  serialize: serializeWith('DateTime', formatDateTime),
+  ...stringInput('DateTime', (value) => {
+    if (!isValidDate(value) && !isValidDateTime(value)) {
+      throw inputError(`DateTime must be an RFC 3339 date-time, got ${JSON.stringify(value)}`);
+    }
+    return formatDateTime(value);
+  }),
+});
+
+// Stored ISBNs are served as they are: older rows may predate the checksum
+// check.
+export const GraphQLISBN = new GraphQLScalarType({
+  name: 'ISBN',
+  description: 'An ISBN-10 or ISBN-13. Input may contain hyphens and spaces; it is stored without them.',
+  serialize: serializeWith('ISBN', (value) => {
+    if (typeof value !== 'string') throw new TypeError('not a string');
+    return value;
+  }),
+  ...stringInput('ISBN', (value) => {
+    if (!isValidIsbn(value)) {
+      throw inputError(`ISBN must be a valid ISBN-10 or ISBN-13, got ${JSON.stringify(value)}`);
+    }
+    return normalizeIsbn(value);
+  }),
+});
+
+export const scalarTypeDefs = `#graphql
+  scalar Date
+  scalar DateTime
+  scalar ISBN
+`;
+
+export const scalarResolvers = {
+  Date: GraphQLDate,
+  DateTime: GraphQLDateTime,
+  ISBN: GraphQLISBN,
+};
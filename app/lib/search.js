@@ -0,0 +1,147 @@
+// -----------------------------
+// Full-text search
+// -----------------------------
+//
+// Each repository searches its own store with that engine's full-text index
+// (Postgres tsvector, MySQL FULLTEXT, SQLite FTS5; see migrations/*/004) and
+// returns its best matches by the engine's relevance score. Those scores are
+// not comparable across engines, or even across queries, so the merged list
+// ranks every hit by one measure computed here instead: the largest share of
+// a single field's words that match the search. A title made of the search
+// words scores 1 whatever its type; a long review mentioning one scores little.
+//
+// Search text is reduced to words (letters and digits); a match must contain
+// every word, each as a word prefix, so `tolk` finds Tolkien. Snippets are
+// cut here rather than by the engines, so they look the same in every store.
+
+import { invalidField } from './errors.js';
+import { ENTITIES } from './repositories/entities.js';
+
+export const SEARCH_TYPES = { AUTHOR: 'authors', BOOK: 'books', REVIEW: 'reviews' };
+
+export const MAX_SEARCH_TERMS = 8;
+export const MAX_SEARCH_TEXT_LENGTH = 200;
+
+const SNIPPET_WORDS = 24;
+// Words kept before the first match, so a snippet starts with some context.
+const SNIPPET_LEAD = 6;
+
+const WORD = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Lowercased, de-duplicated words of `text`, at most MAX_SEARCH_TERMS.
+ */
+export const searchTerms = (text) =>
+  [...new Set(String(text).toLowerCase().match(WORD) ?? [])].slice(0, MAX_SEARCH_TERMS);
+
+const matchesTerm = (word, terms) => {
+  const lower = word.toLowerCase();
+  return terms.some((term) => lower.startsWith(term));
+};
+
+/**
+ * Relevance of `texts` for the memory backend: the number of words matching
+ * a term, or 0 unless every term matches somewhere.
+ */
+export const scoreText = (texts, terms) => {
+  const words = texts.filter(Boolean).flatMap((text) => text.match(WORD) ?? []);
+  const unmatched = terms.filter((term) => !words.some((word) => matchesTerm(word, [term])));
+  if (unmatched.length > 0) return 0;
+  return words.filter((word) => matchesTerm(word, terms)).length;
+};
+
+/**
+ * Relevance of a hit on the scale shared by every type and store: the largest
+ * share of the words of one of `texts` that match a term, from 0 to 1.
+ */
+export const relevance = (texts, terms) =>
+  Math.max(
+    0,
+    ...texts.filter(Boolean).map((text) => {
+      const words = text.match(WORD) ?? [];
+      return words.length > 0 ? words.filter((word) => matchesTerm(word, terms)).length / words.length : 0;
+    })
+  );
+
+const escapeHtml = (value) =>
+  value.replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+const highlight = (token, terms) => {
+  let html = '';
+  let last = 0;
+  for (const match of token.matchAll(WORD)) {
+    html += escapeHtml(token.slice(last, match.index));
+    html += matchesTerm(match[0], terms) ? `<mark>${match[0]}</mark>` : match[0];
+    last = match.index + match[0].length;
+  }
+  return html + escapeHtml(token.slice(last));
+};
+
+/**
+ * Up to SNIPPET_WORDS words around the first match in whichever of `texts`
+ * matches most, HTML-escaped, with matched words in `<mark>` tags and `…`
+ * where text was cut. Null when nothing matches.
+ */
+export const buildSnippet = (texts, terms) => {
+  let best = null;
+  for (const text of texts) {
+    if (!text) continue;
+    const tokens = text.split(/\s+/).filter(Boolean);
+    const hits = tokens.map((token) => (token.match(WORD) ?? []).some((word) => matchesTerm(word, terms)));
+    const count = hits.filter(Boolean).length;
+    // On a tie the longer text gives more context.
+    const better = !best || count > best.count || (count === best.count && tokens.length > best.tokens.length);
+    if (count > 0 && better) {
+      best = { tokens, hits, count };
+    }
+  }
+  if (!best) return null;
+
+  const start = Math.max(0, best.hits.indexOf(true) - SNIPPET_LEAD);
+  const end = Math.min(best.tokens.length, start + SNIPPET_WORDS);
+  const body = best.tokens
+    .slice(start, end)
+    .map((token, index) => (best.hits[start + index] ? highlight(token, terms) : escapeHtml(token)))
+    .join(' ');
+  return `${start > 0 ? '… ' : ''}${body}${end < best.tokens.length ? ' …' : ''}`;
+};
+
+/**
+ * Searches `types` (SEARCH_TYPES keys, all by default) for `text` and returns
+ * up to `first` hits, best first: `{ node, type, score, snippet }`, `type`
+ * being the GraphQL type name. Ties keep AUTHOR, BOOK, REVIEW order, then id.
+ */
+export const search = async ({ repositories, text, types = Object.keys(SEARCH_TYPES), first }) => {
+  if (typeof text === 'string' && text.length > MAX_SEARCH_TEXT_LENGTH) {
+    throw invalidField('text', `text must be at most ${MAX_SEARCH_TEXT_LENGTH} characters`);
+  }
+  const terms = searchTerms(text ?? '');
+  if (terms.length === 0) {
+    throw invalidField('text', 'text must contain at least one letter or digit');
+  }
+
+  const order = Object.keys(SEARCH_TYPES);
+  const wanted = order.filter((type) => types.includes(type) && repositories[SEARCH_TYPES[type]]);
+  const perType = await Promise.all(
+    wanted.map(async (type) => {
+      const entity = ENTITIES[SEARCH_TYPES[type]];
+      const matches = await repositories[SEARCH_TYPES[type]].search(terms, { limit: first });
+      return matches.map(({ node }) => {
+        const texts = entity.searchFields.map((field) => node[field]);
+        return {
+          node,
+          type: entity.name,
+          rank: order.indexOf(type),
+          score: Math.round(relevance(texts, terms) * 10_000) / 10_000,
+          texts,
+        };
+      });
+    })
+  );
+
+  return perType
+    .flat()
+    .sort((a, b) => b.score - a.score || a.rank - b.rank || Number(a.node.id) - Number(b.node.id))
+    .slice(0, first)
+    .map(({ node, type, score, texts }) => ({ node, type, score, snippet: buildSnippet(texts, terms) }));
+};
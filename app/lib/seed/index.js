@@ -0,0 +1,109 @@
+// -----------------------------
+// Seeding
+// -----------------------------
+//
+// Writes a profile's datasets (see profiles.js) through the repositories, so
+// each entity lands in whichever store *_BACKEND puts it. Seeding is
+// incremental: rows whose id already exists are left alone, so edits made
+// through the API survive a re-run. Each store's `seed_history` table records
+// the dataset versions it has received, and a version already recorded is
+// skipped without touching the table.
+
+import { ENTITIES } from '../repositories/entities.js';
+import { createParamList, insertStatement } from '../sql.js';
+
+export { LOAD_TEST_DEFAULTS, PROFILES, generateRows, loadProfile } from './profiles.js';
+
+// Parents first, so a partial seed never leaves books without authors or
+// reviews without reviewers.
+export const SEED_ORDER = ['authors', 'books', 'reviewers', 'reviews'];
+
+const BATCH_SIZE = 500;
+
+const driverFor = (repositories, entity) => {
+  const backend = repositories.backends[entity];
+  return backend === 'memory' ? null : repositories.drivers.get(backend);
+};
+
+const isApplied = async (driver, entity, version) => {
+  const params = createParamList(driver.dialect);
+  const rows = await driver.query(
+    `SELECT version FROM seed_history WHERE entity = ${params.add(entity)} AND version = ${params.add(version)}`,
+    params.values
+  );
+  return rows.length > 0;
+};
+
+const recordApplied = async (driver, row) => {
+  const { sql, values } = insertStatement(driver.dialect, 'seed_history', row);
+  try {
+    await driver.execute(sql, values);
+  } catch (err) {
+    // A concurrent seed of the same version recorded it first.
+    if (!driver.isDuplicateKey(err)) throw err;
+  }
+};
+
+/**
+ * Seeds `entities` (all by default) from `profile`. Memory-backed entities
+ * are skipped: they load the fixtures themselves. Returns
+ * `{ [entity]: { version, added, skipped } }`, `skipped` being true when the
+ * store already had that version.
+ */
+export const seedProfile = async ({ repositories, profile, entities = SEED_ORDER, log = console.log }) => {
+  const results = {};
+  for (const entity of SEED_ORDER.filter((name) => entities.includes(name))) {
+    const driver = driverFor(repositories, entity);
+    const repository = repositories[entity];
+    if (!driver || !repository) continue;
+
+    const { version, count, rows } = profile.datasets[entity];
+    if (await isApplied(driver, entity, version)) {
+      log(`ℹ️ ${entity}: ${version} already applied to ${driver.store}`);
+      results[entity] = { version, added: 0, skipped: true };
+      continue;
+    }
+
+    const before = await repository.count();
+    let batch = [];
+    for (const node of rows()) {
+      batch.push(node);
+      if (batch.length >= BATCH_SIZE) {
+        await repository.restore(batch);
+        batch = [];
+      }
+    }
+    if (batch.length > 0) await repository.restore(batch);
+
+    // Rows arrive with explicit ids, which leave generated ids behind.
+    await driver.alignIds(ENTITIES[entity].table);
+    await recordApplied(driver, { entity, version, profile: profile.name, row_count: count });
+
+    const added = (await repository.count()) - before;
+    log(`✅ ${entity}: added ${added} of ${count} ${profile.name} rows to ${driver.store} (${version})`);
+    results[entity] = { version, added, skipped: false };
+  }
+  return results;
+};
+
+/**
+ * Deletes every row of `entities` (all by default) and their seed history,
+ * children first, one transaction per entity, then resets generated ids so
+ * the next one is 1 again. Memory-backed entities are skipped.
+ */
+export const resetData = async ({ repositories, entities = SEED_ORDER, log = console.log }) => {
+  for (const entity of [...SEED_ORDER].reverse().filter((name) => entities.includes(name))) {
+    const driver = driverFor(repositories, entity);
+    if (!driver || !repositories[entity]) continue;
+
+    const { table } = ENTITIES[entity];
+    const deleted = await driver.transaction(async (tx) => {
+      const { changes } = await tx.execute(`DELETE FROM ${table}`, []);
+      const params = createParamList(driver.dialect);
+      await tx.execute(`DELETE FROM seed_history WHERE entity = ${params.add(entity)}`, params.values);
+      return changes;
+    });
+    await driver.alignIds(table);
+    log(`✅ ${entity}: deleted ${deleted} rows from ${driver.store}`);
+  }
+};
@@ -0,0 +1,245 @@
+// -----------------------------
+// Seed profiles
+// -----------------------------
+//
+//   minimal    the first 10 fixture authors, their books, those books' reviews
+//              and their reviewers
+//   demo       every row of authors.json, books.json and reviews.json, and the
+//              reviewers named in reviews.json
+//   load-test  generated rows: `authors`, `books` and `reviews` of them, derived
+//              from `seed`, so the same options always produce the same data,
+//              by a fixed cast of LOAD_TEST_REVIEWERS reviewers
+//
+// A profile hands out one dataset per entity: `{ version, count, rows() }`,
+// `rows()` yielding nodes in id order. The version names the data, so a
+// store that already has it can be skipped and a changed fixture is noticed.
+
+import crypto from 'crypto';
+import { ENTITIES, readFixture } from '../repositories/entities.js';
+
+export const PROFILES = ['minimal', 'demo', 'load-test'];
+
+export const LOAD_TEST_DEFAULTS = { authors: 1000, books: 10000, reviews: 50000, seed: 42 };
+
+const MINIMAL_AUTHORS = 10;
+
+// Bump when the generator's output changes, so stores pick up the new rows.
+const GENERATOR_VERSION = 2;
+
+const digest = (rows) => crypto.createHash('sha256').update(JSON.stringify(rows)).digest('hex').slice(0, 16);
+
+const fixtureDatasets = (name, rowsByEntity) =>
+  Object.fromEntries(
+    Object.entries(rowsByEntity).map(([entity, rows]) => [
+      entity,
+      { version: `${name}-${digest(rows)}`, count: rows.length, rows: () => rows.values() },
+    ])
+  );
+
+const loadFixtures = async () => ({
+  authors: await readFixture(ENTITIES.authors),
+  books: await readFixture(ENTITIES.books),
+  reviews: await readFixture(ENTITIES.reviews),
+  reviewers: await readFixture(ENTITIES.reviewers),
+});
+
+const minimalRows = ({ authors, books, reviews, reviewers }) => {
+  const kept = authors.slice(0, MINIMAL_AUTHORS);
+  const authorIds = new Set(kept.map((author) => author.id));
+  const keptBooks = books.filter((book) => authorIds.has(book.authorId));
+  const bookIds = new Set(keptBooks.map((book) => book.id));
+  const keptReviews = reviews.filter((review) => bookIds.has(review.bookId));
+  const reviewerIds = new Set(keptReviews.map((review) => review.reviewerId));
+  return {
+    authors: kept,
+    books: keptBooks,
+    reviews: keptReviews,
+    reviewers: reviewers.filter((reviewer) => reviewerIds.has(reviewer.id)),
+  };
+};
+
+// -----------------------------
+// Load-test generator
+// -----------------------------
+
+const words = (text) => text.trim().split(/\s+/);
+
+const FIRST_NAMES = words(`
+  Ada Bruno Chiara Dmitri Elena Farah Goran Hana Ines Jonas Kofi Lena Mateo
+  Nadia Oskar Priya Quentin Rosa Sven Tomoko Uma Victor Wen Yusuf Zora
+`);
+const LAST_NAMES = words(`
+  Abara Bianchi Castro Dubois Eriksen Fischer García Haddad Ivanova Jensen Kowalski Laine Moreau
+  Nakamura Okafor Petrov Quinn Rossi Santos Tanaka Varga Weber Xu Yilmaz Zimmer
+`);
+const NATIONALITIES = words(`
+  Brazilian Canadian Finnish French German Ghanaian Indian Italian Japanese Mexican Nigerian Polish Turkish
+`);
+const COLORS = words('amber cobalt crimson lavender olive teal ochre slate');
+const ADJECTIVES = words('Silent Last Hidden Burning Distant Broken Golden Winter Hollow Endless');
+const NOUNS = words('Harbor Archive Orchard Paradox Lantern Frontier Garden Signal Empire Tide');
+const GENRES = [
+  'historical fiction',
+  'hard science fiction',
+  'quiet literary novels',
+  'crime thrillers',
+  'poetry',
+  'essays on cities',
+];
+const COMMENTS = [
+  'Could not put it down.',
+  'Slow start, strong finish.',
+  'Beautifully written.',
+  'Not for me.',
+  'The ending felt rushed.',
+  'A new favorite.',
+  'Solid, if predictable.',
+];
+// Weighted towards the favourable end, like real review data.
+const RATINGS = [1, 2, 3, 3, 4, 4, 4, 5, 5, 5];
+
+// One reviewer per first name and last initial.
+const LOAD_TEST_REVIEWERS = FIRST_NAMES.length * LAST_NAMES.length;
+
+const reviewerName = (id) => {
+  const first = FIRST_NAMES[(id - 1) % FIRST_NAMES.length];
+  const last = LAST_NAMES[Math.floor((id - 1) / FIRST_NAMES.length)];
+  return `${first} ${last.charAt(0)}.`;
+};
+
+// FNV-1a, to turn a row's key into a 32-bit PRNG seed.
+const hash32 = (text) => {
+  let hash = 0x811c9dc5;
+  for (let index = 0; index < text.length; index += 1) {
+    hash ^= text.charCodeAt(index);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// mulberry32
+const createRandom = (seed) => {
+  let state = seed;
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let value = Math.imul(state ^ (state >>> 15), 1 | state);
+    value = (value + Math.imul(value ^ (value >>> 7), 61 | value)) ^ value;
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Every row gets its own random stream, so a row does not depend on how many
+ * rows come before it.
+ */
+const rowRandom = (seed, entity, id) => {
+  const random = createRandom(hash32(`${seed}:${entity}:${id}`));
+  return {
+    pick: (list) => list[Math.floor(random() * list.length)],
+    between: (min, max) => min + Math.floor(random() * (max - min + 1)),
+    chance: (probability) => random() < probability,
+  };
+};
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+const randomDate = (random, fromYear, toYear) =>
+  `${random.between(fromYear, toYear)}-${pad(random.between(1, 12))}-${pad(random.between(1, 28))}`;
+
+// 978 + the id, with a valid check digit, so every generated ISBN is unique.
+const generatedIsbn = (id) => {
+  const digits = `978${pad(id, 9)}`;
+  const sum = [...digits].reduce((total, char, index) => total + Number(char) * (index % 2 === 0 ? 1 : 3), 0);
+  return `${digits}${(10 - (sum % 10)) % 10}`;
+};
+
+const GENERATORS = {
+  authors: (seed, id) => {
+    const random = rowRandom(seed, 'authors', id);
+    const firstname = random.pick(FIRST_NAMES);
+    const lastname = random.pick(LAST_NAMES);
+    const birthdate = randomDate(random, 1900, 1995);
+    const birthYear = Number(birthdate.slice(0, 4));
+    return {
+      id: String(id),
+      firstname,
+      lastname,
+      birthdate,
+      deathdate: birthYear < 1950 && random.chance(0.5) ? randomDate(random, birthYear + 40, 2020) : null,
+      favoriteColor: random.pick(COLORS),
+      bio: `${firstname} ${lastname} writes ${random.pick(GENRES)}.`,
+      nationality: random.pick(NATIONALITIES),
+      dateCreated: randomDate(random, 2015, 2024),
+    };
+  },
+  books: (seed, id, counts) => {
+    const random = rowRandom(seed, 'books', id);
+    const title = `${random.pick(ADJECTIVES)} ${random.pick(NOUNS)}`;
+    return {
+      id: String(id),
+      authorId: String(random.between(1, counts.authors)),
+      title: `${title} ${id}`,
+      synopsis: `In ${title}, nothing is quite what it seems.`,
+      isbn: generatedIsbn(id),
+      publicationDate: randomDate(random, 1950, 2024),
+    };
+  },
+  reviewers: (_, id) => ({ id: String(id), name: reviewerName(id) }),
+  reviews: (seed, id, counts) => {
+    const random = rowRandom(seed, 'reviews', id);
+    const reviewerId = random.between(1, counts.reviewers);
+    return {
+      id: String(id),
+      bookId: String(random.between(1, counts.books)),
+      reviewerId: String(reviewerId),
+      reviewerName: reviewerName(reviewerId),
+      rating: random.pick(RATINGS),
+      comment: random.pick(COMMENTS),
+    };
+  },
+};
+
+/**
+ * The load-test rows for `entity`, generated on demand.
+ */
+export function* generateRows(entity, options = {}) {
+  const { seed, ...counts } = { ...LOAD_TEST_DEFAULTS, ...options, reviewers: LOAD_TEST_REVIEWERS };
+  for (let id = 1; id <= counts[entity]; id += 1) {
+    yield GENERATORS[entity](seed, id, counts);
+  }
+}
+
+const loadTestDatasets = (options) => {
+  const settings = { ...LOAD_TEST_DEFAULTS, ...options };
+  for (const [name, value] of Object.entries(settings)) {
+    if (!Number.isInteger(value) || value < (name === 'seed' ? 0 : 1)) {
+      throw new Error(`load-test ${name} must be a ${name === 'seed' ? 'non-negative' : 'positive'} integer`);
+    }
+  }
+  const { seed, authors, books, reviews } = settings;
+  const version = `load-test-v${GENERATOR_VERSION}-seed${seed}-${authors}a-${books}b-${reviews}r`;
+  const counts = { ...settings, reviewers: LOAD_TEST_REVIEWERS };
+  return Object.fromEntries(
+    Object.keys(GENERATORS).map((entity) => [
+      entity,
+      { version, count: counts[entity], rows: () => generateRows(entity, settings) },
+    ])
+  );
+};
+
+/**
+ * Returns `{ name, datasets }` for a profile. `options` (`authors`, `books`,
+ * `reviews`, `seed`) only apply to load-test.
+ */
+export const loadProfile = async (name, options = {}) => {
+  if (name === 'load-test') {
+    return { name, datasets: loadTestDatasets(options) };
+  }
+  if (name === 'demo') {
+    return { name, datasets: fixtureDatasets(name, await loadFixtures()) };
+  }
+  if (name === 'minimal') {
+    return { name, datasets: fixtureDatasets(name, minimalRows(await loadFixtures())) };
+  }
+  throw new Error(`Unknown seed profile: ${name} (expected ${PROFILES.join(', ')})`);
+};
@@ -0,0 +1,52 @@
+// -----------------------------
+// SQL building helpers shared by the three stores
+// -----------------------------
+
+// `like` is the case-insensitive match operator: `ILIKE` for Postgres, plain
+// `LIKE` for MySQL (case-insensitive collations) and SQLite (ASCII folding).
+export const dialects = {
+  postgres: { placeholder: (index) => `$${index}`, like: 'ILIKE' },
+  mysql: { placeholder: () => '?', like: 'LIKE' },
+  sqlite: { placeholder: () => '?', like: 'LIKE' },
+};
+
+/**
+ * Collects bind values while a statement is assembled. `add(value)` returns the
+ * placeholder to splice into the SQL text, so callers never interpolate user
+ * input directly regardless of whether the driver uses `$n` or `?`.
+ */
+export const createParamList = (dialect) => {
+  const values = [];
+  return {
+    dialect,
+    values,
+    add(value) {
+      values.push(value);
+      return dialect.placeholder(values.length);
+    },
+  };
+};
+
+export const whereClause = (conditions) =>
+  conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+// `!` is used as the LIKE escape character because it needs no quoting in any
+// of the three dialects (a backslash would have to be doubled for MySQL).
+export const LIKE_ESCAPE = "ESCAPE '!'";
+
+export const escapeLike = (value) => value.replace(/[!%_]/g, (match) => `!${match}`);
+
+/**
+ * Renders `INSERT INTO table (...) VALUES (...)` for a `{ column: value }`
+ * object. `verb` and `suffix` let callers spell the dialect's
+ * ignore-duplicates form (`INSERT IGNORE INTO`, `... ON CONFLICT DO NOTHING`).
+ */
+export const insertStatement = (dialect, table, row, { verb = 'INSERT INTO', suffix = '' } = {}) => {
+  const params = createParamList(dialect);
+  const columns = Object.keys(row);
+  const placeholders = columns.map((column) => params.add(row[column]));
+  return {
+    sql: `${verb} ${table} (${columns.join(', ')}) VALUES (${placeholders.join(', ')}) ${suffix}`.trim(),
+    values: params.values,
+  };
+};
@@ -0,0 +1,99 @@
+// -----------------------------
+// Per-store transaction helpers
+// -----------------------------
+//
+// Each helper pins a single connection for the duration of `work`, so BEGIN,
+// the statements and COMMIT/ROLLBACK really run in one transaction.
+
+import sqlite3 from 'sqlite3';
+
+export const SQLITE_BUSY_TIMEOUT_MS = Number(process.env.SQLITE_BUSY_TIMEOUT_MS || 5000);
+
+export const withPgTransaction = async (pool, work) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await work(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => undefined);
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+export const withMysqlTransaction = async (pool, work) => {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    const result = await work(connection);
+    await connection.commit();
+    return result;
+  } catch (err) {
+    await connection.rollback().catch(() => undefined);
+    throw err;
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * Opens a dedicated SQLite connection with promise helpers. The shared
+ * SQLite handle cannot host a transaction safely because every request
+ * issues statements on it; a separate connection gets proper isolation and
+ * waits for the write lock instead of failing with SQLITE_BUSY.
+ */
+export const openSqliteConnection = (filePath) =>
+  new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(
+      filePath,
+      sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE,
+      (err) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        db.configure('busyTimeout', SQLITE_BUSY_TIMEOUT_MS);
+        resolve({
+          run: (sql, params = []) =>
+            new Promise((res, rej) => {
+              db.run(sql, params, function runCallback(runErr) {
+                if (runErr) rej(runErr);
+                else res({ lastID: this.lastID, changes: this.changes });
+              });
+            }),
+          all: (sql, params = []) =>
+            new Promise((res, rej) => {
+              db.all(sql, params, (allErr, rows) => (allErr ? rej(allErr) : res(rows)));
+            }),
+          get: (sql, params = []) =>
+            new Promise((res, rej) => {
+              db.get(sql, params, (getErr, row) => (getErr ? rej(getErr) : res(row)));
+            }),
+          close: () =>
+            new Promise((res, rej) => {
+              db.close((closeErr) => (closeErr ? rej(closeErr) : res()));
+            }),
+        });
+      }
+    );
+  });
+
+export const withSqliteTransaction = async (filePath, work) => {
+  const db = await openSqliteConnection(filePath);
+  try {
+    await db.run('BEGIN IMMEDIATE');
+    try {
+      const result = await work(db);
+      await db.run('COMMIT');
+      return result;
+    } catch (err) {
+      await db.run('ROLLBACK').catch(() => undefined);
+      throw err;
+    }
+  } finally {
+    await db.close().catch(() => undefined);
+  }
+};
@@ -0,0 +1,141 @@
+// -----------------------------
+// Input validation
+// -----------------------------
+//
+// Mutations collect every problem with their input before touching a store,
+// then report them together as one BAD_USER_INPUT error whose
+// `extensions.fields` lists `{ field, message }` per offending field.
+
+import { badUserInput } from './errors.js';
+
+// Upper bounds for free-text fields. `title` matches books.title VARCHAR(255);
+// the rest are TEXT columns capped to keep rows reasonable.
+export const MAX_LENGTHS = {
+  firstname: 100,
+  lastname: 100,
+  favoriteColor: 50,
+  nationality: 100,
+  bio: 5000,
+  title: 255,
+  synopsis: 5000,
+  reviewerName: 100,
+  comment: 5000,
+  name: 100,
+  location: 100,
+  reason: 1000,
+  note: 5000,
+};
+
+export const MIN_RATING = 1;
+export const MAX_RATING = 5;
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * True for real calendar dates in YYYY-MM-DD form (so 2023-02-30 is rejected).
+ */
+export const isValidDate = (value) => {
+  const match = DATE_PATTERN.exec(value);
+  if (!match) return false;
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return (
+    date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day
+  );
+};
+
+export const normalizeIsbn = (value) => value.replace(/[\s-]/g, '').toUpperCase();
+
+/**
+ * Checks an ISBN-10 or ISBN-13 checksum; hyphens and spaces are ignored.
+ */
+export const isValidIsbn = (value) => {
+  const isbn = normalizeIsbn(value);
+  if (/^\d{9}[\dX]$/.test(isbn)) {
+    const sum = [...isbn].reduce(
+      (total, char, index) => total + (char === 'X' ? 10 : Number(char)) * (10 - index),
+      0
+    );
+    return sum % 11 === 0;
+  }
+  if (/^\d{13}$/.test(isbn)) {
+    const sum = [...isbn].reduce(
+      (total, char, index) => total + Number(char) * (index % 2 === 0 ? 1 : 3),
+      0
+    );
+    return sum % 10 === 0;
+  }
+  return false;
+};
+
+/**
+ * Returns a collector whose checks record failures instead of throwing.
+ * Checks ignore `null`/`undefined` (use `required` for mandatory fields) and
+ * return the value they were given, so they compose inline. Call `assert()`
+ * once all fields have been checked.
+ */
+export const createValidator = () => {
+  const fields = [];
+  const fail = (field, message) => {
+    fields.push({ field, message });
+  };
+  const isMissing = (value) => value === undefined || value === null;
+
+  return {
+    fail,
+    required(field, value) {
+      if (isMissing(value) || value === '') {
+        fail(field, `${field} is required`);
+      }
+      return value;
+    },
+    maxLength(field, value, max = MAX_LENGTHS[field]) {
+      if (!isMissing(value) && max !== undefined && value.length > max) {
+        fail(field, `${field} must be at most ${max} characters`);
+      }
+      return value;
+    },
+    date(field, value) {
+      if (!isMissing(value) && !isValidDate(value)) {
+        fail(field, `${field} must be a date in YYYY-MM-DD format`);
+      }
+      return value;
+    },
+    /**
+     * Cross-field check between two dates: `value` may not fall before
+     * `earliest`, described to the client as `earliestName`.
+     */
+    notBefore(field, value, earliest, earliestName) {
+      if (isValidDate(value) && isValidDate(earliest) && value < earliest) {
+        fail(field, `${field} cannot be before ${earliestName} (${earliest})`);
+      }
+      return value;
+    },
+    isbn(field, value) {
+      if (!isMissing(value) && !isValidIsbn(value)) {
+        fail(field, `${field} must be a valid ISBN-10 or ISBN-13`);
+      }
+      return value;
+    },
+    rating(field, value) {
+      if (!isMissing(value) && (!Number.isInteger(value) || value < MIN_RATING || value > MAX_RATING)) {
+        fail(field, `${field} must be between ${MIN_RATING} and ${MAX_RATING}`);
+      }
+      return value;
+    },
+    positiveId(field, value) {
+      if (isMissing(value)) return null;
+      const id = Number(value);
+      if (!Number.isInteger(id) || id <= 0) {
+        fail(field, `${field} must be a positive integer`);
+        return null;
+      }
+      return id;
+    },
+    assert(message = 'Invalid input') {
+      if (fields.length > 0) {
+        throw badUserInput(fields.length === 1 ? fields[0].message : message, [...fields]);
+      }
+    },
+  };
+};
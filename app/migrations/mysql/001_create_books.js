@@ -0,0 +1,15 @@
+export const up = [
+  `CREATE TABLE IF NOT EXISTS books (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    author_id INT NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    synopsis TEXT,
+    isbn VARCHAR(32),
+    publicationdate DATE
+  ) ENGINE=InnoDB`,
+  // Tables created by older seed scripts may lack AUTO_INCREMENT on id. The
+  // existing primary key is kept, so this is a no-op on current tables.
+  'ALTER TABLE books MODIFY COLUMN id INT NOT NULL AUTO_INCREMENT',
+];
+
+export const down = ['DROP TABLE IF EXISTS books'];
@@ -0,0 +1,24 @@
+// Lets AUTHORS_BACKEND / REVIEWS_BACKEND point at MySQL. Columns match the
+// Postgres authors and SQLite reviews tables.
+export const up = [
+  `CREATE TABLE IF NOT EXISTS authors (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    firstname VARCHAR(255) NOT NULL,
+    lastname VARCHAR(255) NOT NULL,
+    birthdate DATE,
+    deathdate DATE,
+    favoritecolor VARCHAR(255),
+    bio TEXT,
+    nationality VARCHAR(255),
+    datecreated DATE
+  ) ENGINE=InnoDB`,
+  `CREATE TABLE IF NOT EXISTS reviews (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    book_id INT NOT NULL,
+    reviewername VARCHAR(255) NOT NULL,
+    rating INT NOT NULL,
+    comment TEXT
+  ) ENGINE=InnoDB`,
+];
+
+export const down = ['DROP TABLE IF EXISTS reviews', 'DROP TABLE IF EXISTS authors'];
@@ -0,0 +1,13 @@
+// Records which seed dataset versions scripts/seed.js has applied, per entity.
+export const up = [
+  `CREATE TABLE IF NOT EXISTS seed_history (
+    entity VARCHAR(32) NOT NULL,
+    version VARCHAR(200) NOT NULL,
+    profile VARCHAR(32) NOT NULL,
+    row_count INT NOT NULL,
+    applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (entity, version)
+  )`,
+];
+
+export const down = ['DROP TABLE IF EXISTS seed_history'];
@@ -0,0 +1,14 @@
+// Full-text search (lib/search.js). InnoDB maintains FULLTEXT indexes on
+// every write; the column lists must match the MATCH () lists in
+// lib/repositories/sql.js.
+export const up = [
+  'ALTER TABLE authors ADD FULLTEXT INDEX authors_search (firstname, lastname, bio)',
+  'ALTER TABLE books ADD FULLTEXT INDEX books_search (title, synopsis)',
+  'ALTER TABLE reviews ADD FULLTEXT INDEX reviews_search (reviewername, comment)',
+];
+
+export const down = [
+  'ALTER TABLE reviews DROP INDEX reviews_search',
+  'ALTER TABLE books DROP INDEX books_search',
+  'ALTER TABLE authors DROP INDEX authors_search',
+];
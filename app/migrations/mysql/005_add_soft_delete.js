@@ -0,0 +1,20 @@
+// Soft delete: a deleted row keeps its data and gets `deleted_at` plus the
+// `deletion_id` shared by everything one delete (or cascade) removed, which
+// is what restoreAuthor brings back. Reads skip rows with `deleted_at` set.
+export const up = [
+  'ALTER TABLE authors ADD COLUMN deleted_at TIMESTAMP NULL, ADD COLUMN deletion_id VARCHAR(36)',
+  'ALTER TABLE books ADD COLUMN deleted_at TIMESTAMP NULL, ADD COLUMN deletion_id VARCHAR(36)',
+  'ALTER TABLE reviews ADD COLUMN deleted_at TIMESTAMP NULL, ADD COLUMN deletion_id VARCHAR(36)',
+  'CREATE INDEX authors_deletion ON authors (deletion_id)',
+  'CREATE INDEX books_deletion ON books (deletion_id)',
+  'CREATE INDEX reviews_deletion ON reviews (deletion_id)',
+];
+
+export const down = [
+  'DROP INDEX reviews_deletion ON reviews',
+  'DROP INDEX books_deletion ON books',
+  'DROP INDEX authors_deletion ON authors',
+  'ALTER TABLE reviews DROP COLUMN deletion_id, DROP COLUMN deleted_at',
+  'ALTER TABLE books DROP COLUMN deletion_id, DROP COLUMN deleted_at',
+  'ALTER TABLE authors DROP COLUMN deletion_id, DROP COLUMN deleted_at',
+];
@@ -0,0 +1,18 @@
+// Append-only record of every mutation (lib/audit.js), kept in the store of
+// the entity it describes. Snapshots are JSON text and `created_at` ISO-8601
+// text in UTC, so every engine returns both exactly as written.
+export const up = [
+  `CREATE TABLE IF NOT EXISTS audit_log (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    entity_type VARCHAR(32) NOT NULL,
+    entity_id INT NOT NULL,
+    operation VARCHAR(64) NOT NULL,
+    actor VARCHAR(255),
+    before_state MEDIUMTEXT,
+    after_state MEDIUMTEXT,
+    created_at VARCHAR(32) NOT NULL,
+    INDEX audit_log_entity (entity_type, entity_id, id)
+  ) ENGINE=InnoDB`,
+];
+
+export const down = ['DROP TABLE IF EXISTS audit_log'];
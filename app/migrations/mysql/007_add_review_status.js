@@ -0,0 +1,9 @@
+// Moderation status of a review: APPROVED reviews are public, PENDING ones are
+// held by the moderation hook (lib/moderation.js) and hidden from reads.
+// Existing reviews were all public, so they start APPROVED.
+export const up = [
+  "ALTER TABLE reviews ADD COLUMN status VARCHAR(16) NOT NULL DEFAULT 'APPROVED'",
+  'CREATE INDEX reviews_status ON reviews (status)',
+];
+
+export const down = ['DROP INDEX reviews_status ON reviews', 'ALTER TABLE reviews DROP COLUMN status'];
@@ -0,0 +1,19 @@
+// The latest moderation decision on a review: who made it and when
+// (`moderated_at` is ISO-8601 text in UTC, like audit_log.created_at), why a
+// rejected review was rejected, and the moderator's note. Reviews from before
+// moderation were made APPROVED by 007 and have no decision.
+export const up = [
+  `ALTER TABLE reviews
+    ADD COLUMN moderation_reason TEXT,
+    ADD COLUMN moderator_note TEXT,
+    ADD COLUMN moderated_by VARCHAR(255),
+    ADD COLUMN moderated_at VARCHAR(32)`,
+];
+
+export const down = [
+  `ALTER TABLE reviews
+    DROP COLUMN moderated_at,
+    DROP COLUMN moderated_by,
+    DROP COLUMN moderator_note,
+    DROP COLUMN moderation_reason`,
+];
@@ -0,0 +1,33 @@
+// Reviewers: the people behind reviews. `subject` is the token subject of the
+// user a reviewer belongs to; reviewers backfilled here, from the distinct
+// reviewer names already stored (numbered in order of their first review, like
+// the demo fixtures), belong to nobody. `joined_at` is ISO-8601 text in UTC,
+// like audit_log.created_at, and unknown for backfilled reviewers. Names are
+// compared as bytes: the default collation would merge "alice" and "Alice "
+// into one reviewer, where Postgres and SQLite keep two.
+export const up = [
+  `CREATE TABLE IF NOT EXISTS reviewers (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    subject VARCHAR(255) UNIQUE,
+    bio TEXT,
+    location VARCHAR(255),
+    joined_at VARCHAR(32),
+    deleted_at TIMESTAMP NULL,
+    deletion_id VARCHAR(36),
+    INDEX reviewers_name (name),
+    INDEX reviewers_deletion (deletion_id)
+  ) ENGINE=InnoDB`,
+  'ALTER TABLE reviews ADD COLUMN reviewer_id INT',
+  'CREATE INDEX reviews_reviewer ON reviews (reviewer_id)',
+  `INSERT INTO reviewers (name)
+    SELECT ANY_VALUE(reviewername) FROM reviews GROUP BY CAST(reviewername AS BINARY) ORDER BY MIN(id)`,
+  `UPDATE reviews JOIN reviewers ON CAST(reviewers.name AS BINARY) = CAST(reviews.reviewername AS BINARY)
+    SET reviews.reviewer_id = reviewers.id`,
+];
+
+export const down = [
+  'DROP INDEX reviews_reviewer ON reviews',
+  'ALTER TABLE reviews DROP COLUMN reviewer_id',
+  'DROP TABLE IF EXISTS reviewers',
+];
@@ -0,0 +1,15 @@
+export const up = [
+  `CREATE TABLE IF NOT EXISTS authors (
+    id SERIAL PRIMARY KEY,
+    firstname TEXT NOT NULL,
+    lastname TEXT NOT NULL,
+    birthdate DATE,
+    deathdate DATE,
+    favoritecolor TEXT,
+    bio TEXT,
+    nationality TEXT,
+    datecreated DATE
+  )`,
+];
+
+export const down = ['DROP TABLE IF EXISTS authors'];
@@ -0,0 +1,21 @@
+// Lets BOOKS_BACKEND / REVIEWS_BACKEND point at Postgres. Columns match the
+// MySQL books and SQLite reviews tables.
+export const up = [
+  `CREATE TABLE IF NOT EXISTS books (
+    id SERIAL PRIMARY KEY,
+    author_id INTEGER NOT NULL,
+    title TEXT NOT NULL,
+    synopsis TEXT,
+    isbn TEXT,
+    publicationdate DATE
+  )`,
+  `CREATE TABLE IF NOT EXISTS reviews (
+    id SERIAL PRIMARY KEY,
+    book_id INTEGER NOT NULL,
+    reviewername TEXT NOT NULL,
+    rating INTEGER NOT NULL,
+    comment TEXT
+  )`,
+];
+
+export const down = ['DROP TABLE IF EXISTS reviews', 'DROP TABLE IF EXISTS books'];
@@ -0,0 +1,20 @@
+// Full-text search (lib/search.js) over expression indexes, which Postgres
+// keeps current on every write. The expressions must match SEARCH_CLAUSES in
+// lib/repositories/sql.js.
+export const up = [
+  `CREATE INDEX IF NOT EXISTS authors_search_idx ON authors USING GIN (
+    to_tsvector('english', coalesce(firstname, '') || ' ' || coalesce(lastname, '') || ' ' || coalesce(bio, ''))
+  )`,
+  `CREATE INDEX IF NOT EXISTS books_search_idx ON books USING GIN (
+    to_tsvector('english', coalesce(title, '') || ' ' || coalesce(synopsis, ''))
+  )`,
+  `CREATE INDEX IF NOT EXISTS reviews_search_idx ON reviews USING GIN (
+    to_tsvector('english', coalesce(reviewername, '') || ' ' || coalesce(comment, ''))
+  )`,
+];
+
+export const down = [
+  'DROP INDEX IF EXISTS reviews_search_idx',
+  'DROP INDEX IF EXISTS books_search_idx',
+  'DROP INDEX IF EXISTS authors_search_idx',
+];
@@ -0,0 +1,32 @@
+// Reviewers: the people behind reviews. `subject` is the token subject of the
+// user a reviewer belongs to; reviewers backfilled here, from the distinct
+// reviewer names already stored (numbered in order of their first review, like
+// the demo fixtures), belong to nobody. `joined_at` is ISO-8601 text in UTC,
+// like audit_log.created_at, and unknown for backfilled reviewers.
+export const up = [
+  `CREATE TABLE IF NOT EXISTS reviewers (
+    id SERIAL PRIMARY KEY,
+    name TEXT NOT NULL,
+    subject VARCHAR(255) UNIQUE,
+    bio TEXT,
+    location TEXT,
+    joined_at VARCHAR(32),
+    deleted_at TIMESTAMPTZ,
+    deletion_id VARCHAR(36)
+  )`,
+  'CREATE INDEX IF NOT EXISTS reviewers_name ON reviewers (name)',
+  'CREATE INDEX IF NOT EXISTS reviewers_deletion ON reviewers (deletion_id)',
+  'ALTER TABLE reviews ADD COLUMN reviewer_id INTEGER',
+  'CREATE INDEX IF NOT EXISTS reviews_reviewer ON reviews (reviewer_id)',
+  `INSERT INTO reviewers (name)
+    SELECT reviewername FROM reviews GROUP BY reviewername ORDER BY MIN(id)`,
+  `UPDATE reviews SET reviewer_id = reviewers.id
+    FROM reviewers
+    WHERE reviewers.name = reviews.reviewername`,
+];
+
+export const down = [
+  'DROP INDEX IF EXISTS reviews_reviewer',
+  'ALTER TABLE reviews DROP COLUMN reviewer_id',
+  'DROP TABLE IF EXISTS reviewers',
+];
@@ -0,0 +1,11 @@
+export const up = [
+  `CREATE TABLE IF NOT EXISTS reviews (
+    id INTEGER PRIMARY KEY,
+    book_id INTEGER NOT NULL,
+    reviewername TEXT NOT NULL,
+    rating INTEGER NOT NULL,
+    comment TEXT
+  )`,
+];
+
+export const down = ['DROP TABLE IF EXISTS reviews'];
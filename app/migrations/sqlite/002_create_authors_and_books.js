@@ -0,0 +1,25 @@
+// Lets AUTHORS_BACKEND / BOOKS_BACKEND point at SQLite. Columns match the
+// Postgres authors and MySQL books tables; dates are stored as YYYY-MM-DD text.
+export const up = [
+  `CREATE TABLE IF NOT EXISTS authors (
+    id INTEGER PRIMARY KEY,
+    firstname TEXT NOT NULL,
+    lastname TEXT NOT NULL,
+    birthdate TEXT,
+    deathdate TEXT,
+    favoritecolor TEXT,
+    bio TEXT,
+    nationality TEXT,
+    datecreated TEXT
+  )`,
+  `CREATE TABLE IF NOT EXISTS books (
+    id INTEGER PRIMARY KEY,
+    author_id INTEGER NOT NULL,
+    title TEXT NOT NULL,
+    synopsis TEXT,
+    isbn TEXT,
+    publicationdate TEXT
+  )`,
+];
+
+export const down = ['DROP TABLE IF EXISTS books', 'DROP TABLE IF EXISTS authors'];
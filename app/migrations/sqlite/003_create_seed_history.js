@@ -0,0 +1,13 @@
+// Records which seed dataset versions scripts/seed.js has applied, per entity.
+export const up = [
+  `CREATE TABLE IF NOT EXISTS seed_history (
+    entity TEXT NOT NULL,
+    version TEXT NOT NULL,
+    profile TEXT NOT NULL,
+    row_count INTEGER NOT NULL,
+    applied_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (entity, version)
+  )`,
+];
+
+export const down = ['DROP TABLE IF EXISTS seed_history'];
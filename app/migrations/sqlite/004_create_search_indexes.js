@@ -0,0 +1,74 @@
+// Full-text search (lib/search.js) through FTS5 tables that index the rows
+// of their content table in place. Triggers keep them current on every write,
+// and `rebuild` indexes the rows already there.
+export const up = [
+  `CREATE VIRTUAL TABLE IF NOT EXISTS authors_fts USING fts5(
+    firstname, lastname, bio, content = 'authors', content_rowid = 'id', tokenize = 'porter unicode61'
+  )`,
+  `CREATE TRIGGER IF NOT EXISTS authors_fts_insert AFTER INSERT ON authors BEGIN
+    INSERT INTO authors_fts (rowid, firstname, lastname, bio)
+      VALUES (new.id, new.firstname, new.lastname, new.bio);
+  END`,
+  `CREATE TRIGGER IF NOT EXISTS authors_fts_delete AFTER DELETE ON authors BEGIN
+    INSERT INTO authors_fts (authors_fts, rowid, firstname, lastname, bio)
+      VALUES ('delete', old.id, old.firstname, old.lastname, old.bio);
+  END`,
+  `CREATE TRIGGER IF NOT EXISTS authors_fts_update AFTER UPDATE ON authors BEGIN
+    INSERT INTO authors_fts (authors_fts, rowid, firstname, lastname, bio)
+      VALUES ('delete', old.id, old.firstname, old.lastname, old.bio);
+    INSERT INTO authors_fts (rowid, firstname, lastname, bio)
+      VALUES (new.id, new.firstname, new.lastname, new.bio);
+  END`,
+  "INSERT INTO authors_fts (authors_fts) VALUES ('rebuild')",
+  `CREATE VIRTUAL TABLE IF NOT EXISTS books_fts USING fts5(
+    title, synopsis, content = 'books', content_rowid = 'id', tokenize = 'porter unicode61'
+  )`,
+  `CREATE TRIGGER IF NOT EXISTS books_fts_insert AFTER INSERT ON books BEGIN
+    INSERT INTO books_fts (rowid, title, synopsis)
+      VALUES (new.id, new.title, new.synopsis);
+  END`,
+  `CREATE TRIGGER IF NOT EXISTS books_fts_delete AFTER DELETE ON books BEGIN
+    INSERT INTO books_fts (books_fts, rowid, title, synopsis)
+      VALUES ('delete', old.id, old.title, old.synopsis);
+  END`,
+  `CREATE TRIGGER IF NOT EXISTS books_fts_update AFTER UPDATE ON books BEGIN
+    INSERT INTO books_fts (books_fts, rowid, title, synopsis)
+      VALUES ('delete', old.id, old.title, old.synopsis);
+    INSERT INTO books_fts (rowid, title, synopsis)
+      VALUES (new.id, new.title, new.synopsis);
+  END`,
+  "INSERT INTO books_fts (books_fts) VALUES ('rebuild')",
+  `CREATE VIRTUAL TABLE IF NOT EXISTS reviews_fts USING fts5(
+    reviewername, comment, content = 'reviews', content_rowid = 'id', tokenize = 'porter unicode61'
+  )`,
+  `CREATE TRIGGER IF NOT EXISTS reviews_fts_insert AFTER INSERT ON reviews BEGIN
+    INSERT INTO reviews_fts (rowid, reviewername, comment)
+      VALUES (new.id, new.reviewername, new.comment);
+  END`,
+  `CREATE TRIGGER IF NOT EXISTS reviews_fts_delete AFTER DELETE ON reviews BEGIN
+    INSERT INTO reviews_fts (reviews_fts, rowid, reviewername, comment)
+      VALUES ('delete', old.id, old.reviewername, old.comment);
+  END`,
+  `CREATE TRIGGER IF NOT EXISTS reviews_fts_update AFTER UPDATE ON reviews BEGIN
+    INSERT INTO reviews_fts (reviews_fts, rowid, reviewername, comment)
+      VALUES ('delete', old.id, old.reviewername, old.comment);
+    INSERT INTO reviews_fts (rowid, reviewername, comment)
+      VALUES (new.id, new.reviewername, new.comment);
+  END`,
+  "INSERT INTO reviews_fts (reviews_fts) VALUES ('rebuild')",
+];
+
+export const down = [
+  'DROP TRIGGER IF EXISTS reviews_fts_update',
+  'DROP TRIGGER IF EXISTS reviews_fts_delete',
+  'DROP TRIGGER IF EXISTS reviews_fts_insert',
+  'DROP TABLE IF EXISTS reviews_fts',
+  'DROP TRIGGER IF EXISTS books_fts_update',
+  'DROP TRIGGER IF EXISTS books_fts_delete',
+  'DROP TRIGGER IF EXISTS books_fts_insert',
+  'DROP TABLE IF EXISTS books_fts',
+  'DROP TRIGGER IF EXISTS authors_fts_update',
+  'DROP TRIGGER IF EXISTS authors_fts_delete',
+  'DROP TRIGGER IF EXISTS authors_fts_insert',
+  'DROP TABLE IF EXISTS authors_fts',
+];
@@ -0,0 +1,27 @@
+// Soft delete: a deleted row keeps its data and gets `deleted_at` plus the
+// `deletion_id` shared by everything one delete (or cascade) removed, which
+// is what restoreAuthor brings back. Reads skip rows with `deleted_at` set.
+// SQLite adds one column per statement.
+export const up = [
+  'ALTER TABLE authors ADD COLUMN deleted_at TEXT',
+  'ALTER TABLE authors ADD COLUMN deletion_id TEXT',
+  'ALTER TABLE books ADD COLUMN deleted_at TEXT',
+  'ALTER TABLE books ADD COLUMN deletion_id TEXT',
+  'ALTER TABLE reviews ADD COLUMN deleted_at TEXT',
+  'ALTER TABLE reviews ADD COLUMN deletion_id TEXT',
+  'CREATE INDEX IF NOT EXISTS authors_deletion ON authors (deletion_id)',
+  'CREATE INDEX IF NOT EXISTS books_deletion ON books (deletion_id)',
+  'CREATE INDEX IF NOT EXISTS reviews_deletion ON reviews (deletion_id)',
+];
+
+export const down = [
+  'DROP INDEX IF EXISTS reviews_deletion',
+  'DROP INDEX IF EXISTS books_deletion',
+  'DROP INDEX IF EXISTS authors_deletion',
+  'ALTER TABLE reviews DROP COLUMN deletion_id',
+  'ALTER TABLE reviews DROP COLUMN deleted_at',
+  'ALTER TABLE books DROP COLUMN deletion_id',
+  'ALTER TABLE books DROP COLUMN deleted_at',
+  'ALTER TABLE authors DROP COLUMN deletion_id',
+  'ALTER TABLE authors DROP COLUMN deleted_at',
+];
@@ -0,0 +1,18 @@
+// Append-only record of every mutation (lib/audit.js), kept in the store of
+// the entity it describes. Snapshots are JSON text and `created_at` ISO-8601
+// text in UTC, so every engine returns both exactly as written.
+export const up = [
+  `CREATE TABLE IF NOT EXISTS audit_log (
+    id INTEGER PRIMARY KEY,
+    entity_type TEXT NOT NULL,
+    entity_id INTEGER NOT NULL,
+    operation TEXT NOT NULL,
+    actor TEXT,
+    before_state TEXT,
+    after_state TEXT,
+    created_at TEXT NOT NULL
+  )`,
+  'CREATE INDEX IF NOT EXISTS audit_log_entity ON audit_log (entity_type, entity_id, id)',
+];
+
+export const down = ['DROP TABLE IF EXISTS audit_log'];
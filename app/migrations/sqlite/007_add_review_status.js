@@ -0,0 +1,9 @@
+// Moderation status of a review: APPROVED reviews are public, PENDING ones are
+// held by the moderation hook (lib/moderation.js) and hidden from reads.
+// Existing reviews were all public, so they start APPROVED.
+export const up = [
+  "ALTER TABLE reviews ADD COLUMN status TEXT NOT NULL DEFAULT 'APPROVED'",
+  'CREATE INDEX IF NOT EXISTS reviews_status ON reviews (status)',
+];
+
+export const down = ['DROP INDEX IF EXISTS reviews_status', 'ALTER TABLE reviews DROP COLUMN status'];
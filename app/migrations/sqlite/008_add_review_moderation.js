@@ -0,0 +1,18 @@
+// The latest moderation decision on a review: who made it and when
+// (`moderated_at` is ISO-8601 text in UTC, like audit_log.created_at), why a
+// rejected review was rejected, and the moderator's note. Reviews from before
+// moderation were made APPROVED by 007 and have no decision. SQLite adds one
+// column per statement.
+export const up = [
+  'ALTER TABLE reviews ADD COLUMN moderation_reason TEXT',
+  'ALTER TABLE reviews ADD COLUMN moderator_note TEXT',
+  'ALTER TABLE reviews ADD COLUMN moderated_by TEXT',
+  'ALTER TABLE reviews ADD COLUMN moderated_at TEXT',
+];
+
+export const down = [
+  'ALTER TABLE reviews DROP COLUMN moderated_at',
+  'ALTER TABLE reviews DROP COLUMN moderated_by',
+  'ALTER TABLE reviews DROP COLUMN moderator_note',
+  'ALTER TABLE reviews DROP COLUMN moderation_reason',
+];
@@ -0,0 +1,31 @@
+// Reviewers: the people behind reviews. `subject` is the token subject of the
+// user a reviewer belongs to; reviewers backfilled here, from the distinct
+// reviewer names already stored (numbered in order of their first review, like
+// the demo fixtures), belong to nobody. `joined_at` is ISO-8601 text in UTC,
+// like audit_log.created_at, and unknown for backfilled reviewers.
+export const up = [
+  `CREATE TABLE IF NOT EXISTS reviewers (
+    id INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    subject TEXT UNIQUE,
+    bio TEXT,
+    location TEXT,
+    joined_at TEXT,
+    deleted_at TEXT,
+    deletion_id TEXT
+  )`,
+  'CREATE INDEX IF NOT EXISTS reviewers_name ON reviewers (name)',
+  'CREATE INDEX IF NOT EXISTS reviewers_deletion ON reviewers (deletion_id)',
+  'ALTER TABLE reviews ADD COLUMN reviewer_id INTEGER',
+  'CREATE INDEX IF NOT EXISTS reviews_reviewer ON reviews (reviewer_id)',
+  `INSERT INTO reviewers (name)
+    SELECT reviewername FROM reviews GROUP BY reviewername ORDER BY MIN(id)`,
+  `UPDATE reviews
+    SET reviewer_id = (SELECT reviewers.id FROM reviewers WHERE reviewers.name = reviews.reviewername)`,
+];
+
+export const down = [
+  'DROP INDEX IF EXISTS reviews_reviewer',
+  'ALTER TABLE reviews DROP COLUMN reviewer_id',
+  'DROP TABLE IF EXISTS reviewers',
+];
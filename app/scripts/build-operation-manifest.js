@@ -0,0 +1,66 @@
+import fs from 'fs';
+import path from 'path';
+import { Kind, parse, print } from 'graphql';
+import { MANIFEST_FORMAT, hashQuery } from '../lib/persistedQueries.js';
+
+const USAGE = `Usage: node scripts/build-operation-manifest.js [--dir operations] [--out persisted-query-manifest.json]
+
+Collects one named operation per .graphql file into a persisted query manifest
+for PERSISTED_QUERIES=allowlist.`;
+
+const parseArgs = (argv) => {
+  const options = { dir: 'operations', out: 'persisted-query-manifest.json' };
+  for (let index = 0; index < argv.length; index += 2) {
+    const flag = argv[index];
+    const value = argv[index + 1];
+    if (value === undefined) {
+      throw new Error(USAGE);
+    }
+    if (flag === '--dir') {
+      options.dir = value;
+    } else if (flag === '--out') {
+      options.out = value;
+    } else {
+      throw new Error(`Unknown option: ${flag}`);
+    }
+  }
+  return options;
+};
+
+const readOperation = (file) => {
+  const document = parse(fs.readFileSync(file, 'utf8'));
+  const operations = document.definitions.filter((definition) => definition.kind === Kind.OPERATION_DEFINITION);
+  if (operations.length !== 1 || !operations[0].name) {
+    throw new Error(`${file} must contain exactly one named operation`);
+  }
+  // Printing normalizes whitespace, so clients hash exactly what the manifest holds.
+  const body = print(document);
+  return { id: hashQuery(body), name: operations[0].name.value, type: operations[0].operation, body };
+};
+
+try {
+  const options = parseArgs(process.argv.slice(2));
+  const files = fs
+    .readdirSync(options.dir)
+    .filter((file) => file.endsWith('.graphql'))
+    .sort()
+    .map((file) => path.join(options.dir, file));
+
+  const operations = files.map(readOperation);
+  const names = new Set();
+  for (const operation of operations) {
+    if (names.has(operation.name)) {
+      throw new Error(`Operation name ${operation.name} is used more than once`);
+    }
+    names.add(operation.name);
+  }
+
+  fs.writeFileSync(
+    options.out,
+    `${JSON.stringify({ format: MANIFEST_FORMAT, version: 1, operations }, null, 2)}\n`
+  );
+  console.log(`✅ Wrote ${operations.length} operations to ${options.out}`);
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exitCode = 1;
+}
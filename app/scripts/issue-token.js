@@ -0,0 +1,63 @@
+import 'dotenv/config';
+import { SignJWT } from 'jose';
+import { ROLES } from '../lib/auth.js';
+
+const USAGE = `Usage: node scripts/issue-token.js --sub <user id> [--role READER|MODERATOR|EDITOR|ADMIN]... [--name <name>] [--expires 1h]
+
+Signs an HS256 token with AUTH_JWT_SECRET for local testing.`;
+
+const parseArgs = (argv) => {
+  const options = { roles: [], expires: '1h' };
+  for (let index = 0; index < argv.length; index += 1) {
+    const flag = argv[index];
+    const value = argv[index + 1];
+    if (value === undefined) {
+      throw new Error(USAGE);
+    }
+    if (flag === '--sub') {
+      options.sub = value;
+    } else if (flag === '--role') {
+      const role = value.toUpperCase();
+      if (!ROLES.includes(role)) {
+        throw new Error(`--role must be one of ${ROLES.join(', ')}`);
+      }
+      options.roles.push(role);
+    } else if (flag === '--name') {
+      options.name = value;
+    } else if (flag === '--expires') {
+      options.expires = value;
+    } else {
+      throw new Error(`Unknown option: ${flag}`);
+    }
+    index += 1;
+  }
+  if (!options.sub) {
+    throw new Error(USAGE);
+  }
+  if (options.roles.length === 0) {
+    options.roles.push('READER');
+  }
+  return options;
+};
+
+try {
+  const secret = process.env.AUTH_JWT_SECRET;
+  if (!secret) {
+    throw new Error('AUTH_JWT_SECRET must be set');
+  }
+  const options = parseArgs(process.argv.slice(2));
+  const token = new SignJWT({
+    [process.env.AUTH_ROLES_CLAIM || 'roles']: options.roles,
+    ...(options.name && { name: options.name }),
+  })
+    .setProtectedHeader({ alg: 'HS256' })
+    .setSubject(options.sub)
+    .setIssuedAt()
+    .setExpirationTime(options.expires);
+  if (process.env.AUTH_ISSUER) token.setIssuer(process.env.AUTH_ISSUER);
+  if (process.env.AUTH_AUDIENCE) token.setAudience(process.env.AUTH_AUDIENCE);
+  console.log(await token.sign(new TextEncoder().encode(secret)));
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exitCode = 1;
+}
@@ -0,0 +1,98 @@
+import 'dotenv/config';
+import fs from 'fs';
+import {
+  buildReport,
+  compareReports,
+  formatComparison,
+  formatReport,
+  loadScenario,
+  runScenario,
+} from '../lib/loadtest/index.js';
+
+const USAGE = `Usage: node scripts/load-test.js <scenario.json> [--url URL] [--token TOKEN]
+                                [--out report.json] [--compare baseline.json]
+
+  --url       GraphQL endpoint; defaults to the scenario's url, then
+              GRAPHQL_URL, then http://localhost:4000/
+  --token     bearer token for operations marked "auth" (LOAD_TEST_TOKEN;
+              see npm run token)
+  --out       write the JSON report there
+  --compare   print the change from an earlier JSON report
+
+Scenarios live in loadtest/. Ctrl+C stops early and still reports.`;
+
+const parseArgs = (argv, env = process.env) => {
+  const options = { scenario: null, url: null, token: env.LOAD_TEST_TOKEN || null, out: null, compare: null };
+  const flags = { '--url': 'url', '--token': 'token', '--out': 'out', '--compare': 'compare' };
+  for (let index = 0; index < argv.length; index += 1) {
+    const flag = argv[index];
+    if (flags[flag]) {
+      if (argv[index + 1] === undefined) throw new Error(`${flag} needs a value\n\n${USAGE}`);
+      options[flags[flag]] = argv[index + 1];
+      index += 1;
+    } else if (!flag.startsWith('--') && !options.scenario) {
+      options.scenario = flag;
+    } else {
+      throw new Error(`Unknown option: ${flag}\n\n${USAGE}`);
+    }
+  }
+  if (!options.scenario) throw new Error(USAGE);
+  return options;
+};
+
+async function main() {
+  let options;
+  let scenario;
+  let baseline = null;
+  try {
+    options = parseArgs(process.argv.slice(2));
+    scenario = await loadScenario(options.scenario);
+    if (options.compare) baseline = JSON.parse(fs.readFileSync(options.compare, 'utf8'));
+  } catch (err) {
+    console.error(err.message);
+    process.exitCode = 1;
+    return;
+  }
+
+  const url = options.url || scenario.url || process.env.GRAPHQL_URL || 'http://localhost:4000/';
+  const needsToken = scenario.operations.filter((operation) => operation.auth);
+  if (needsToken.length > 0 && !options.token) {
+    const names = needsToken.map((operation) => operation.name).join(', ');
+    console.warn(`ℹ️ No --token or LOAD_TEST_TOKEN: ${names} will run unauthenticated`);
+  }
+
+  const controller = new AbortController();
+  process.once('SIGINT', () => {
+    console.log('ℹ️ Stopping; waiting for requests in flight');
+    controller.abort();
+  });
+
+  console.log(`ℹ️ Running ${scenario.name} against ${url}`);
+  try {
+    const run = await runScenario(scenario, {
+      url,
+      token: options.token,
+      signal: controller.signal,
+      onProgress: ({ elapsedMs, sent, inFlight, failed, dropped }) => {
+        const seconds = Math.round(elapsedMs / 1000);
+        console.log(`ℹ️ ${seconds}s: ${sent} sent, ${inFlight} in flight, ${failed} failed, ${dropped} dropped`);
+      },
+    });
+    const report = buildReport(scenario, run, { url });
+
+    console.log(`\n${formatReport(report)}`);
+    if (baseline) {
+      console.log(`\nCompared with ${options.compare} (${baseline.startedAt}):\n`);
+      console.log(formatComparison(compareReports(baseline, report)));
+    }
+    if (options.out) {
+      fs.writeFileSync(options.out, `${JSON.stringify(report, null, 2)}\n`);
+      console.log(`\n✅ Wrote ${options.out}`);
+    }
+  } catch (err) {
+    console.error('❌ Load test failed:', err);
+    process.exitCode = 1;
+  }
+}
+
+await main();
@@ -0,0 +1,112 @@
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import pg from 'pg';
+import mysql from 'mysql2/promise';
+import { mysqlPoolConfig, postgresConfig, resolveSqlitePath } from '../lib/config.js';
+import {
+  STORES,
+  createMysqlExecutor,
+  createPostgresExecutor,
+  createSqliteExecutor,
+  migrateDown,
+  migrateUp,
+  migrationStatus,
+} from '../lib/migrations.js';
+import { withRetry } from '../lib/retry.js';
+
+const { Pool } = pg;
+
+const USAGE = `Usage: node scripts/migrate.js <up|down|status> [--store postgres|mysql|sqlite] [--steps N]
+
+  up       apply every pending migration
+  down     revert the most recent migration (or --steps N of them) per store
+  status   list applied and pending migrations`;
+
+const parseArgs = (argv) => {
+  const [command, ...rest] = argv;
+  const options = { command, stores: [...STORES], steps: 1 };
+  for (let index = 0; index < rest.length; index += 1) {
+    const flag = rest[index];
+    const value = rest[index + 1];
+    if (flag === '--store') {
+      if (!STORES.includes(value)) {
+        throw new Error(`--store must be one of ${STORES.join(', ')}`);
+      }
+      options.stores = [value];
+      index += 1;
+    } else if (flag === '--steps') {
+      options.steps = Number(value);
+      if (!Number.isInteger(options.steps) || options.steps < 1) {
+        throw new Error('--steps must be a positive integer');
+      }
+      index += 1;
+    } else {
+      throw new Error(`Unknown option: ${flag}`);
+    }
+  }
+  if (!['up', 'down', 'status'].includes(command)) {
+    throw new Error(USAGE);
+  }
+  return options;
+};
+
+const printStatus = (status) => {
+  console.log(`${status.store}:`);
+  for (const migration of status.migrations) {
+    console.log(`  [${migration.applied ? 'x' : ' '}] ${migration.name}`);
+  }
+  for (const version of status.unknown) {
+    console.log(`  [?] ${version} (applied, but no migration file found)`);
+  }
+};
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const pools = [];
+  const executors = [];
+
+  if (options.stores.includes('postgres')) {
+    const pool = new Pool(postgresConfig());
+    pools.push(pool);
+    executors.push(createPostgresExecutor(pool));
+  }
+  if (options.stores.includes('mysql')) {
+    const pool = mysql.createPool(mysqlPoolConfig());
+    pools.push(pool);
+    executors.push(createMysqlExecutor(pool));
+  }
+  if (options.stores.includes('sqlite')) {
+    const sqlitePath = resolveSqlitePath();
+    fs.mkdirSync(path.dirname(sqlitePath), { recursive: true });
+    executors.push(createSqliteExecutor(sqlitePath));
+  }
+
+  try {
+    for (const executor of executors) {
+      await withRetry(() => executor.ensureTable(), { name: `connect to ${executor.store}` });
+      if (options.command === 'status') {
+        printStatus(await migrationStatus(executor));
+      } else if (options.command === 'up') {
+        const applied = await migrateUp(executor);
+        if (applied.length === 0) {
+          console.log(`${executor.store}: up to date`);
+        }
+      } else {
+        const reverted = await migrateDown(executor, { steps: options.steps });
+        if (reverted.length === 0) {
+          console.log(`${executor.store}: nothing to revert`);
+        }
+      }
+    }
+  } finally {
+    await Promise.all(pools.map((pool) => pool.end().catch(() => undefined)));
+  }
+}
+
+try {
+  await main();
+} catch (err) {
+  console.error(`❌ Migration failed: ${err.message}`);
+  process.exitCode = 1;
+}
@@ -0,0 +1,61 @@
+// -----------------------------
+// Integration tests
+// -----------------------------
+//
+// One server for the whole run: databases are slow to start, so the suites
+// share it and run in the order below, read-only ones first (they compare
+// against the fixtures), then health and metrics, mutations, the delete
+// sagas, abuse protection, review moderation, reviewers, the catalog
+// import/export and search. Subscriptions, the response cache, persisted
+// queries and federation follow, on server processes of their own over the
+// same databases, then a short load test, and seeding last, since it resets
+// the stores.
+
+import { after } from 'node:test';
+import { createClient } from './support/client.js';
+import { startServer } from './support/server.js';
+import abuse from './suites/abuse.js';
+import batching from './suites/batching.js';
+import catalog from './suites/catalog.js';
+import errors from './suites/errors.js';
+import federation from './suites/federation.js';
+import health from './suites/health.js';
+import loadtest from './suites/loadtest.js';
+import moderation from './suites/moderation.js';
+import mutations from './suites/mutations.js';
+import persistedQueries from './suites/persistedQueries.js';
+import queries from './suites/queries.js';
+import responseCache from './suites/responseCache.js';
+import reviewers from './suites/reviewers.js';
+import sagas from './suites/sagas.js';
+import search from './suites/search.js';
+import seeding from './suites/seeding.js';
+import subscriptions from './suites/subscriptions.js';
+
+const server = await startServer();
+after(() => server.stop());
+
+const context = { ...server, request: createClient(server.url) };
+
+const suites = [
+  queries,
+  batching,
+  errors,
+  health,
+  mutations,
+  sagas,
+  abuse,
+  moderation,
+  reviewers,
+  catalog,
+  search,
+  subscriptions,
+  responseCache,
+  persistedQueries,
+  federation,
+  loadtest,
+  seeding,
+];
+for (const suite of suites) {
+  suite(context);
+}
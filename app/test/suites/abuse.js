@@ -0,0 +1,160 @@
+// -----------------------------
+// Abuse protection
+// -----------------------------
+//
+// The test server limits updateReview to 5 calls a minute per client and
+// holds reviews containing a link or "heldword" (see support/server.js).
+// The rate limit tests sign in as their own user, so the other suites' calls
+// do not count against them.
+
+import assert from 'node:assert/strict';
+import express from 'express';
+import { describe, it } from 'node:test';
+import { commentSimilarity, findDuplicateReview } from '../../lib/moderation.js';
+import { clientAddress, parseRateLimits } from '../../lib/rateLimit.js';
+import { createNodeHelpers, errorCodes, ok } from '../support/client.js';
+import { issueToken } from '../support/server.js';
+
+const ADD_REVIEW = `mutation ($bookId: ID!, $reviewerName: String!, $comment: String!) {
+  addReview(bookId: $bookId, reviewerName: $reviewerName, rating: 4, comment: $comment) { id status }
+}`;
+
+export default ({ url, request, fixtures }) => {
+  const reader = (query, variables) => request(query, variables, { roles: ['READER'] });
+  const { addBook } = createNodeHelpers(request, fixtures);
+
+  describe('rate limiting', () => {
+    it('parses per-operation limits and rejects malformed ones', () => {
+      assert.deepEqual(parseRateLimits('addReview=5/1m, *=100/30'), {
+        addReview: { limit: 5, windowSeconds: 60 },
+        '*': { limit: 100, windowSeconds: 30 },
+      });
+      assert.throws(() => parseRateLimits('addReview=5'), /addReview=5/);
+      assert.throws(() => parseRateLimits('addReview=0/1m'), /addReview=0\/1m/);
+    });
+
+    it('finds the address of WebSocket clients the way Express finds req.ip', () => {
+      const trustFor = (setting) => express().set('trust proxy', setting).get('trust proxy fn');
+      const upgrade = {
+        socket: { remoteAddress: '10.0.0.2' },
+        headers: { 'x-forwarded-for': '203.0.113.7, 198.51.100.1, 10.0.0.1' },
+      };
+      assert.equal(clientAddress(upgrade, trustFor(false)), '10.0.0.2');
+      assert.equal(clientAddress(upgrade, trustFor(1)), '10.0.0.1');
+      assert.equal(clientAddress(upgrade, trustFor(3)), '203.0.113.7');
+      assert.equal(clientAddress(upgrade, trustFor(10)), '203.0.113.7');
+      assert.equal(clientAddress({ ...upgrade, headers: {} }, trustFor(1)), '10.0.0.2');
+    });
+
+    it('rejects a client over its limit with RATE_LIMITED and Retry-After', async () => {
+      const book = await addBook('Rate Limited Book');
+      const { addReview: review } = ok(
+        await reader(ADD_REVIEW, { bookId: book.id, reviewerName: 'Limit', comment: 'Edited often' })
+      );
+      const updateAs = async (subject) => {
+        const response = await fetch(url, {
+          method: 'POST',
+          headers: {
+            'content-type': 'application/json',
+            authorization: `Bearer ${await issueToken(['EDITOR'], subject)}`,
+          },
+          body: JSON.stringify({
+            query: `mutation ($id: ID!) { updateReview(id: $id, input: { rating: 2 }) { id } }`,
+            variables: { id: review.id },
+          }),
+        });
+        return { response, body: await response.json() };
+      };
+
+      for (let call = 0; call < 5; call += 1) {
+        ok((await updateAs('rate-limit-tests')).body);
+      }
+      const { response, body } = await updateAs('rate-limit-tests');
+      assert.equal(response.status, 429);
+      assert.deepEqual(errorCodes(body), ['RATE_LIMITED']);
+      const { retryAfter, operation, limit } = body.errors[0].extensions;
+      assert.deepEqual({ operation, limit }, { operation: 'updateReview', limit: 5 });
+      assert.ok(retryAfter >= 1 && retryAfter <= 60, String(retryAfter));
+      assert.equal(response.headers.get('retry-after'), String(retryAfter));
+
+      // Limits are per client.
+      ok((await updateAs('rate-limit-tests-other')).body);
+    });
+  });
+
+  describe('duplicate reviews', () => {
+    it('compares comments by their words', () => {
+      assert.equal(commentSimilarity('A gripping, tense story!', 'a gripping tense story'), 1);
+      assert.equal(commentSimilarity('one two', 'three four'), 0);
+      const existing = [{ id: '1', reviewerName: 'Ann  Lee', comment: 'Loved it' }];
+      const duplicateOf = (review) => findDuplicateReview(review, existing);
+      assert.equal(duplicateOf({ reviewerName: 'ann lee', comment: 'LOVED it.' }), existing[0]);
+      assert.equal(duplicateOf({ reviewerName: 'Bo', comment: 'Loved it' }), null);
+      // Reviews signed by reviewers compare by reviewer, not by name.
+      const signed = [{ id: '2', reviewerId: '7', reviewerName: 'Ann Lee', comment: 'Loved it' }];
+      const signedDuplicateOf = (review) => findDuplicateReview({ ...review, comment: 'Loved it' }, signed);
+      assert.equal(signedDuplicateOf({ reviewerId: '7', reviewerName: 'Ann' }), signed[0]);
+      assert.equal(signedDuplicateOf({ reviewerId: '8', reviewerName: 'Ann Lee' }), null);
+    });
+
+    it('rejects the same reviewer saying the same thing about a book twice', async () => {
+      const book = await addBook('Duplicate Reviews Book');
+      const comment = 'A gripping story with a weak ending.';
+      const { addReview: first } = ok(
+        await reader(ADD_REVIEW, { bookId: book.id, reviewerName: 'Dup Tester', comment })
+      );
+
+      const again = await reader(ADD_REVIEW, {
+        bookId: book.id,
+        reviewerName: ' dup  tester ',
+        comment: 'A gripping story, with a weak ending!',
+      });
+      assert.deepEqual(errorCodes(again), ['CONFLICT']);
+      assert.equal(again.errors[0].extensions.id, first.id);
+
+      // A different comment, or another reviewer, is a review of its own.
+      ok(await reader(ADD_REVIEW, { bookId: book.id, reviewerName: 'Dup Tester', comment: 'Fine, really.' }));
+      const someoneElse = { roles: ['READER'], subject: 'abuse-someone-else' };
+      ok(await request(ADD_REVIEW, { bookId: book.id, reviewerName: 'Someone Else', comment }, someoneElse));
+    });
+  });
+
+  describe('moderation hook', () => {
+    it('holds flagged reviews as PENDING, out of every read', async () => {
+      const book = await addBook('Moderated Book');
+      const { addReview: approved } = ok(
+        await reader(ADD_REVIEW, { bookId: book.id, reviewerName: 'Fine', comment: 'Worth reading.' })
+      );
+      assert.equal(approved.status, 'APPROVED');
+
+      const held = [];
+      for (const comment of ['Cheap copies at https://example.com', 'A heldword appears here']) {
+        const { addReview } = ok(
+          await reader(ADD_REVIEW, { bookId: book.id, reviewerName: 'Flagged', comment })
+        );
+        assert.equal(addReview.status, 'PENDING');
+        held.push(addReview);
+      }
+
+      const { data } = await request(
+        `query ($book: ID!, $held: ID!) {
+          book(id: $book) { reviewCount averageRating reviews { id status } }
+          review(id: $held) { id }
+        }`,
+        { book: book.id, held: held[0].id }
+      );
+      assert.deepEqual(data, {
+        book: { reviewCount: 1, averageRating: 4, reviews: [{ id: approved.id, status: 'APPROVED' }] },
+        review: null,
+      });
+
+      // Held reviews still count as duplicates.
+      const resubmitted = await reader(ADD_REVIEW, {
+        bookId: book.id,
+        reviewerName: 'Flagged',
+        comment: 'A heldword appears here',
+      });
+      assert.deepEqual(errorCodes(resubmitted), ['CONFLICT']);
+    });
+  });
+};
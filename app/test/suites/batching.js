@@ -0,0 +1,107 @@
+// -----------------------------
+// DataLoader batching
+// -----------------------------
+//
+// Nested fields must cost one statement per level, not one per parent. The
+// expected counts are given per entity and summed per engine, so the same
+// assertions hold whichever backend each entity lives in (memory-backed
+// entities issue no SQL at all).
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+export default ({ request, backends, queries }) => {
+  const expectQueries = (actual, perEntity) => {
+    const expected = Object.fromEntries(Object.keys(actual).map((store) => [store, 0]));
+    for (const [entity, count] of Object.entries(perEntity)) {
+      if (backends[entity] !== 'memory') {
+        expected[backends[entity]] += count;
+      }
+    }
+    assert.deepEqual(actual, expected);
+  };
+
+  const run = async (query, variables) => {
+    queries.take();
+    const body = await request(query, variables);
+    assert.equal(body.errors, undefined, JSON.stringify(body.errors));
+    return { data: body.data, counts: queries.take() };
+  };
+
+  describe('DataLoader batching', () => {
+    it('loads every author’s books and their reviews in one statement per level', async () => {
+      const { data, counts } = await run(
+        `{ authorsConnection(first: 20) { edges { node { id books { id reviews { id } } } } } }`
+      );
+      assert.ok(data.authorsConnection.edges.length > 1);
+      expectQueries(counts, { authors: 1, books: 1, reviews: 1 });
+    });
+
+    it('batches rating aggregates across authors and books', async () => {
+      const { counts } = await run(
+        `{
+          authorsConnection(first: 20) {
+            edges { node { averageRating books { averageRating reviewCount ratingHistogram { count } } } }
+          }
+        }`
+      );
+      // Author rollups reuse the per-book stats loader, so books and their
+      // aggregates are each fetched once.
+      expectQueries(counts, { authors: 1, books: 1, reviews: 1 });
+    });
+
+    it('batches the author of every book in a page', async () => {
+      const { data, counts } = await run(
+        `{ booksConnection(first: 50) { totalCount edges { node { id author { id } } } } }`
+      );
+      assert.equal(data.booksConnection.edges.length, 50);
+      // The page, its totalCount, then one batch of authors.
+      expectQueries(counts, { books: 2, authors: 1 });
+    });
+
+    it('batches the book of every review and dedupes repeated ids', async () => {
+      const { data, counts } = await run(
+        `{ reviews(where: { rating: { min: 5 } }) { id book { id author { id } } } }`
+      );
+      const bookIds = new Set(data.reviews.map((review) => review.book.id));
+      assert.ok(data.reviews.length > bookIds.size);
+      expectQueries(counts, { reviews: 1, books: 1, authors: 1 });
+    });
+
+    it('batches the reviews of every reviewer, paged and ordered per reviewer', async () => {
+      const { data, counts } = await run(`{
+        reviews(where: { rating: { min: 5 } }) {
+          reviewer {
+            id
+            reviews(first: 3, orderBy: { field: RATING, direction: DESC }) {
+              totalCount
+              edges { node { rating } }
+            }
+          }
+        }
+      }`);
+      const reviewers = new Map(data.reviews.map(({ reviewer }) => [reviewer.id, reviewer.reviews]));
+      assert.ok(reviewers.size > 1);
+      for (const { totalCount, edges } of reviewers.values()) {
+        const ratings = edges.map(({ node }) => node.rating);
+        assert.equal(ratings.length, Math.min(3, totalCount));
+        assert.deepEqual(ratings, [...ratings].sort((a, b) => b - a));
+      }
+      expectQueries(counts, { reviews: 2, reviewers: 1 });
+    });
+
+    it('resolves topRatedBooks with one ranking and one book batch', async () => {
+      const { data, counts } = await run(`{ topRatedBooks(limit: 20) { id reviewCount } }`);
+      assert.equal(data.topRatedBooks.length, 20);
+      expectQueries(counts, { reviews: 2, books: 1 });
+    });
+
+    it('starts each request with empty loaders', async () => {
+      const query = `query ($id: ID!) { author(id: $id) { books { id } } }`;
+      const first = await run(query, { id: '1' });
+      const second = await run(query, { id: '1' });
+      assert.deepEqual(first.counts, second.counts);
+      expectQueries(second.counts, { authors: 1, books: 1 });
+    });
+  });
+};
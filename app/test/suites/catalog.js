@@ -0,0 +1,253 @@
+// -----------------------------
+// Catalog import / export
+// -----------------------------
+//
+// Imports use ids from 20001 up, clear of the fixtures and of the rows the
+// mutation tests create.
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { readRecords } from '../../lib/catalog/index.js';
+import { errorCodes } from '../support/client.js';
+import { issueToken } from '../support/server.js';
+
+const IMPORT = `mutation ($file: Upload!, $format: CatalogFormat, $mode: ImportMode, $dryRun: Boolean) {
+  importBooks(file: $file, format: $format, mode: $mode, dryRun: $dryRun) {
+    dryRun processed created updated skipped failed
+    errors { row field message }
+  }
+}`;
+
+const csv = (rows) => `${rows.map((row) => row.join(',')).join('\n')}\n`;
+
+export default ({ url, request, repositories }) => {
+  // A multipart request per the GraphQL multipart request spec.
+  const importFile = async (contents, { filename = 'catalog.csv', variables = {}, roles = ['EDITOR'] } = {}) => {
+    const form = new FormData();
+    form.append('operations', JSON.stringify({ query: IMPORT, variables: { ...variables, file: null } }));
+    form.append('map', JSON.stringify({ 0: ['variables.file'] }));
+    form.append('0', new Blob([contents]), filename);
+    const headers = { 'apollo-require-preflight': 'true' };
+    if (roles) {
+      headers.authorization = `Bearer ${await issueToken(roles)}`;
+    }
+    const response = await fetch(url, { method: 'POST', headers, body: form });
+    return response.json();
+  };
+
+  const imported = (body) => {
+    assert.equal(body.errors, undefined, JSON.stringify(body.errors));
+    return body.data.importBooks;
+  };
+
+  const download = async (format, roles = ['EDITOR']) => {
+    const headers = roles ? { authorization: `Bearer ${await issueToken(roles)}` } : {};
+    return fetch(new URL(`export/catalog?format=${format}`, url), { headers });
+  };
+
+  describe('catalog import', () => {
+    const catalog = csv([
+      ['type', 'id', 'authorId', 'bookId', 'firstname', 'lastname', 'title', 'isbn', 'reviewerName', 'rating', 'comment'],
+      ['author', '20001', '', '', 'Import', '"Test, Jr."', '', '', '', '', ''],
+      ['book', '20001', '20001', '', '', '', '"Imported ""Quoted"" Title"', '9780306406157', '', '', ''],
+      ['review', '20001', '', '20001', '', '', '', '', 'Importer', '4', 'Fine'],
+    ]);
+
+    it('checks a file without writing it on a dry run', async () => {
+      const result = imported(await importFile(catalog, { variables: { dryRun: true } }));
+      assert.deepEqual(result, {
+        dryRun: true,
+        processed: 3,
+        created: 3,
+        updated: 0,
+        skipped: 0,
+        failed: 0,
+        errors: [],
+      });
+      assert.equal(await repositories.authors.findById(20001), null);
+    });
+
+    it('creates authors, books and reviews with their ids across stores', async () => {
+      const result = imported(await importFile(catalog));
+      assert.equal(result.created, 3);
+
+      const { data } = await request(
+        `{ book(id: 20001) { title isbn author { id lastname } reviews { id rating reviewerName } } }`
+      );
+      assert.deepEqual(data.book, {
+        title: 'Imported "Quoted" Title',
+        isbn: '9780306406157',
+        author: { id: '20001', lastname: 'Test, Jr.' },
+        reviews: [{ id: '20001', rating: 4, reviewerName: 'Importer' }],
+      });
+    });
+
+    it('skips or updates records whose id exists', async () => {
+      const skipped = imported(await importFile(catalog, { variables: { mode: 'SKIP_EXISTING' } }));
+      assert.deepEqual([skipped.created, skipped.updated, skipped.skipped], [0, 0, 3]);
+
+      const books = JSON.stringify({ id: 20001, authorId: 20001, title: 'Updated Title' });
+      const updated = imported(await importFile(`${books}\n`, { filename: 'books.ndjson' }));
+      assert.deepEqual([updated.created, updated.updated, updated.skipped], [0, 1, 0]);
+      const book = await repositories.books.findById(20001);
+      assert.equal(book.title, 'Updated Title');
+      assert.equal(book.isbn, null);
+    });
+
+    it('reports bad records by row and imports the rest', async () => {
+      const result = imported(
+        await importFile(
+          csv([
+            ['id', 'authorId', 'title', 'isbn', 'publicationDate'],
+            ['20002', '20001', 'Good Book', '', '2020-01-31'],
+            ['20003', '999999', 'Orphan', '', ''],
+            ['20004', '20001', '', '123', '2020-02-30'],
+            ['20005', '20001'],
+          ])
+        )
+      );
+      assert.equal(result.processed, 4);
+      assert.equal(result.created, 1);
+      assert.equal(result.failed, 3);
+      assert.deepEqual(result.errors, [
+        { row: 2, field: 'authorId', message: 'authorId 999999 does not exist' },
+        { row: 3, field: 'title', message: 'title is required' },
+        { row: 3, field: 'isbn', message: 'isbn must be a valid ISBN-10 or ISBN-13' },
+        { row: 3, field: 'publicationDate', message: 'publicationDate must be a date in YYYY-MM-DD format' },
+        { row: 4, field: null, message: 'Expected 5 fields, found 2' },
+      ]);
+      assert.equal((await repositories.books.findById(20002)).title, 'Good Book');
+    });
+
+    it("rejects books published before their author's birth, as addBook does", async () => {
+      const result = imported(
+        await importFile(
+          csv([
+            ['type', 'id', 'authorId', 'firstname', 'lastname', 'birthdate', 'title', 'publicationDate'],
+            ['author', '20006', '', 'Born', 'Late', '1990-05-01', '', ''],
+            ['book', '20006', '20006', '', '', '', 'Too Early', '1989-12-31'],
+            ['book', '20007', '20006', '', '', '', 'Just In Time', '1990-05-01'],
+            ['book', '20008', '20001', '', '', '', 'Undated Author', '1900-01-01'],
+          ])
+        )
+      );
+      assert.deepEqual([result.created, result.failed], [3, 1]);
+      assert.deepEqual(result.errors, [
+        {
+          row: 2,
+          field: 'publicationDate',
+          message: "publicationDate cannot be before the author's birthdate (1990-05-01)",
+        },
+      ]);
+      assert.equal(await repositories.books.findById(20006), null);
+
+      // Checked against the stored author too.
+      const stored = csv([
+        ['id', 'authorId', 'title', 'publicationDate'],
+        ['20009', '20006', 'Still Too Early', '1980-01-01'],
+      ]);
+      const dryRun = imported(await importFile(stored, { variables: { dryRun: true } }));
+      assert.deepEqual(dryRun.errors.map(({ row, field }) => ({ row, field })), [
+        { row: 1, field: 'publicationDate' },
+      ]);
+    });
+
+    it('rejects files that are not in the format', async () => {
+      const body = await importFile('{"not": "an array"}', { filename: 'catalog.json' });
+      assert.deepEqual(errorCodes(body), ['BAD_USER_INPUT']);
+      assert.equal(body.errors[0].extensions.fields[0].field, 'file');
+    });
+
+    it('requires the EDITOR role', async () => {
+      assert.deepEqual(errorCodes(await importFile(catalog, { roles: null })), ['UNAUTHENTICATED']);
+      assert.deepEqual(errorCodes(await importFile(catalog, { roles: ['READER'] })), ['FORBIDDEN']);
+    });
+  });
+
+  describe('catalog export', () => {
+    it('points at the download for a format', async () => {
+      const { data } = await request(`{ exportCatalog(format: CSV) { format contentType url } }`, {}, {
+        roles: ['EDITOR'],
+      });
+      assert.deepEqual(data.exportCatalog, {
+        format: 'CSV',
+        contentType: 'text/csv',
+        url: '/export/catalog?format=csv',
+      });
+    });
+
+    it('streams every record as NDJSON', async () => {
+      const response = await download('ndjson');
+      assert.equal(response.status, 200);
+      assert.match(response.headers.get('content-type'), /^application\/x-ndjson/);
+      const records = (await response.text())
+        .trim()
+        .split('\n')
+        .map((line) => JSON.parse(line));
+
+      const counts = { author: 0, book: 0, review: 0 };
+      for (const record of records) counts[record.type] += 1;
+      assert.deepEqual(counts, {
+        author: await repositories.authors.count(),
+        book: await repositories.books.count(),
+        review: await repositories.reviews.count(),
+      });
+      assert.deepEqual(
+        records.find((record) => record.type === 'author' && record.id === '20001'),
+        {
+          type: 'author',
+          id: '20001',
+          firstname: 'Import',
+          lastname: 'Test, Jr.',
+          birthdate: null,
+          deathdate: null,
+          favoriteColor: null,
+          bio: null,
+          nationality: null,
+          dateCreated: new Date().toISOString().slice(0, 10),
+        }
+      );
+    });
+
+    it('writes the same records as CSV', async () => {
+      const text = await (await download('ndjson')).text();
+      const expected = text
+        .trim()
+        .split('\n')
+        .map((line) =>
+          Object.fromEntries(
+            Object.entries(JSON.parse(line)).map(([field, value]) => [field, value === null ? null : String(value)])
+          )
+        );
+
+      const records = [];
+      for await (const { record, error } of readRecords('csv', [await (await download('csv')).text()])) {
+        assert.equal(error, undefined);
+        // CSV rows carry every type's columns; keep the ones NDJSON has.
+        const fields = expected[records.length];
+        records.push(Object.fromEntries(Object.keys(fields).map((field) => [field, record[field]])));
+      }
+      assert.deepEqual(records, expected);
+    });
+
+    it('exports records that import back unchanged', async () => {
+      const lines = (await (await download('ndjson')).text())
+        .trim()
+        .split('\n')
+        .filter((line) => Number(JSON.parse(line).id) >= 20001);
+      const result = imported(
+        await importFile(lines.join('\n'), { filename: 'catalog.ndjson', variables: { mode: 'SKIP_EXISTING' } })
+      );
+      assert.deepEqual(
+        [result.processed, result.created, result.skipped, result.failed],
+        [lines.length, 0, lines.length, 0]
+      );
+    });
+
+    it('requires the EDITOR role and a known format', async () => {
+      assert.equal((await download('csv', null)).status, 401);
+      assert.equal((await download('csv', ['READER'])).status, 403);
+      assert.equal((await download('xml')).status, 400);
+    });
+  });
+};
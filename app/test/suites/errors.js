@@ -0,0 +1,259 @@
+// -----------------------------
+// Error paths
+// -----------------------------
+//
+// Every failure must reach the client as a coded error (see lib/errors.js)
+// and leave the stores untouched.
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { errorCodes } from '../support/client.js';
+
+const ADD_AUTHOR = `
+  mutation ($input: AddAuthorInput!) { addAuthor(input: $input) { id } }
+`;
+
+export default ({ request, fixtures }) => {
+  const [author] = fixtures.authors;
+  const [book] = fixtures.books;
+  const [review] = fixtures.reviews;
+
+  const invalidFields = (body) =>
+    body.errors.flatMap((error) => error.extensions.fields ?? []).map((entry) => entry.field);
+
+  describe('authentication and roles', () => {
+    it('rejects mutations without a token', async () => {
+      const body = await request(ADD_AUTHOR, { input: { firstname: 'Ada', lastname: 'Anon' } });
+      assert.deepEqual(errorCodes(body), ['UNAUTHENTICATED']);
+      assert.equal(body.data, null);
+    });
+
+    it('rejects mutations that need a higher role', async () => {
+      const body = await request(ADD_AUTHOR, { input: { firstname: 'Ada', lastname: 'Reader' } }, {
+        roles: ['READER'],
+      });
+      assert.deepEqual(errorCodes(body), ['FORBIDDEN']);
+
+      const deletion = await request(`mutation { deleteAuthor(id: "${author.id}") }`, {}, {
+        roles: ['EDITOR'],
+      });
+      assert.deepEqual(errorCodes(deletion), ['FORBIDDEN']);
+      const { data } = await request(`{ author(id: "${author.id}") { id } }`);
+      assert.deepEqual(data.author, { id: author.id });
+    });
+  });
+
+  describe('input validation', () => {
+    it('reports every invalid field of a mutation at once', async () => {
+      const body = await request(
+        ADD_AUTHOR,
+        {
+          input: {
+            firstname: ' ',
+            lastname: 'x'.repeat(101),
+            birthdate: '1990-05-01',
+            deathdate: '1989-12-31',
+          },
+        },
+        { roles: ['EDITOR'] }
+      );
+      assert.deepEqual(errorCodes(body), ['BAD_USER_INPUT']);
+      assert.deepEqual(invalidFields(body).sort(), ['deathdate', 'firstname', 'lastname']);
+    });
+
+    it('rejects dates and ISBNs that do not parse before any resolver runs', async () => {
+      const body = await request(
+        `mutation ($input: AddBookInput!) { addBook(input: $input) { id } }`,
+        { input: { authorId: author.id, title: 'Checksum', isbn: '9780000000001', publicationDate: '2020-13-01' } },
+        { roles: ['EDITOR'] }
+      );
+      assert.deepEqual(errorCodes(body), ['BAD_USER_INPUT', 'BAD_USER_INPUT']);
+      assert.match(body.errors[0].message, /"input\.isbn"; ISBN must be a valid ISBN-10 or ISBN-13/);
+      assert.match(body.errors[1].message, /"input\.publicationDate"; Date must be a real day/);
+
+      const dates = await request(
+        ADD_AUTHOR,
+        { input: { firstname: 'Bad', lastname: 'Dates', birthdate: '2023-02-30', dateCreated: 'yesterday' } },
+        { roles: ['EDITOR'] }
+      );
+      assert.deepEqual(errorCodes(dates), ['BAD_USER_INPUT', 'BAD_USER_INPUT']);
+
+      // Literals are part of the document, so a bad one fails validation.
+      for (const query of [
+        `{ authors(where: { birthdate: { from: "01/02/1990" } }) { id } }`,
+        `mutation { addBook(input: { authorId: "${author.id}", title: "T", isbn: "12345" }) { id } }`,
+      ]) {
+        assert.deepEqual(errorCodes(await request(query, {}, { roles: ['EDITOR'] })), [
+          'GRAPHQL_VALIDATION_FAILED',
+        ]);
+      }
+    });
+
+    it('rejects publication dates before the author was born', async () => {
+      const { data } = await request(
+        ADD_AUTHOR,
+        { input: { firstname: 'Born', lastname: 'Late', birthdate: '1980-06-15' } },
+        { roles: ['EDITOR'] }
+      );
+      const authorId = data.addAuthor.id;
+
+      const early = await request(
+        `mutation ($authorId: ID!) {
+          addBook(input: { authorId: $authorId, title: "Too Early", publicationDate: "1980-06-14" }) { id }
+        }`,
+        { authorId },
+        { roles: ['EDITOR'] }
+      );
+      assert.deepEqual(invalidFields(early), ['publicationDate']);
+
+      const added = await request(
+        `mutation ($authorId: ID!) {
+          addBook(input: { authorId: $authorId, title: "On Time", publicationDate: "2001-01-01" }) { id }
+        }`,
+        { authorId },
+        { roles: ['EDITOR'] }
+      );
+      const bookId = added.data.addBook.id;
+
+      const moved = await request(
+        `mutation ($id: ID!) { updateBook(id: $id, input: { publicationDate: "1970-01-01" }) { id } }`,
+        { id: bookId },
+        { roles: ['EDITOR'] }
+      );
+      assert.deepEqual(invalidFields(moved), ['publicationDate']);
+
+      // Nor may the author's birthdate move past their books or their death.
+      const reborn = await request(
+        `mutation ($id: ID!) { updateAuthor(id: $id, input: { birthdate: "2002-01-01" }) { id } }`,
+        { id: authorId },
+        { roles: ['EDITOR'] }
+      );
+      assert.deepEqual(invalidFields(reborn), ['birthdate']);
+      const died = await request(
+        `mutation ($id: ID!) { updateAuthor(id: $id, input: { deathdate: "1979-01-01" }) { id } }`,
+        { id: authorId },
+        { roles: ['EDITOR'] }
+      );
+      assert.deepEqual(invalidFields(died), ['deathdate']);
+    });
+
+    it('rejects out-of-range ratings and empty updates', async () => {
+      const rating = await request(
+        `mutation ($bookId: ID!) { addReview(bookId: $bookId, reviewerName: "R", rating: 6, comment: "c") { id } }`,
+        { bookId: book.id },
+        { roles: ['READER'] }
+      );
+      assert.deepEqual(invalidFields(rating), ['rating']);
+
+      const empty = await request(
+        `mutation ($id: ID!) { updateReview(id: $id, input: {}) { id } }`,
+        { id: review.id },
+        { roles: ['EDITOR'] }
+      );
+      assert.deepEqual(errorCodes(empty), ['BAD_USER_INPUT']);
+
+      const cleared = await request(
+        `mutation ($id: ID!) { updateAuthor(id: $id, input: { lastname: null }) { id } }`,
+        { id: author.id },
+        { roles: ['EDITOR'] }
+      );
+      assert.deepEqual(invalidFields(cleared), ['lastname']);
+    });
+
+    it('rejects malformed filters, cursors and page sizes', async () => {
+      const cases = [
+        [`{ reviews(where: { rating: { min: 4, max: 2 } }) { id } }`, 'rating'],
+        [`{ books(where: { authorId: "-1" }) { id } }`, 'authorId'],
+        [`{ authorsConnection(after: "bm90LWEtY3Vyc29y") { totalCount } }`, 'after'],
+        [`{ booksConnection(first: 101) { totalCount } }`, 'first'],
+        [`{ topRatedBooks(limit: 0) { id } }`, 'limit'],
+        [`{ topRatedBooks(minReviews: 0) { id } }`, 'minReviews'],
+      ];
+      for (const [query, field] of cases) {
+        const body = await request(query);
+        assert.deepEqual(errorCodes(body), ['BAD_USER_INPUT'], query);
+        assert.deepEqual(invalidFields(body), [field], query);
+      }
+
+      const both = await request(`{ authorsConnection(first: 1, last: 1) { totalCount } }`);
+      assert.deepEqual(invalidFields(both).sort(), ['first', 'last']);
+    });
+
+    it('rejects a cursor issued for another ordering', async () => {
+      const { data } = await request(
+        `{ authorsConnection(first: 1, orderBy: { field: LASTNAME }) { pageInfo { endCursor } } }`
+      );
+      const body = await request(
+        `query ($after: String) { authorsConnection(first: 1, after: $after, orderBy: { field: BIRTHDATE }) { totalCount } }`,
+        { after: data.authorsConnection.pageInfo.endCursor }
+      );
+      assert.deepEqual(errorCodes(body), ['BAD_USER_INPUT']);
+    });
+  });
+
+  describe('missing and conflicting records', () => {
+    it('reports NOT_FOUND for updates to unknown rows and unknown parents', async () => {
+      const cases = [
+        [`mutation { updateAuthor(id: "999999", input: { bio: "b" }) { id } }`, 'Author'],
+        [`mutation { updateBook(id: "999999", input: { title: "t" }) { id } }`, 'Book'],
+        [`mutation { updateReview(id: "999999", input: { rating: 3 }) { id } }`, 'Review'],
+        [`mutation { addBook(input: { authorId: "999999", title: "Orphan" }) { id } }`, 'Author'],
+        [
+          `mutation { addReview(bookId: "999999", reviewerName: "R", rating: 3, comment: "c") { id } }`,
+          'Book',
+        ],
+      ];
+      for (const [query, entity] of cases) {
+        const body = await request(query, {}, { roles: ['EDITOR'] });
+        assert.deepEqual(errorCodes(body), ['NOT_FOUND'], query);
+        assert.equal(body.errors[0].extensions.entity, entity, query);
+      }
+    });
+
+    it('returns false when deleting rows that do not exist', async () => {
+      const { data, errors } = await request(
+        `mutation {
+          author: deleteAuthor(id: "999999")
+          book: deleteBook(id: "999999")
+          review: deleteReview(id: "999999")
+        }`,
+        {},
+        { roles: ['ADMIN'] }
+      );
+      assert.equal(errors, undefined);
+      assert.deepEqual(data, { author: false, book: false, review: false });
+    });
+
+    it('reports CONFLICT for an explicit book id that is taken', async () => {
+      const body = await request(
+        `mutation ($id: ID, $authorId: ID!) { addBook(input: { id: $id, authorId: $authorId, title: "Dup" }) { id } }`,
+        { id: book.id, authorId: author.id },
+        { roles: ['EDITOR'] }
+      );
+      assert.deepEqual(errorCodes(body), ['CONFLICT']);
+      const { data } = await request(`query ($id: ID!) { book(id: $id) { title } }`, { id: book.id });
+      assert.equal(data.book.title, book.title);
+    });
+  });
+
+  describe('query limits', () => {
+    it('rejects queries nested past the depth limit', async () => {
+      const body = await request(
+        `{ books { reviews { book { reviews { book { reviews { book { reviews { book { reviews { id } } } } } } } } } } }`
+      );
+      assert.deepEqual(errorCodes(body), ['QUERY_TOO_COMPLEX']);
+    });
+
+    it('rejects fetching every author with all their books and reviews', async () => {
+      const body = await request(`{ authors { books { reviews { id } } } }`);
+      assert.deepEqual(errorCodes(body), ['QUERY_TOO_COMPLEX']);
+      assert.equal(body.data, undefined);
+
+      // The same tree is fine a page of authors at a time.
+      const paged = await request(
+        `{ authorsConnection(first: 10) { edges { node { books { reviews { id } } } } } }`
+      );
+      assert.equal(paged.errors, undefined, JSON.stringify(paged.errors));
+    });
+  });
+};
@@ -0,0 +1,116 @@
+// -----------------------------
+// Federation
+// -----------------------------
+//
+// Starts the three subgraphs and the gateway composing them as server
+// processes, then queries across subgraph boundaries through the gateway.
+// With memory backends each subgraph holds its own copy of the fixtures, so
+// the tests only compare what they read against what they wrote through the
+// gateway, and against the fixtures. The subgraphs trust the gateway's
+// X-Forwarded-For, and allow signed-out clients two addReview calls a minute.
+
+import assert from 'node:assert/strict';
+import http from 'http';
+import { after, before, describe, it } from 'node:test';
+import { SUBGRAPHS } from '../../lib/federation.js';
+import { createClient, errorCodes, ok } from '../support/client.js';
+import { startProcess } from '../support/processes.js';
+
+const ADD_REVIEW = `mutation ($bookId: ID!) {
+  addReview(bookId: $bookId, rating: 5, comment: "Through the gateway") { id }
+}`;
+
+const BOOK = `query ($id: ID!) {
+  book(id: $id) {
+    id
+    title
+    author { id lastname }
+    reviewCount
+    reviewsConnection(last: 1) { edges { node { id comment book { title } } } }
+  }
+}`;
+
+// POSTs `body` to `url` from the loopback address `localAddress`, and
+// resolves to the response body.
+const postFrom = (url, localAddress, body) =>
+  new Promise((resolve, reject) => {
+    const outgoing = http.request(
+      url,
+      { method: 'POST', localAddress, headers: { 'content-type': 'application/json' } },
+      (response) => {
+        let text = '';
+        response.setEncoding('utf8');
+        response.on('data', (chunk) => {
+          text += chunk;
+        });
+        response.on('end', () => resolve(JSON.parse(text)));
+      }
+    );
+    outgoing.once('error', reject);
+    outgoing.end(JSON.stringify(body));
+  });
+
+export default ({ fixtures }) => {
+  const processes = [];
+  let gatewayUrl;
+  let request;
+
+  describe('federation gateway', () => {
+    before(async () => {
+      const urls = {};
+      // One at a time: the gateway introspects every subgraph as it starts.
+      for (const name of Object.keys(SUBGRAPHS)) {
+        const subgraph = await startProcess(`${name}-subgraph`, {
+          SUBGRAPH: name,
+          TRUST_PROXY: '1',
+          RATE_LIMITS: 'addReview=2/1m,*=10000/1m',
+        });
+        processes.push(subgraph);
+        urls[`${name.toUpperCase()}_SUBGRAPH_URL`] = subgraph.url;
+      }
+      const gateway = await startProcess('gateway', urls, { script: 'gateway.js' });
+      processes.push(gateway);
+      gatewayUrl = gateway.url;
+      request = createClient(gateway.url);
+    });
+    after(async () => {
+      for (const server of processes.reverse()) await server.stop();
+    });
+
+    it('resolves a book across the books, authors and reviews subgraphs', async () => {
+      const book = fixtures.books[0];
+      const author = fixtures.authors.find(({ id }) => String(id) === String(book.authorId));
+      const { reviewCount } = ok(await request(BOOK, { id: book.id })).book;
+
+      const { addReview } = ok(await request(ADD_REVIEW, { bookId: book.id }, { roles: ['READER'] }));
+
+      assert.deepEqual(ok(await request(BOOK, { id: book.id })).book, {
+        id: String(book.id),
+        title: book.title,
+        author: { id: String(author.id), lastname: author.lastname },
+        reviewCount: reviewCount + 1,
+        reviewsConnection: {
+          edges: [
+            { node: { id: addReview.id, comment: 'Through the gateway', book: { title: book.title } } },
+          ],
+        },
+      });
+    });
+
+    it('leaves authorization to the subgraph that owns the field', async () => {
+      const body = await request(ADD_REVIEW, { bookId: fixtures.books[0].id });
+      assert.deepEqual(errorCodes(body), ['UNAUTHENTICATED']);
+    });
+
+    it('rate-limits signed-out clients by their own address behind the gateway', async () => {
+      const body = { query: ADD_REVIEW, variables: { bookId: fixtures.books[0].id } };
+      const codes = [];
+      for (let attempt = 0; attempt < 3; attempt += 1) {
+        codes.push(...errorCodes(await postFrom(gatewayUrl, '127.0.0.2', body)));
+      }
+      assert.deepEqual(codes, ['UNAUTHENTICATED', 'UNAUTHENTICATED', 'RATE_LIMITED']);
+      // Another client still has its own allowance.
+      assert.deepEqual(errorCodes(await postFrom(gatewayUrl, '127.0.0.3', body)), ['UNAUTHENTICATED']);
+    });
+  });
+};
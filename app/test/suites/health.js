@@ -0,0 +1,64 @@
+// -----------------------------
+// Health & metrics
+// -----------------------------
+//
+// The probes and the Prometheus endpoint the deployment scrapes, on the test
+// server.
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { ok } from '../support/client.js';
+
+export default ({ url, request, repositories, fixtures }) => {
+  const get = (route) => fetch(new URL(route, url));
+  // Matches one sample line of /metrics.
+  const sample = (name, labels) => new RegExp(`^node_graphql_${name}\\{${labels}\\} \\d+$`, 'm');
+
+  describe('health and metrics', () => {
+    it('answers /healthz', async () => {
+      const response = await get('/healthz');
+      assert.equal(response.status, 200);
+      assert.deepEqual(await response.json(), { status: 'ok' });
+    });
+
+    it('reports every store up on /readyz', async () => {
+      const response = await get('/readyz');
+      assert.equal(response.status, 200);
+      const body = await response.json();
+      assert.equal(body.status, 'ok');
+      assert.deepEqual(Object.keys(body.stores).sort(), [...repositories.stores].sort());
+      for (const store of Object.values(body.stores)) {
+        assert.equal(store.status, 'up');
+        assert.equal(typeof store.latencyMs, 'number');
+      }
+    });
+
+    it('counts operations, DataLoader batches and pool connections on /metrics', async () => {
+      const query = 'query BookDetail($id: ID!) { book(id: $id) { id author { id } } }';
+      ok(await request(query, { id: fixtures.books[0].id }));
+
+      const response = await get('/metrics');
+      assert.equal(response.status, 200);
+      assert.match(response.headers.get('content-type'), /^text\/plain/);
+      const text = await response.text();
+      assert.match(text, sample('requests_total', 'operation="BookDetail",type="query",status="ok"'));
+      assert.match(text, sample('request_duration_seconds_count', 'operation="BookDetail",type="query"'));
+      assert.match(text, sample('dataloader_batch_size_count', 'loader="authorById"'));
+      for (const store of repositories.stores) {
+        if (repositories.drivers.get(store).poolStats) {
+          assert.match(text, sample('db_pool_connections', `store="${store}",state="total"`));
+        }
+      }
+    });
+
+    it('labels operations outside the manifest "other", or "anonymous" when unnamed', async () => {
+      ok(await request('query NotInTheManifest { __typename }'));
+      ok(await request('{ __typename }'));
+
+      const text = await (await get('/metrics')).text();
+      assert.match(text, sample('requests_total', 'operation="other",type="query",status="ok"'));
+      assert.match(text, sample('requests_total', 'operation="anonymous",type="query",status="ok"'));
+      assert.doesNotMatch(text, /NotInTheManifest/);
+    });
+  });
+};
@@ -0,0 +1,117 @@
+// -----------------------------
+// Load testing
+// -----------------------------
+//
+// A one-second, low-rate run against the test server, enough to check the
+// scheduler and the report. The unauthenticated AddReview fails before
+// writing anything.
+
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, it } from 'node:test';
+import { fileURLToPath } from 'url';
+import { buildReport, compareReports, loadScenario, requestsDue, runScenario } from '../../lib/loadtest/index.js';
+
+const SCENARIOS_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'loadtest');
+
+const writeScenario = (scenario) => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'loadtest-')), 'scenario.json');
+  fs.writeFileSync(file, JSON.stringify(scenario));
+  return file;
+};
+
+export default ({ url }) => {
+  describe('load testing', () => {
+    it('loads the bundled scenarios', async () => {
+      const files = fs.readdirSync(SCENARIOS_DIR).filter((file) => file.endsWith('.json'));
+      assert.ok(files.length > 0);
+      for (const file of files) {
+        const scenario = await loadScenario(path.join(SCENARIOS_DIR, file));
+        assert.ok(scenario.operations.length > 0, file);
+      }
+    });
+
+    it('ramps the request rate linearly within each stage', () => {
+      const stages = [
+        { durationMs: 10_000, rps: 10 },
+        { durationMs: 0, rps: 20 },
+        { durationMs: 5_000, rps: 20 },
+      ];
+      assert.equal(requestsDue(stages, 5_000), 12.5);
+      assert.equal(requestsDue(stages, 10_000), 50);
+      assert.equal(requestsDue(stages, 15_000), 150);
+      assert.equal(requestsDue(stages, 60_000), 150);
+    });
+
+    it('rejects malformed scenarios', async () => {
+      const stages = [{ duration: '1s', rps: 1 }];
+      const query = '{ authors { id } }';
+      const load = (scenario) => loadScenario(writeScenario({ stages, ...scenario }));
+
+      await assert.rejects(
+        load({ stages: [{ duration: 'soon', rps: 1 }], operations: [{ query }] }),
+        /duration/
+      );
+      await assert.rejects(load({ operations: [{ name: 'Q', query: '{ authors {' }] }), /Operation Q/);
+      await assert.rejects(load({ operations: [{ query, variables: { id: { $int: [5] } } }] }), /\$int/);
+      await assert.rejects(
+        load({ operations: [{ query, variables: { id: { $fixture: 'shelves.id' } } }] }),
+        /\$fixture/
+      );
+    });
+
+    it('reports latency, throughput and errors per operation', async () => {
+      const scenario = await loadScenario(
+        writeScenario({
+          name: 'smoke',
+          stages: [{ duration: '1s', rps: 30 }],
+          operations: [
+            {
+              name: 'BookDetail',
+              weight: 3,
+              document: 'BookDetail',
+              variables: { id: { $fixture: 'books.id' } },
+            },
+            {
+              name: 'AddReview',
+              weight: 1,
+              document: 'AddReview',
+              auth: true,
+              variables: {
+                bookId: { $fixture: 'books.id' },
+                reviewerName: 'Load Test',
+                rating: { $int: [1, 5] },
+                comment: 'Unauthenticated, so never written',
+              },
+            },
+          ],
+        })
+      );
+      const report = buildReport(scenario, await runScenario(scenario, { url }), { url });
+
+      // 0 to 30 req/s over one second schedules 15 requests.
+      assert.ok(report.totals.requests >= 12 && report.totals.requests <= 15, String(report.totals.requests));
+      assert.deepEqual(Object.keys(report.operations), ['AddReview', 'BookDetail']);
+
+      const { AddReview, BookDetail } = report.operations;
+      assert.equal(BookDetail.failed, 0, JSON.stringify(BookDetail.errors));
+      assert.equal(AddReview.failed, AddReview.requests);
+      if (AddReview.requests > 0) {
+        assert.deepEqual(AddReview.errors, { UNAUTHENTICATED: AddReview.requests });
+      }
+      assert.equal(report.totals.failed, AddReview.requests);
+
+      const { p50, p90, p95, p99, max } = report.totals.latencyMs;
+      assert.ok(p50 <= p90 && p90 <= p95 && p95 <= p99 && p99 <= max);
+      assert.equal(report.timeline.reduce((sum, interval) => sum + interval.sent, 0), report.totals.requests);
+
+      const rows = compareReports(report, report);
+      assert.ok(rows.some((row) => row.operation === '(total)' && row.metric === 'p95Ms'));
+      for (const row of rows.filter((row) => row.baseline)) {
+        assert.equal(row.change, 0, `${row.operation} ${row.metric}`);
+      }
+    });
+  });
+};
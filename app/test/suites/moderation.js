@@ -0,0 +1,167 @@
+// -----------------------------
+// Review moderation
+// -----------------------------
+//
+// Reviews containing "heldword" come back PENDING (see support/server.js);
+// moderators work through them with moderationQueue, approveReview and
+// rejectReview. The abuse suite leaves held reviews of its own in the queue,
+// so assertions only look at this suite's books.
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createNodeHelpers, errorCodes, ok } from '../support/client.js';
+
+const ADD_REVIEW = `mutation ($bookId: ID!, $comment: String!) {
+  addReview(bookId: $bookId, reviewerName: "Queue Tester", rating: 2, comment: $comment) { id status }
+}`;
+
+const QUEUE = `query {
+  moderationQueue(first: 100) {
+    edges { node { id bookId status moderation { moderatedBy reason note } } }
+  }
+}`;
+
+const APPROVE = `mutation ($id: ID!, $note: String) {
+  approveReview(id: $id, note: $note) { id status moderation { moderatedBy reason note } }
+}`;
+
+const REJECT = `mutation ($id: ID!, $reason: String!, $note: String) {
+  rejectReview(id: $id, reason: $reason, note: $note) { id status moderation { moderatedBy reason note } }
+}`;
+
+const BOOK_REVIEWS = `query ($id: ID!) { book(id: $id) { reviewCount averageRating reviews { id } } }`;
+
+const UPDATE_REVIEW = `mutation ($id: ID!, $comment: String!) {
+  updateReview(id: $id, input: { comment: $comment }) { id status comment }
+}`;
+
+export default ({ request, fixtures }) => {
+  const reader = (query, variables) => request(query, variables, { roles: ['READER'] });
+  const moderator = (query, variables) => request(query, variables, { roles: ['MODERATOR'] });
+  const { addBook } = createNodeHelpers(request, fixtures);
+
+  const addReview = async (bookId, comment) => ok(await reader(ADD_REVIEW, { bookId, comment })).addReview;
+
+  const queueFor = async (bookId) =>
+    ok(await moderator(QUEUE))
+      .moderationQueue.edges.map(({ node }) => node)
+      .filter((node) => node.bookId === bookId);
+
+  describe('moderation', () => {
+    it('queues held reviews oldest first with the reason they were held', async () => {
+      const book = await addBook('Queued Book');
+      const first = await addReview(book.id, 'The heldword again');
+      const second = await addReview(book.id, 'One more heldword, differently');
+      await addReview(book.id, 'Nothing to see here');
+
+      assert.deepEqual(await queueFor(book.id), [
+        {
+          id: first.id,
+          bookId: book.id,
+          status: 'PENDING',
+          moderation: { moderatedBy: null, reason: 'contains "heldword"', note: null },
+        },
+        {
+          id: second.id,
+          bookId: book.id,
+          status: 'PENDING',
+          moderation: { moderatedBy: null, reason: 'contains "heldword"', note: null },
+        },
+      ]);
+    });
+
+    it('is for moderators only', async () => {
+      assert.deepEqual(errorCodes(await reader(QUEUE)), ['FORBIDDEN']);
+      assert.deepEqual(errorCodes(await request(QUEUE)), ['UNAUTHENTICATED']);
+      const book = await addBook('Moderation Field Book');
+      await addReview(book.id, 'Plainly fine');
+      const { errors } = await reader(
+        `query ($id: ID!) { book(id: $id) { reviews { moderation { note } } } }`,
+        { id: book.id }
+      );
+      assert.deepEqual(errors.map((error) => error.extensions.code), ['FORBIDDEN']);
+      assert.deepEqual(errorCodes(await reader(APPROVE, { id: '1' })), ['FORBIDDEN']);
+    });
+
+    it('approves a held review into public reads and aggregates', async () => {
+      const book = await addBook('Approved Book');
+      const held = await addReview(book.id, 'A heldword that is fine after all');
+      assert.deepEqual(ok(await request(BOOK_REVIEWS, { id: book.id })).book, {
+        reviewCount: 0,
+        averageRating: null,
+        reviews: [],
+      });
+
+      const { approveReview } = ok(await moderator(APPROVE, { id: held.id, note: 'Checked by hand' }));
+      assert.deepEqual(approveReview, {
+        id: held.id,
+        status: 'APPROVED',
+        moderation: { moderatedBy: 'integration-tests', reason: null, note: 'Checked by hand' },
+      });
+      assert.deepEqual(ok(await request(BOOK_REVIEWS, { id: book.id })).book, {
+        reviewCount: 1,
+        averageRating: 2,
+        reviews: [{ id: held.id }],
+      });
+      assert.deepEqual(await queueFor(book.id), []);
+
+      assert.deepEqual(errorCodes(await moderator(APPROVE, { id: held.id })), ['CONFLICT']);
+    });
+
+    it('rejects a review with a reason, hiding it from every read', async () => {
+      const book = await addBook('Rejected Book');
+      const review = await addReview(book.id, 'Published, then taken down');
+
+      const blank = await moderator(REJECT, { id: review.id, reason: '  ' });
+      assert.deepEqual(errorCodes(blank), ['BAD_USER_INPUT']);
+      const { rejectReview } = ok(
+        await moderator(REJECT, { id: review.id, reason: 'Off topic', note: 'Reported twice' })
+      );
+      assert.deepEqual(rejectReview, {
+        id: review.id,
+        status: 'REJECTED',
+        moderation: { moderatedBy: 'integration-tests', reason: 'Off topic', note: 'Reported twice' },
+      });
+      assert.deepEqual(ok(await request(BOOK_REVIEWS, { id: book.id })).book, {
+        reviewCount: 0,
+        averageRating: null,
+        reviews: [],
+      });
+      const hidden = await request(`query ($id: ID!) { review(id: $id) { id } }`, { id: review.id });
+      assert.equal(ok(hidden).review, null);
+      // Rejected reviews leave the queue too.
+      assert.deepEqual(await queueFor(book.id), []);
+
+      assert.deepEqual(errorCodes(await moderator(REJECT, { id: '999999', reason: 'Gone' })), ['NOT_FOUND']);
+    });
+
+    it('lets editors fix held and rejected reviews for moderators to look at again', async () => {
+      // A subject of its own, clear of the updateReview limit the abuse suite uses up.
+      const editor = (query, variables) =>
+        request(query, variables, { roles: ['EDITOR'], subject: 'moderation-editor' });
+      const book = await addBook('Edited While Held');
+      const held = await addReview(book.id, 'Held for the heldword');
+      const rejected = await addReview(book.id, 'Rejected as it was');
+      ok(await moderator(REJECT, { id: rejected.id, reason: 'Needs work' }));
+
+      const { updateReview } = ok(await editor(UPDATE_REVIEW, { id: held.id, comment: 'Reworded politely' }));
+      assert.deepEqual(updateReview, { id: held.id, status: 'PENDING', comment: 'Reworded politely' });
+      const fixed = ok(await editor(UPDATE_REVIEW, { id: rejected.id, comment: 'Reworked' })).updateReview;
+      assert.deepEqual(fixed, { id: rejected.id, status: 'REJECTED', comment: 'Reworked' });
+      assert.deepEqual(
+        (await queueFor(book.id)).map(({ id, status }) => ({ id, status })),
+        [{ id: held.id, status: 'PENDING' }]
+      );
+
+      ok(await moderator(APPROVE, { id: held.id }));
+      ok(await moderator(APPROVE, { id: rejected.id }));
+      const { book: published } = ok(
+        await request(`query ($id: ID!) { book(id: $id) { reviews { id comment } } }`, { id: book.id })
+      );
+      assert.deepEqual(published.reviews, [
+        { id: held.id, comment: 'Reworded politely' },
+        { id: rejected.id, comment: 'Reworked' },
+      ]);
+    });
+  });
+};
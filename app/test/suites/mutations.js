@@ -0,0 +1,352 @@
+// -----------------------------
+// Mutations
+// -----------------------------
+//
+// Each test works on rows it creates itself, so the fixture rows the other
+// suites rely on stay as seeded.
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createNodeHelpers, errorCodes, ok } from '../support/client.js';
+
+const AUTHOR = `id firstname lastname birthdate nationality bio`;
+const BOOK = `id authorId title isbn publicationDate author { id }`;
+const REVIEW = `id bookId reviewerName rating comment`;
+
+export default ({ request, repositories, fixtures }) => {
+  const editor = (query, variables) => request(query, variables, { roles: ['EDITOR'] });
+  const admin = (query, variables) => request(query, variables, { roles: ['ADMIN'] });
+  const nodes = createNodeHelpers(request, fixtures);
+  const addAuthor = (input) => nodes.addAuthor(input, AUTHOR);
+  const addBook = (input) => nodes.addBook(input, BOOK);
+
+  // Each reviewer name signs in as a user of its own, so the review is
+  // signed by a reviewer with that name.
+  const addReview = async (variables) =>
+    ok(
+      await request(
+        `mutation ($bookId: ID!, $reviewerName: String!, $rating: Int!, $comment: String!) {
+          addReview(bookId: $bookId, reviewerName: $reviewerName, rating: $rating, comment: $comment) { ${REVIEW} }
+        }`,
+        variables,
+        { roles: ['READER'], subject: `mutations-${variables.reviewerName}` }
+      )
+    ).addReview;
+
+  describe('author mutations', () => {
+    it('adds an author with a generated id and reads it back', async () => {
+      const author = await addAuthor({
+        firstname: ' Octavia ',
+        lastname: 'Test',
+        birthdate: '1947-06-22',
+        nationality: 'American',
+      });
+      assert.match(author.id, /^\d+$/);
+      assert.deepEqual(author, {
+        id: author.id,
+        firstname: 'Octavia',
+        lastname: 'Test',
+        birthdate: '1947-06-22',
+        nationality: 'American',
+        bio: null,
+      });
+
+      const { data } = await request(`query ($id: ID!) { author(id: $id) { ${AUTHOR} books { id } } }`, {
+        id: author.id,
+      });
+      assert.deepEqual(data.author, { ...author, books: [] });
+    });
+
+    it('updates and clears fields of an author', async () => {
+      const author = await addAuthor({ firstname: 'Ursula', lastname: 'Test', bio: 'Original bio' });
+      const { updateAuthor } = ok(
+        await editor(
+          `mutation ($id: ID!, $input: UpdateAuthorInput!) { updateAuthor(id: $id, input: $input) { ${AUTHOR} } }`,
+          { id: author.id, input: { lastname: 'Renamed', bio: null, birthdate: '1929-10-21' } }
+        )
+      );
+      assert.deepEqual(updateAuthor, {
+        ...author,
+        lastname: 'Renamed',
+        bio: null,
+        birthdate: '1929-10-21',
+      });
+      assert.equal((await repositories.authors.findById(author.id)).lastname, 'Renamed');
+    });
+
+    it('stores dateCreated as its UTC day and serves it as a UTC instant', async () => {
+      const { addAuthor: author } = ok(
+        await editor(`mutation ($input: AddAuthorInput!) { addAuthor(input: $input) { id dateCreated } }`, {
+          input: { firstname: 'Created', lastname: 'Test', dateCreated: '2024-03-01T23:30:00-02:00' },
+        })
+      );
+      assert.equal(author.dateCreated, '2024-03-02T00:00:00.000Z');
+      assert.equal((await repositories.authors.findById(author.id)).dateCreated, '2024-03-02');
+    });
+  });
+
+  describe('book mutations', () => {
+    it('adds books with generated and explicit ids', async () => {
+      const author = await addAuthor({ firstname: 'Books', lastname: 'Test' });
+      const generated = await addBook({
+        authorId: author.id,
+        title: 'Generated Id',
+        isbn: '978-0-306-40615-7',
+        publicationDate: '2001-02-03',
+      });
+      assert.deepEqual(generated, {
+        id: generated.id,
+        authorId: author.id,
+        title: 'Generated Id',
+        // Stored without the hyphens.
+        isbn: '9780306406157',
+        publicationDate: '2001-02-03',
+        author: { id: author.id },
+      });
+
+      const explicitId = String(Number(generated.id) + 1000);
+      const explicit = await addBook({ id: explicitId, authorId: author.id, title: 'Explicit Id' });
+      assert.equal(explicit.id, explicitId);
+
+      // The next generated id must not collide with the explicit one.
+      const next = await addBook({ authorId: author.id, title: 'After Explicit Id' });
+      assert.notEqual(next.id, explicitId);
+
+      const { data } = await request(`query ($id: ID!) { author(id: $id) { books { id } } }`, {
+        id: author.id,
+      });
+      assert.deepEqual(
+        data.author.books.map((book) => book.id).sort(),
+        [generated.id, explicit.id, next.id].sort()
+      );
+    });
+
+    it('updates a book and moves it to another author', async () => {
+      const from = await addAuthor({ firstname: 'From', lastname: 'Test' });
+      const to = await addAuthor({ firstname: 'To', lastname: 'Test' });
+      const book = await addBook({ authorId: from.id, title: 'Moving Book' });
+
+      const { updateBook } = ok(
+        await editor(
+          `mutation ($id: ID!, $input: UpdateBookInput!) { updateBook(id: $id, input: $input) { ${BOOK} } }`,
+          { id: book.id, input: { authorId: to.id, title: 'Moved Book', publicationDate: '1999-12-31' } }
+        )
+      );
+      assert.equal(updateBook.title, 'Moved Book');
+      assert.equal(updateBook.publicationDate, '1999-12-31');
+      assert.deepEqual(updateBook.author, { id: to.id });
+
+      const { data } = await request(
+        `query ($from: ID!, $to: ID!) {
+          from: author(id: $from) { books { id } }
+          to: author(id: $to) { books { id } }
+        }`,
+        { from: from.id, to: to.id }
+      );
+      assert.deepEqual(data.from.books, []);
+      assert.deepEqual(data.to.books, [{ id: book.id }]);
+    });
+
+    it('deletes a book together with its reviews', async () => {
+      const author = await addAuthor({ firstname: 'Delete', lastname: 'Book' });
+      const book = await addBook({ authorId: author.id, title: 'Doomed Book' });
+      const review = await addReview({ bookId: book.id, reviewerName: 'R', rating: 2, comment: 'Meh' });
+
+      assert.deepEqual(ok(await editor(`mutation ($id: ID!) { deleteBook(id: $id) }`, { id: book.id })), {
+        deleteBook: true,
+      });
+
+      const { data } = await request(
+        `query ($book: ID!, $review: ID!, $author: ID!) {
+          book(id: $book) { id }
+          review(id: $review) { id }
+          author(id: $author) { books { id } }
+        }`,
+        { book: book.id, review: review.id, author: author.id }
+      );
+      assert.deepEqual(data, { book: null, review: null, author: { books: [] } });
+    });
+  });
+
+  describe('review mutations', () => {
+    it('adds, updates and deletes a review and keeps the aggregates current', async () => {
+      const author = await addAuthor({ firstname: 'Review', lastname: 'Test' });
+      const book = await addBook({ authorId: author.id, title: 'Reviewed Book' });
+      const stats = async () =>
+        (
+          await request(
+            `query ($id: ID!) { book(id: $id) { reviewCount averageRating ratingHistogram { count } reviews { id } } }`,
+            { id: book.id }
+          )
+        ).data.book;
+
+      const first = await addReview({ bookId: book.id, reviewerName: 'Ann', rating: 5, comment: 'Great' });
+      const second = await addReview({ bookId: book.id, reviewerName: 'Bo', rating: 2, comment: 'Poor' });
+      assert.deepEqual(first, { id: first.id, bookId: book.id, reviewerName: 'Ann', rating: 5, comment: 'Great' });
+
+      let current = await stats();
+      assert.equal(current.reviewCount, 2);
+      assert.equal(current.averageRating, 3.5);
+      assert.deepEqual(current.ratingHistogram.map((bucket) => bucket.count), [0, 1, 0, 0, 1]);
+
+      const { updateReview } = ok(
+        await editor(
+          `mutation ($id: ID!, $input: UpdateReviewInput!) { updateReview(id: $id, input: $input) { ${REVIEW} } }`,
+          { id: second.id, input: { rating: 4, comment: 'Better on a second read' } }
+        )
+      );
+      assert.deepEqual(updateReview, { ...second, rating: 4, comment: 'Better on a second read' });
+      assert.equal((await stats()).averageRating, 4.5);
+
+      assert.deepEqual(ok(await editor(`mutation ($id: ID!) { deleteReview(id: $id) }`, { id: first.id })), {
+        deleteReview: true,
+      });
+      current = await stats();
+      assert.equal(current.reviewCount, 1);
+      assert.deepEqual(current.reviews, [{ id: second.id }]);
+
+      const { data } = await request(`query ($id: ID!) { author(id: $id) { averageRating } }`, {
+        id: author.id,
+      });
+      assert.equal(data.author.averageRating, 4);
+    });
+  });
+
+  describe('deleteAuthor cascade', () => {
+    it('deletes the author, their books and those books’ reviews', async () => {
+      const author = await addAuthor({ firstname: 'Cascade', lastname: 'Test' });
+      const books = [
+        await addBook({ authorId: author.id, title: 'Cascade One' }),
+        await addBook({ authorId: author.id, title: 'Cascade Two' }),
+      ];
+      const reviews = [
+        await addReview({ bookId: books[0].id, reviewerName: 'A', rating: 3, comment: 'One' }),
+        await addReview({ bookId: books[0].id, reviewerName: 'B', rating: 4, comment: 'Two' }),
+        await addReview({ bookId: books[1].id, reviewerName: 'C', rating: 5, comment: 'Three' }),
+      ];
+      const bystander = await addBook({ authorId: (await addAuthor({ firstname: 'Other', lastname: 'Test' })).id, title: 'Unrelated' });
+      const bystanderReview = await addReview({ bookId: bystander.id, reviewerName: 'D', rating: 1, comment: 'Kept' });
+
+      assert.deepEqual(ok(await admin(`mutation ($id: ID!) { deleteAuthor(id: $id) }`, { id: author.id })), {
+        deleteAuthor: true,
+      });
+
+      assert.equal(await repositories.authors.findById(author.id), null);
+      assert.deepEqual(await repositories.books.findByAuthorIds([author.id]), [[]]);
+      assert.deepEqual(
+        await repositories.reviews.findByBookIds(books.map((book) => book.id)),
+        [[], []]
+      );
+      assert.deepEqual(
+        await repositories.reviews.findByIds(reviews.map((review) => review.id)),
+        [null, null, null]
+      );
+      assert.equal((await repositories.reviews.findById(bystanderReview.id)).id, bystanderReview.id);
+
+      const { data } = await request(`query ($id: ID!) { author(id: $id) { id } book(id: "${books[0].id}") { id } }`, {
+        id: author.id,
+      });
+      assert.deepEqual(data, { author: null, book: null });
+
+      // A second delete finds nothing left to remove.
+      assert.deepEqual(ok(await admin(`mutation ($id: ID!) { deleteAuthor(id: $id) }`, { id: author.id })), {
+        deleteAuthor: false,
+      });
+    });
+  });
+
+  describe('restoreAuthor', () => {
+    const RESTORE = `mutation ($id: ID!) { restoreAuthor(id: $id) { id books { id reviewCount reviews { id } } } }`;
+    // Appears nowhere in the fixtures, so search finds the restored book alone.
+    const WORD = 'Quillifrond';
+
+    it('brings back what the delete cascaded to, but not what was deleted before', async () => {
+      const author = await addAuthor({ firstname: 'Restore', lastname: 'Test' });
+      const books = [
+        await addBook({ authorId: author.id, title: `The ${WORD} Papers` }),
+        await addBook({ authorId: author.id, title: 'Restore Two' }),
+      ];
+      const earlier = await addReview({ bookId: books[0].id, reviewerName: 'A', rating: 1, comment: 'Gone' });
+      const kept = await addReview({ bookId: books[0].id, reviewerName: 'B', rating: 4, comment: 'Kept' });
+      ok(await editor(`mutation ($id: ID!) { deleteReview(id: $id) }`, { id: earlier.id }));
+      ok(await admin(`mutation ($id: ID!) { deleteAuthor(id: $id) }`, { id: author.id }));
+
+      const titleSearch = async () =>
+        ok(await request(`query { search(text: "${WORD}", types: [BOOK]) { result { ... on Book { id } } } }`))
+          .search;
+      assert.deepEqual(await titleSearch(), []);
+
+      const { restoreAuthor } = ok(await admin(RESTORE, { id: author.id }));
+      assert.equal(restoreAuthor.id, author.id);
+      assert.deepEqual(
+        restoreAuthor.books.sort((a, b) => Number(a.id) - Number(b.id)),
+        [
+          { id: books[0].id, reviewCount: 1, reviews: [{ id: kept.id }] },
+          { id: books[1].id, reviewCount: 0, reviews: [] },
+        ]
+      );
+      assert.equal(await repositories.reviews.findById(earlier.id), null);
+      assert.deepEqual(await titleSearch(), [{ result: { id: books[0].id } }]);
+    });
+
+    it('is admin-only and rejects authors that are not deleted or never existed', async () => {
+      const author = await addAuthor({ firstname: 'Living', lastname: 'Test' });
+      assert.deepEqual(errorCodes(await editor(RESTORE, { id: author.id })), ['FORBIDDEN']);
+      assert.deepEqual(errorCodes(await admin(RESTORE, { id: author.id })), ['CONFLICT']);
+      assert.deepEqual(errorCodes(await admin(RESTORE, { id: '999999999' })), ['NOT_FOUND']);
+    });
+  });
+
+  describe('auditLog', () => {
+    const AUDIT_LOG = `query ($type: AuditEntityType!, $id: ID!, $first: Int) {
+      auditLog(entityType: $type, entityId: $id, first: $first) {
+        entityType entityId operation actor before after createdAt
+      }
+    }`;
+
+    it('records who changed a node and how, newest first', async () => {
+      const author = await addAuthor({ firstname: 'Audited', lastname: 'Test' });
+      ok(
+        await editor(`mutation ($id: ID!) { updateAuthor(id: $id, input: { lastname: "Renamed" }) { id } }`, {
+          id: author.id,
+        })
+      );
+      const book = await addBook({ authorId: author.id, title: 'Audited Book' });
+      const review = await addReview({ bookId: book.id, reviewerName: 'A', rating: 3, comment: 'Fine' });
+      ok(await admin(`mutation ($id: ID!) { deleteAuthor(id: $id) }`, { id: author.id }));
+      ok(await admin(`mutation ($id: ID!) { restoreAuthor(id: $id) { id } }`, { id: author.id }));
+
+      const { auditLog } = ok(await admin(AUDIT_LOG, { type: 'AUTHOR', id: author.id }));
+      assert.deepEqual(
+        auditLog.map((entry) => [entry.entityType, entry.entityId, entry.operation, entry.actor]),
+        [
+          ['AUTHOR', author.id, 'restoreAuthor', 'integration-tests'],
+          ['AUTHOR', author.id, 'deleteAuthor', 'integration-tests'],
+          ['AUTHOR', author.id, 'updateAuthor', 'integration-tests'],
+          ['AUTHOR', author.id, 'addAuthor', 'integration-tests'],
+        ]
+      );
+      const [restored, deleted, updated, added] = auditLog;
+      assert.equal(JSON.parse(updated.before).lastname, 'Test');
+      assert.equal(JSON.parse(updated.after).lastname, 'Renamed');
+      assert.equal(added.before, null);
+      assert.equal(deleted.after, null);
+      assert.equal(restored.before, null);
+      assert.match(added.createdAt, /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/);
+
+      // The cascade is recorded on each node it reached.
+      const reviewLog = ok(await admin(AUDIT_LOG, { type: 'REVIEW', id: review.id, first: 2 })).auditLog;
+      assert.deepEqual(
+        reviewLog.map((entry) => entry.operation),
+        ['restoreAuthor', 'deleteAuthor']
+      );
+    });
+
+    it('is admin-only and checks the page size', async () => {
+      assert.deepEqual(errorCodes(await editor(AUDIT_LOG, { type: 'BOOK', id: '1' })), ['FORBIDDEN']);
+      assert.deepEqual(errorCodes(await admin(AUDIT_LOG, { type: 'BOOK', id: '1', first: 0 })), [
+        'BAD_USER_INPUT',
+      ]);
+    });
+  });
+};
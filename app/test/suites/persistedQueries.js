@@ -0,0 +1,103 @@
+// -----------------------------
+// Persisted queries & allowlist
+// -----------------------------
+//
+// Runs against two server processes of their own: one with automatic
+// persisted queries, one with the allowlist built from operations/ by
+// scripts/build-operation-manifest.js (see support/server.js).
+
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { after, before, describe, it } from 'node:test';
+import { hashQuery, loadOperationManifest } from '../../lib/persistedQueries.js';
+import { errorCodes, ok } from '../support/client.js';
+import { startProcess } from '../support/processes.js';
+
+const TOP_RATED = 'query TopRated($limit: Int) { topRatedBooks(limit: $limit) { id title } }';
+
+// POSTs `body` and resolves to `{ status, body }`.
+const post = async (url, body) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+const persisted = (sha256Hash) => ({ persistedQuery: { version: 1, sha256Hash } });
+
+export default () => {
+  describe('automatic persisted queries', () => {
+    let server;
+    before(async () => {
+      server = await startProcess('apq', { PERSISTED_QUERIES: 'apq' });
+    });
+    after(() => server?.stop());
+
+    it('asks for the query text once, then runs it from its hash', async () => {
+      const variables = { limit: 2 };
+      const extensions = persisted(hashQuery(TOP_RATED));
+
+      const unknown = await post(server.url, { variables, extensions });
+      assert.deepEqual(errorCodes(unknown.body), ['PERSISTED_QUERY_NOT_FOUND']);
+
+      const registered = ok((await post(server.url, { query: TOP_RATED, variables, extensions })).body);
+      assert.equal(registered.topRatedBooks.length, 2);
+
+      const byHash = await post(server.url, { variables, extensions });
+      assert.equal(byHash.status, 200);
+      assert.deepEqual(ok(byHash.body), registered);
+    });
+
+    it('still runs plain queries', async () => {
+      ok((await post(server.url, { query: TOP_RATED, variables: { limit: 1 } })).body);
+    });
+  });
+
+  describe('operation allowlist', () => {
+    let server;
+    let operations;
+    before(async () => {
+      operations = Object.fromEntries(
+        [...loadOperationManifest(process.env.OPERATION_MANIFEST_PATH)].map(([id, operation]) => [
+          operation.name,
+          { id, ...operation },
+        ])
+      );
+      server = await startProcess('allowlist', { PERSISTED_QUERIES: 'allowlist' });
+    });
+    after(() => server?.stop());
+
+    it('runs manifest operations by hash or by their exact text', async () => {
+      const { id, body } = operations.TopRatedBooks;
+      const variables = { limit: 2 };
+      const byHash = ok((await post(server.url, { variables, extensions: persisted(id) })).body);
+      assert.equal(byHash.topRatedBooks.length, 2);
+      assert.deepEqual(ok((await post(server.url, { query: body, variables })).body), byHash);
+    });
+
+    it('rejects ad-hoc queries and unknown hashes with OPERATION_NOT_ALLOWED', async () => {
+      for (const request of [
+        { query: TOP_RATED },
+        // The manifest text reformatted is a different operation.
+        { query: operations.TopRatedBooks.body.replace(/\s+/g, ' ') },
+        { extensions: persisted(hashQuery(TOP_RATED)) },
+        { query: TOP_RATED, extensions: persisted(hashQuery(TOP_RATED)) },
+      ]) {
+        const { status, body } = await post(server.url, request);
+        assert.equal(status, 400);
+        assert.deepEqual(errorCodes(body), ['OPERATION_NOT_ALLOWED'], JSON.stringify(request));
+        assert.equal(body.data, undefined);
+      }
+    });
+
+    it('builds the manifest from every operation under operations/', () => {
+      const files = fs.readdirSync(new URL('../../operations/', import.meta.url));
+      assert.deepEqual(
+        Object.keys(operations).sort(),
+        files.map((file) => file.replace(/\.graphql$/, '')).sort()
+      );
+    });
+  });
+};
@@ -0,0 +1,352 @@
+// -----------------------------
+// Queries
+// -----------------------------
+//
+// Read-only checks against the seeded fixtures. They run before any mutation
+// suite, so the fixture files are the expected answer.
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+const byId = (a, b) => Number(a.id) - Number(b.id);
+
+// List fields resolved through loaders come back in storage order.
+const sortedIds = (nodes) => nodes.map((node) => node.id).sort((a, b) => Number(a) - Number(b));
+
+const pick = (node, fields) => Object.fromEntries(fields.map((field) => [field, node[field]]));
+
+const AUTHOR_FIELDS = ['id', 'firstname', 'lastname', 'birthdate', 'deathdate', 'favoriteColor', 'nationality'];
+const BOOK_FIELDS = ['id', 'authorId', 'title', 'isbn', 'publicationDate'];
+const REVIEW_FIELDS = ['id', 'bookId', 'reviewerName', 'rating', 'comment'];
+
+const statsOf = (reviews) => {
+  const histogram = [1, 2, 3, 4, 5].map(
+    (rating) => reviews.filter((review) => review.rating === rating).length
+  );
+  const sum = reviews.reduce((total, review) => total + review.rating, 0);
+  return { reviewCount: reviews.length, sum, histogram };
+};
+
+export default ({ request, fixtures }) => {
+  const { authors, books, reviews } = fixtures;
+  const booksOf = (authorId) => books.filter((book) => book.authorId === authorId).sort(byId);
+  const reviewsOf = (bookId) => reviews.filter((review) => review.bookId === bookId).sort(byId);
+
+  describe('author queries', () => {
+    it('lists every author in id order', async () => {
+      const { data, errors } = await request(`{ authors { ${AUTHOR_FIELDS.join(' ')} } }`);
+      assert.equal(errors, undefined);
+      assert.deepEqual(
+        data.authors,
+        [...authors].sort(byId).map((author) => pick(author, AUTHOR_FIELDS))
+      );
+    });
+
+    it('fetches one author with their books', async () => {
+      const [author] = authors;
+      const { data } = await request(
+        `query ($id: ID!) { author(id: $id) { id lastname books { id title } } }`,
+        { id: author.id }
+      );
+      assert.equal(data.author.lastname, author.lastname);
+      assert.deepEqual(sortedIds(data.author.books), sortedIds(booksOf(author.id)));
+      for (const book of data.author.books) {
+        assert.equal(book.title, books.find((candidate) => candidate.id === book.id).title);
+      }
+    });
+
+    it('returns null for an unknown author', async () => {
+      const { data, errors } = await request(`{ author(id: "999999") { id } }`);
+      assert.equal(errors, undefined);
+      assert.equal(data.author, null);
+    });
+
+    it('filters by nationality (case-insensitively) and birthdate range', async () => {
+      const { data } = await request(
+        `{ authors(where: { nationality: "american", birthdate: { from: "1900-01-01" } }) { id } }`
+      );
+      const expected = authors
+        .filter((author) => author.nationality === 'American' && author.birthdate >= '1900-01-01')
+        .sort(byId)
+        .map((author) => author.id);
+      assert.ok(expected.length > 0);
+      assert.deepEqual(data.authors.map((author) => author.id), expected);
+    });
+
+    it('filters by lastname prefix and orders by lastname descending', async () => {
+      const prefix = authors[0].lastname.slice(0, 1);
+      const { data } = await request(
+        `query ($prefix: String) {
+          authors(where: { lastnameStartsWith: $prefix }, orderBy: { field: LASTNAME, direction: DESC }) {
+            id lastname
+          }
+        }`,
+        { prefix }
+      );
+      const expected = authors
+        .filter((author) => author.lastname.startsWith(prefix))
+        .sort((a, b) => (a.lastname < b.lastname) - (a.lastname > b.lastname) || byId(b, a));
+      assert.deepEqual(
+        data.authors.map((author) => author.lastname),
+        expected.map((author) => author.lastname)
+      );
+    });
+
+    it('pages forwards and backwards through authorsConnection', async () => {
+      const page = `
+        query ($first: Int, $after: String, $last: Int, $before: String) {
+          authorsConnection(first: $first, after: $after, last: $last, before: $before) {
+            totalCount
+            edges { cursor node { id } }
+            pageInfo { hasNextPage hasPreviousPage startCursor endCursor }
+          }
+        }`;
+      const ids = [...authors].sort(byId).map((author) => author.id);
+
+      const first = (await request(page, { first: 10 })).data.authorsConnection;
+      assert.equal(first.totalCount, authors.length);
+      assert.deepEqual(first.edges.map((edge) => edge.node.id), ids.slice(0, 10));
+      assert.equal(first.pageInfo.hasNextPage, true);
+      assert.equal(first.pageInfo.hasPreviousPage, false);
+
+      const second = (await request(page, { first: 10, after: first.pageInfo.endCursor })).data
+        .authorsConnection;
+      assert.deepEqual(second.edges.map((edge) => edge.node.id), ids.slice(10, 20));
+      assert.equal(second.pageInfo.hasNextPage, true);
+
+      const back = (await request(page, { last: 5, before: second.pageInfo.startCursor })).data
+        .authorsConnection;
+      assert.deepEqual(back.edges.map((edge) => edge.node.id), ids.slice(5, 10));
+      assert.equal(back.pageInfo.hasPreviousPage, true);
+
+      const tail = (await request(page, { last: 3 })).data.authorsConnection;
+      assert.deepEqual(tail.edges.map((edge) => edge.node.id), ids.slice(-3));
+      assert.equal(tail.pageInfo.hasNextPage, false);
+    });
+
+    it('pages a sorted connection with the sort field in the cursor', async () => {
+      const page = `
+        query ($after: String) {
+          authorsConnection(first: 7, after: $after, orderBy: { field: BIRTHDATE, direction: DESC }) {
+            edges { node { id } }
+            pageInfo { endCursor hasNextPage }
+          }
+        }`;
+      const seen = [];
+      let after = null;
+      for (;;) {
+        const { data } = await request(page, { after });
+        seen.push(...data.authorsConnection.edges.map((edge) => edge.node.id));
+        if (!data.authorsConnection.pageInfo.hasNextPage) break;
+        after = data.authorsConnection.pageInfo.endCursor;
+      }
+      // NULL birthdates sort last; ties break on id in the same direction.
+      const expected = [...authors]
+        .sort(
+          (a, b) =>
+            (a.birthdate === null) - (b.birthdate === null) ||
+            (b.birthdate ?? '').localeCompare(a.birthdate ?? '') ||
+            byId(b, a)
+        )
+        .map((author) => author.id);
+      assert.deepEqual(seen, expected);
+    });
+  });
+
+  describe('book queries', () => {
+    it('lists every book in id order', async () => {
+      const { data } = await request(`{ books { ${BOOK_FIELDS.join(' ')} } }`);
+      assert.deepEqual(data.books, [...books].sort(byId).map((book) => pick(book, BOOK_FIELDS)));
+    });
+
+    it('fetches one book with its author', async () => {
+      const book = books[10];
+      const author = authors.find((candidate) => candidate.id === book.authorId);
+      const { data } = await request(
+        `query ($id: ID!) { book(id: $id) { id title author { id lastname } } }`,
+        { id: book.id }
+      );
+      assert.deepEqual(data.book, {
+        id: book.id,
+        title: book.title,
+        author: { id: author.id, lastname: author.lastname },
+      });
+    });
+
+    it('filters by author, title fragment, ISBN and publication date', async () => {
+      const book = books[42];
+      const fragment = book.title.split(' ').at(-1).toLowerCase();
+      const { data } = await request(
+        `query ($authorId: ID, $fragment: String) {
+          byAuthor: books(where: { authorId: $authorId }) { id }
+          byTitle: books(where: { titleContains: $fragment }) { id }
+          byIsbn: books(where: { isbn: "${book.isbn}" }) { id }
+          byDate: books(where: { publicationDate: { from: "2000-01-01", to: "2009-12-31" } }) { id }
+        }`,
+        { authorId: book.authorId, fragment }
+      );
+      const ids = (list) => list.sort(byId).map((entry) => entry.id);
+      assert.deepEqual(data.byAuthor.map((entry) => entry.id), ids(booksOf(book.authorId)));
+      assert.deepEqual(
+        data.byTitle.map((entry) => entry.id),
+        ids(books.filter((candidate) => candidate.title.toLowerCase().includes(fragment)))
+      );
+      assert.deepEqual(
+        data.byIsbn.map((entry) => entry.id),
+        ids(books.filter((candidate) => candidate.isbn === book.isbn))
+      );
+      assert.deepEqual(
+        data.byDate.map((entry) => entry.id),
+        ids(
+          books.filter(
+            (candidate) =>
+              candidate.publicationDate >= '2000-01-01' && candidate.publicationDate <= '2009-12-31'
+          )
+        )
+      );
+    });
+
+    it('orders by title and pages booksConnection with a filter', async () => {
+      const { authorId } = books[0];
+      const { data } = await request(
+        `query ($authorId: ID) {
+          booksConnection(first: 2, where: { authorId: $authorId }, orderBy: { field: TITLE }) {
+            totalCount
+            edges { node { title } }
+            pageInfo { hasNextPage }
+          }
+        }`,
+        { authorId }
+      );
+      const titles = booksOf(authorId)
+        .map((book) => book.title)
+        .sort();
+      assert.equal(data.booksConnection.totalCount, titles.length);
+      assert.deepEqual(
+        data.booksConnection.edges.map((edge) => edge.node.title),
+        titles.slice(0, 2)
+      );
+      assert.equal(data.booksConnection.pageInfo.hasNextPage, titles.length > 2);
+    });
+
+    it('pages an author’s books through Author.booksConnection', async () => {
+      const [author] = authors;
+      const { data } = await request(
+        `query ($id: ID!) {
+          author(id: $id) { booksConnection(first: 2) { totalCount edges { node { id } } } }
+        }`,
+        { id: author.id }
+      );
+      const ids = booksOf(author.id).map((book) => book.id);
+      assert.equal(data.author.booksConnection.totalCount, ids.length);
+      assert.deepEqual(
+        data.author.booksConnection.edges.map((edge) => edge.node.id),
+        ids.slice(0, 2)
+      );
+    });
+  });
+
+  describe('review queries', () => {
+    it('fetches one review with its book', async () => {
+      const review = reviews[7];
+      const { data } = await request(
+        `query ($id: ID!) { review(id: $id) { ${REVIEW_FIELDS.join(' ')} book { id } } }`,
+        { id: review.id }
+      );
+      assert.deepEqual(data.review, { ...pick(review, REVIEW_FIELDS), book: { id: review.bookId } });
+    });
+
+    it('filters by book, rating range and reviewer name', async () => {
+      const review = reviews[3];
+      const { data } = await request(
+        `query ($bookId: ID, $name: String, $fragment: String) {
+          byBook: reviews(where: { bookId: $bookId }) { id }
+          byRating: reviewsConnection(where: { rating: { min: 2, max: 3 } }) { totalCount }
+          byName: reviews(where: { reviewerName: $name }) { id }
+          byFragment: reviewsConnection(where: { reviewerNameContains: $fragment }) { totalCount }
+        }`,
+        {
+          bookId: review.bookId,
+          name: review.reviewerName.toUpperCase(),
+          fragment: review.reviewerName.split(' ')[0],
+        }
+      );
+      const fragment = review.reviewerName.split(' ')[0];
+      assert.deepEqual(
+        data.byBook.map((entry) => entry.id),
+        reviewsOf(review.bookId).map((entry) => entry.id)
+      );
+      assert.equal(
+        data.byRating.totalCount,
+        reviews.filter((entry) => entry.rating >= 2 && entry.rating <= 3).length
+      );
+      assert.deepEqual(
+        data.byName.map((entry) => entry.id),
+        reviews
+          .filter((entry) => entry.reviewerName === review.reviewerName)
+          .sort(byId)
+          .map((entry) => entry.id)
+      );
+      assert.equal(
+        data.byFragment.totalCount,
+        reviews.filter((entry) => entry.reviewerName.includes(fragment)).length
+      );
+    });
+
+    it('orders reviews by rating descending, then id descending', async () => {
+      const { data } = await request(
+        `{ reviewsConnection(first: 25, orderBy: { field: RATING, direction: DESC }) {
+            edges { node { id rating } }
+        } }`
+      );
+      const expected = [...reviews]
+        .sort((a, b) => b.rating - a.rating || byId(b, a))
+        .slice(0, 25)
+        .map((review) => ({ id: review.id, rating: review.rating }));
+      assert.deepEqual(
+        data.reviewsConnection.edges.map((edge) => edge.node),
+        expected
+      );
+    });
+
+    it('aggregates ratings per book and per author', async () => {
+      const [author] = authors;
+      const { data } = await request(
+        `query ($id: ID!) {
+          author(id: $id) {
+            averageRating
+            books { id reviewCount averageRating ratingHistogram { rating count } reviews { id } }
+          }
+        }`,
+        { id: author.id }
+      );
+      const authorReviews = booksOf(author.id).flatMap((book) => reviewsOf(book.id));
+      const authorStats = statsOf(authorReviews);
+      assert.equal(data.author.averageRating, authorStats.sum / authorStats.reviewCount);
+
+      for (const book of data.author.books) {
+        const bookReviews = reviewsOf(book.id);
+        const stats = statsOf(bookReviews);
+        assert.equal(book.reviewCount, stats.reviewCount);
+        assert.equal(book.averageRating, stats.reviewCount ? stats.sum / stats.reviewCount : null);
+        assert.deepEqual(
+          book.ratingHistogram,
+          stats.histogram.map((count, index) => ({ rating: index + 1, count }))
+        );
+        assert.deepEqual(sortedIds(book.reviews), sortedIds(bookReviews));
+      }
+    });
+
+    it('ranks topRatedBooks by average, then review count, then id', async () => {
+      const { data } = await request(`{ topRatedBooks(limit: 5, minReviews: 3) { id } }`);
+      const expected = books
+        .map((book) => ({ id: book.id, ...statsOf(reviewsOf(book.id)) }))
+        .filter((book) => book.reviewCount >= 3)
+        .map((book) => ({ ...book, average: book.sum / book.reviewCount }))
+        .sort((a, b) => b.average - a.average || b.reviewCount - a.reviewCount || byId(a, b))
+        .slice(0, 5)
+        .map((book) => book.id);
+      assert.deepEqual(data.topRatedBooks.map((book) => book.id), expected);
+    });
+  });
+};
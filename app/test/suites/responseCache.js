@@ -0,0 +1,86 @@
+// -----------------------------
+// Response cache
+// -----------------------------
+//
+// Runs against a server process of its own with the memory response cache.
+// Cached responses are tagged with the entities they read, so a mutation
+// only evicts the responses that read what it changed. The nodes read are
+// created here, so the other suites' writes cannot evict them.
+
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import { createClient, createNodeHelpers, ok } from '../support/client.js';
+import { startProcess } from '../support/processes.js';
+
+const WITH_AUTHOR = 'query ($id: ID!) { book(id: $id) { id title author { id lastname } } }';
+const TITLE_ONLY = 'query ($id: ID!) { book(id: $id) { id title } }';
+
+const UPDATE_AUTHOR = `mutation ($id: ID!, $input: UpdateAuthorInput!) {
+  updateAuthor(id: $id, input: $input) { id }
+}`;
+
+export default ({ fixtures }) => {
+  let server;
+  let request;
+
+  describe('response cache', () => {
+    before(async () => {
+      server = await startProcess('response-cache', { RESPONSE_CACHE_BACKEND: 'memory' });
+      request = createClient(server.url);
+    });
+    after(() => server?.stop());
+
+    // Sends `query` by POST, or by GET with `{ method: 'GET' }`, and resolves
+    // to `{ cache, cacheControl, data }`.
+    const read = async (query, variables, { method = 'POST' } = {}) => {
+      const search = new URLSearchParams({ query, variables: JSON.stringify(variables) });
+      const response =
+        method === 'GET'
+          ? // Apollo's CSRF prevention turns away GETs without this header.
+            await fetch(`${server.url}?${search}`, { headers: { 'apollo-require-preflight': 'true' } })
+          : await fetch(server.url, {
+              method: 'POST',
+              headers: { 'content-type': 'application/json' },
+              body: JSON.stringify({ query, variables }),
+            });
+      return {
+        cache: response.headers.get('x-cache'),
+        cacheControl: response.headers.get('cache-control'),
+        data: ok(await response.json()),
+      };
+    };
+
+    it('serves a repeated query from the cache until a mutation changes what it read', async () => {
+      const { addAuthor, addBook } = createNodeHelpers(request, fixtures);
+      const author = await addAuthor({ firstname: 'Cached', lastname: 'Before' });
+      const book = await addBook({ authorId: author.id, title: 'Cached Book' });
+      const variables = { id: book.id };
+
+      assert.equal((await read(WITH_AUTHOR, variables)).cache, 'MISS');
+      assert.equal((await read(TITLE_ONLY, variables)).cache, 'MISS');
+      const hit = await read(WITH_AUTHOR, variables);
+      assert.equal(hit.cache, 'HIT');
+      assert.equal(hit.data.book.author.lastname, 'Before');
+
+      const update = { id: author.id, input: { lastname: 'After' } };
+      ok(await request(UPDATE_AUTHOR, update, { roles: ['EDITOR'] }));
+
+      const fresh = await read(WITH_AUTHOR, variables);
+      assert.equal(fresh.cache, 'MISS');
+      assert.equal(fresh.data.book.author.lastname, 'After');
+      // The title-only response read nothing of the author's.
+      assert.equal((await read(TITLE_ONLY, variables)).cache, 'HIT');
+    });
+
+    it('sends Cache-Control on GET responses only', async () => {
+      const variables = { id: fixtures.books[1].id };
+      const post = await read(TITLE_ONLY, variables);
+      assert.equal(post.cacheControl, null);
+
+      const get = await read(TITLE_ONLY, variables, { method: 'GET' });
+      assert.equal(get.cache, 'HIT');
+      assert.match(get.cacheControl, /^max-age=\d+, public$/);
+      assert.deepEqual(get.data, post.data);
+    });
+  });
+};
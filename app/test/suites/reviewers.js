@@ -0,0 +1,235 @@
+// -----------------------------
+// Reviewers
+// -----------------------------
+//
+// The demo seed adds one reviewer per distinct fixture reviewerName, and
+// migration 009 backfills them the same way for reviews already stored
+// (checked on a scratch database of each engine in use). Reviews added since
+// are signed by the caller's own reviewer (one per token subject), so each
+// test signs in as subjects of its own.
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { loadMigrations } from '../../lib/migrations.js';
+import { createNodeHelpers, errorCodes, ok } from '../support/client.js';
+import { createScratchDriver } from '../support/databases.js';
+
+const REVIEWER = `query ($id: ID!, $first: Int, $after: String) {
+  reviewer(id: $id) {
+    id name reviewCount averageRating
+    reviews(first: $first, after: $after) {
+      edges { node { id reviewerName } }
+      pageInfo { hasNextPage endCursor }
+      totalCount
+    }
+  }
+}`;
+
+const ADD_REVIEW = `mutation ($bookId: ID!, $comment: String!, $reviewerId: ID, $reviewerName: String) {
+  addReview(
+    bookId: $bookId
+    rating: 4
+    comment: $comment
+    reviewerId: $reviewerId
+    reviewerName: $reviewerName
+  ) {
+    id reviewerName reviewer { id name }
+  }
+}`;
+
+const UPDATE_REVIEWER = `mutation ($id: ID!, $input: UpdateReviewerInput!) {
+  updateReviewer(id: $id, input: $input) { id name bio location joinedAt }
+}`;
+
+export default ({ request, repositories, fixtures }) => {
+  const as =
+    (subject, roles = ['READER']) =>
+    (query, variables) =>
+      request(query, variables, { roles, subject });
+  const editor = as('integration-tests', ['EDITOR']);
+  const admin = as('integration-tests', ['ADMIN']);
+  const { addBook } = createNodeHelpers(request, fixtures);
+
+  describe('reviewers', () => {
+    it('seeds a reviewer for each fixture reviewer name', async () => {
+      const [review] = fixtures.reviews;
+      const reviewer = fixtures.reviewers.find((candidate) => candidate.id === review.reviewerId);
+      assert.equal(reviewer.name, review.reviewerName);
+      assert.equal(
+        fixtures.reviewers.length,
+        new Set(fixtures.reviews.map((entry) => entry.reviewerName)).size
+      );
+
+      const { data } = await request(`query ($id: ID!) { review(id: $id) { reviewer { id name } } }`, {
+        id: review.id,
+      });
+      assert.deepEqual(data.review.reviewer, { id: reviewer.id, name: reviewer.name });
+    });
+
+    for (const store of repositories.stores) {
+      it(`backfills one reviewer per exact reviewer name when migrating ${store}`, async () => {
+        const driver = await createScratchDriver(store, 'reviewers_backfill');
+        try {
+          const migrations = await loadMigrations(store);
+          const migrate = (migration) => driver.executor.apply(migration, 'up');
+          await driver.executor.ensureTable();
+          for (const migration of migrations.filter(({ version }) => version < 9)) {
+            await migrate(migration);
+          }
+          // Names that differ only in case or trailing spaces are different reviewers.
+          const names = ['alice', 'Bob', 'Alice', 'alice', 'Alice '];
+          for (const reviewername of names) {
+            await driver.insert('reviews', { book_id: 1, reviewername, rating: 4, comment: 'Stored' });
+          }
+          await migrate(migrations.find(({ version }) => version === 9));
+
+          const reviewers = await driver.query('SELECT id, name FROM reviewers ORDER BY id');
+          assert.deepEqual(
+            reviewers.map((row) => ({ ...row, id: Number(row.id) })),
+            [
+              { id: 1, name: 'alice' },
+              { id: 2, name: 'Bob' },
+              { id: 3, name: 'Alice' },
+              { id: 4, name: 'Alice ' },
+            ]
+          );
+          const reviews = await driver.query('SELECT reviewername, reviewer_id FROM reviews ORDER BY id');
+          assert.deepEqual(
+            reviews.map((row) => [row.reviewername, Number(row.reviewer_id)]),
+            [
+              ['alice', 1],
+              ['Bob', 2],
+              ['Alice', 3],
+              ['alice', 1],
+              ['Alice ', 4],
+            ]
+          );
+        } finally {
+          await driver.close();
+        }
+      });
+    }
+
+    it('pages through a reviewer’s reviews with their stats', async () => {
+      const counts = new Map();
+      for (const review of fixtures.reviews) {
+        counts.set(review.reviewerId, (counts.get(review.reviewerId) ?? 0) + 1);
+      }
+      const [reviewerId] = [...counts].sort((a, b) => b[1] - a[1] || a[0] - b[0])[0];
+      const reviews = fixtures.reviews
+        .filter((review) => review.reviewerId === reviewerId)
+        .sort((a, b) => Number(a.id) - Number(b.id));
+      assert.ok(reviews.length > 1);
+
+      const seen = [];
+      let after = null;
+      for (;;) {
+        const { reviewer } = ok(await request(REVIEWER, { id: reviewerId, first: 1, after }));
+        assert.equal(reviewer.reviewCount, reviews.length);
+        assert.equal(
+          reviewer.averageRating,
+          reviews.reduce((total, review) => total + review.rating, 0) / reviews.length
+        );
+        assert.equal(reviewer.reviews.totalCount, reviews.length);
+        seen.push(...reviewer.reviews.edges.map(({ node }) => node));
+        if (!reviewer.reviews.pageInfo.hasNextPage) break;
+        after = reviewer.reviews.pageInfo.endCursor;
+      }
+      assert.deepEqual(
+        seen,
+        reviews.map((review) => ({ id: review.id, reviewerName: review.reviewerName }))
+      );
+
+      assert.equal(ok(await request(REVIEWER, { id: '999999' })).reviewer, null);
+    });
+
+    it('signs reviews with the caller’s own reviewer', async () => {
+      const book = await addBook('Signed Book');
+      const reader = as('reviewers-ann');
+      const { addReview: first } = ok(
+        await reader(ADD_REVIEW, { bookId: book.id, comment: 'First thoughts', reviewerName: ' Ann Reader ' })
+      );
+      assert.equal(first.reviewerName, 'Ann Reader');
+      assert.equal(first.reviewer.name, 'Ann Reader');
+
+      // The reviewer is created once; later names do not rename it.
+      const { addReview: second } = ok(
+        await reader(ADD_REVIEW, { bookId: book.id, comment: 'Second thoughts', reviewerName: 'Someone' })
+      );
+      assert.deepEqual(second.reviewer, first.reviewer);
+      assert.equal(second.reviewerName, 'Ann Reader');
+
+      const { reviewer } = ok(await request(REVIEWER, { id: first.reviewer.id }));
+      assert.equal(reviewer.reviewCount, 2);
+      assert.deepEqual(
+        reviewer.reviews.edges.map(({ node }) => node.id),
+        [first.id, second.id]
+      );
+    });
+
+    it('lets only the owner or an editor sign with a reviewerId', async () => {
+      const book = await addBook('Impersonated Book');
+      const { addReview: own } = ok(
+        await as('reviewers-owner')(ADD_REVIEW, { bookId: book.id, comment: 'Mine', reviewerName: 'Owner' })
+      );
+      const reviewerId = own.reviewer.id;
+
+      const impersonated = await as('reviewers-other')(ADD_REVIEW, {
+        bookId: book.id,
+        comment: 'Not mine',
+        reviewerId,
+      });
+      assert.deepEqual(errorCodes(impersonated), ['FORBIDDEN']);
+
+      const { addReview: onBehalf } = ok(
+        await editor(ADD_REVIEW, { bookId: book.id, comment: 'Mailed in', reviewerId })
+      );
+      assert.deepEqual(onBehalf.reviewer, { id: reviewerId, name: 'Owner' });
+
+      const unknown = await editor(ADD_REVIEW, { bookId: book.id, comment: 'Nobody', reviewerId: '999999' });
+      assert.deepEqual(errorCodes(unknown), ['NOT_FOUND']);
+    });
+
+    it('updates a reviewer’s profile for its owner and records it in the audit log', async () => {
+      const book = await addBook('Profile Book');
+      const owner = as('reviewers-profile');
+      const { addReview: review } = ok(
+        await owner(ADD_REVIEW, { bookId: book.id, comment: 'Profiled', reviewerName: 'Profile Owner' })
+      );
+      const { id } = review.reviewer;
+
+      const { updateReviewer } = ok(
+        await owner(UPDATE_REVIEWER, { id, input: { bio: ' Reads on trains. ', location: 'Leeds' } })
+      );
+      assert.deepEqual(
+        { ...updateReviewer, joinedAt: undefined },
+        { id, name: 'Profile Owner', bio: 'Reads on trains.', location: 'Leeds', joinedAt: undefined }
+      );
+      assert.match(updateReviewer.joinedAt, /^\d{4}-\d{2}-\d{2}T/);
+
+      const other = await as('reviewers-other')(UPDATE_REVIEWER, { id, input: { name: 'Hijacked' } });
+      assert.deepEqual(errorCodes(other), ['FORBIDDEN']);
+      assert.deepEqual(errorCodes(await owner(UPDATE_REVIEWER, { id, input: { name: '  ' } })), [
+        'BAD_USER_INPUT',
+      ]);
+
+      const { auditLog } = ok(
+        await admin(
+          `query ($id: ID!) {
+            auditLog(entityType: REVIEWER, entityId: $id) { operation actor before after }
+          }`,
+          { id }
+        )
+      );
+      assert.deepEqual(
+        auditLog.map((entry) => [entry.operation, entry.actor]),
+        [
+          ['updateReviewer', 'reviewers-profile'],
+          ['addReview', 'reviewers-profile'],
+        ]
+      );
+      assert.equal(JSON.parse(auditLog[0].before).location, null);
+      assert.equal(JSON.parse(auditLog[0].after).location, 'Leeds');
+    });
+  });
+};
@@ -0,0 +1,162 @@
+// -----------------------------
+// Delete sagas
+// -----------------------------
+//
+// deleteAuthor and deleteBook span the stores, so they run as sagas (see
+// lib/deletions.js). These tests run them against the server's repositories,
+// with a fault injected the way SAGA_FAULT_INJECTION does after each step in
+// turn, and check that the steps already taken are compensated. Each test
+// keeps its saga log in a file of its own.
+
+import assert from 'node:assert/strict';
+import { randomUUID } from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { after, describe, it } from 'node:test';
+import { defineDeleteSagas } from '../../lib/deletions.js';
+import { createSagaCoordinator, createSqliteSagaLog, parseFaultInjection } from '../../lib/saga.js';
+import { openSqliteConnection } from '../../lib/transactions.js';
+import { createNodeHelpers, ok } from '../support/client.js';
+
+const ADD_REVIEW = `mutation ($bookId: ID!) {
+  addReview(bookId: $bookId, rating: 3, comment: "Before the saga") { id }
+}`;
+
+const STEPS = { deleteAuthor: ['books', 'reviews', 'author'], deleteBook: ['books', 'reviews'] };
+
+export default ({ request, repositories, fixtures }) => {
+  const { addAuthor, addBook } = createNodeHelpers(request, fixtures);
+  const logDir = fs.mkdtempSync(path.join(os.tmpdir(), 'node-graphql-sagas-'));
+  after(() => fs.rmSync(logDir, { recursive: true, force: true }));
+
+  const openLog = async () => {
+    const file = path.join(logDir, `${randomUUID()}.db`);
+    return { file, log: await createSqliteSagaLog(file) };
+  };
+
+  const coordinator = (log, faults) => {
+    const sagas = createSagaCoordinator({ log, injectFault: parseFaultInjection(faults) });
+    defineDeleteSagas(sagas, repositories);
+    return sagas;
+  };
+
+  // What the log holds for its one saga: its status and each step's
+  // compensated flag.
+  const logged = async (file) => {
+    const db = await openSqliteConnection(file);
+    try {
+      const [saga] = await db.all('SELECT status FROM saga_log');
+      const steps = await db.all('SELECT step, compensated FROM saga_steps ORDER BY position');
+      return {
+        status: saga.status,
+        steps: Object.fromEntries(steps.map((step) => [step.step, step.compensated === 1])),
+      };
+    } finally {
+      await db.close();
+    }
+  };
+
+  // An author with one book and one published review of it.
+  const addCatalog = async (name) => {
+    const author = await addAuthor({ firstname: name, lastname: 'Saga' });
+    const book = await addBook({ authorId: author.id, title: `${name} Saga Book` });
+    const { addReview: review } = ok(await request(ADD_REVIEW, { bookId: book.id }, { roles: ['READER'] }));
+    return { author, book, review };
+  };
+
+  const present = async ({ author, book, review }) => ({
+    author: Boolean(await repositories.authors.findById(author.id)),
+    book: Boolean(await repositories.books.findById(book.id)),
+    review: Boolean(await repositories.reviews.findById(review.id)),
+  });
+
+  const payloadFor = (saga, { author, book }) =>
+    saga === 'deleteAuthor'
+      ? { authorId: Number(author.id), deletionId: randomUUID() }
+      : { bookId: Number(book.id), deletionId: randomUUID() };
+
+  describe('delete sagas', () => {
+    for (const [saga, steps] of Object.entries(STEPS)) {
+      it(`${saga} deletes across the stores and logs the saga completed`, async () => {
+        const catalog = await addCatalog(`${saga}Done`);
+        const { file, log } = await openLog();
+        try {
+          await coordinator(log).run(saga, payloadFor(saga, catalog));
+        } finally {
+          await log.close();
+        }
+
+        assert.deepEqual(await present(catalog), {
+          author: saga !== 'deleteAuthor',
+          book: false,
+          review: false,
+        });
+        assert.deepEqual(await logged(file), {
+          status: 'completed',
+          steps: Object.fromEntries(steps.map((step) => [step, false])),
+        });
+      });
+
+      for (const [index, failedAfter] of steps.entries()) {
+        it(`${saga} compensates every step taken when it fails after ${failedAfter}`, async () => {
+          const catalog = await addCatalog(`${saga}${failedAfter}`);
+          const { file, log } = await openLog();
+          try {
+            await assert.rejects(
+              coordinator(log, `${saga}:${failedAfter}:after`).run(saga, payloadFor(saga, catalog)),
+              new RegExp(`Injected fault at ${saga}:${failedAfter}:after`)
+            );
+          } finally {
+            await log.close();
+          }
+
+          assert.deepEqual(await present(catalog), { author: true, book: true, review: true });
+          assert.deepEqual(await logged(file), {
+            status: 'compensated',
+            steps: Object.fromEntries(steps.slice(0, index + 1).map((step) => [step, true])),
+          });
+        });
+      }
+    }
+
+    it('compensates a saga left running by a process that died, on recover()', async () => {
+      const catalog = await addCatalog('Recovered');
+      const { file, log } = await openLog();
+
+      // The first process stops for good as the fault after the books step
+      // sends it to compensate: nothing is compensated and the saga stays
+      // `running`.
+      let died;
+      const dead = new Promise((resolve) => {
+        died = resolve;
+      });
+      const dyingLog = {
+        ...log,
+        setStatus: () => {
+          died();
+          return new Promise(() => {});
+        },
+      };
+      const sagas = coordinator(dyingLog, 'deleteAuthor:books:after');
+      sagas.run('deleteAuthor', payloadFor('deleteAuthor', catalog));
+      await dead;
+      await log.close();
+      assert.deepEqual(await present(catalog), { author: true, book: false, review: true });
+      assert.equal((await logged(file)).status, 'running');
+
+      // The next process recovers it from the same log on startup.
+      const restarted = await createSqliteSagaLog(file);
+      try {
+        assert.equal((await restarted.unfinished()).length, 1);
+        await coordinator(restarted).recover();
+        assert.deepEqual(await restarted.unfinished(), []);
+      } finally {
+        await restarted.close();
+      }
+
+      assert.deepEqual(await present(catalog), { author: true, book: true, review: true });
+      assert.deepEqual(await logged(file), { status: 'compensated', steps: { books: true } });
+    });
+  });
+};
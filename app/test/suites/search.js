@@ -0,0 +1,138 @@
+// -----------------------------
+// Full-text search
+// -----------------------------
+//
+// The rows searched for are created here, through the mutations, so the
+// tests also check that each store's index follows writes. The made-up word
+// appears nowhere in the fixtures.
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createNodeHelpers, errorCodes, ok } from '../support/client.js';
+
+const WORD = 'Zyxquorble';
+
+const SEARCH = `query ($text: String!, $types: [SearchType!], $first: Int) {
+  search(text: $text, types: $types, first: $first) {
+    score
+    snippet
+    result {
+      __typename
+      ... on Author { id bio }
+      ... on Book { id title }
+      ... on Review { id comment }
+    }
+  }
+}`;
+
+export default ({ request, fixtures }) => {
+  const { addAuthor, addBook } = createNodeHelpers(request, fixtures);
+  const editor = async (query, variables) => ok(await request(query, variables, { roles: ['EDITOR'] }));
+  const search = async (variables) => ok(await request(SEARCH, variables)).search;
+
+  describe('search', () => {
+    const created = {};
+
+    it('finds new authors, books and reviews by word prefix, one ranked list', async () => {
+      created.author = await addAuthor({
+        firstname: 'Search',
+        lastname: 'Test',
+        bio: `Writes about the ${WORD} of the northern coast.`,
+      });
+      created.book = await addBook({
+        authorId: created.author.id,
+        title: `The ${WORD} Tide`,
+        synopsis: 'A story told over one long winter.',
+        isbn: '9781861972712',
+      });
+      created.review = ok(
+        await request(
+          `mutation ($bookId: ID!, $comment: String!) {
+            addReview(bookId: $bookId, reviewerName: "Search Test", rating: 5, comment: $comment) { id }
+          }`,
+          { bookId: created.book.id, comment: `A <b>${WORD}</b> & more & more.` },
+          { roles: ['READER'] }
+        )
+      ).addReview;
+
+      const hits = await search({ text: WORD.slice(0, 6).toLowerCase() });
+      // Scored by the share of the best field's words that match: 1 of 3 in
+      // the title, 1 of 6 in the comment, 1 of 8 in the bio.
+      assert.deepEqual(
+        hits.map((hit) => [hit.result.__typename, hit.result.id, hit.score]),
+        [
+          ['Book', created.book.id, 0.3333],
+          ['Review', created.review.id, 0.1667],
+          ['Author', created.author.id, 0.125],
+        ]
+      );
+      assert.equal(hits[0].snippet, `The <mark>${WORD}</mark> Tide`);
+      // Stored text is escaped; only the highlighting is markup.
+      assert.equal(hits[1].snippet, `A &#60;b&#62;<mark>${WORD}</mark>&#60;/b&#62; &#38; more &#38; more.`);
+      assert.equal(hits[2].snippet, `Writes about the <mark>${WORD}</mark> of the northern coast.`);
+    });
+
+    it('needs every word to match and filters by type', async () => {
+      assert.deepEqual(await search({ text: `${WORD} unrelatedword` }), []);
+
+      const books = await search({ text: `${WORD} winter`, types: ['BOOK'] });
+      assert.deepEqual(
+        books.map((hit) => hit.result),
+        [{ __typename: 'Book', id: created.book.id, title: `The ${WORD} Tide` }]
+      );
+    });
+
+    it('ranks a strong match of one type above a weak match of another', async () => {
+      const word = 'Quillomantic';
+      const author = await addAuthor({
+        firstname: 'Weak',
+        lastname: 'Match',
+        bio: `Wrote many long novels about the sea, and once, in passing, a ${word} essay.`,
+      });
+      const book = await addBook({ authorId: author.id, title: word });
+
+      const hits = await search({ text: word });
+      assert.deepEqual(
+        hits.map((hit) => [hit.result.__typename, hit.result.id, hit.score]),
+        [
+          ['Book', book.id, 1],
+          ['Author', author.id, 0.0714],
+        ]
+      );
+    });
+
+    it('follows updates and deletes', async () => {
+      await editor(`mutation ($id: ID!) { updateAuthor(id: $id, input: { bio: "Retired." }) { id } }`, {
+        id: created.author.id,
+      });
+      await editor(`mutation ($id: ID!) { deleteReview(id: $id) }`, { id: created.review.id });
+
+      const hits = await search({ text: WORD });
+      assert.deepEqual(
+        hits.map((hit) => [hit.result.__typename, hit.result.id]),
+        [['Book', created.book.id]]
+      );
+      const retired = await search({ text: 'retired', types: ['AUTHOR'], first: 100 });
+      assert.ok(retired.some((hit) => hit.result.id === created.author.id));
+    });
+
+    it('ranks the fixtures best first, up to `first` hits', async () => {
+      const hits = await search({ text: 'prose', types: ['AUTHOR'], first: 5 });
+      assert.ok(hits.length > 0 && hits.length <= 5);
+      assert.ok(hits[0].score > 0 && hits[0].score <= 1);
+      for (let index = 1; index < hits.length; index += 1) {
+        assert.ok(hits[index].score <= hits[index - 1].score);
+      }
+      for (const hit of hits) {
+        assert.match(hit.snippet, /<mark>prose/i);
+      }
+    });
+
+    it('rejects text without words and out-of-range page sizes', async () => {
+      for (const variables of [{ text: '!!! ???' }, { text: WORD, first: 0 }, { text: 'x'.repeat(201) }]) {
+        const body = await request(SEARCH, variables);
+        assert.deepEqual(errorCodes(body), ['BAD_USER_INPUT'], JSON.stringify(variables));
+      }
+    });
+  });
+};
@@ -0,0 +1,126 @@
+// -----------------------------
+// Seeding
+// -----------------------------
+//
+// Runs last: the reset test empties the stores and reseeds the minimal
+// profile. Memory-backed entities are not seeded, so their checks are skipped.
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { withRetry } from '../../lib/retry.js';
+import { isValidIsbn } from '../../lib/validation.js';
+import { generateRows, loadProfile, resetData, seedProfile } from '../../lib/seed/index.js';
+
+const quiet = () => undefined;
+
+export default ({ request, backends, repositories, fixtures }) => {
+  const seeded = Object.keys(backends).filter((entity) => backends[entity] !== 'memory');
+  const skip = seeded.length === 0 && 'every entity uses the memory backend';
+
+  describe('seeding', () => {
+    it('skips dataset versions a store already has', { skip }, async () => {
+      const results = await seedProfile({ repositories, profile: await loadProfile('demo'), log: quiet });
+      assert.deepEqual(Object.keys(results).sort(), [...seeded].sort());
+      for (const result of Object.values(results)) {
+        assert.deepEqual([result.added, result.skipped], [0, true]);
+      }
+    });
+
+    it('adds missing rows of a new version without overwriting edited ones', {
+      skip: backends.reviews === 'memory' && 'reviews use the memory backend',
+    }, async () => {
+      const original = fixtures.reviews[0];
+      await repositories.reviews.update(original.id, { comment: 'Edited after seeding' });
+      const added = { ...original, id: '30001', comment: 'Only in the new version' };
+      const profile = {
+        name: 'demo',
+        datasets: { reviews: { version: 'demo-test', count: 2, rows: () => [original, added].values() } },
+      };
+
+      const results = await seedProfile({ repositories, profile, entities: ['reviews'], log: quiet });
+      assert.deepEqual(results.reviews, { version: 'demo-test', added: 1, skipped: false });
+      assert.equal((await repositories.reviews.findById(original.id)).comment, 'Edited after seeding');
+      assert.equal((await repositories.reviews.findById('30001')).comment, 'Only in the new version');
+    });
+
+    it('generates the same load-test rows from the same seed', () => {
+      const options = { authors: 5, books: 20, reviews: 50, seed: 7 };
+      const books = [...generateRows('books', options)];
+      assert.deepEqual([...generateRows('books', options)], books);
+      assert.notDeepEqual([...generateRows('books', { ...options, seed: 8 })], books);
+
+      assert.equal(books.length, 20);
+      for (const book of books) {
+        assert.ok(isValidIsbn(book.isbn), book.isbn);
+        assert.ok(Number(book.authorId) >= 1 && Number(book.authorId) <= 5);
+      }
+      for (const review of generateRows('reviews', options)) {
+        assert.ok(Number(review.bookId) >= 1 && Number(review.bookId) <= 20);
+        assert.ok(review.rating >= 1 && review.rating <= 5);
+      }
+    });
+
+    it('resets the stores and restarts generated ids after the seeded rows', {
+      skip: backends.authors === 'memory' && 'authors use the memory backend',
+    }, async () => {
+      await resetData({ repositories, log: quiet });
+      for (const entity of seeded) {
+        assert.equal(await repositories[entity].count(), 0, entity);
+      }
+
+      const profile = await loadProfile('minimal');
+      await seedProfile({ repositories, profile, log: quiet });
+      for (const entity of seeded) {
+        assert.equal(await repositories[entity].count(), profile.datasets[entity].count, entity);
+      }
+
+      const { data, errors } = await request(
+        `mutation { addAuthor(input: { firstname: "After", lastname: "Reset" }) { id } }`,
+        {},
+        { roles: ['EDITOR'] }
+      );
+      assert.equal(errors, undefined, JSON.stringify(errors));
+      assert.equal(data.addAuthor.id, String(profile.datasets.authors.count + 1));
+    });
+  });
+
+  // The seed and migrate scripts wait for their databases with withRetry.
+  describe('withRetry', () => {
+    it('retries a failing action after a delay until it resolves', async () => {
+      const logged = [];
+      let calls = 0;
+      const startedAt = Date.now();
+      const result = await withRetry(
+        async () => {
+          calls += 1;
+          if (calls < 3) throw new Error(`not yet (${calls})`);
+          return 'connected';
+        },
+        { retries: 5, delayMs: 20, name: 'connect', log: (message) => logged.push(message) }
+      );
+      assert.equal(result, 'connected');
+      assert.equal(calls, 3);
+      // Timers may fire a millisecond early, so allow for one per wait.
+      assert.ok(Date.now() - startedAt >= 38, 'waits delayMs between attempts');
+      assert.deepEqual(logged, [
+        'Retrying connect (1/5) in 20ms: not yet (1)',
+        'Retrying connect (2/5) in 20ms: not yet (2)',
+      ]);
+    });
+
+    it('gives up after the last attempt with the last error', async () => {
+      let calls = 0;
+      await assert.rejects(
+        withRetry(
+          async () => {
+            calls += 1;
+            throw new Error(`refused (${calls})`);
+          },
+          { retries: 3, delayMs: 1, name: 'connect to postgres', log: quiet }
+        ),
+        { message: 'Failed to connect to postgres after 3 attempts: refused (3)' }
+      );
+      assert.equal(calls, 3);
+    });
+  });
+};
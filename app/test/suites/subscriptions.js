@@ -0,0 +1,207 @@
+// -----------------------------
+// Subscriptions
+// -----------------------------
+//
+// Subscribes over graphql-ws to a server process of its own, with Postgres
+// pub/sub (LISTEN/NOTIFY) when Postgres is one of the stores and in-process
+// pub/sub otherwise. graphql-ws sends nothing back when a subscription
+// starts, so each test keeps adding nodes until the first event arrives and
+// then waits for the events of the nodes it checks, by id.
+
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import { createClient as createWsClient } from 'graphql-ws';
+import WebSocket from 'ws';
+import { createClient, createNodeHelpers, ok } from '../support/client.js';
+import { startProcess } from '../support/processes.js';
+import { issueToken } from '../support/server.js';
+
+const EVENT_TIMEOUT_MS = 10_000;
+
+const ADD_REVIEW = `mutation ($bookId: ID!, $comment: String!) {
+  addReview(bookId: $bookId, rating: 4, comment: $comment) { id }
+}`;
+
+const REVIEW_ADDED = `subscription ($bookId: ID) {
+  reviewAdded(bookId: $bookId) { id bookId rating comment }
+}`;
+
+const APPROVE = `mutation ($id: ID!) { approveReview(id: $id) { id status } }`;
+const REJECT = `mutation ($id: ID!) { rejectReview(id: $id, reason: "Second thoughts") { id status } }`;
+
+const BOOK_ADDED = `subscription ($authorId: ID) {
+  bookAdded(authorId: $authorId) { id title author { id } }
+}`;
+
+export default ({ repositories, fixtures }) => {
+  const pubsub = repositories.stores.includes('postgres') ? 'postgres' : 'memory';
+  let server;
+  let ws;
+  let request;
+
+  /**
+   * Subscribes with `query`. `waitFor(predicate)` resolves to the first event
+   * (so far or to come) matching it; `events` holds every event received.
+   */
+  const subscribe = (query, variables) => {
+    const events = [];
+    const waiters = new Set();
+    let failure;
+    const unsubscribe = ws.subscribe(
+      { query, variables },
+      {
+        next: (result) => {
+          if (result.errors) {
+            failure = new Error(JSON.stringify(result.errors));
+          } else {
+            events.push(Object.values(result.data)[0]);
+          }
+          for (const waiter of waiters) waiter();
+        },
+        error: (err) => {
+          // graphql-ws reports socket failures as the close or error event.
+          const reason = err.reason || err.message || `socket closed (${err.code})`;
+          failure = err instanceof Error ? err : new Error(reason);
+          for (const waiter of waiters) waiter();
+        },
+        complete: () => undefined,
+      }
+    );
+
+    const waitFor = (predicate, timeoutMs = EVENT_TIMEOUT_MS) =>
+      new Promise((resolve, reject) => {
+        const check = () => {
+          const event = events.find(predicate);
+          if (failure || event) {
+            clearTimeout(timer);
+            waiters.delete(check);
+            if (failure) reject(failure);
+            else resolve(event);
+          }
+        };
+        const timer = setTimeout(() => {
+          waiters.delete(check);
+          reject(new Error(`No matching event within ${timeoutMs}ms`));
+        }, timeoutMs);
+        waiters.add(check);
+        check();
+      });
+
+    return { events, waitFor, unsubscribe };
+  };
+
+  // Runs `trigger` (which adds a node and resolves to its id) until an event
+  // for one of the added nodes arrives on `subscription`.
+  const untilLive = async (subscription, trigger) => {
+    const ids = new Set();
+    for (;;) {
+      ids.add(await trigger());
+      try {
+        await subscription.waitFor((event) => ids.has(event.id), 500);
+        return;
+      } catch (err) {
+        if (!/No matching event/.test(err.message)) throw err;
+      }
+    }
+  };
+
+  describe(`subscriptions (${pubsub} pub/sub)`, () => {
+    before(async () => {
+      server = await startProcess('subscriptions', { PUBSUB_BACKEND: pubsub });
+      request = createClient(server.url);
+      ws = createWsClient({
+        url: server.url.replace(/^http/, 'ws'),
+        webSocketImpl: WebSocket,
+        connectionParams: async () => ({ authorization: `Bearer ${await issueToken(['READER'])}` }),
+      });
+    });
+    after(async () => {
+      await ws?.dispose();
+      await server?.stop();
+    });
+
+    // The same comment twice on one book is a CONFLICT, so the default differs each time.
+    let added = 0;
+    const addReview = async (bookId, comment = `Subscribed ${(added += 1)}`) =>
+      ok(await request(ADD_REVIEW, { bookId, comment }, { roles: ['READER'] })).addReview.id;
+
+    it('delivers new reviews to the subscribers of their book only', async () => {
+      const [first, second] = fixtures.books;
+      const ofFirst = subscribe(REVIEW_ADDED, { bookId: first.id });
+      const ofSecond = subscribe(REVIEW_ADDED, { bookId: second.id });
+      try {
+        await untilLive(ofFirst, () => addReview(first.id));
+        await untilLive(ofSecond, () => addReview(second.id));
+
+        const id = await addReview(first.id, 'Only for the first book');
+        assert.deepEqual(await ofFirst.waitFor((event) => event.id === id), {
+          id,
+          bookId: String(first.id),
+          rating: 4,
+          comment: 'Only for the first book',
+        });
+        const secondId = await addReview(second.id);
+        await ofSecond.waitFor((event) => event.id === secondId);
+        assert.ok(ofSecond.events.every((event) => event.bookId === String(second.id)));
+        assert.ok(ofFirst.events.every((event) => event.bookId === String(first.id)));
+      } finally {
+        ofFirst.unsubscribe();
+        ofSecond.unsubscribe();
+      }
+    });
+
+    it('delivers reviews whose comment would not fit in a NOTIFY payload', async () => {
+      const book = fixtures.books[2];
+      const subscription = subscribe(REVIEW_ADDED, { bookId: book.id });
+      try {
+        await untilLive(subscription, () => addReview(book.id));
+        // 10000 bytes of UTF-8; the event carries ids only, so it still fits.
+        const comment = 'é'.repeat(5000);
+        const id = await addReview(book.id, comment);
+        assert.equal((await subscription.waitFor((event) => event.id === id)).comment, comment);
+      } finally {
+        subscription.unsubscribe();
+      }
+    });
+
+    it('announces a held review once, when it is first approved', async () => {
+      const book = fixtures.books[3];
+      const moderator = (query, variables) => request(query, variables, { roles: ['MODERATOR'] });
+      const subscription = subscribe(REVIEW_ADDED, { bookId: book.id });
+      try {
+        await untilLive(subscription, () => addReview(book.id));
+        // The test server's moderation hook holds reviews containing "heldword".
+        const held = await addReview(book.id, 'A heldword review');
+        ok(await moderator(APPROVE, { id: held }));
+        await subscription.waitFor((event) => event.id === held);
+
+        ok(await moderator(REJECT, { id: held }));
+        ok(await moderator(APPROVE, { id: held }));
+        // Events arrive in order, so a later review's event comes after any repeat.
+        const later = await addReview(book.id);
+        await subscription.waitFor((event) => event.id === later);
+        assert.equal(subscription.events.filter((event) => event.id === held).length, 1);
+      } finally {
+        subscription.unsubscribe();
+      }
+    });
+
+    it('delivers new books with their author resolved', async () => {
+      const author = fixtures.authors[1];
+      const { addBook } = createNodeHelpers(request, fixtures);
+      const subscription = subscribe(BOOK_ADDED, { authorId: author.id });
+      try {
+        const add = async (title) => (await addBook({ authorId: author.id, title })).id;
+        await untilLive(subscription, () => add(`Subscribed Probe ${(added += 1)}`));
+        const id = await add('Subscribed Book');
+        assert.deepEqual(await subscription.waitFor((event) => event.id === id), {
+          id,
+          title: 'Subscribed Book',
+          author: { id: String(author.id) },
+        });
+      } finally {
+        subscription.unsubscribe();
+      }
+    });
+  });
+};
@@ -0,0 +1,74 @@
+// -----------------------------
+// GraphQL client
+// -----------------------------
+
+import assert from 'node:assert/strict';
+import { issueToken } from './server.js';
+
+/**
+ * Returns `request(query, variables, { roles, subject })`, which POSTs to the
+ * server (as user `subject`, 'integration-tests' by default, with `roles`;
+ * anonymously when `roles` is omitted) and resolves to the parsed
+ * `{ data, errors, extensions }` body.
+ */
+export const createClient = (url) => {
+  const tokens = new Map();
+  const tokenFor = (roles, subject) => {
+    const key = `${subject ?? ''}:${roles.join(',')}`;
+    if (!tokens.has(key)) tokens.set(key, issueToken(roles, subject));
+    return tokens.get(key);
+  };
+
+  return async (query, variables = {}, { roles, subject } = {}) => {
+    const headers = { 'content-type': 'application/json' };
+    if (roles) {
+      headers.authorization = `Bearer ${await tokenFor(roles, subject)}`;
+    }
+    const response = await fetch(url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ query, variables }),
+    });
+    return response.json();
+  };
+};
+
+/**
+ * The `extensions.code` of each error in a response body.
+ */
+export const errorCodes = (body) => (body.errors ?? []).map((error) => error.extensions?.code);
+
+/**
+ * The `data` of a response body, asserting that it carries no errors.
+ */
+export const ok = (body) => {
+  assert.equal(body.errors, undefined, JSON.stringify(body.errors));
+  return body.data;
+};
+
+/**
+ * Returns `{ addAuthor, addBook }`, which add a node as an EDITOR and resolve
+ * to its `fields` (`id` by default). `addBook` also takes a bare title, for a
+ * book by the first fixture author.
+ */
+export const createNodeHelpers = (request, fixtures) => {
+  const add = async (mutation, inputType, input, fields) =>
+    ok(
+      await request(
+        `mutation ($input: ${inputType}!) { ${mutation}(input: $input) { ${fields} } }`,
+        { input },
+        { roles: ['EDITOR'] }
+      )
+    )[mutation];
+
+  return {
+    addAuthor: (input, fields = 'id') => add('addAuthor', 'AddAuthorInput', input, fields),
+    addBook: (input, fields = 'id') =>
+      add(
+        'addBook',
+        'AddBookInput',
+        typeof input === 'string' ? { authorId: fixtures.authors[0].id, title: input } : input,
+        fields
+      ),
+  };
+};
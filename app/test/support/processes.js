@@ -0,0 +1,92 @@
+// -----------------------------
+// Server processes
+// -----------------------------
+//
+// index.js configures itself once, on import, so the in-process server can
+// only run one configuration. Suites that need another one (the response
+// cache, persisted queries, Postgres pub/sub, the federation gateway) start
+// index.js or gateway.js in a child process instead, against the same
+// databases and with the test server's environment underneath their own.
+// c8 follows child processes, so their coverage counts too.
+
+import { spawn } from 'child_process';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const APP_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+
+const START_TIMEOUT_MS = 60_000;
+const STOP_TIMEOUT_MS = 10_000;
+
+// Both servers report the port they bound once they are serving.
+const LISTENING = /running at http:\/\/localhost:(\d+)\//;
+
+/**
+ * Runs `script` to completion with `args`; rejects with its output when it
+ * exits with an error.
+ */
+export const runScript = (script, args = []) =>
+  new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [script, ...args], { cwd: APP_DIR, env: process.env });
+    let output = '';
+    child.stdout.on('data', (chunk) => {
+      output += chunk;
+    });
+    child.stderr.on('data', (chunk) => {
+      output += chunk;
+    });
+    child.once('error', reject);
+    child.once('exit', (code) =>
+      code === 0 ? resolve(output) : reject(new Error(`${script} exited with ${code}:\n${output}`))
+    );
+  });
+
+/**
+ * Starts `script` (index.js by default) as `name`, with `env` on top of this
+ * process's environment, a port and a saga log of its own (so it never
+ * recovers the test server's sagas). Resolves to `{ url, output, stop }` once
+ * it is listening; `output()` is what it has printed so far.
+ */
+export const startProcess = (name, env = {}, { script = 'index.js' } = {}) =>
+  new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [script], {
+      cwd: APP_DIR,
+      env: {
+        ...process.env,
+        PORT: '0',
+        SAGA_LOG_PATH: path.join(path.dirname(process.env.SAGA_LOG_PATH), `saga-log-${name}.db`),
+        ...env,
+      },
+    });
+    let output = '';
+    const exited = new Promise((resolveExit) => child.once('exit', resolveExit));
+
+    const stop = async () => {
+      if (child.exitCode !== null || child.signalCode !== null) return;
+      // SIGINT runs the server's own shutdown, which also writes coverage.
+      child.kill('SIGINT');
+      const timer = setTimeout(() => child.kill('SIGKILL'), STOP_TIMEOUT_MS);
+      await exited;
+      clearTimeout(timer);
+    };
+
+    const timer = setTimeout(() => {
+      stop();
+      reject(new Error(`${script} (${name}) did not start within ${START_TIMEOUT_MS}ms:\n${output}`));
+    }, START_TIMEOUT_MS);
+
+    const onOutput = (chunk) => {
+      output += chunk;
+      const match = LISTENING.exec(output);
+      if (match) {
+        clearTimeout(timer);
+        resolve({ url: `http://127.0.0.1:${match[1]}/`, output: () => output, stop });
+      }
+    };
+    child.stdout.on('data', onOutput);
+    child.stderr.on('data', onOutput);
+    child.once('exit', (code, signal) => {
+      clearTimeout(timer);
+      reject(new Error(`${script} (${name}) exited (${code ?? signal}) before it started:\n${output}`));
+    });
+  });
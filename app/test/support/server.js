@@ -0,0 +1,125 @@
+// -----------------------------
+// In-process test server
+// -----------------------------
+//
+// Starts the databases for the current AUTHORS_BACKEND / BOOKS_BACKEND /
+// REVIEWS_BACKEND layout (the production layout by default), migrates them,
+// seeds the demo profile (the JSON fixtures), then imports index.js so the
+// server runs inside the test process, where coverage can see it. That server
+// runs without the response cache and persisted queries, and with in-process
+// pub/sub; suites that need them start a server process of their own (see
+// processes.js), which finds the operation manifest built here.
+
+import path from 'path';
+import { SignJWT } from 'jose';
+import { migrateUp } from '../../lib/migrations.js';
+import { createDriverRegistry } from '../../lib/repositories/drivers.js';
+import { ENTITIES, readFixture } from '../../lib/repositories/entities.js';
+import { createRepositories, resolveBackends } from '../../lib/repositories/index.js';
+import { loadProfile, seedProfile } from '../../lib/seed/index.js';
+import { startDatabases } from './databases.js';
+import { runScript } from './processes.js';
+
+const JWT_SECRET = 'integration-tests-secret-integration-tests';
+
+const migrateAndSeed = async (backends, stores) => {
+  const drivers = createDriverRegistry();
+  try {
+    for (const store of stores) {
+      await migrateUp(drivers.get(store).executor, { log: () => undefined });
+    }
+    const repositories = await createRepositories({ backends, drivers });
+    await seedProfile({ repositories, profile: await loadProfile('demo'), log: () => undefined });
+  } finally {
+    await Promise.all(drivers.opened().map((driver) => Promise.resolve(driver.close())));
+  }
+};
+
+/**
+ * Counts the statements each SQL engine runs outside transactions (every read
+ * goes through `driver.query`). `take()` returns the counts so far and resets.
+ */
+const countQueries = (repositories) => {
+  const counts = {};
+  for (const store of repositories.stores) {
+    const driver = repositories.drivers.get(store);
+    const query = driver.query;
+    counts[store] = 0;
+    driver.query = (...args) => {
+      counts[store] += 1;
+      return query(...args);
+    };
+  }
+  return {
+    take: () => {
+      const taken = { ...counts };
+      for (const store of Object.keys(counts)) counts[store] = 0;
+      return taken;
+    },
+  };
+};
+
+/**
+ * Boots databases and server. Returns `{ url, backends, repositories,
+ * queries, fixtures, stop }`.
+ */
+export const startServer = async () => {
+  const backends = resolveBackends();
+  const stores = [...new Set(Object.values(backends))].filter((backend) => backend !== 'memory');
+  const databases = await startDatabases(stores);
+
+  Object.assign(process.env, {
+    PORT: '0',
+    // The saga log lives next to the SQLite file even when no entity does.
+    SQLITE_PATH: process.env.SQLITE_PATH || path.join(databases.workDir, 'reviews.db'),
+    SAGA_LOG_PATH: path.join(databases.workDir, 'saga-log.db'),
+    OPERATION_MANIFEST_PATH: path.join(databases.workDir, 'persisted-query-manifest.json'),
+    AUTH_JWT_SECRET: JWT_SECRET,
+    PUBSUB_BACKEND: 'memory',
+    RESPONSE_CACHE_BACKEND: 'none',
+    PERSISTED_QUERIES: 'off',
+    // Generous, apart from the one limit the abuse suite runs into.
+    RATE_LIMITS: 'updateReview=5/1m,*=10000/1m',
+    REVIEW_MODERATION: 'keywords',
+    REVIEW_MODERATION_KEYWORDS: 'heldword',
+  });
+
+  let app;
+  try {
+    await migrateAndSeed(backends, stores);
+    await runScript('scripts/build-operation-manifest.js', ['--out', process.env.OPERATION_MANIFEST_PATH]);
+    app = await import('../../index.js');
+  } catch (err) {
+    await databases.stop();
+    throw err;
+  }
+
+  const fixtures = Object.fromEntries(
+    await Promise.all(
+      Object.entries(ENTITIES).map(async ([name, entity]) => [name, await readFixture(entity)])
+    )
+  );
+
+  return {
+    url: `http://127.0.0.1:${app.httpServer.address().port}/`,
+    backends,
+    repositories: app.repositories,
+    queries: countQueries(app.repositories),
+    fixtures,
+    stop: async () => {
+      await app.shutdown();
+      await databases.stop();
+    },
+  };
+};
+
+/**
+ * Signs a token the server accepts, for the given roles.
+ */
+export const issueToken = (roles, subject = 'integration-tests') =>
+  new SignJWT({ roles })
+    .setProtectedHeader({ alg: 'HS256' })
+    .setSubject(subject)
+    .setIssuedAt()
+    .setExpirationTime('1h')
+    .sign(new TextEncoder().encode(JWT_SECRET));
@@ -27,6 +27,14 @@ app.kubernetes.io/instance: {{ .Release.Name | quote }}
 {{- printf "%s-app" (include "node-graphql-chart.fullname" .) -}}
 {{- end -}}
 
+{{- define "node-graphql-chart.operationManifestConfigMap" -}}
+{{- if .Values.persistedQueries.existingConfigMap -}}
+{{- .Values.persistedQueries.existingConfigMap -}}
+{{- else if .Values.persistedQueries.manifest -}}
+{{- printf "%s-operations" (include "node-graphql-chart.appFullname" .) -}}
+{{- end -}}
+{{- end -}}
+
 {{- define "node-graphql-chart.appEnv" -}}
 - name: PORT
   value: {{ .Values.app.service.port | quote }}
@@ -72,6 +80,67 @@ app.kubernetes.io/instance: {{ .Release.Name | quote }}
   value: {{ .Values.sqlite.mountPath | quote }}
 - name: SQLITE_DB_FILE
   value: {{ .Values.sqlite.dbFile | quote }}
+- name: AUTHORS_BACKEND
+  value: {{ .Values.repositories.authors | default "postgres" | quote }}
+- name: BOOKS_BACKEND
+  value: {{ .Values.repositories.books | default "mysql" | quote }}
+- name: REVIEWS_BACKEND
+  value: {{ .Values.repositories.reviews | default "sqlite" | quote }}
+- name: MIGRATE_ON_START
+  value: {{ .Values.app.migrateOnStart | default "sqlite" | quote }}
+- name: PUBSUB_BACKEND
+  value: {{ .Values.pubsub.backend | default "memory" | quote }}
+- name: PUBSUB_CHANNEL
+  value: {{ .Values.pubsub.channel | default "node_graphql_events" | quote }}
+- name: RESPONSE_CACHE_BACKEND
+  value: {{ .Values.responseCache.backend | default "memory" | quote }}
+- name: CACHE_CATALOG_MAX_AGE
+  value: {{ .Values.responseCache.catalogMaxAge | default 300 | quote }}
+- name: CACHE_REVIEWS_MAX_AGE
+  value: {{ .Values.responseCache.reviewsMaxAge | default 30 | quote }}
+- name: PERSISTED_QUERIES
+  value: {{ .Values.persistedQueries.mode | default "apq" | quote }}
+- name: APQ_CACHE_BACKEND
+  value: {{ .Values.persistedQueries.apqCacheBackend | default "memory" | quote }}
+{{- if include "node-graphql-chart.operationManifestConfigMap" . }}
+- name: OPERATION_MANIFEST_PATH
+  value: {{ printf "%s/persisted-query-manifest.json" .Values.persistedQueries.mountPath | quote }}
+{{- end }}
+- name: CATALOG_IMPORT_MAX_BYTES
+  value: {{ .Values.catalog.importMaxFileSize | default 52428800 | int | quote }}
+- name: TRUST_PROXY
+  value: {{ .Values.app.trustProxy | default 0 | quote }}
+- name: RATE_LIMIT_BACKEND
+  value: {{ .Values.rateLimit.backend | default "memory" | quote }}
+- name: RATE_LIMITS
+  value: {{ .Values.rateLimit.limits | default "addReview=5/1m,*=60/1m" | quote }}
+- name: REVIEW_DUPLICATE_SIMILARITY
+  value: {{ .Values.reviews.duplicateSimilarity | default 0.9 | quote }}
+- name: REVIEW_MODERATION
+  value: {{ .Values.reviews.moderation | default "none" | quote }}
+- name: REVIEW_MODERATION_KEYWORDS
+  value: {{ .Values.reviews.moderationKeywords | default "" | quote }}
+{{- if .Values.pubsub.redisUrl }}
+- name: REDIS_URL
+  value: {{ .Values.pubsub.redisUrl | quote }}
+{{- end }}
+{{- if .Values.auth.jwtSecret }}
+- name: AUTH_JWT_SECRET
+  valueFrom:
+    secretKeyRef:
+      name: {{ include "node-graphql-chart.appFullname" . }}-auth
+      key: AUTH_JWT_SECRET
+{{- end }}
+{{- if .Values.auth.issuer }}
+- name: AUTH_ISSUER
+  value: {{ .Values.auth.issuer | quote }}
+{{- end }}
+{{- if .Values.auth.audience }}
+- name: AUTH_AUDIENCE
+  value: {{ .Values.auth.audience | quote }}
+{{- end }}
+- name: AUTH_ROLES_CLAIM
+  value: {{ .Values.auth.rolesClaim | default "roles" | quote }}
 {{- if .Values.app.env }}
 {{- toYaml .Values.app.env | nindent 0 }}
 {{- end }}